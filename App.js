@@ -7,28 +7,44 @@
  */
 
 // React and core imports
-import React, { useEffect } from "react";
+import React, { useEffect, useState } from "react";
 
 // UI and theming imports
-import { Provider as PaperProvider } from "react-native-paper";
+import {
+  Provider as PaperProvider,
+  ActivityIndicator,
+} from "react-native-paper";
 import { StatusBar } from "expo-status-bar";
 
 // Application components and services
 import AppNavigator from "./src/navigation/AppNavigator";
 import { appTheme } from "./src/styles/theme";
 import { initDatabase } from "./src/services/databaseService";
+import { runAutomaticBackup } from "./src/services/backupService";
 
 /**
  * App component is the root component of the application.
  * It initializes the database on first render and wraps the application
- * in the necessary providers for theming and navigation.
+ * in the necessary providers for theming and navigation. Screens are only
+ * mounted once pending schema migrations have finished, so no screen can
+ * query a table that has not been created or upgraded yet. Once the schema
+ * is ready, the daily automatic backup runs in the background.
  *
  * @returns {React.Component} The root application component
  */
 export default function App() {
+  // Tracks whether schema migrations have completed
+  const [dbReady, setDbReady] = useState(false);
+
   // Initialize database on app's start
   useEffect(() => {
-    initDatabase();
+    initDatabase()
+      .then((ready) => {
+        if (ready) {
+          runAutomaticBackup();
+        }
+      })
+      .finally(() => setDbReady(true));
   }, []);
 
   return (
@@ -36,8 +52,12 @@ export default function App() {
       {/* Status bar configuration */}
       <StatusBar style="auto" />
 
-      {/* Main navigation structure */}
-      <AppNavigator />
+      {/* Main navigation structure - waits for database migrations */}
+      {dbReady ? (
+        <AppNavigator />
+      ) : (
+        <ActivityIndicator animating={true} size="large" style={{ flex: 1 }} />
+      )}
     </PaperProvider>
   );
 }
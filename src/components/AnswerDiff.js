@@ -0,0 +1,79 @@
+/**
+ * AnswerDiff Component
+ *
+ * Shows how a typed answer compares with the correct one, letter by letter:
+ * right letters plainly, letters with the wrong accent in orange, wrong
+ * letters in red (with what was typed struck through), missing letters
+ * underlined in green and extra typed letters struck through.
+ */
+
+import React from "react";
+import { StyleSheet } from "react-native";
+
+// UI component import
+import { Text } from "react-native-paper";
+
+// Service import
+import { DIFF_TYPES } from "../services/answerService";
+
+/**
+ * AnswerDiff renders diff segments from answerService.diffAnswer
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.segments - Diff segments
+ * @param {Object} props.style - Style for the surrounding text (optional)
+ * @returns {React.Component} The annotated answer
+ */
+const AnswerDiff = ({ segments, style }) => (
+  <Text style={[styles.answer, style]}>
+    {segments.map((segment, index) => {
+      if (segment.type === DIFF_TYPES.WRONG) {
+        return (
+          <Text key={index}>
+            <Text style={styles.struck}>{segment.typed}</Text>
+            <Text style={styles.wrong}>{segment.text}</Text>
+          </Text>
+        );
+      }
+
+      return (
+        <Text key={index} style={styles[segment.type]}>
+          {segment.text}
+        </Text>
+      );
+    })}
+  </Text>
+);
+
+const styles = StyleSheet.create({
+  answer: {
+    fontSize: 22,
+    textAlign: "center",
+  },
+  same: {
+    color: "#2b8a3e",
+  },
+  accent: {
+    color: "#e67700",
+    fontWeight: "bold",
+  },
+  wrong: {
+    color: "#c92a2a",
+    fontWeight: "bold",
+  },
+  missing: {
+    color: "#2b8a3e",
+    textDecorationLine: "underline",
+    fontWeight: "bold",
+  },
+  extra: {
+    color: "#c92a2a",
+    textDecorationLine: "line-through",
+  },
+  struck: {
+    color: "#999",
+    textDecorationLine: "line-through",
+  },
+});
+
+export default AnswerDiff;
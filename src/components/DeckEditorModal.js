@@ -0,0 +1,358 @@
+/**
+ * DeckEditorModal Component
+ *
+ * A modal dialog for creating or editing a deck. A deck is either a saved
+ * filter (language, highest learning level and tags), whose words follow the
+ * collection as it grows, or a fixed list of words picked from the saved
+ * vocabulary. Each deck also sets the direction its cards are practiced in
+ * and whether cloze cards are made from its words' sentences.
+ */
+
+// React and React Native imports
+import React, { useState, useEffect } from "react";
+import { StyleSheet, View, ScrollView } from "react-native";
+
+// UI component imports
+import {
+  Modal,
+  Portal,
+  Text,
+  TextInput,
+  Button,
+  Chip,
+  Checkbox,
+  Searchbar,
+  SegmentedButtons,
+} from "react-native-paper";
+
+// Service imports
+import { getSavedWords, getTags, saveDeck } from "../services/databaseService";
+import { DECK_KINDS } from "../services/deckService";
+import { CARD_DIRECTIONS } from "../services/learningService";
+import { TAG_MATCH } from "../services/tagService";
+
+// Component imports
+import TagInput from "./TagInput";
+
+/**
+ * Learning levels a filter deck can be capped at
+ */
+const LEVELS = [0, 1, 2, 3, 4, 5];
+
+/**
+ * Renders the deck editor in a modal dialog
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {Object} props.deck - Deck to edit, or null to create a new one
+ * @param {Function} props.onDismiss - Function to call when the modal closes
+ * @param {Function} props.onSaved - Function to call with the ID of the saved deck
+ * @returns {React.Component} Modal with the deck form
+ */
+const DeckEditorModal = ({ visible, deck, onDismiss, onSaved }) => {
+  // Form state
+  const [name, setName] = useState("");
+  const [kind, setKind] = useState(DECK_KINDS.FILTER);
+  const [direction, setDirection] = useState(CARD_DIRECTIONS.FORWARD);
+  const [cloze, setCloze] = useState(false);
+  const [language, setLanguage] = useState("");
+  const [maxLevel, setMaxLevel] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [tagMatch, setTagMatch] = useState(TAG_MATCH.ANY);
+  const [wordIds, setWordIds] = useState([]);
+
+  // Data for suggestions and the word list
+  const [allTags, setAllTags] = useState([]);
+  const [words, setWords] = useState([]);
+  const [wordQuery, setWordQuery] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // Fill the form each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      const filter = deck?.filter || {};
+      setName(deck?.name || "");
+      setKind(deck?.kind || DECK_KINDS.FILTER);
+      setDirection(deck?.direction || CARD_DIRECTIONS.FORWARD);
+      setCloze(Boolean(deck?.cloze));
+      setLanguage(filter.language || "");
+      setMaxLevel(filter.maxLevel ?? null);
+      setTags(filter.tags || []);
+      setTagMatch(filter.tagMatch || TAG_MATCH.ANY);
+      setWordIds(deck?.wordIds || []);
+      setWordQuery("");
+      loadChoices();
+    }
+  }, [visible, deck]);
+
+  /**
+   * Loads the existing tags and saved words to choose from
+   */
+  const loadChoices = async () => {
+    const [tagRows, savedWords] = await Promise.all([
+      getTags(),
+      getSavedWords(),
+    ]);
+    setAllTags(tagRows.map((tag) => tag.name));
+    setWords(savedWords);
+  };
+
+  /**
+   * Adds a word to the list, or takes it out if it is already there
+   *
+   * @param {number} id - ID of the word
+   */
+  const toggleWord = (id) => {
+    setWordIds((current) =>
+      current.includes(id)
+        ? current.filter((other) => other !== id)
+        : [...current, id]
+    );
+  };
+
+  /**
+   * Saves the deck and hands its ID to the parent
+   */
+  const handleSave = async () => {
+    const filter = {};
+    if (language) {
+      filter.language = language;
+    }
+    if (maxLevel !== null) {
+      filter.maxLevel = maxLevel;
+    }
+    if (tags.length > 0) {
+      filter.tags = tags;
+      filter.tagMatch = tagMatch;
+    }
+
+    setSaving(true);
+    const id = await saveDeck({
+      id: deck?.id,
+      name: name.trim(),
+      kind,
+      direction,
+      cloze,
+      filter: kind === DECK_KINDS.FILTER ? filter : {},
+      wordIds,
+    });
+    setSaving(false);
+
+    if (id) {
+      onSaved(id);
+    }
+  };
+
+  const query = wordQuery.trim().toLowerCase();
+  const shownWords = query
+    ? words.filter((word) => word.word.toLowerCase().includes(query))
+    : words;
+  const canSave =
+    name.trim() && (kind === DECK_KINDS.FILTER || wordIds.length > 0);
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={onDismiss}
+        contentContainerStyle={styles.container}
+      >
+        {/* Modal title */}
+        <Text variant="titleLarge" style={styles.title}>
+          {deck ? "Edit Deck" : "New Deck"}
+        </Text>
+
+        <ScrollView style={styles.form}>
+          <TextInput
+            label="Deck name"
+            value={name}
+            onChangeText={setName}
+            placeholder="e.g. Finnish travel basics"
+            style={styles.input}
+          />
+
+          <SegmentedButtons
+            value={kind}
+            onValueChange={setKind}
+            buttons={[
+              { value: DECK_KINDS.FILTER, label: "Saved filter" },
+              { value: DECK_KINDS.LIST, label: "Word list" },
+            ]}
+            style={styles.input}
+          />
+
+          <Text style={styles.label}>Practice</Text>
+          <SegmentedButtons
+            value={direction}
+            onValueChange={setDirection}
+            buttons={[
+              { value: CARD_DIRECTIONS.FORWARD, label: "Word → meaning" },
+              { value: CARD_DIRECTIONS.REVERSE, label: "Meaning → word" },
+              { value: CARD_DIRECTIONS.BOTH, label: "Both" },
+            ]}
+            density="small"
+            style={styles.input}
+          />
+          <Checkbox.Item
+            label="Cloze cards from example sentences and notes"
+            status={cloze ? "checked" : "unchecked"}
+            onPress={() => setCloze(!cloze)}
+            style={styles.wordItem}
+          />
+
+          {kind === DECK_KINDS.FILTER ? (
+            <>
+              <Text style={styles.label}>Language</Text>
+              <SegmentedButtons
+                value={language}
+                onValueChange={setLanguage}
+                buttons={[
+                  { value: "", label: "Any" },
+                  { value: "en", label: "English" },
+                  { value: "fi", label: "Finnish" },
+                ]}
+                style={styles.input}
+              />
+
+              <Text style={styles.label}>Up to learning level</Text>
+              <View style={styles.chips}>
+                <Chip
+                  selected={maxLevel === null}
+                  onPress={() => setMaxLevel(null)}
+                  style={styles.chip}
+                  compact
+                >
+                  Any
+                </Chip>
+                {LEVELS.map((level) => (
+                  <Chip
+                    key={level}
+                    selected={maxLevel === level}
+                    onPress={() => setMaxLevel(level)}
+                    style={styles.chip}
+                    compact
+                  >
+                    {level}
+                  </Chip>
+                ))}
+              </View>
+
+              <TagInput
+                tags={tags}
+                onChange={setTags}
+                allTags={allTags}
+                label="Only words tagged"
+              />
+              {tags.length > 1 && (
+                <SegmentedButtons
+                  value={tagMatch}
+                  onValueChange={setTagMatch}
+                  buttons={[
+                    { value: TAG_MATCH.ANY, label: "Any tag" },
+                    { value: TAG_MATCH.ALL, label: "All tags" },
+                  ]}
+                  density="small"
+                  style={styles.input}
+                />
+              )}
+            </>
+          ) : (
+            <>
+              <Text style={styles.label}>
+                {wordIds.length} {wordIds.length === 1 ? "word" : "words"}{" "}
+                picked
+              </Text>
+              <Searchbar
+                placeholder="Find a word"
+                value={wordQuery}
+                onChangeText={setWordQuery}
+                style={styles.input}
+              />
+              {shownWords.map((word) => (
+                <Checkbox.Item
+                  key={word.id}
+                  label={`${word.word} (${word.language})`}
+                  status={wordIds.includes(word.id) ? "checked" : "unchecked"}
+                  onPress={() => toggleWord(word.id)}
+                  style={styles.wordItem}
+                />
+              ))}
+              {shownWords.length === 0 && (
+                <Text style={styles.emptyText}>No words match.</Text>
+              )}
+            </>
+          )}
+        </ScrollView>
+
+        {/* Action buttons */}
+        <View style={styles.buttons}>
+          <Button onPress={onDismiss} style={styles.button}>
+            Cancel
+          </Button>
+          <Button
+            mode="contained"
+            onPress={handleSave}
+            loading={saving}
+            disabled={!canSave || saving}
+            style={styles.button}
+          >
+            Save Deck
+          </Button>
+        </View>
+      </Modal>
+    </Portal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "white",
+    padding: 20,
+    margin: 20,
+    borderRadius: 8,
+    maxHeight: "85%",
+  },
+  title: {
+    textAlign: "center",
+    marginBottom: 12,
+  },
+  form: {
+    flexGrow: 0,
+  },
+  input: {
+    marginBottom: 12,
+  },
+  label: {
+    color: "#666",
+    marginBottom: 6,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 12,
+  },
+  chip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  wordItem: {
+    paddingVertical: 0,
+  },
+  emptyText: {
+    textAlign: "center",
+    color: "#666",
+    fontStyle: "italic",
+    marginVertical: 8,
+  },
+  buttons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 12,
+  },
+  button: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+export default DeckEditorModal;
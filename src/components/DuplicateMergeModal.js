@@ -0,0 +1,207 @@
+/**
+ * DuplicateMergeModal Component
+ *
+ * A modal dialog that lists groups of duplicate saved words (the same word
+ * in the same language saved more than once) and merges them. Each group
+ * shows its entries with their definitions and learning progress; merging
+ * keeps one word with every meaning, the best progress and all review history.
+ */
+
+// React and React Native imports
+import React, { useState, useEffect } from "react";
+import { StyleSheet, View, ScrollView } from "react-native";
+
+// UI component imports
+import {
+  Modal,
+  Portal,
+  Text,
+  Button,
+  Divider,
+  ActivityIndicator,
+} from "react-native-paper";
+
+// Service imports
+import {
+  findDuplicateGroups,
+  mergeDuplicateGroup,
+  mergeAllDuplicates,
+} from "../services/duplicateService";
+
+/**
+ * Renders the duplicate finder in a modal dialog
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {Function} props.onDismiss - Function to call when the modal closes
+ * @param {Function} props.onMerged - Function to call after words were merged
+ * @returns {React.Component} Modal listing duplicate words
+ */
+const DuplicateMergeModal = ({ visible, onDismiss, onMerged }) => {
+  // Duplicate groups state
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [merging, setMerging] = useState(false);
+
+  // Scan for duplicates each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      loadGroups();
+    }
+  }, [visible]);
+
+  /**
+   * Scans the vocabulary for duplicate words
+   */
+  const loadGroups = async () => {
+    setLoading(true);
+    setGroups(await findDuplicateGroups());
+    setLoading(false);
+  };
+
+  /**
+   * Merges one group, or every group when none is given, then rescans
+   *
+   * @param {Array<Object>} group - Group to merge (optional)
+   */
+  const handleMerge = async (group) => {
+    setMerging(true);
+    if (group) {
+      await mergeDuplicateGroup(group);
+    } else {
+      await mergeAllDuplicates();
+    }
+    setMerging(false);
+    onMerged();
+    loadGroups();
+  };
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={onDismiss}
+        contentContainerStyle={styles.container}
+      >
+        {/* Modal title */}
+        <Text variant="titleLarge" style={styles.title}>
+          Duplicate Words
+        </Text>
+
+        {loading ? (
+          <ActivityIndicator animating={true} style={styles.loader} />
+        ) : groups.length === 0 ? (
+          <Text style={styles.emptyText}>
+            No duplicates—every word is one of a kind!
+          </Text>
+        ) : (
+          <>
+            <Text style={styles.summary}>
+              Merging keeps every meaning, the best progress and all review
+              history.
+            </Text>
+
+            <ScrollView style={styles.list}>
+              {groups.map((group, index) => (
+                <React.Fragment key={group[0].id}>
+                  <View style={styles.group}>
+                    <View style={styles.groupHeader}>
+                      <Text style={styles.word}>
+                        {group[0].word} · {group.length} copies
+                      </Text>
+                      <Button
+                        compact
+                        onPress={() => handleMerge(group)}
+                        disabled={merging}
+                      >
+                        Merge
+                      </Button>
+                    </View>
+                    {group.map((word) => (
+                      <Text
+                        key={word.id}
+                        variant="bodySmall"
+                        style={styles.entry}
+                        numberOfLines={2}
+                      >
+                        Level {word.learning_level || 0} ·{" "}
+                        {word.definition || "No definition"}
+                      </Text>
+                    ))}
+                  </View>
+                  {index < groups.length - 1 && <Divider />}
+                </React.Fragment>
+              ))}
+            </ScrollView>
+
+            <Button
+              mode="contained"
+              onPress={() => handleMerge(null)}
+              loading={merging}
+              disabled={merging}
+              style={styles.button}
+            >
+              Merge All
+            </Button>
+          </>
+        )}
+
+        {/* Close button */}
+        <Button onPress={onDismiss} style={styles.button}>
+          Close
+        </Button>
+      </Modal>
+    </Portal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "white",
+    padding: 20,
+    margin: 20,
+    borderRadius: 8,
+    maxHeight: "80%",
+  },
+  title: {
+    textAlign: "center",
+    marginBottom: 8,
+  },
+  summary: {
+    textAlign: "center",
+    color: "#666",
+    marginBottom: 12,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  group: {
+    paddingVertical: 8,
+  },
+  groupHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  word: {
+    fontWeight: "bold",
+  },
+  entry: {
+    color: "#555",
+    marginTop: 2,
+  },
+  loader: {
+    marginVertical: 20,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginVertical: 16,
+    color: "#666",
+    fontStyle: "italic",
+  },
+  button: {
+    marginTop: 12,
+  },
+});
+
+export default DuplicateMergeModal;
@@ -0,0 +1,65 @@
+/**
+ * HighlightedText Component
+ *
+ * Renders a search snippet with the matched terms emphasized. Snippets come
+ * from the full-text search functions in databaseService, which wrap every
+ * match in the HIGHLIGHT_START and HIGHLIGHT_END marker characters.
+ */
+
+import React from "react";
+import { StyleSheet } from "react-native";
+
+// UI component import
+import { Text } from "react-native-paper";
+
+// Service imports
+import { HIGHLIGHT_START, HIGHLIGHT_END } from "../services/databaseService";
+
+/**
+ * HighlightedText renders a snippet with bold, tinted matches
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.snippet - Snippet text containing highlight markers
+ * @param {Object} props.style - Optional style for the surrounding text
+ * @returns {React.Component} Text with highlighted search matches
+ */
+const HighlightedText = ({ snippet, style }) => {
+  // Split into alternating plain and highlighted segments
+  const segments = [];
+  (snippet || "").split(HIGHLIGHT_START).forEach((part, index) => {
+    if (index === 0) {
+      segments.push({ text: part, highlighted: false });
+      return;
+    }
+
+    const [match, rest = ""] = part.split(HIGHLIGHT_END);
+    segments.push({ text: match, highlighted: true });
+    segments.push({ text: rest, highlighted: false });
+  });
+
+  return (
+    <Text variant="bodySmall" style={[styles.snippet, style]}>
+      {segments.map((segment, index) => (
+        <Text
+          key={index}
+          style={segment.highlighted ? styles.highlight : undefined}
+        >
+          {segment.text}
+        </Text>
+      ))}
+    </Text>
+  );
+};
+
+const styles = StyleSheet.create({
+  snippet: {
+    color: "#555",
+  },
+  highlight: {
+    fontWeight: "bold",
+    color: "#6200ee",
+    backgroundColor: "#ede7f6",
+  },
+});
+
+export default HighlightedText;
@@ -0,0 +1,224 @@
+/**
+ * ReviewTimelineModal Component
+ *
+ * A modal dialog that shows the review history of a single saved word.
+ * Each entry in the timeline lists when the word was reviewed, the grade
+ * given, how its learning level changed and the interval that was scheduled,
+ * so users can see how their recall of the word has evolved. Reviews of a
+ * single sense also show which meaning was asked, and reviews of the reverse
+ * card are marked as meaning to word.
+ */
+
+// React and React Native imports
+import React, { useState, useEffect } from "react";
+import { StyleSheet, View, ScrollView } from "react-native";
+
+// UI component imports
+import {
+  Modal,
+  Portal,
+  Text,
+  Button,
+  Chip,
+  Divider,
+  ActivityIndicator,
+} from "react-native-paper";
+
+// Service imports
+import { getReviewLog } from "../services/databaseService";
+import { CARD_DIRECTIONS } from "../services/learningService";
+
+/**
+ * Display labels and colors for each recall grade (0 = Again ... 3 = Easy)
+ */
+const GRADE_STYLES = [
+  { label: "Again", color: "#ff6b6b" },
+  { label: "Hard", color: "#ffa94d" },
+  { label: "Good", color: "#51cf66" },
+  { label: "Easy", color: "#339af0" },
+];
+
+/**
+ * Renders the review history of a word in a modal dialog
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {Object} props.word - Saved word whose history is shown
+ * @param {Function} props.onDismiss - Function to call when the modal closes
+ * @returns {React.Component} Modal with the word's review timeline
+ */
+const ReviewTimelineModal = ({ visible, word, onDismiss }) => {
+  // Review history state
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Load the history each time the modal opens for a word
+  useEffect(() => {
+    if (visible && word) {
+      loadHistory();
+    }
+  }, [visible, word]);
+
+  /**
+   * Fetches the review log of the current word from the database
+   */
+  const loadHistory = async () => {
+    setLoading(true);
+    const log = await getReviewLog(word.id);
+    setEntries(log);
+    setLoading(false);
+  };
+
+  // Share of reviews that were not graded "Again"
+  const successRate =
+    entries.length > 0
+      ? Math.round(
+          (entries.filter((entry) => entry.grade > 0).length / entries.length) *
+            100
+        )
+      : 0;
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={onDismiss}
+        contentContainerStyle={styles.container}
+      >
+        {/* Modal title */}
+        <Text variant="titleLarge" style={styles.title}>
+          {word ? word.word : ""} · Review History
+        </Text>
+
+        {loading ? (
+          <ActivityIndicator animating={true} style={styles.loader} />
+        ) : entries.length === 0 ? (
+          <Text style={styles.emptyText}>
+            No reviews yet—flip some flashcards to start the story!
+          </Text>
+        ) : (
+          <>
+            {/* Summary of the whole history */}
+            <Text style={styles.summary}>
+              {entries.length} reviews · {successRate}% recalled
+            </Text>
+
+            {/* Timeline entries, oldest first */}
+            <ScrollView style={styles.timeline}>
+              {entries.map((entry, index) => {
+                const gradeStyle = GRADE_STYLES[entry.grade] || GRADE_STYLES[0];
+
+                return (
+                  <React.Fragment key={entry.id}>
+                    <View style={styles.entry}>
+                      <View style={styles.entryHeader}>
+                        <Text style={styles.date}>
+                          {new Date(entry.reviewed_at).toLocaleString()}
+                        </Text>
+                        <Chip
+                          compact
+                          style={{ backgroundColor: gradeStyle.color }}
+                          textStyle={styles.gradeText}
+                        >
+                          {gradeStyle.label}
+                        </Chip>
+                      </View>
+                      <Text variant="bodySmall">
+                        Level {entry.previous_level} → {entry.new_level} · next
+                        in {entry.interval_days} day
+                        {entry.interval_days === 1 ? "" : "s"}
+                        {entry.response_time_ms
+                          ? ` · answered in ${(
+                              entry.response_time_ms / 1000
+                            ).toFixed(1)}s`
+                          : ""}
+                      </Text>
+                      {/* Reviews of a single sense name the meaning asked */}
+                      {entry.sense_id ? (
+                        <Text variant="bodySmall" style={styles.sense}>
+                          Meaning: {entry.sense_definition || "since removed"}
+                        </Text>
+                      ) : null}
+                      {entry.direction === CARD_DIRECTIONS.REVERSE ? (
+                        <Text variant="bodySmall" style={styles.sense}>
+                          Meaning → word
+                        </Text>
+                      ) : null}
+                      {entry.direction === "cloze" ? (
+                        <Text variant="bodySmall" style={styles.sense}>
+                          Fill in the blank
+                        </Text>
+                      ) : null}
+                    </View>
+                    {index < entries.length - 1 && <Divider />}
+                  </React.Fragment>
+                );
+              })}
+            </ScrollView>
+          </>
+        )}
+
+        {/* Close button */}
+        <Button onPress={onDismiss} style={styles.button}>
+          Close
+        </Button>
+      </Modal>
+    </Portal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "white",
+    padding: 20,
+    margin: 20,
+    borderRadius: 8,
+    maxHeight: "80%",
+  },
+  title: {
+    textAlign: "center",
+    marginBottom: 8,
+  },
+  summary: {
+    textAlign: "center",
+    color: "#666",
+    marginBottom: 12,
+  },
+  timeline: {
+    flexGrow: 0,
+  },
+  entry: {
+    paddingVertical: 8,
+  },
+  entryHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 4,
+  },
+  date: {
+    fontSize: 12,
+    color: "#666",
+  },
+  sense: {
+    color: "#666",
+    fontStyle: "italic",
+  },
+  gradeText: {
+    color: "white",
+  },
+  loader: {
+    marginVertical: 20,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginVertical: 16,
+    color: "#666",
+    fontStyle: "italic",
+  },
+  button: {
+    marginTop: 12,
+  },
+});
+
+export default ReviewTimelineModal;
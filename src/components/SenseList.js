@@ -0,0 +1,100 @@
+/**
+ * SenseList Component
+ *
+ * Lists the senses (meanings) of a saved word in order, each with its part
+ * of speech, definition, example and synonyms. Used wherever a word is shown
+ * with all of its meanings together.
+ */
+
+import React from "react";
+import { StyleSheet, View } from "react-native";
+
+// UI component import
+import { Text } from "react-native-paper";
+
+/**
+ * SenseList renders a numbered list of a word's senses
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.senses - word_senses rows, in order
+ * @param {boolean} props.centered - Center the text, as on flashcards (optional)
+ * @param {number} props.maxSenses - Show at most this many senses (optional)
+ * @param {boolean} props.hideExamples - Leave out examples, which usually
+ *   give the word away, as on meaning-to-word flashcards (optional)
+ * @returns {React.Component} The list of senses, or nothing if there are none
+ */
+const SenseList = ({
+  senses = [],
+  centered = false,
+  maxSenses,
+  hideExamples = false,
+}) => {
+  const shown = maxSenses ? senses.slice(0, maxSenses) : senses;
+  const align = centered ? styles.centered : null;
+
+  if (shown.length === 0) {
+    return null;
+  }
+
+  return (
+    <View>
+      {shown.map((sense, index) => (
+        <View key={sense.id ?? index} style={styles.sense}>
+          <Text style={[styles.definition, align]}>
+            {shown.length > 1 ? `${index + 1}. ` : ""}
+            {sense.part_of_speech ? (
+              <Text style={styles.partOfSpeech}>({sense.part_of_speech}) </Text>
+            ) : null}
+            {sense.definition}
+          </Text>
+          {sense.example && !hideExamples ? (
+            <Text style={[styles.example, align]}>"{sense.example}"</Text>
+          ) : null}
+          {sense.synonyms && sense.synonyms.length > 0 ? (
+            <Text style={[styles.synonyms, align]}>
+              Synonyms: {sense.synonyms.join(", ")}
+            </Text>
+          ) : null}
+        </View>
+      ))}
+      {senses.length > shown.length && (
+        <Text style={[styles.more, align]}>
+          +{senses.length - shown.length} more{" "}
+          {senses.length - shown.length === 1 ? "meaning" : "meanings"}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  sense: {
+    marginBottom: 6,
+  },
+  centered: {
+    textAlign: "center",
+  },
+  definition: {
+    fontSize: 15,
+  },
+  partOfSpeech: {
+    fontStyle: "italic",
+    color: "#6200ee",
+  },
+  example: {
+    fontStyle: "italic",
+    color: "#555",
+    marginTop: 2,
+  },
+  synonyms: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 2,
+  },
+  more: {
+    fontSize: 12,
+    color: "#888",
+  },
+});
+
+export default SenseList;
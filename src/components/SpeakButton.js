@@ -11,8 +11,8 @@ import React from "react";
 // UI component import
 import { IconButton } from "react-native-paper";
 
-// Expo API import
-import * as Speech from "expo-speech";
+// Service import
+import { speak } from "../services/speechService";
 
 /**
  * SpeakButton renders a button that speaks text when pressed
@@ -23,25 +23,11 @@ import * as Speech from "expo-speech";
  * @returns {React.Component} An IconButton that triggers speech synthesis
  */
 const SpeakButton = ({ text, language = "en-US" }) => {
-  /**
-   * Speaks the provided text using the device's speech synthesis
-   * Maps the language code to the appropriate locale for speech
-   */
-  const speak = () => {
-    const options = {
-      language: language === "en" ? "en-US" : "fi-FI",
-      pitch: 1.0, // Normal pitch
-      rate: 0.9, // Slightly slower than normal for better clarity
-    };
-
-    Speech.speak(text, options);
-  };
-
   return (
     <IconButton
       icon="volume-high"
       size={20}
-      onPress={speak}
+      onPress={() => speak(text, language)}
       accessibilityLabel={`Pronounce ${text}`} // Improves screen reader support
     />
   );
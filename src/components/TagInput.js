@@ -0,0 +1,145 @@
+/**
+ * TagInput Component
+ *
+ * Edits a list of tags: the chosen tags are shown as chips that can be
+ * removed, new tags are typed (several at once, separated by commas), and
+ * existing tags are suggested as chips that can be tapped to add them.
+ */
+
+import React, { useState } from "react";
+import { StyleSheet, View } from "react-native";
+
+// UI component imports
+import { Chip, TextInput } from "react-native-paper";
+
+// Service imports
+import { parseTagList } from "../services/tagService";
+
+/**
+ * Maximum number of existing tags suggested at once
+ */
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * TagInput renders chosen tags, a text field for new ones and suggestions
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.tags - Chosen tag names
+ * @param {Function} props.onChange - Called with the new list of tag names
+ * @param {Array<string>} props.allTags - Existing tag names to suggest (optional)
+ * @param {string} props.label - Label of the text field (optional)
+ * @returns {React.Component} Tag editor
+ */
+const TagInput = ({ tags, onChange, allTags = [], label = "Add tags" }) => {
+  const [text, setText] = useState("");
+
+  /**
+   * Adds tags to the chosen list, ignoring ones already chosen
+   *
+   * @param {Array<string>} names - Tag names to add
+   */
+  const addTags = (names) => {
+    onChange(parseTagList([...tags, ...names].join(",")));
+  };
+
+  /**
+   * Adds whatever has been typed so far
+   */
+  const addTyped = () => {
+    addTags(parseTagList(text));
+    setText("");
+  };
+
+  /**
+   * Adds typed tags as soon as a separator is typed
+   *
+   * @param {string} value - Current text field value
+   */
+  const handleChangeText = (value) => {
+    if (/[,;]/.test(value)) {
+      addTags(parseTagList(value));
+      setText("");
+    } else {
+      setText(value);
+    }
+  };
+
+  const chosen = tags.map((tag) => tag.toLowerCase());
+  const suggestions = allTags
+    .filter(
+      (tag) =>
+        !chosen.includes(tag.toLowerCase()) &&
+        tag.toLowerCase().startsWith(text.trim().toLowerCase())
+    )
+    .slice(0, MAX_SUGGESTIONS);
+
+  return (
+    <View>
+      {/* Chosen tags */}
+      {tags.length > 0 && (
+        <View style={styles.chips}>
+          {tags.map((tag) => (
+            <Chip
+              key={tag}
+              icon="tag"
+              onClose={() => onChange(tags.filter((other) => other !== tag))}
+              style={styles.chip}
+              compact
+            >
+              {tag}
+            </Chip>
+          ))}
+        </View>
+      )}
+
+      <TextInput
+        label={label}
+        value={text}
+        onChangeText={handleChangeText}
+        onSubmitEditing={addTyped}
+        placeholder="e.g. work, from Yle news"
+        style={styles.input}
+        right={
+          text.trim() ? <TextInput.Icon icon="plus" onPress={addTyped} /> : null
+        }
+      />
+
+      {/* Existing tags that match what has been typed */}
+      {suggestions.length > 0 && (
+        <View style={styles.chips}>
+          {suggestions.map((tag) => (
+            <Chip
+              key={tag}
+              mode="outlined"
+              onPress={() => {
+                addTags([tag]);
+                setText("");
+              }}
+              style={styles.chip}
+              compact
+            >
+              {tag}
+            </Chip>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 6,
+  },
+  chip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  input: {
+    marginBottom: 10,
+  },
+});
+
+export default TagInput;
@@ -0,0 +1,184 @@
+/**
+ * WordActionsMenu Component
+ *
+ * A menu button with the actions that take a word in or out of review:
+ * suspend it until further notice, bury it until tomorrow, reschedule its
+ * next review, or reset its learning progress so it starts over as new.
+ * Used on the My Words list and during flashcard sessions.
+ */
+
+// React and React Native imports
+import React, { useState } from "react";
+import { Alert } from "react-native";
+
+// UI component imports
+import {
+  Menu,
+  IconButton,
+  Portal,
+  Dialog,
+  List,
+  Button,
+} from "react-native-paper";
+
+// Service imports
+import {
+  isBuried,
+  suspendWord,
+  buryWord,
+  rescheduleWord,
+  resetWord,
+} from "../services/learningService";
+
+/**
+ * Choices for rescheduling, in days from now
+ */
+const RESCHEDULE_CHOICES = [
+  { days: 0, label: "Today" },
+  { days: 1, label: "Tomorrow" },
+  { days: 3, label: "In 3 days" },
+  { days: 7, label: "In a week" },
+  { days: 30, label: "In a month" },
+];
+
+/**
+ * Renders the review actions of a word behind a menu button
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.word - Saved word the actions apply to
+ * @param {Function} props.onChanged - Function to call with a feedback
+ *   message after an action succeeded
+ * @returns {React.Component} Menu button with the word's review actions
+ */
+const WordActionsMenu = ({ word, onChanged }) => {
+  // Menu and dialog state
+  const [menuVisible, setMenuVisible] = useState(false);
+  const [rescheduleVisible, setRescheduleVisible] = useState(false);
+
+  const buried = isBuried(word);
+
+  /**
+   * Runs an action and reports how it went
+   *
+   * @param {Function} action - Action returning a promise of success
+   * @param {string} message - Feedback message for a successful action
+   */
+  const runAction = async (action, message) => {
+    setMenuVisible(false);
+    setRescheduleVisible(false);
+
+    if (await action()) {
+      onChanged(message);
+    } else {
+      Alert.alert("Oops!", "That didn't work out. Please try again.");
+    }
+  };
+
+  /**
+   * Asks for confirmation, then resets the word's learning progress
+   */
+  const confirmReset = () => {
+    setMenuVisible(false);
+    Alert.alert(
+      "Reset progress?",
+      `"${word.word}" will start over as a new word. Its review history is kept.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Reset",
+          style: "destructive",
+          onPress: () =>
+            runAction(
+              () => resetWord(word.id),
+              `"${word.word}" is starting from scratch.`
+            ),
+        },
+      ]
+    );
+  };
+
+  return (
+    <>
+      <Menu
+        visible={menuVisible}
+        onDismiss={() => setMenuVisible(false)}
+        anchor={
+          <IconButton
+            icon="dots-vertical"
+            onPress={() => setMenuVisible(true)}
+          />
+        }
+      >
+        <Menu.Item
+          leadingIcon={
+            word.suspended ? "play-circle-outline" : "pause-circle-outline"
+          }
+          title={word.suspended ? "Unsuspend" : "Suspend"}
+          onPress={() =>
+            runAction(
+              () => suspendWord(word.id, !word.suspended),
+              word.suspended
+                ? `"${word.word}" is back in review.`
+                : `"${word.word}" is taking a break until you unsuspend it.`
+            )
+          }
+        />
+        <Menu.Item
+          leadingIcon="sleep"
+          title={buried ? "Unbury" : "Bury until tomorrow"}
+          onPress={() =>
+            runAction(
+              () => buryWord(word.id, !buried),
+              buried
+                ? `"${word.word}" is back in review.`
+                : `"${word.word}" is buried until tomorrow.`
+            )
+          }
+        />
+        <Menu.Item
+          leadingIcon="calendar-clock"
+          title="Reschedule…"
+          onPress={() => {
+            setMenuVisible(false);
+            setRescheduleVisible(true);
+          }}
+        />
+        <Menu.Item
+          leadingIcon="restart"
+          title="Reset progress"
+          onPress={confirmReset}
+        />
+      </Menu>
+
+      {/* Reschedule dialog */}
+      <Portal>
+        <Dialog
+          visible={rescheduleVisible}
+          onDismiss={() => setRescheduleVisible(false)}
+        >
+          <Dialog.Title>Review "{word.word}"</Dialog.Title>
+          <Dialog.Content>
+            {RESCHEDULE_CHOICES.map(({ days, label }) => (
+              <List.Item
+                key={days}
+                title={label}
+                left={(props) => <List.Icon {...props} icon="calendar" />}
+                onPress={() =>
+                  runAction(
+                    () => rescheduleWord(word.id, days),
+                    `"${word.word}" is due ${label.toLowerCase()}.`
+                  )
+                }
+              />
+            ))}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setRescheduleVisible(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </>
+  );
+};
+
+export default WordActionsMenu;
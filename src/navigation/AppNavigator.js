@@ -31,6 +31,12 @@ import MyWordsScreen from "../screens/MyWordsScreen";
 import FlashcardScreen from "../screens/FlashcardScreen";
 import ReminderScreen from "../screens/ReminderScreen";
 import QuickNotesScreen from "../screens/QuickNotesScreen";
+import WordDetailScreen from "../screens/WordDetailScreen";
+import ImportScreen from "../screens/ImportScreen";
+import DecksScreen from "../screens/DecksScreen";
+import QuizScreen from "../screens/QuizScreen";
+import ListeningScreen from "../screens/ListeningScreen";
+import LeechesScreen from "../screens/LeechesScreen";
 
 // Component imports
 import QuickJotButton from "../components/QuickJotButton";
@@ -41,6 +47,15 @@ import { saveQuickNote } from "../services/databaseService";
 
 const Tab = createBottomTabNavigator();
 
+/**
+ * Options for screens that are reached from other screens rather than
+ * from the tab bar, so they get no tab button of their own
+ */
+const hiddenTabOptions = {
+  tabBarButton: () => null,
+  tabBarItemStyle: { display: "none" },
+};
+
 /**
  * AppNavigator component provides the main navigation structure and global UI elements
  *
@@ -119,6 +134,48 @@ export default function AppNavigator() {
 
         {/* App settings and notifications screen */}
         <Tab.Screen name="Settings" component={ReminderScreen} />
+
+        {/* Word detail and edit screen - opened from My Words */}
+        <Tab.Screen
+          name="Word Details"
+          component={WordDetailScreen}
+          options={hiddenTabOptions}
+        />
+
+        {/* Vocabulary import screen - opened from Settings */}
+        <Tab.Screen
+          name="Import Words"
+          component={ImportScreen}
+          options={hiddenTabOptions}
+        />
+
+        {/* Deck management screen - opened from Home */}
+        <Tab.Screen
+          name="Decks"
+          component={DecksScreen}
+          options={hiddenTabOptions}
+        />
+
+        {/* Multiple-choice quiz screen - opened from Home */}
+        <Tab.Screen
+          name="Quiz"
+          component={QuizScreen}
+          options={hiddenTabOptions}
+        />
+
+        {/* Listening drill screen - opened from Home */}
+        <Tab.Screen
+          name="Listening"
+          component={ListeningScreen}
+          options={hiddenTabOptions}
+        />
+
+        {/* Leech list screen - opened from Home */}
+        <Tab.Screen
+          name="Leeches"
+          component={LeechesScreen}
+          options={hiddenTabOptions}
+        />
       </Tab.Navigator>
 
       {/* Global Quick Jot functionality - available across the app */}
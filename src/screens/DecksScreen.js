@@ -0,0 +1,241 @@
+/**
+ * DecksScreen Component
+ *
+ * Manages decks: named sets of words that a flashcard session can be limited
+ * to. This screen is opened from the Home screen and allows users to:
+ * - See every deck with what it contains and how many cards are due
+ * - Create decks as saved filters or as hand-picked word lists
+ * - Edit and delete decks (the words themselves are kept)
+ * - Start a flashcard session with a deck
+ */
+
+// React and Navigation imports
+import React, { useState } from "react";
+import { StyleSheet, View, FlatList } from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+
+// UI component imports
+import {
+  Text,
+  Card,
+  Button,
+  IconButton,
+  Snackbar,
+  Portal,
+  Dialog,
+} from "react-native-paper";
+
+// Service imports
+import { deleteDeck } from "../services/databaseService";
+import {
+  DECK_KINDS,
+  describeDeck,
+  getDecksWithDueCounts,
+} from "../services/deckService";
+
+// Component imports
+import DeckEditorModal from "../components/DeckEditorModal";
+
+export default function DecksScreen({ navigation }) {
+  // Data state
+  const [decks, setDecks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Editor and dialog state
+  const [editorVisible, setEditorVisible] = useState(false);
+  const [editingDeck, setEditingDeck] = useState(null);
+  const [deckToDelete, setDeckToDelete] = useState(null);
+
+  // User feedback state
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState("");
+
+  // Refresh the decks and their due counts whenever the screen is shown
+  useFocusEffect(
+    React.useCallback(() => {
+      loadDecks();
+    }, [])
+  );
+
+  /**
+   * Loads every deck with its number of due cards
+   */
+  const loadDecks = async () => {
+    setLoading(true);
+    setDecks(await getDecksWithDueCounts());
+    setLoading(false);
+  };
+
+  /**
+   * Opens the editor for a deck, or for a new one
+   *
+   * @param {Object|null} deck - Deck to edit, or null to create one
+   */
+  const openEditor = (deck) => {
+    setEditingDeck(deck);
+    setEditorVisible(true);
+  };
+
+  /**
+   * Closes the editor after a save and refreshes the list
+   */
+  const handleSaved = () => {
+    setEditorVisible(false);
+    setSnackbarMessage(editingDeck ? "Deck updated!" : "Deck created!");
+    setSnackbarVisible(true);
+    loadDecks();
+  };
+
+  /**
+   * Deletes the deck picked for deletion
+   */
+  const handleDelete = async () => {
+    const deck = deckToDelete;
+    setDeckToDelete(null);
+
+    const success = await deleteDeck(deck.id);
+    setSnackbarMessage(
+      success
+        ? `"${deck.name}" deleted—its words are still saved.`
+        : "Oops! That deck refused to go. Please try again."
+    );
+    setSnackbarVisible(true);
+    loadDecks();
+  };
+
+  /**
+   * Renders one deck
+   *
+   * @param {Object} params - FlatList render params
+   * @param {Object} params.item - Deck with its due count
+   * @returns {React.Component} Deck card
+   */
+  const renderDeck = ({ item }) => (
+    <Card style={styles.card}>
+      <Card.Title
+        title={item.name}
+        subtitle={`${
+          item.kind === DECK_KINDS.LIST ? "List" : "Filter"
+        } · ${describeDeck(item)}`}
+        right={() => (
+          <View style={styles.cardActions}>
+            <IconButton icon="pencil" onPress={() => openEditor(item)} />
+            <IconButton icon="delete" onPress={() => setDeckToDelete(item)} />
+          </View>
+        )}
+      />
+      <Card.Actions>
+        <Text style={styles.dueText}>
+          {item.dueCount} {item.dueCount === 1 ? "card" : "cards"} due
+        </Text>
+        <Button
+          mode="contained"
+          onPress={() => navigation.navigate("Flashcards", { deckId: item.id })}
+          disabled={item.dueCount === 0}
+        >
+          Study
+        </Button>
+      </Card.Actions>
+    </Card>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text variant="headlineSmall" style={styles.title}>
+        Decks
+      </Text>
+
+      <FlatList
+        data={decks}
+        keyExtractor={(item) => item.id.toString()}
+        renderItem={renderDeck}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          !loading && (
+            <Text style={styles.emptyText}>
+              No decks yet. Make one to study just the words you want, like
+              Finnish travel words up to level 2.
+            </Text>
+          )
+        }
+      />
+
+      <Button
+        mode="contained"
+        icon="plus"
+        onPress={() => openEditor(null)}
+        style={styles.newButton}
+      >
+        New Deck
+      </Button>
+
+      <DeckEditorModal
+        visible={editorVisible}
+        deck={editingDeck}
+        onDismiss={() => setEditorVisible(false)}
+        onSaved={handleSaved}
+      />
+
+      {/* Delete confirmation */}
+      <Portal>
+        <Dialog
+          visible={deckToDelete !== null}
+          onDismiss={() => setDeckToDelete(null)}
+        >
+          <Dialog.Title>Delete deck?</Dialog.Title>
+          <Dialog.Content>
+            <Text>
+              "{deckToDelete?.name}" will be deleted. The words in it stay
+              saved.
+            </Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setDeckToDelete(null)}>Cancel</Button>
+            <Button onPress={handleDelete}>Delete</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+  },
+  title: {
+    marginBottom: 12,
+  },
+  list: {
+    paddingBottom: 16,
+  },
+  card: {
+    marginBottom: 12,
+  },
+  cardActions: {
+    flexDirection: "row",
+  },
+  dueText: {
+    flex: 1,
+    marginLeft: 8,
+    color: "#666",
+  },
+  emptyText: {
+    textAlign: "center",
+    color: "#666",
+    fontStyle: "italic",
+    marginTop: 24,
+  },
+  newButton: {
+    marginTop: 8,
+  },
+});
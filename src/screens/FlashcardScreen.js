@@ -3,36 +3,121 @@
  *
  * Implements interactive flashcard functionality for vocabulary learning using
  * a spaced repetition algorithm. User can flip cards to see word definitions,
- * navigate between cards, and mark words as known or needing practice.
+ * navigate between cards, and grade their recall as Again, Hard, Good or Easy.
+ * Word cards show every sense of the word on the back; senses marked as
+ * reviewable also come up as cards of their own, and reverse cards show the
+ * meaning and ask for the word. In typing mode every card shows the meaning
+ * (or the sentence of a cloze card) and the user types the word instead of
+ * flipping the card; the answer check grades the card automatically, word
+ * and sense cards being graded as the word's reverse card since they were
+ * answered in that direction. Before a session the user
+ * picks a deck to practice (or all words), and the session can be narrowed
+ * further to words with certain tags. The current word can be suspended,
+ * buried, rescheduled or reset from its menu, which also takes it out of
+ * the rest of the session.
  */
 
 // React and React Native imports
-import React, { useState, useEffect } from "react";
-import { StyleSheet, View, Animated, TouchableOpacity } from "react-native";
+import React, { useState, useEffect, useRef } from "react";
+import {
+  StyleSheet,
+  View,
+  Animated,
+  TouchableOpacity,
+  ScrollView,
+} from "react-native";
 
 // React and React Native imports
-import { Text, Button, Snackbar } from "react-native-paper";
+import {
+  Text,
+  Button,
+  Snackbar,
+  Card,
+  Chip,
+  SegmentedButtons,
+  TextInput,
+} from "react-native-paper";
 
 // Custom component imports
 import SpeakButton from "../components/SpeakButton";
+import SenseList from "../components/SenseList";
+import AnswerDiff from "../components/AnswerDiff";
+import WordActionsMenu from "../components/WordActionsMenu";
 
 // Service imports
 import {
-  getWordsForReview,
-  updateWordAfterReview,
+  scheduleReview,
+  GRADES,
+  asReverseCard,
 } from "../services/learningService";
+import {
+  getSessionQueue,
+  getRelearningSteps,
+  gradeInSession,
+  nextRelearningStep,
+  nextRelearningCard,
+} from "../services/sessionService";
+import { getTags } from "../services/databaseService";
+import { TAG_MATCH } from "../services/tagService";
+import {
+  deckOptions,
+  deckScope,
+  describeDeck,
+  getDecksWithDueCounts,
+} from "../services/deckService";
+import { ANSWER_VERDICTS, checkTypedAnswer } from "../services/answerService";
+import { blankedSentence } from "../services/clozeService";
+
+/**
+ * Grade buttons shown under the card, from worst to best recall
+ */
+const GRADE_BUTTONS = [
+  { grade: GRADES.AGAIN, label: "Again", color: "#ff6b6b" },
+  { grade: GRADES.HARD, label: "Hard", color: "#ffa94d" },
+  { grade: GRADES.GOOD, label: "Good", color: "#51cf66" },
+  { grade: GRADES.EASY, label: "Easy", color: "#339af0" },
+];
+
+/**
+ * Ways of answering a card: flip it and grade yourself, or type the word
+ */
+const REVIEW_MODES = {
+  FLIP: "flip",
+  TYPE: "type",
+};
+
+/**
+ * Feedback shown for each outcome of a typed answer
+ */
+const VERDICT_MESSAGES = {
+  [ANSWER_VERDICTS.EXACT]: "Nailed it!",
+  [ANSWER_VERDICTS.ACCENTS]: "Right—just mind the accents.",
+  [ANSWER_VERDICTS.TYPO]: "So close—a small typo.",
+  [ANSWER_VERDICTS.WRONG]: "Not quite this time.",
+  [ANSWER_VERDICTS.BLANK]: "No answer—here's the word.",
+};
 
 /**
  * FlashcardScreen displays interactive flashcards for vocabulary learning
  * with spaced repetition support
  *
+ * @param {Object} props - Component props
+ * @param {Object} props.navigation - Navigation object
+ * @param {Object} props.route - Route, whose optional `deckId` param starts a
+ *   session with that deck
  * @returns {React.Component} Flashcard learning interface
  */
-export default function FlashcardScreen() {
+export default function FlashcardScreen({ navigation, route }) {
   // Flashcard data state
   const [cards, setCards] = useState([]); // Array of vocabulary cards for review
+  const [heldBack, setHeldBack] = useState(0); // Due cards left for another day by the daily limits
+  const [hadCards, setHadCards] = useState(false); // Whether a session had cards, so an empty queue means it's done
   const [currentIndex, setCurrentIndex] = useState(0); // Index of current card being shown
 
+  // Relearning state - failed cards waiting to come back, and the delays
+  const [relearning, setRelearning] = useState([]);
+  const [relearningSteps, setRelearningSteps] = useState([]);
+
   // Card flip animation state
   const [isFlipped, setIsFlipped] = useState(false); // Track if card is showing front or back
   const [flipAnim] = useState(new Animated.Value(0)); // Animation value for card flip
@@ -41,41 +126,137 @@ export default function FlashcardScreen() {
   const [snackbarVisible, setSnackbarVisible] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState("");
 
-  // Load cards for review when component mounts
+  // Session scope - practice only words with the selected tags
+  const [tags, setTags] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMatch, setTagMatch] = useState(TAG_MATCH.ANY);
+
+  // Deck state - the deck being practiced (null for all words)
+  const [decks, setDecks] = useState([]);
+  const [deck, setDeck] = useState(null);
+  const [choosingDeck, setChoosingDeck] = useState(false);
+
+  // Typing mode state - the answer being typed and the result of checking it
+  const [reviewMode, setReviewMode] = useState(REVIEW_MODES.FLIP);
+  const [typedAnswer, setTypedAnswer] = useState("");
+  const [answerResult, setAnswerResult] = useState(null);
+  // Set while the typed answer is checked, so pressing Enter and Check
+  // together grades the card once
+  const checkingAnswer = useRef(false);
+
+  const requestedDeckId = route?.params?.deckId;
+
+  // Load tags and decks when the component mounts, and start a session
+  // right away when opened for a particular deck
   useEffect(() => {
-    loadCards();
-  }, []);
+    loadTags();
+    prepareSession(requestedDeckId);
+  }, [requestedDeckId]);
 
   /**
-   * Loads words due for review and shuffles them for practice
-   * Implements Fisher-Yates shuffle algorithm for randomized presentation
+   * Starts the requested deck, or offers the deck picker if there are decks
+   *
+   * @param {number} deckId - ID of the deck to start with (optional)
    */
-  const loadCards = async () => {
-    try {
-      const words = await getWordsForReview();
+  const prepareSession = async (deckId) => {
+    const deckList = await loadDecks();
+    const requested = deckList.find((item) => item.id === deckId);
 
-      if (words && words.length > 0) {
-        // Create a copy of the array
-        const shuffled = [...words];
+    if (requested || deckList.length === 0) {
+      startSession(requested || null);
+    } else {
+      setChoosingDeck(true);
+    }
+  };
 
-        // Fisher-Yates shuffle algorithm
-        for (let i = shuffled.length - 1; i > 0; i--) {
-          // Generate random index from 0 to i
-          let j = Math.floor(Math.random() * (i + 1));
+  /**
+   * Loads the decks with their due counts
+   *
+   * @returns {Promise<Array<Object>>} Decks
+   */
+  const loadDecks = async () => {
+    const deckList = await getDecksWithDueCounts();
+    setDecks(deckList);
+    return deckList;
+  };
 
-          // Swap elements at i and j
-          [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
+  /**
+   * Starts a session with a deck
+   *
+   * @param {Object|null} chosen - Deck to practice, or null for all words
+   */
+  const startSession = (chosen) => {
+    setDeck(chosen);
+    setChoosingDeck(false);
+    loadCards({ deck: chosen });
+  };
 
-        setCurrentIndex(0); // Reset to the first card when loading new cards
-        setCards(shuffled);
-      } else {
-        setCards([]);
-      }
-    } catch (error) {
-      console.error("Error loading cards: ", error);
-      setCards([]);
+  /**
+   * Loads the tags the session can be limited to
+   */
+  const loadTags = async () => {
+    setTags((await getTags()).map((tag) => tag.name));
+  };
+
+  /**
+   * Changes the session scope and reloads the cards for it
+   *
+   * @param {Array<string>} newTags - Tags to practice
+   * @param {string} newMatch - TAG_MATCH.ANY or TAG_MATCH.ALL
+   */
+  const changeScope = (newTags, newMatch) => {
+    setSelectedTags(newTags);
+    setTagMatch(newMatch);
+    loadCards({ tags: newTags, tagMatch: newMatch });
+  };
+
+  // Time the current card was first shown, used to log response times
+  const cardShownAt = useRef(Date.now());
+
+  // Restart the response timer and clear the typed answer whenever a new
+  // card is shown
+  useEffect(() => {
+    cardShownAt.current = Date.now();
+    setTypedAnswer("");
+    setAnswerResult(null);
+    checkingAnswer.current = false;
+  }, [currentIndex, cards[currentIndex]]);
+
+  /**
+   * Loads the session queue: due reviews with a share of new cards mixed in,
+   * within today's limits
+   *
+   * @param {Object} session - Deck and tags to limit the session to
+   *   (each defaults to the current selection), and the failed cards still
+   *   waiting to be relearned (none by default)
+   */
+  const loadCards = async (session = {}) => {
+    const {
+      deck: sessionDeck = deck,
+      tags: sessionTags = selectedTags,
+      tagMatch: sessionMatch = tagMatch,
+      relearning: waiting = [],
+    } = session;
+
+    const [queue, steps] = await Promise.all([
+      getSessionQueue(
+        [
+          sessionDeck ? deckScope(sessionDeck) : {},
+          { tags: sessionTags, tagMatch: sessionMatch },
+        ],
+        sessionDeck ? deckOptions(sessionDeck) : {}
+      ),
+      getRelearningSteps(),
+    ]);
+
+    setCurrentIndex(0); // Reset to the first card when loading new cards
+    setCards(queue.cards);
+    setHeldBack(queue.heldBack);
+    if (queue.cards.length > 0) {
+      setHadCards(true);
     }
+    setRelearning(waiting);
+    setRelearningSteps(steps);
   };
 
   /**
@@ -93,10 +274,18 @@ export default function FlashcardScreen() {
 
   /**
    * Navigates to the next card in the deck
+   * A failed card whose relearning delay is over comes back first, and the
+   * waiting ones are shown early once the rest of the deck is done
    * Ensures card is face-down before proceeding
+   *
+   * @param {Array<Object>} waiting - Cards waiting to be relearned
+   *   (defaults to the current list)
    */
-  const nextCard = () => {
-    if (currentIndex < cards.length - 1) {
+  const nextCard = (waiting = relearning) => {
+    const queueDone = currentIndex >= cards.length - 1;
+    const comeback = nextRelearningCard(waiting, queueDone);
+
+    if (!queueDone || comeback) {
       // Make sure card is faced down before moving to next
       if (isFlipped) {
         flipCard();
@@ -104,6 +293,14 @@ export default function FlashcardScreen() {
 
       // Slight delay to ensure animation completes
       setTimeout(() => {
+        if (comeback) {
+          setRelearning(waiting.filter((card) => card !== comeback));
+          setCards((current) => [
+            ...current.slice(0, currentIndex + 1),
+            comeback,
+            ...current.slice(currentIndex + 1),
+          ]);
+        }
         setCurrentIndex(currentIndex + 1);
       }, 100);
     }
@@ -149,15 +346,120 @@ export default function FlashcardScreen() {
     ],
   };
 
+  // Tag chips limiting the session - only displayed if tags exist
+  const scopePicker = tags.length > 0 && (
+    <View style={styles.scope}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {tags.map((tag) => (
+          <Chip
+            key={tag}
+            selected={selectedTags.includes(tag)}
+            onPress={() =>
+              changeScope(
+                selectedTags.includes(tag)
+                  ? selectedTags.filter((other) => other !== tag)
+                  : [...selectedTags, tag],
+                tagMatch
+              )
+            }
+            style={styles.tagChip}
+            mode="outlined"
+            compact
+          >
+            {tag}
+          </Chip>
+        ))}
+      </ScrollView>
+      {selectedTags.length > 1 && (
+        <SegmentedButtons
+          value={tagMatch}
+          onValueChange={(match) => changeScope(selectedTags, match)}
+          buttons={[
+            { value: TAG_MATCH.ANY, label: "Any tag" },
+            { value: TAG_MATCH.ALL, label: "All tags" },
+          ]}
+          density="small"
+          style={styles.tagMatch}
+        />
+      )}
+    </View>
+  );
+
+  // Deck picker shown before a session
+  if (choosingDeck) {
+    return (
+      <View style={styles.container}>
+        <Text variant="titleLarge" style={styles.pickerTitle}>
+          What are we practicing today?
+        </Text>
+        <ScrollView style={styles.deckList}>
+          <Card style={styles.deckCard} onPress={() => startSession(null)}>
+            <Card.Title title="All words" subtitle="Everything that's due" />
+          </Card>
+          {decks.map((item) => (
+            <Card
+              key={item.id}
+              style={styles.deckCard}
+              onPress={() => startSession(item)}
+            >
+              <Card.Title
+                title={item.name}
+                subtitle={`${describeDeck(item)} · ${item.dueCount} due`}
+              />
+            </Card>
+          ))}
+        </ScrollView>
+        <Button onPress={() => navigation.navigate("Decks")}>
+          Manage Decks
+        </Button>
+      </View>
+    );
+  }
+
+  // Current deck, with a way back to the deck picker - only displayed if decks exist
+  const deckBar = decks.length > 0 && (
+    <View style={styles.deckBar}>
+      <Text style={styles.deckName}>
+        Deck: {deck ? deck.name : "All words"}
+      </Text>
+      <Button
+        compact
+        onPress={() => {
+          loadDecks();
+          setChoosingDeck(true);
+        }}
+      >
+        Change
+      </Button>
+    </View>
+  );
+
   // Empty state when no cards are available
   if (cards.length === 0) {
     return (
       <View style={styles.container}>
+        {deckBar}
+        {scopePicker}
         <Text style={styles.noWordsText}>
-          You haven't saved any words yet. Add some words to start the flashcard
-          practice!
+          {heldBack > 0
+            ? `That's today's limit reached—${heldBack} more ${heldBack === 1 ? "card is" : "cards are"} waiting for tomorrow. Change the limits under Settings.`
+            : selectedTags.length > 0
+              ? "Nothing due with these tags—pick others or come back later!"
+              : deck
+                ? "Nothing due in this deck—pick another or come back later!"
+                : hadCards
+                  ? "That's everything for now—nothing left to review. Come back later!"
+                  : "You haven't saved any words yet. Add some words to start the flashcard practice!"}
         </Text>
-        <Button mode="contained" onPress={loadCards} style={styles.button}>
+        <Button
+          mode="contained"
+          onPress={() => {
+            loadTags();
+            loadDecks();
+            loadCards({ relearning });
+          }}
+          style={styles.button}
+        >
           Refresh
         </Button>
       </View>
@@ -175,53 +477,160 @@ export default function FlashcardScreen() {
   }
 
   const currentCard = cards[currentIndex];
+  const currentWord = currentCard.word;
+  const isReverse = currentCard.type === "reverse";
+  const isCloze = currentCard.type === "cloze";
+  const isTyping = reviewMode === REVIEW_MODES.TYPE;
+  // The card the grade applies to: typing asks for the word, so a typed
+  // answer to a word or sense card counts for the word's reverse card
+  const gradedCard = isTyping ? asReverseCard(currentCard) : currentCard;
+  // The word asked for: the form used in the sentence on cloze cards
+  const expectedAnswer = isCloze ? currentCard.cloze.answer : currentWord.word;
+  const languageName = currentWord.language === "en" ? "English" : "Finnish";
+  const isLastCard =
+    currentIndex === cards.length - 1 && relearning.length === 0;
+
+  /**
+   * Labels when the current card comes back after a grade: the relearning
+   * delay if it will be relearned, its next interval otherwise
+   *
+   * @param {number} grade - One of GRADES
+   * @returns {string} Compact label such as "10m" or "3d"
+   */
+  const nextShowingLabel = (grade) => {
+    const step = nextRelearningStep(gradedCard, grade, relearningSteps);
+    return step === null
+      ? formatInterval(scheduleReview(gradedCard.schedule, grade).intervalDays)
+      : `${relearningSteps[step]}m`;
+  };
 
   /**
-   * Updates word's learning progress when marked as known
-   * Advances to next learning level and updates next review date
+   * Grades the current card and puts it on the relearning list if it will
+   * come back in this session
+   *
+   * @param {number} grade - One of GRADES
+   * @param {number} responseTimeMs - Time taken to answer
+   * @returns {Promise<Object>} The card's relearning step (null if it won't
+   *   come back) and the updated relearning list
    */
-  const handleKnownWord = async () => {
+  const gradeCurrentCard = async (grade, responseTimeMs) => {
+    const comeback = await gradeInSession(gradedCard, grade, relearningSteps, {
+      responseTimeMs,
+    });
+    const waiting = comeback ? [...relearning, comeback] : relearning;
+    setRelearning(waiting);
+    return { step: comeback ? comeback.relearning.step : null, waiting };
+  };
+
+  /**
+   * Shows feedback after a review action on the current word (suspend,
+   * bury, reschedule or reset) and takes the word's cards out of the rest
+   * of the session
+   *
+   * @param {string} message - Feedback message from the action
+   */
+  const handleWordAction = (message) => {
+    const wordId = currentWord.id;
+    const remaining = [
+      ...cards.slice(0, currentIndex),
+      ...cards.slice(currentIndex).filter((card) => card.word.id !== wordId),
+    ];
+
+    if (isFlipped) {
+      flipCard();
+    }
+    setRelearning(relearning.filter((card) => card.word.id !== wordId));
+    setCards(remaining);
+    setCurrentIndex(Math.min(currentIndex, Math.max(remaining.length - 1, 0)));
+    setSnackbarMessage(message);
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Grades the current card and schedules its next review
+   * Again resets the word for reinforced practice and brings it back later
+   * in the session, the other grades stretch its interval by different
+   * amounts
+   *
+   * @param {number} grade - One of GRADES
+   */
+  const handleGrade = async (grade) => {
     try {
       if (cards.length > 0 && currentIndex < cards.length) {
-        const currentWord = cards[currentIndex];
-        await updateWordAfterReview(currentWord.id, true);
+        const { step, waiting } = await gradeCurrentCard(
+          grade,
+          Date.now() - cardShownAt.current
+        );
 
         // Show feedback
-        setSnackbarMessage(`Sweet! "${currentWord.word}" leveled up!`);
+        if (step !== null) {
+          setSnackbarMessage(
+            `"${currentWord.word}" will bounce back in ${relearningSteps[step]} min!`
+          );
+        } else if (grade === GRADES.AGAIN) {
+          setSnackbarMessage(
+            `"${currentWord.word}" will bounce back for another round!`
+          );
+        } else {
+          setSnackbarMessage(`Sweet! "${currentWord.word}" leveled up!`);
+        }
         setSnackbarVisible(true);
 
         // Move to next card
-        nextCard();
+        nextCard(waiting);
       }
     } catch (error) {
-      console.error("Error in handling known words: ", error);
+      console.error("Error in grading the card: ", error);
     }
   };
 
   /**
-   * Updates word's learning progress when marked as needing practice
-   * Resets to initial learning level for reinforced practice
+   * Checks the typed answer against the word, shows the result and grades
+   * the card with the grade the check mapped it to. Later cards that would
+   * grade the same reverse card, such as the word's other sense cards, are
+   * dropped from the session so it isn't graded twice.
    */
-  const handleNeedsPractice = async () => {
-    try {
-      if (cards.length > 0 && currentIndex < cards.length) {
-        const currentWord = cards[currentIndex];
-        await updateWordAfterReview(currentWord.id, false);
+  const checkAnswer = async () => {
+    if (answerResult || checkingAnswer.current) {
+      return;
+    }
+    checkingAnswer.current = true;
 
-        // Show feedback
-        setSnackbarMessage(
-          `"${currentWord.word}" will bounce back for another round!`
-        );
-        setSnackbarVisible(true);
+    const responseTimeMs = Date.now() - cardShownAt.current;
+    const result = checkTypedAnswer(expectedAnswer, typedAnswer, {
+      responseTimeMs,
+    });
+    setAnswerResult(result);
 
-        // Move to next card
-        nextCard();
-      }
+    try {
+      await gradeCurrentCard(result.grade, responseTimeMs);
+      setCards((current) => [
+        ...current.slice(0, currentIndex + 1),
+        ...current
+          .slice(currentIndex + 1)
+          .filter((card) => asReverseCard(card).key !== gradedCard.key),
+      ]);
     } catch (error) {
-      console.error("Problem in evaluating need to practice: ", error);
+      console.error("Error in grading the typed answer: ", error);
     }
   };
 
+  /**
+   * Formats an interval in days into a short label for the grade buttons
+   *
+   * @param {number} days - Interval in days
+   * @returns {string} Compact label such as "1d", "3w" or "4mo"
+   */
+  const formatInterval = (days) => {
+    if (days < 14) {
+      return `${days}d`;
+    }
+    if (days < 60) {
+      return `${Math.round(days / 7)}w`;
+    }
+    return `${Math.round(days / 30)}mo`;
+  };
+
   /**
    * Formats the next review date into a user-friendly string
    *
@@ -283,63 +692,225 @@ export default function FlashcardScreen() {
     }
   };
 
+  /**
+   * Renders the meaning side of the current card: its senses, or the plain
+   * definition of words saved before senses existed
+   *
+   * @param {boolean} asQuestion - Leave out examples, which would give the word away
+   * @returns {React.Component} The card's meaning
+   */
+  const renderMeaning = (asQuestion) =>
+    currentCard.senses.length > 0 ? (
+      <SenseList
+        senses={currentCard.senses}
+        centered
+        maxSenses={4}
+        hideExamples={asQuestion}
+      />
+    ) : (
+      <>
+        <Text style={styles.definitionText}>{currentWord.definition}</Text>
+        {currentWord.example && !asQuestion && (
+          <Text style={styles.exampleText}>"{currentWord.example}"</Text>
+        )}
+      </>
+    );
+
+  /**
+   * Renders the sentence of a cloze card, with the missing word blanked out
+   * or filled in and highlighted
+   *
+   * @param {boolean} withAnswer - Fill in the missing word
+   * @returns {React.Component} The card's sentence
+   */
+  const renderCloze = (withAnswer) => {
+    const { cloze } = currentCard;
+    return withAnswer ? (
+      <Text style={styles.clozeSentence}>
+        {cloze.before}
+        <Text style={styles.clozeAnswer}>{cloze.answer}</Text>
+        {cloze.after}
+      </Text>
+    ) : (
+      <Text style={styles.clozeSentence}>{blankedSentence(cloze)}</Text>
+    );
+  };
+
+  // Grade given to the typed answer, with the interval it scheduled
+  const answerGrade =
+    answerResult &&
+    GRADE_BUTTONS.find(({ grade }) => grade === answerResult.grade);
+
   return (
     <View style={styles.container}>
-      <View style={styles.flashcardContainer}>
-        {/* Front side of flashcard */}
-        <Animated.View
-          style={[
-            styles.card,
-            frontAnimatedStyle,
-            { opacity: isFlipped ? 0 : 1 },
-          ]}
-        >
-          <TouchableOpacity onPress={flipCard} style={styles.cardTouchable}>
-            <Text style={styles.cardTitle}>{currentCard.word}</Text>
-            <View style={styles.cardMetadata}>
-              <Text>
-                {currentCard.language === "en" ? "English" : "Finnish"}
-              </Text>
-              <SpeakButton
-                text={currentCard.word}
-                language={currentCard.language}
+      {deckBar}
+      {scopePicker}
+      <SegmentedButtons
+        value={reviewMode}
+        onValueChange={(mode) => {
+          if (isFlipped) {
+            flipCard();
+          }
+          setReviewMode(mode);
+        }}
+        buttons={[
+          { value: REVIEW_MODES.FLIP, label: "Flip", icon: "cards-outline" },
+          { value: REVIEW_MODES.TYPE, label: "Type", icon: "keyboard" },
+        ]}
+        density="small"
+        style={styles.modePicker}
+      />
+      {isTyping ? (
+        <>
+          {/* Typing mode - show the meaning, type the word */}
+          <View style={styles.typingCard}>
+            {isCloze ? renderCloze(Boolean(answerResult)) : renderMeaning(true)}
+            <Text style={styles.senseHint}>
+              {isCloze
+                ? `Type the missing ${languageName} word`
+                : `Type the ${languageName} word`}
+            </Text>
+            {answerResult ? (
+              <View style={styles.answerResult}>
+                <AnswerDiff segments={answerResult.segments} />
+                <View style={styles.cardMetadata}>
+                  <Text style={styles.correctAnswer}>{currentWord.word}</Text>
+                  <SpeakButton
+                    text={currentWord.word}
+                    language={currentWord.language}
+                  />
+                </View>
+                <Text style={styles.verdictText}>
+                  {VERDICT_MESSAGES[answerResult.verdict]} Graded{" "}
+                  {answerGrade.label} · next in{" "}
+                  {nextShowingLabel(answerResult.grade)}
+                </Text>
+              </View>
+            ) : (
+              <TextInput
+                label="Your answer"
+                value={typedAnswer}
+                onChangeText={setTypedAnswer}
+                onSubmitEditing={checkAnswer}
+                autoCapitalize="none"
+                autoCorrect={false}
+                style={styles.answerInput}
               />
-            </View>
+            )}
+          </View>
+          <Button
+            mode="contained"
+            onPress={answerResult ? () => nextCard() : checkAnswer}
+            disabled={Boolean(answerResult) && isLastCard}
+            style={styles.checkButton}
+          >
+            {answerResult ? "Next Card" : "Check"}
+          </Button>
+        </>
+      ) : (
+        <View style={styles.flashcardContainer}>
+          {/* Front side of flashcard */}
+          <Animated.View
+            style={[
+              styles.card,
+              frontAnimatedStyle,
+              { opacity: isFlipped ? 0 : 1 },
+            ]}
+          >
+            <TouchableOpacity onPress={flipCard} style={styles.cardTouchable}>
+              {isCloze ? (
+                <>
+                  {/* Cloze cards show a sentence and ask for the missing word */}
+                  {renderCloze(false)}
+                  <Text style={styles.senseHint}>
+                    Which {languageName} word is missing?
+                  </Text>
+                </>
+              ) : isReverse ? (
+                <>
+                  {/* Reverse cards show the meaning and ask for the word */}
+                  {renderMeaning(true)}
+                  <Text style={styles.senseHint}>
+                    Which {languageName} word?
+                  </Text>
+                </>
+              ) : (
+                <>
+                  <Text style={styles.cardTitle}>{currentWord.word}</Text>
+                  <View style={styles.cardMetadata}>
+                    <Text>{languageName}</Text>
+                    <SpeakButton
+                      text={currentWord.word}
+                      language={currentWord.language}
+                    />
+                  </View>
+                </>
+              )}
 
-            <View style={styles.learningStatus}>
-              <Text style={styles.learningStatusText}>
-                {getLearningLevelText(currentCard.learning_level)}
-              </Text>
-              <Text style={styles.nextReviewText}>
-                Next review:{" "}
-                {formatNextReviewDate(currentCard.next_review_date)}
+              {/* Sense cards ask for one meaning, hinted by its part of speech */}
+              {currentCard.type === "sense" && (
+                <Text style={styles.senseHint}>
+                  Which meaning?
+                  {currentCard.senses[0].part_of_speech
+                    ? ` (${currentCard.senses[0].part_of_speech})`
+                    : ""}
+                </Text>
+              )}
+
+              <View style={styles.learningStatus}>
+                <Text style={styles.learningStatusText}>
+                  {getLearningLevelText(currentCard.schedule.learning_level)}
+                </Text>
+                <Text style={styles.nextReviewText}>
+                  Next review:{" "}
+                  {formatNextReviewDate(currentCard.schedule.next_review_date)}
+                </Text>
+              </View>
+
+              <Text style={styles.cardInstructions}>
+                {isReverse || isCloze
+                  ? "Tap to see the word"
+                  : "Tap to see the definition"}
               </Text>
-            </View>
+            </TouchableOpacity>
+          </Animated.View>
 
-            <Text style={styles.cardInstructions}>
-              Tap to see the definition
-            </Text>
-          </TouchableOpacity>
-        </Animated.View>
-
-        {/* Back side of flashcard */}
-        <Animated.View
-          style={[
-            styles.card,
-            styles.cardBack,
-            backAnimatedStyle,
-            { opacity: isFlipped ? 1 : 0 },
-          ]}
-        >
-          <TouchableOpacity onPress={flipCard} style={styles.cardTouchable}>
-            <Text style={styles.definitionText}>{currentCard.definition}</Text>
-            {currentCard.example && (
-              <Text style={styles.exampleText}>"{currentCard.example}"</Text>
-            )}
-            <Text style={styles.cardInstructions}>Tab to see the word</Text>
-          </TouchableOpacity>
-        </Animated.View>
-      </View>
+          {/* Back side of flashcard */}
+          <Animated.View
+            style={[
+              styles.card,
+              styles.cardBack,
+              backAnimatedStyle,
+              { opacity: isFlipped ? 1 : 0 },
+            ]}
+          >
+            <TouchableOpacity onPress={flipCard} style={styles.cardTouchable}>
+              {isCloze && renderCloze(true)}
+              {isReverse || isCloze ? (
+                <>
+                  <Text style={styles.cardTitle}>{currentWord.word}</Text>
+                  <View style={styles.cardMetadata}>
+                    <Text>{languageName}</Text>
+                    <SpeakButton
+                      text={currentWord.word}
+                      language={currentWord.language}
+                    />
+                  </View>
+                </>
+              ) : (
+                renderMeaning(false)
+              )}
+              <Text style={styles.cardInstructions}>
+                {isReverse
+                  ? "Tap to see the meaning"
+                  : isCloze
+                    ? "Tap to see the sentence again"
+                    : "Tab to see the word"}
+              </Text>
+            </TouchableOpacity>
+          </Animated.View>
+        </View>
+      )}
 
       {/* Navigation controls */}
       <View style={styles.controls}>
@@ -351,41 +922,46 @@ export default function FlashcardScreen() {
         >
           Previous
         </Button>
-        <Text style={styles.counter}>
-          {currentIndex + 1} / {cards.length}
-        </Text>
+        <View style={styles.counterGroup}>
+          <Text style={styles.counter}>
+            {currentIndex + 1} / {cards.length}
+          </Text>
+          <WordActionsMenu word={currentWord} onChanged={handleWordAction} />
+        </View>
         <Button
           mode="outlined"
-          onPress={nextCard}
-          disabled={currentIndex === cards.length - 1}
+          onPress={() => nextCard()}
+          disabled={isLastCard}
           style={styles.navButton}
         >
           Next
         </Button>
       </View>
 
-      {/* Learning progress controls */}
-      <View style={styles.reviewControls}>
-        <Button
-          mode="contained"
-          onPress={handleNeedsPractice}
-          style={styles.needPracticeButton}
-          icon="brain"
-        >
-          Still Tricky
-        </Button>
-        <Button
-          mode="contained"
-          onPress={handleKnownWord}
-          style={styles.knownButton}
-          icon="check-circle"
-        >
-          Nailed It!
-        </Button>
-      </View>
+      {/* Learning progress controls - one button per recall grade */}
+      {!isTyping && (
+        <View style={styles.reviewControls}>
+          {GRADE_BUTTONS.map(({ grade, label, color }) => (
+            <Button
+              key={label}
+              mode="contained"
+              onPress={() => handleGrade(grade)}
+              style={[styles.gradeButton, { backgroundColor: color }]}
+              compact
+            >
+              {label} · {nextShowingLabel(grade)}
+            </Button>
+          ))}
+        </View>
+      )}
 
-      <Button mode="contained" onPress={loadCards} style={styles.shuffleButton}>
-        Shuffle Cards
+      {/* Picks up cards that became due, keeping the ones being relearned */}
+      <Button
+        mode="contained"
+        onPress={() => loadCards({ relearning })}
+        style={styles.reloadButton}
+      >
+        Reload
       </Button>
 
       {/* Feedback snackbar */}
@@ -409,6 +985,38 @@ const styles = StyleSheet.create({
     padding: 16,
     backgroundColor: "#f8f8f8",
   },
+  pickerTitle: {
+    marginBottom: 16,
+    textAlign: "center",
+  },
+  deckList: {
+    width: "100%",
+    flexGrow: 0,
+    marginBottom: 12,
+  },
+  deckCard: {
+    marginBottom: 8,
+  },
+  deckBar: {
+    width: "100%",
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 4,
+  },
+  deckName: {
+    fontWeight: "bold",
+  },
+  scope: {
+    width: "100%",
+    marginBottom: 12,
+  },
+  tagChip: {
+    marginRight: 8,
+  },
+  tagMatch: {
+    marginTop: 8,
+  },
   flashcardContainer: {
     width: "100%",
     height: 300,
@@ -451,6 +1059,57 @@ const styles = StyleSheet.create({
     alignItems: "center",
     marginBottom: 20,
   },
+  modePicker: {
+    width: "100%",
+    marginBottom: 12,
+  },
+  typingCard: {
+    width: "90%",
+    minHeight: 240,
+    backgroundColor: "white",
+    borderRadius: 10,
+    padding: 20,
+    elevation: 5,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    alignItems: "center",
+    justifyContent: "center",
+    marginBottom: 16,
+  },
+  answerInput: {
+    width: "100%",
+    marginTop: 16,
+  },
+  answerResult: {
+    alignItems: "center",
+    marginTop: 16,
+  },
+  correctAnswer: {
+    fontSize: 18,
+    fontWeight: "bold",
+  },
+  verdictText: {
+    textAlign: "center",
+    color: "#555",
+  },
+  checkButton: {
+    marginBottom: 20,
+  },
+  senseHint: {
+    fontStyle: "italic",
+    color: "#555",
+  },
+  clozeSentence: {
+    fontSize: 20,
+    textAlign: "center",
+    marginBottom: 15,
+  },
+  clozeAnswer: {
+    fontWeight: "bold",
+    color: "#2b8a3e",
+  },
   definitionText: {
     fontSize: 20,
     textAlign: "center",
@@ -479,10 +1138,14 @@ const styles = StyleSheet.create({
   navButton: {
     width: 100,
   },
+  counterGroup: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
   counter: {
     fontSize: 16,
   },
-  shuffleButton: {
+  reloadButton: {
     marginTop: 10,
   },
   noWordsText: {
@@ -499,15 +1162,9 @@ const styles = StyleSheet.create({
     width: "100%",
     marginTop: 20,
   },
-  needPracticeButton: {
-    flex: 1,
-    marginHorizontal: 5,
-    backgroundColor: "#ff6b6b",
-  },
-  knownButton: {
+  gradeButton: {
     flex: 1,
-    marginHorizontal: 5,
-    backgroundColor: "#51cf66",
+    marginHorizontal: 3,
   },
   learningStatus: {
     marginTop: 15,
@@ -2,17 +2,20 @@
  * HomeScreen Component
  *
  * The main dashboard of the application that displays vocabulary statistics,
- * learning progress, recently saved words, and educational tips. Serves as
+ * learning progress, decks with their due cards, recently saved words, and
+ * educational tips, and points out leeches when there are any. Serves as
  * the central hub for users to monitor their learning progress and access
  * primary app functions.
  */
 
-import React, { useEffect, useState } from "react";
+import React, { useState } from "react";
 import { StyleSheet, View, ScrollView } from "react-native";
 import { Text, Card, Button, List, Divider } from "react-native-paper";
-import { useNavigation } from "@react-navigation/native";
+import { useNavigation, useFocusEffect } from "@react-navigation/native";
 
 import { getSavedWords, getLearningStats } from "../services/databaseService";
+import { describeDeck, getDecksWithDueCounts } from "../services/deckService";
+import { getLeeches } from "../services/leechService";
 
 /**
  * HomeScreen displays vocabulary statistics, learning progress, and access
@@ -23,6 +26,8 @@ import { getSavedWords, getLearningStats } from "../services/databaseService";
 export default function HomeScreen() {
   const navigation = useNavigation();
   const [recentWords, setRecentWords] = useState([]);
+  const [decks, setDecks] = useState([]);
+  const [leechCount, setLeechCount] = useState(0);
   const [stats, setStats] = useState({
     total: 0,
     english: 0,
@@ -30,11 +35,14 @@ export default function HomeScreen() {
   });
 
   /**
-   * Load user data on component mount
+   * Load user data whenever the screen is shown, so due counts stay current
+   * after a practice session
    */
-  useEffect(() => {
-    loadData();
-  }, []);
+  useFocusEffect(
+    React.useCallback(() => {
+      loadData();
+    }, [])
+  );
 
   /**
    * Fetches saved words and learning statistics from the database
@@ -62,6 +70,12 @@ export default function HomeScreen() {
         needPractice: learningStats.needPractice,
         learningLevels: learningStats.learningLevels,
       });
+
+      // Decks with the number of cards due in each
+      setDecks(await getDecksWithDueCounts());
+
+      // Words that keep being forgotten
+      setLeechCount((await getLeeches()).length);
     } catch (error) {
       console.error("Error in loading data: ", error);
     }
@@ -154,8 +168,71 @@ export default function HomeScreen() {
         >
           Saved Gems
         </Button>
+        <Button
+          mode="outlined"
+          icon="help-circle-outline"
+          style={styles.actionButton}
+          onPress={() => navigation.navigate("Quiz")}
+        >
+          Quiz Me
+        </Button>
+        <Button
+          mode="outlined"
+          icon="headphones"
+          style={styles.actionButton}
+          onPress={() => navigation.navigate("Listening")}
+        >
+          Listening Practice
+        </Button>
+        {leechCount > 0 && (
+          <Button
+            mode="outlined"
+            icon="alert-circle-outline"
+            style={styles.actionButton}
+            onPress={() => navigation.navigate("Leeches")}
+          >
+            Leeches ({leechCount})
+          </Button>
+        )}
       </View>
 
+      {/* Decks Card */}
+      <Card style={styles.decksCard}>
+        <Card.Content>
+          <Text variant="titleMedium">Your Decks</Text>
+          {decks.length === 0 ? (
+            <Text style={styles.emptyText}>
+              Bundle words into decks to practice one topic at a time.
+            </Text>
+          ) : (
+            <List.Section>
+              {decks.map((deck, index) => (
+                <React.Fragment key={deck.id}>
+                  <List.Item
+                    title={deck.name}
+                    description={describeDeck(deck)}
+                    onPress={() =>
+                      navigation.navigate("Flashcards", { deckId: deck.id })
+                    }
+                    right={(props) => (
+                      <Text {...props} style={styles.dueCount}>
+                        {deck.dueCount} due
+                      </Text>
+                    )}
+                  />
+                  {index < decks.length - 1 && <Divider />}
+                </React.Fragment>
+              ))}
+            </List.Section>
+          )}
+        </Card.Content>
+        <Card.Actions>
+          <Button onPress={() => navigation.navigate("Decks")}>
+            Manage Decks
+          </Button>
+        </Card.Actions>
+      </Card>
+
       {/* Recently Added Words Card */}
       <Card style={styles.recentCard}>
         <Card.Content>
@@ -261,6 +338,14 @@ const styles = StyleSheet.create({
     marginHorizontal: 4,
     marginBottom: 8,
   },
+  decksCard: {
+    marginBottom: 16,
+  },
+  dueCount: {
+    alignSelf: "center",
+    color: "#6200ee",
+    fontWeight: "bold",
+  },
   recentCard: {
     marginBottom: 16,
   },
@@ -0,0 +1,487 @@
+/**
+ * ImportScreen Component
+ *
+ * Imports vocabulary in bulk from a CSV spreadsheet, a JSON file or an Anki
+ * plain-text export. This screen is opened from Settings and allows users to:
+ * - Pick a file and see the columns it contains
+ * - Choose which word field each column fills
+ * - Set a language for rows that don't state one, or let it be detected
+ * - Decide how words that are already saved are handled
+ * - Preview the import as a dry run before anything is saved
+ * - Read a report of what happened to every row
+ */
+
+// React and React Native imports
+import React, { useState } from "react";
+import { StyleSheet, View, ScrollView } from "react-native";
+
+// UI component imports
+import {
+  Text,
+  Button,
+  Card,
+  Menu,
+  Switch,
+  Snackbar,
+  Divider,
+  SegmentedButtons,
+} from "react-native-paper";
+
+// Expo imports for picking and reading the file
+import * as DocumentPicker from "expo-document-picker";
+import * as FileSystem from "expo-file-system";
+
+// Service imports
+import {
+  IMPORT_FIELDS,
+  DUPLICATE_POLICIES,
+  AUTO_LANGUAGE,
+  parseImportFile,
+  suggestColumnMapping,
+  importVocabulary,
+} from "../services/importService";
+
+/**
+ * Number of report rows listed before the rest are summarized
+ */
+const REPORT_ROW_LIMIT = 50;
+
+/**
+ * Labels for what happened to each row in the report
+ */
+const ACTION_LABELS = {
+  add: "Add",
+  merge: "Merge",
+  overwrite: "Overwrite",
+  skip: "Skip",
+  invalid: "Invalid",
+};
+
+export default function ImportScreen({ navigation }) {
+  // File state - the parsed file and its column mapping
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+
+  // Import options
+  const [language, setLanguage] = useState(AUTO_LANGUAGE);
+  const [duplicatePolicy, setDuplicatePolicy] = useState(
+    DUPLICATE_POLICIES.SKIP
+  );
+  const [preserveProgress, setPreserveProgress] = useState(true);
+
+  // UI state - open mapping menu, running import, report and feedback
+  const [menuColumn, setMenuColumn] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState("");
+
+  /**
+   * Displays a message in the snackbar
+   *
+   * @param {string} message - Message to show
+   */
+  const showMessage = (message) => {
+    setSnackbarMessage(message);
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Lets the user pick a file, then parses it and suggests a column mapping
+   */
+  const handlePickFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: "*/*",
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) {
+        return;
+      }
+
+      const file = result.assets[0];
+      const text = await FileSystem.readAsStringAsync(file.uri);
+      const contents = parseImportFile(text, file.name);
+
+      if (contents.rows.length === 0) {
+        showMessage("No rows found in that file.");
+        return;
+      }
+
+      setFileName(file.name);
+      setParsed(contents);
+      setMapping(suggestColumnMapping(contents.columns));
+      setReport(null);
+    } catch (error) {
+      console.error("Error in reading import file: ", error);
+      showMessage(error.message || "Couldn't read that file.");
+    }
+  };
+
+  /**
+   * Maps a column to a field, clearing any other column mapped to it
+   *
+   * @param {string} column - Column name in the file
+   * @param {string|null} fieldKey - Field to fill, or null to ignore the column
+   */
+  const handleMapColumn = (column, fieldKey) => {
+    const next = { ...mapping };
+    Object.keys(next).forEach((key) => {
+      if (fieldKey && next[key] === fieldKey) {
+        next[key] = null;
+      }
+    });
+    next[column] = fieldKey;
+
+    setMapping(next);
+    setMenuColumn(null);
+    setReport(null);
+  };
+
+  /**
+   * Runs the import, either as a dry-run preview or for real
+   *
+   * @param {boolean} dryRun - Only report what would happen
+   */
+  const runImport = async (dryRun) => {
+    setRunning(true);
+    try {
+      const result = await importVocabulary(parsed, {
+        mapping,
+        language,
+        duplicatePolicy,
+        preserveProgress,
+        dryRun,
+      });
+      setReport(result);
+
+      if (!dryRun) {
+        showMessage(
+          `Imported! ${result.added} added, ${
+            result.merged + result.overwritten
+          } updated.`
+        );
+      }
+    } catch (error) {
+      console.error("Error in importing vocabulary: ", error);
+      showMessage(error.message || "Import hit a snag—please try again.");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  /**
+   * Returns the label of the field a column is mapped to
+   *
+   * @param {string} column - Column name in the file
+   * @returns {string} Field label, or "Ignore"
+   */
+  const mappedLabel = (column) => {
+    const field = IMPORT_FIELDS.find((item) => item.key === mapping[column]);
+    return field ? field.label : "Ignore";
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView>
+        {/* File picker card */}
+        <Card style={styles.card}>
+          <Card.Title title="Import Vocabulary" />
+          <Card.Content>
+            <Text style={styles.helpText}>
+              Bring in words from a CSV spreadsheet, a WordJotter JSON export or
+              an Anki "Notes in Plain Text" export.
+            </Text>
+            {parsed && (
+              <Text style={styles.fileText}>
+                {fileName} · {parsed.rows.length} rows
+              </Text>
+            )}
+            <Button
+              mode="contained"
+              icon="file-import-outline"
+              onPress={handlePickFile}
+              disabled={running}
+            >
+              {parsed ? "Choose Another File" : "Choose File"}
+            </Button>
+          </Card.Content>
+        </Card>
+
+        {parsed && (
+          <>
+            {/* Column mapping card */}
+            <Card style={styles.card}>
+              <Card.Title title="Columns" />
+              <Card.Content>
+                {parsed.columns.map((column) => (
+                  <View key={column} style={styles.mappingRow}>
+                    <View style={styles.columnInfo}>
+                      <Text style={styles.columnName}>{column}</Text>
+                      <Text style={styles.sampleText} numberOfLines={1}>
+                        {String(parsed.rows[0][column] ?? "")}
+                      </Text>
+                    </View>
+                    <Menu
+                      visible={menuColumn === column}
+                      onDismiss={() => setMenuColumn(null)}
+                      anchor={
+                        <Button
+                          mode="outlined"
+                          compact
+                          onPress={() => setMenuColumn(column)}
+                        >
+                          {mappedLabel(column)}
+                        </Button>
+                      }
+                    >
+                      <Menu.Item
+                        title="Ignore"
+                        onPress={() => handleMapColumn(column, null)}
+                      />
+                      {IMPORT_FIELDS.map((field) => (
+                        <Menu.Item
+                          key={field.key}
+                          title={field.label}
+                          onPress={() => handleMapColumn(column, field.key)}
+                        />
+                      ))}
+                    </Menu>
+                  </View>
+                ))}
+              </Card.Content>
+            </Card>
+
+            {/* Import options card */}
+            <Card style={styles.card}>
+              <Card.Title title="Options" />
+              <Card.Content>
+                <Text style={styles.optionLabel}>
+                  Language (when a row doesn't say)
+                </Text>
+                <SegmentedButtons
+                  value={language}
+                  onValueChange={(value) => {
+                    setLanguage(value);
+                    setReport(null);
+                  }}
+                  buttons={[
+                    { value: AUTO_LANGUAGE, label: "Detect" },
+                    { value: "en", label: "English" },
+                    { value: "fi", label: "Finnish" },
+                  ]}
+                  style={styles.segmented}
+                />
+
+                <Text style={styles.optionLabel}>Words already saved</Text>
+                <SegmentedButtons
+                  value={duplicatePolicy}
+                  onValueChange={(value) => {
+                    setDuplicatePolicy(value);
+                    setReport(null);
+                  }}
+                  buttons={[
+                    { value: DUPLICATE_POLICIES.SKIP, label: "Skip" },
+                    { value: DUPLICATE_POLICIES.MERGE, label: "Merge" },
+                    { value: DUPLICATE_POLICIES.OVERWRITE, label: "Overwrite" },
+                  ]}
+                  style={styles.segmented}
+                />
+
+                <View style={styles.switchRow}>
+                  <Text>Keep learning progress</Text>
+                  <Switch
+                    value={preserveProgress}
+                    onValueChange={(value) => {
+                      setPreserveProgress(value);
+                      setReport(null);
+                    }}
+                  />
+                </View>
+              </Card.Content>
+            </Card>
+
+            {/* Action buttons */}
+            <View style={styles.buttons}>
+              <Button
+                mode="outlined"
+                onPress={() => runImport(true)}
+                disabled={running}
+                style={styles.button}
+              >
+                Preview
+              </Button>
+              <Button
+                mode="contained"
+                onPress={() => runImport(false)}
+                loading={running}
+                disabled={running || (report !== null && !report.dryRun)}
+                style={styles.button}
+              >
+                Import
+              </Button>
+            </View>
+          </>
+        )}
+
+        {/* Import report card */}
+        {report && (
+          <Card style={styles.card}>
+            <Card.Title
+              title={report.dryRun ? "Preview" : "Import Report"}
+              subtitle={
+                report.dryRun ? "Nothing has been saved yet" : undefined
+              }
+            />
+            <Card.Content>
+              <Text style={styles.summary}>
+                {report.added} new · {report.merged} merged ·{" "}
+                {report.overwritten} overwritten · {report.skipped} skipped ·{" "}
+                {report.invalid} invalid
+              </Text>
+              {report.rows.slice(0, REPORT_ROW_LIMIT).map((row) => (
+                <React.Fragment key={row.row}>
+                  <View style={styles.reportRow}>
+                    <Text style={styles.reportWord} numberOfLines={1}>
+                      {row.row}. {row.word || "—"}
+                      {row.language ? ` (${row.language})` : ""}
+                    </Text>
+                    <Text style={styles[`action_${row.action}`]}>
+                      {ACTION_LABELS[row.action]}
+                      {row.message ? ` · ${row.message}` : ""}
+                    </Text>
+                  </View>
+                  <Divider />
+                </React.Fragment>
+              ))}
+              {report.rows.length > REPORT_ROW_LIMIT && (
+                <Text style={styles.moreText}>
+                  …and {report.rows.length - REPORT_ROW_LIMIT} more rows
+                </Text>
+              )}
+              {!report.dryRun && (
+                <Button
+                  onPress={() => navigation.navigate("My Words")}
+                  style={styles.doneButton}
+                >
+                  View My Words
+                </Button>
+              )}
+            </Card.Content>
+          </Card>
+        )}
+
+        {/* Add extra padding at the bottom to ensure scrollability */}
+        <View style={{ height: 150 }} />
+      </ScrollView>
+
+      {/* Feedback snackbar for user actions */}
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+        action={{
+          label: "OK",
+          onPress: () => setSnackbarVisible(false),
+        }}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: "#f8f8f8",
+  },
+  card: {
+    marginBottom: 16,
+  },
+  helpText: {
+    color: "#666",
+    marginBottom: 12,
+  },
+  fileText: {
+    fontWeight: "bold",
+    marginBottom: 12,
+  },
+  mappingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+  },
+  columnInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  columnName: {
+    fontWeight: "bold",
+  },
+  sampleText: {
+    fontSize: 12,
+    color: "#666",
+    fontStyle: "italic",
+  },
+  optionLabel: {
+    marginBottom: 6,
+    color: "#666",
+  },
+  segmented: {
+    marginBottom: 16,
+  },
+  switchRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  buttons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: 16,
+  },
+  button: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  summary: {
+    fontWeight: "bold",
+    marginBottom: 8,
+  },
+  reportRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+  },
+  reportWord: {
+    flex: 1,
+    marginRight: 8,
+  },
+  action_add: {
+    color: "#2b8a3e",
+  },
+  action_merge: {
+    color: "#1971c2",
+  },
+  action_overwrite: {
+    color: "#e67700",
+  },
+  action_skip: {
+    color: "#666",
+  },
+  action_invalid: {
+    color: "#c92a2a",
+  },
+  moreText: {
+    marginTop: 8,
+    color: "#666",
+    fontStyle: "italic",
+  },
+  doneButton: {
+    marginTop: 12,
+  },
+});
@@ -0,0 +1,215 @@
+/**
+ * LeechesScreen Component
+ *
+ * Lists leeches: words that have been forgotten so many times that more
+ * reviews alone won't help. This screen is opened from the Home screen and
+ * allows users to:
+ * - See each leech with its number of lapses and whether it is suspended
+ * - Follow suggestions for making it easier to remember (a memory hook in
+ *   the notes, its meanings reviewed separately, an example sentence)
+ * - Suspend or unsuspend it
+ * - Reset it, clearing its lapses and putting it back in review
+ */
+
+// React and Navigation imports
+import React, { useState } from "react";
+import { StyleSheet, View, FlatList } from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+
+// UI component imports
+import { Text, Card, Button, Chip, Snackbar } from "react-native-paper";
+
+// Service imports
+import { setWordSuspended } from "../services/databaseService";
+import {
+  LEECH_SUGGESTIONS,
+  getLeeches,
+  leechSuggestions,
+  resetLeech,
+} from "../services/leechService";
+
+export default function LeechesScreen({ navigation }) {
+  // Data state
+  const [leeches, setLeeches] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // User feedback state
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState("");
+
+  // Refresh the list whenever the screen is shown, so edits made to a word
+  // on its detail screen show up
+  useFocusEffect(
+    React.useCallback(() => {
+      loadLeeches();
+    }, [])
+  );
+
+  /**
+   * Loads every leech
+   */
+  const loadLeeches = async () => {
+    setLoading(true);
+    setLeeches(await getLeeches());
+    setLoading(false);
+  };
+
+  /**
+   * Suspends a leech, or puts it back in review
+   *
+   * @param {Object} word - Leech to suspend or unsuspend
+   */
+  const toggleSuspended = async (word) => {
+    const success = await setWordSuspended(word.id, !word.suspended);
+    setSnackbarMessage(
+      !success
+        ? "Hmm, that didn't stick. Please try again."
+        : word.suspended
+          ? `"${word.word}" is back in review.`
+          : `"${word.word}" is taking a break from review.`
+    );
+    setSnackbarVisible(true);
+    loadLeeches();
+  };
+
+  /**
+   * Resets a leech, clearing its lapses and unsuspending it
+   *
+   * @param {Object} word - Leech to reset
+   */
+  const handleReset = async (word) => {
+    const success = await resetLeech(word.id);
+    setSnackbarMessage(
+      success
+        ? `Fresh start for "${word.word}"!`
+        : "Hmm, that didn't stick. Please try again."
+    );
+    setSnackbarVisible(true);
+    loadLeeches();
+  };
+
+  /**
+   * Renders one leech
+   *
+   * @param {Object} params - FlatList render params
+   * @param {Object} params.item - Leech
+   * @returns {React.Component} Leech card
+   */
+  const renderLeech = ({ item }) => {
+    const suggestions = leechSuggestions(item);
+
+    return (
+      <Card style={styles.card}>
+        <Card.Title
+          title={item.word}
+          subtitle={`${item.definition} · forgotten ${item.lapses} ${
+            item.lapses === 1 ? "time" : "times"
+          }`}
+          right={() =>
+            item.suspended ? (
+              <Chip compact style={styles.suspendedChip}>
+                Suspended
+              </Chip>
+            ) : null
+          }
+        />
+        {suggestions.length > 0 && (
+          <Card.Content>
+            {suggestions.map((key) => (
+              <View key={key} style={styles.suggestion}>
+                <Text variant="labelLarge">{LEECH_SUGGESTIONS[key].label}</Text>
+                <Text style={styles.suggestionText}>
+                  {LEECH_SUGGESTIONS[key].description}
+                </Text>
+              </View>
+            ))}
+          </Card.Content>
+        )}
+        <Card.Actions>
+          <Button
+            onPress={() =>
+              navigation.navigate("Word Details", { wordId: item.id })
+            }
+          >
+            Edit
+          </Button>
+          <Button onPress={() => toggleSuspended(item)}>
+            {item.suspended ? "Unsuspend" : "Suspend"}
+          </Button>
+          <Button mode="contained" onPress={() => handleReset(item)}>
+            Reset
+          </Button>
+        </Card.Actions>
+      </Card>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text variant="headlineSmall" style={styles.title}>
+        Leeches
+      </Text>
+      <Text style={styles.introText}>
+        These words keep slipping away. Give them something new to hold on to,
+        then reset them for a fresh start.
+      </Text>
+
+      <FlatList
+        data={leeches}
+        keyExtractor={(item) => item.id.toString()}
+        renderItem={renderLeech}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          !loading && (
+            <Text style={styles.emptyText}>
+              No leeches—every word is sticking. Nice work!
+            </Text>
+          )
+        }
+      />
+
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+  },
+  title: {
+    marginBottom: 4,
+  },
+  introText: {
+    color: "#666",
+    marginBottom: 12,
+  },
+  list: {
+    paddingBottom: 16,
+  },
+  card: {
+    marginBottom: 12,
+  },
+  suspendedChip: {
+    marginRight: 12,
+  },
+  suggestion: {
+    marginBottom: 8,
+  },
+  suggestionText: {
+    color: "#666",
+  },
+  emptyText: {
+    textAlign: "center",
+    color: "#666",
+    fontStyle: "italic",
+    marginTop: 24,
+  },
+});
@@ -0,0 +1,582 @@
+/**
+ * ListeningScreen Component
+ *
+ * Listening drill for the user's saved words. This screen is opened from
+ * the Home screen and allows users to:
+ * - Choose a deck, how to answer and whether to hear the word alone or in
+ *   its example sentence
+ * - Hear each word without seeing it, and replay it at normal or slow speed
+ * - Type the word they heard, or pick its meaning from a few choices
+ * - See the word, its meaning and example once answered, and a score at the end
+ *
+ * Every answer is recorded like a flashcard review, so listening practice
+ * moves words along the same spaced-repetition schedule.
+ */
+
+// React and React Native imports
+import React, { useState, useEffect, useRef } from "react";
+import { StyleSheet, View, ScrollView } from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+
+// UI component imports
+import {
+  Text,
+  Button,
+  Card,
+  Chip,
+  SegmentedButtons,
+  ProgressBar,
+  TextInput,
+  IconButton,
+} from "react-native-paper";
+
+// Component imports
+import AnswerDiff from "../components/AnswerDiff";
+
+// Service imports
+import {
+  LISTENING_MODES,
+  LISTENING_SOURCES,
+  buildListeningDrill,
+  checkListeningAnswer,
+} from "../services/listeningService";
+import { answerQuestion, summarizeQuiz } from "../services/quizService";
+import { ANSWER_VERDICTS } from "../services/answerService";
+import { SPEECH_RATES, speak } from "../services/speechService";
+import { deckScope, getDecksWithDueCounts } from "../services/deckService";
+
+/**
+ * Drill lengths offered on the setup screen
+ */
+const DRILL_LENGTHS = [5, 10, 20];
+
+/**
+ * Feedback shown for each outcome of a typed answer
+ */
+const VERDICT_MESSAGES = {
+  [ANSWER_VERDICTS.EXACT]: "Sharp ears!",
+  [ANSWER_VERDICTS.ACCENTS]: "Heard it right—just mind the accents.",
+  [ANSWER_VERDICTS.TYPO]: "So close—a small typo.",
+  [ANSWER_VERDICTS.WRONG]: "Not quite—have another listen.",
+  [ANSWER_VERDICTS.BLANK]: "No answer—here's what was said.",
+};
+
+export default function ListeningScreen() {
+  // Setup state
+  const [decks, setDecks] = useState([]);
+  const [deck, setDeck] = useState(null);
+  const [mode, setMode] = useState(LISTENING_MODES.TYPE);
+  const [source, setSource] = useState(LISTENING_SOURCES.WORD);
+  const [length, setLength] = useState(10);
+
+  // Drill state - items, progress and answers given so far
+  const [items, setItems] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [typedAnswer, setTypedAnswer] = useState("");
+  const [result, setResult] = useState(null);
+  const [chosenId, setChosenId] = useState(null);
+  const [answers, setAnswers] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Time the current item was first played, used to log response times
+  const itemShownAt = useRef(Date.now());
+
+  // Refresh the decks whenever the screen is shown
+  useFocusEffect(
+    React.useCallback(() => {
+      getDecksWithDueCounts().then(setDecks);
+    }, [])
+  );
+
+  const item = items && index < items.length ? items[index] : null;
+  const hasSentence = Boolean(item?.example);
+
+  /**
+   * Plays the current item: the example sentence followed by the word when
+   * the sentence is chosen and available, otherwise just the word
+   *
+   * @param {Object} [options] - Playback options
+   * @param {number} [options.rate] - Speaking rate, one of SPEECH_RATES
+   * @param {boolean} [options.sentence] - Play the sentence before the
+   *   word (defaults to the chosen source)
+   */
+  const play = (options = {}) => {
+    const sentence = options.sentence ?? source === LISTENING_SOURCES.SENTENCE;
+    speak(
+      sentence && hasSentence ? [item.example, item.word.word] : item.word.word,
+      item.word.language,
+      { rate: options.rate }
+    );
+  };
+
+  // Play each item as soon as it comes up
+  useEffect(() => {
+    if (item) {
+      play();
+      itemShownAt.current = Date.now();
+    }
+  }, [item]);
+
+  /**
+   * Builds a drill with the chosen settings and starts it
+   */
+  const startDrill = async () => {
+    setLoading(true);
+    const drill = await buildListeningDrill({
+      length,
+      mode,
+      scope: deck ? deckScope(deck) : {},
+    });
+    setLoading(false);
+
+    setItems(drill);
+    setIndex(0);
+    setTypedAnswer("");
+    setResult(null);
+    setChosenId(null);
+    setAnswers([]);
+  };
+
+  /**
+   * Checks the typed word and records the review
+   */
+  const checkAnswer = async () => {
+    const responseTimeMs = Date.now() - itemShownAt.current;
+    try {
+      const checked = await checkListeningAnswer(item, typedAnswer, {
+        responseTimeMs,
+      });
+      setResult(checked);
+      setAnswers((current) => [
+        ...current,
+        { question: item, correct: checked.correct },
+      ]);
+    } catch (error) {
+      console.error("Error in grading the listening answer: ", error);
+    }
+  };
+
+  /**
+   * Records the chosen meaning and reveals whether it was right
+   *
+   * @param {number} choiceId - ID of the chosen choice
+   */
+  const choose = async (choiceId) => {
+    if (chosenId !== null) {
+      return;
+    }
+
+    setChosenId(choiceId);
+    try {
+      const correct = await answerQuestion(item, choiceId, {
+        responseTimeMs: Date.now() - itemShownAt.current,
+      });
+      setAnswers((current) => [...current, { question: item, correct }]);
+    } catch (error) {
+      console.error("Error in recording the listening answer: ", error);
+    }
+  };
+
+  /**
+   * Moves on to the next item, or to the summary after the last one
+   */
+  const nextItem = () => {
+    setTypedAnswer("");
+    setResult(null);
+    setChosenId(null);
+    setIndex(index + 1);
+  };
+
+  /**
+   * Leaves the drill or its summary for the setup screen
+   */
+  const resetDrill = () => {
+    setItems(null);
+    getDecksWithDueCounts().then(setDecks);
+  };
+
+  // Setup - choose what to listen to
+  if (items === null) {
+    return (
+      <ScrollView style={styles.container}>
+        <Text variant="headlineSmall" style={styles.title}>
+          Listening Practice
+        </Text>
+
+        {decks.length > 0 && (
+          <>
+            <Text style={styles.label}>Deck</Text>
+            <View style={styles.chips}>
+              <Chip
+                selected={deck === null}
+                onPress={() => setDeck(null)}
+                style={styles.chip}
+              >
+                All words
+              </Chip>
+              {decks.map((other) => (
+                <Chip
+                  key={other.id}
+                  selected={deck?.id === other.id}
+                  onPress={() => setDeck(other)}
+                  style={styles.chip}
+                >
+                  {other.name}
+                </Chip>
+              ))}
+            </View>
+          </>
+        )}
+
+        <Text style={styles.label}>Answer by</Text>
+        <SegmentedButtons
+          value={mode}
+          onValueChange={setMode}
+          buttons={[
+            { value: LISTENING_MODES.TYPE, label: "Typing the word" },
+            { value: LISTENING_MODES.MEANING, label: "Picking the meaning" },
+          ]}
+          style={styles.segmented}
+        />
+
+        <Text style={styles.label}>Play</Text>
+        <SegmentedButtons
+          value={source}
+          onValueChange={setSource}
+          buttons={[
+            { value: LISTENING_SOURCES.WORD, label: "The word" },
+            { value: LISTENING_SOURCES.SENTENCE, label: "Example sentence" },
+          ]}
+          style={styles.segmented}
+        />
+
+        <Text style={styles.label}>Length</Text>
+        <SegmentedButtons
+          value={String(length)}
+          onValueChange={(value) => setLength(Number(value))}
+          buttons={DRILL_LENGTHS.map((count) => ({
+            value: String(count),
+            label: `${count} words`,
+          }))}
+          style={styles.segmented}
+        />
+
+        <Button
+          mode="contained"
+          icon="headphones"
+          onPress={startDrill}
+          loading={loading}
+          disabled={loading}
+          style={styles.button}
+        >
+          Start Listening
+        </Button>
+      </ScrollView>
+    );
+  }
+
+  // Nothing to play
+  if (items.length === 0) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <Text style={styles.emptyText}>
+          Nothing to listen to right now—no words are due for review here.
+        </Text>
+        <Button mode="contained" onPress={resetDrill}>
+          Back
+        </Button>
+      </View>
+    );
+  }
+
+  // Summary after the last item
+  if (!item) {
+    const summary = summarizeQuiz(answers);
+
+    return (
+      <ScrollView style={styles.container}>
+        <Card style={styles.card}>
+          <Card.Content style={styles.centered}>
+            <Text variant="displaySmall">
+              {summary.score} / {summary.total}
+            </Text>
+            <Text variant="titleMedium">{summary.percent}% heard right</Text>
+          </Card.Content>
+        </Card>
+
+        {summary.missed.length > 0 && (
+          <Card style={styles.card}>
+            <Card.Title title="Listen again" />
+            <Card.Content>
+              {summary.missed.map((missed) => (
+                <View key={missed.key} style={styles.missedRow}>
+                  <IconButton
+                    icon="volume-high"
+                    size={20}
+                    onPress={() =>
+                      speak(missed.word.word, missed.word.language, {
+                        rate: SPEECH_RATES.SLOW,
+                      })
+                    }
+                  />
+                  <View style={styles.missedText}>
+                    <Text style={styles.missedWord}>{missed.word.word}</Text>
+                    <Text style={styles.missedMeaning}>{missed.meaning}</Text>
+                  </View>
+                </View>
+              ))}
+            </Card.Content>
+          </Card>
+        )}
+
+        <Button mode="contained" onPress={startDrill} style={styles.button}>
+          Another Round
+        </Button>
+        <Button onPress={resetDrill} style={styles.button}>
+          Change Settings
+        </Button>
+      </ScrollView>
+    );
+  }
+
+  const answered = result !== null || chosenId !== null;
+  const languageName = item.word.language === "en" ? "English" : "Finnish";
+
+  /**
+   * Colors a choice once an answer is chosen: the right one green, a wrong
+   * pick red
+   *
+   * @param {Object} choice - Choice to style
+   * @returns {Object|null} Extra button style
+   */
+  const choiceStyle = (choice) => {
+    if (chosenId === null) {
+      return null;
+    }
+    if (choice.id === item.answerId) {
+      return styles.rightChoice;
+    }
+    return choice.id === chosenId ? styles.wrongChoice : null;
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <ProgressBar progress={index / items.length} style={styles.progress} />
+      <Text style={styles.counter}>
+        Word {index + 1} of {items.length}
+      </Text>
+
+      {/* Playback controls - the word stays hidden until answered */}
+      <Card style={styles.card}>
+        <Card.Content style={styles.centered}>
+          <Text style={styles.instructions}>
+            {mode === LISTENING_MODES.TYPE
+              ? `Type the ${languageName} word you hear`
+              : "What does the word you hear mean?"}
+          </Text>
+          <View style={styles.playRow}>
+            <IconButton
+              icon="volume-high"
+              size={40}
+              mode="contained"
+              onPress={() => play()}
+              accessibilityLabel="Play again"
+            />
+            <IconButton
+              icon="snail"
+              size={28}
+              mode="outlined"
+              onPress={() => play({ rate: SPEECH_RATES.SLOW })}
+              accessibilityLabel="Play slowly"
+            />
+            {hasSentence && (
+              <IconButton
+                icon={
+                  source === LISTENING_SOURCES.SENTENCE
+                    ? "alphabetical-variant"
+                    : "text"
+                }
+                size={28}
+                mode="outlined"
+                onPress={() =>
+                  play({ sentence: source !== LISTENING_SOURCES.SENTENCE })
+                }
+                accessibilityLabel={
+                  source === LISTENING_SOURCES.SENTENCE
+                    ? "Play the word alone"
+                    : "Play the example sentence"
+                }
+              />
+            )}
+          </View>
+
+          {answered && (
+            <View style={styles.reveal}>
+              {result && <AnswerDiff segments={result.segments} />}
+              <Text variant="headlineSmall" style={styles.revealWord}>
+                {item.word.word}
+              </Text>
+              <Text style={styles.revealMeaning}>{item.meaning}</Text>
+              {hasSentence && (
+                <Text style={styles.revealExample}>"{item.example}"</Text>
+              )}
+              {result && (
+                <Text style={styles.verdictText}>
+                  {VERDICT_MESSAGES[result.verdict]}
+                </Text>
+              )}
+            </View>
+          )}
+        </Card.Content>
+      </Card>
+
+      {/* Answer - a typed word or a picked meaning */}
+      {mode === LISTENING_MODES.TYPE
+        ? !answered && (
+            <>
+              <TextInput
+                label="What you heard"
+                value={typedAnswer}
+                onChangeText={setTypedAnswer}
+                onSubmitEditing={checkAnswer}
+                autoCapitalize="none"
+                autoCorrect={false}
+                style={styles.answerInput}
+              />
+              <Button mode="contained" onPress={checkAnswer}>
+                Check
+              </Button>
+            </>
+          )
+        : item.choices.map((choice) => (
+            <Button
+              key={choice.id}
+              mode="outlined"
+              onPress={() => choose(choice.id)}
+              style={[styles.choice, choiceStyle(choice)]}
+              contentStyle={styles.choiceContent}
+            >
+              {choice.text}
+            </Button>
+          ))}
+
+      {answered && (
+        <Button mode="contained" onPress={nextItem} style={styles.button}>
+          {index === items.length - 1 ? "See Results" : "Next Word"}
+        </Button>
+      )}
+      <Button onPress={resetDrill} style={styles.button}>
+        Stop Listening
+      </Button>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+  },
+  centered: {
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  title: {
+    marginBottom: 16,
+  },
+  label: {
+    color: "#666",
+    marginBottom: 6,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 12,
+  },
+  chip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  segmented: {
+    marginBottom: 16,
+  },
+  button: {
+    marginTop: 10,
+  },
+  progress: {
+    marginBottom: 8,
+  },
+  counter: {
+    textAlign: "center",
+    color: "#666",
+    marginBottom: 12,
+  },
+  card: {
+    marginBottom: 16,
+  },
+  instructions: {
+    color: "#666",
+    marginBottom: 8,
+  },
+  playRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  reveal: {
+    alignItems: "center",
+    marginTop: 12,
+  },
+  revealWord: {
+    fontWeight: "bold",
+    marginTop: 4,
+  },
+  revealMeaning: {
+    textAlign: "center",
+    color: "#555",
+  },
+  revealExample: {
+    textAlign: "center",
+    fontStyle: "italic",
+    color: "#666",
+    marginTop: 6,
+  },
+  verdictText: {
+    marginTop: 8,
+    color: "#666",
+  },
+  answerInput: {
+    marginBottom: 10,
+  },
+  choice: {
+    marginBottom: 10,
+  },
+  choiceContent: {
+    paddingVertical: 6,
+  },
+  rightChoice: {
+    borderColor: "#51cf66",
+    backgroundColor: "#ebfbee",
+  },
+  wrongChoice: {
+    borderColor: "#ff6b6b",
+    backgroundColor: "#fff5f5",
+  },
+  missedRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  missedText: {
+    flex: 1,
+  },
+  missedWord: {
+    fontWeight: "bold",
+  },
+  missedMeaning: {
+    color: "#555",
+  },
+  emptyText: {
+    textAlign: "center",
+    color: "#666",
+    marginBottom: 16,
+  },
+});
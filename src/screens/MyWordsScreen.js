@@ -4,9 +4,16 @@
  * Displays and manages the user's saved vocabulary collection. This screen serves
  * as the central vocabulary management interface, allowing users to:
  * - View all saved words with their definitions and metadata
- * - Filter words by category using horizontal chip navigation
- * - Search within their vocabulary collection
+ * - Filter words by tags using horizontal chip navigation, matching any or
+ *   all of the selected tags
+ * - Select several words (long-press a word) and add or remove tags in bulk,
+ *   or add them to a word-list deck
+ * - Search words, definitions, examples and notes with ranked, highlighted results
+ * - Open a word to edit its details
  * - Delete words they no longer wish to review
+ * - Open a word's review history timeline
+ * - Suspend, bury, reschedule or reset a word's reviews
+ * - Find words saved more than once and merge them
  * - Access pronunciation through the integrated speech synthesis
  *
  * The component connects directly to the database service to retrieve and
@@ -19,9 +26,15 @@
  */
 
 // React and Navigation imports
-import React, { useState, useEffect, useCallback } from "react";
-import { useFocusEffect } from "@react-navigation/native";
-import { StyleSheet, View, ScrollView, RefreshControl } from "react-native";
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { useFocusEffect, useNavigation } from "@react-navigation/native";
+import {
+  StyleSheet,
+  View,
+  ScrollView,
+  RefreshControl,
+  Alert,
+} from "react-native";
 
 // UI component imports
 import {
@@ -32,13 +45,42 @@ import {
   Chip,
   Searchbar,
   Divider,
+  SegmentedButtons,
+  Portal,
+  Dialog,
+  List,
+  TextInput,
+  Snackbar,
 } from "react-native-paper";
 
 // Service and component imports
-import { getSavedWords, deleteWord } from "../services/databaseService";
+import {
+  getSavedWords,
+  deleteWord,
+  searchWords,
+  getTags,
+  addTagsToWords,
+  removeTagsFromWords,
+  deleteTag,
+  getDecks,
+  saveDeck,
+  addWordsToDeck,
+} from "../services/databaseService";
 import SpeakButton from "../components/SpeakButton";
+import HighlightedText from "../components/HighlightedText";
+import SenseList from "../components/SenseList";
+import TagInput from "../components/TagInput";
+import ReviewTimelineModal from "../components/ReviewTimelineModal";
+import DuplicateMergeModal from "../components/DuplicateMergeModal";
+import WordActionsMenu from "../components/WordActionsMenu";
+import { findDuplicateGroups } from "../services/duplicateService";
+import { TAG_MATCH, matchesTags } from "../services/tagService";
+import { DECK_KINDS } from "../services/deckService";
+import { isBuried } from "../services/learningService";
 
 export default function MyWordsScreen() {
+  const navigation = useNavigation();
+
   // Data state - manages vocabulary items and their filtered subsets
   const [savedWords, setSavedWords] = useState([]);
   const [filteredWords, setFilteredWords] = useState([]);
@@ -46,11 +88,36 @@ export default function MyWordsScreen() {
   // UI state - controls loading indicators and user interactions
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState("");
-  const [selectedCategory, setSelectedCategory] = useState(null);
-  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMatch, setTagMatch] = useState(TAG_MATCH.ANY);
+
+  // Bulk tagging state - selected word IDs and the tag dialog
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkTagVisible, setBulkTagVisible] = useState(false);
+  const [bulkTags, setBulkTags] = useState([]);
+
+  // Deck dialog state - word-list decks the selection can be added to
+  const [deckDialogVisible, setDeckDialogVisible] = useState(false);
+  const [listDecks, setListDecks] = useState([]);
+  const [newDeckName, setNewDeckName] = useState("");
+
+  // Review history modal state - word whose timeline is open, if any
+  const [timelineWord, setTimelineWord] = useState(null);
+
+  // Duplicate words state - number of duplicate groups and merge tool visibility
+  const [duplicateCount, setDuplicateCount] = useState(0);
+  const [duplicatesVisible, setDuplicatesVisible] = useState(false);
+
+  // Feedback state for review actions on a word
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState("");
+
+  // Counter of filter runs, so results of an outdated search are dropped
+  const filterRun = useRef(0);
 
   /**
-   * Loads saved words from database and extracts unique categories
+   * Loads saved words and tags from database
    * Updates both the full dataset and the filtered view
    */
   const loadSavedWords = async () => {
@@ -58,34 +125,42 @@ export default function MyWordsScreen() {
     const words = await getSavedWords();
     setSavedWords(words);
 
-    // Extract unique categories
-    const uniqueCategories = [...new Set(words.map((word) => word.category))];
-    setCategories(uniqueCategories);
+    // Drop selected tags that no longer exist
+    const tagNames = (await getTags()).map((tag) => tag.name);
+    const stillSelected = selectedTags.filter((tag) => tagNames.includes(tag));
+    setTags(tagNames);
+    setSelectedTags(stillSelected);
 
-    applyFilters(words, searchQuery, selectedCategory);
+    applyFilters(words, searchQuery, stillSelected, tagMatch);
+    setDuplicateCount((await findDuplicateGroups()).length);
     setLoading(false);
   };
 
   /**
-   * Filters vocabulary items based on search text and category selection
+   * Filters vocabulary items based on search text and tag selection
+   * Text search runs against the full-text index, so it also matches
+   * definitions, examples and notes, ignores diacritics and ranks results
    *
    * @param {Array} words - Complete list of vocabulary items
    * @param {string} query - User's search text
-   * @param {string} category - Selected category filter
+   * @param {Array<string>} tagFilter - Selected tags
+   * @param {string} match - TAG_MATCH.ANY or TAG_MATCH.ALL
    */
-  const applyFilters = (words, query, category) => {
+  const applyFilters = async (words, query, tagFilter, match) => {
+    const run = ++filterRun.current;
     let filtered = words;
 
     // Apply text search filter
-    if (query) {
-      filtered = filtered.filter((word) =>
-        word.word.toLowerCase().includes(query.toLowerCase())
-      );
+    if (query.trim()) {
+      filtered = await searchWords(query);
     }
 
-    // Apply category filter
-    if (category) {
-      filtered = filtered.filter((word) => word.category === category);
+    // Apply tag filter
+    filtered = filtered.filter((word) => matchesTags(word, tagFilter, match));
+
+    // A newer search started while this one was running
+    if (run !== filterRun.current) {
+      return;
     }
 
     setFilteredWords(filtered);
@@ -94,15 +169,103 @@ export default function MyWordsScreen() {
   // Handle search query changes
   const onChangeSearch = (query) => {
     setSearchQuery(query);
-    applyFilters(savedWords, query, selectedCategory);
+    applyFilters(savedWords, query, selectedTags, tagMatch);
+  };
+
+  // Handle tag selection - tapping a selected tag deselects it
+  const handleTagSelect = (tag) => {
+    const newSelection = selectedTags.includes(tag)
+      ? selectedTags.filter((other) => other !== tag)
+      : [...selectedTags, tag];
+    setSelectedTags(newSelection);
+    applyFilters(savedWords, searchQuery, newSelection, tagMatch);
+  };
+
+  // Handle switching between matching any or all selected tags
+  const handleTagMatchChange = (match) => {
+    setTagMatch(match);
+    applyFilters(savedWords, searchQuery, selectedTags, match);
+  };
+
+  // Ask before deleting a tag (long-press on its chip)
+  const confirmDeleteTag = (tag) => {
+    Alert.alert(
+      "Delete Tag",
+      `Remove the tag "${tag}" from every word? The words themselves are kept.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            const stored = (await getTags()).find(
+              (other) => other.name === tag
+            );
+            if (stored && (await deleteTag(stored.id))) {
+              loadSavedWords();
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Toggle a word in the bulk selection
+  const toggleSelected = (id) => {
+    setSelectedIds(
+      selectedIds.includes(id)
+        ? selectedIds.filter((other) => other !== id)
+        : [...selectedIds, id]
+    );
+  };
+
+  /**
+   * Adds or removes the tags in the bulk dialog on every selected word
+   *
+   * @param {boolean} remove - Remove the tags instead of adding them
+   */
+  const handleBulkTag = async (remove) => {
+    const success = remove
+      ? await removeTagsFromWords(selectedIds, bulkTags)
+      : await addTagsToWords(selectedIds, bulkTags);
+
+    if (success) {
+      setBulkTagVisible(false);
+      setBulkTags([]);
+      setSelectedIds([]);
+      loadSavedWords();
+    }
   };
 
-  // Handle category selection
-  const handleCategorySelect = (category) => {
-    // Toggle selection if tapping already selected category
-    const newSelection = selectedCategory === category ? null : category;
-    setSelectedCategory(newSelection);
-    applyFilters(savedWords, searchQuery, newSelection);
+  /**
+   * Opens the deck dialog with the current word-list decks
+   */
+  const openDeckDialog = async () => {
+    const decks = await getDecks();
+    setListDecks(decks.filter((deck) => deck.kind === DECK_KINDS.LIST));
+    setNewDeckName("");
+    setDeckDialogVisible(true);
+  };
+
+  /**
+   * Adds the selected words to a word-list deck, creating the deck if no
+   * existing one is given
+   *
+   * @param {Object|null} deck - Deck to add to, or null to create one named newDeckName
+   */
+  const handleAddToDeck = async (deck) => {
+    const success = deck
+      ? await addWordsToDeck(deck.id, selectedIds)
+      : await saveDeck({
+          name: newDeckName.trim(),
+          kind: DECK_KINDS.LIST,
+          wordIds: selectedIds,
+        });
+
+    if (success) {
+      setDeckDialogVisible(false);
+      setSelectedIds([]);
+    }
   };
 
   // Handle word deletion
@@ -113,6 +276,13 @@ export default function MyWordsScreen() {
     }
   };
 
+  // Show feedback after a review action and refresh the list
+  const handleWordChanged = (message) => {
+    setSnackbarMessage(message);
+    setSnackbarVisible(true);
+    loadSavedWords();
+  };
+
   // Load words when screen comes into focus
   useFocusEffect(
     useCallback(() => {
@@ -136,30 +306,73 @@ export default function MyWordsScreen() {
         }}
       />
 
-      {/* Category filter chips - only displayed if categories exist */}
-      {categories.length > 0 && (
+      {/* Tag filter chips - only displayed if tags exist */}
+      {tags.length > 0 && (
         <View style={styles.chipContainer}>
           <ScrollView
             horizontal
             showsHorizontalScrollIndicator={false}
-            contentContainerStyle={styles.categoriesContent}
+            contentContainerStyle={styles.tagsContent}
             bounces={false}
           >
-            {categories.map((category) => (
+            {tags.map((tag) => (
               <Chip
-                key={category}
-                selected={selectedCategory === category}
-                onPress={() => handleCategorySelect(category)}
-                style={styles.categoryChip}
+                key={tag}
+                selected={selectedTags.includes(tag)}
+                onPress={() => handleTagSelect(tag)}
+                onLongPress={() => confirmDeleteTag(tag)}
+                style={styles.tagChip}
                 mode="outlined"
               >
-                {category}
+                {tag}
               </Chip>
             ))}
           </ScrollView>
         </View>
       )}
 
+      {/* Any/all toggle - only meaningful with more than one selected tag */}
+      {selectedTags.length > 1 && (
+        <SegmentedButtons
+          value={tagMatch}
+          onValueChange={handleTagMatchChange}
+          buttons={[
+            { value: TAG_MATCH.ANY, label: "Any tag" },
+            { value: TAG_MATCH.ALL, label: "All tags" },
+          ]}
+          density="small"
+          style={styles.tagMatch}
+        />
+      )}
+
+      {/* Bulk actions - shown while words are selected */}
+      {selectedIds.length > 0 && (
+        <View style={styles.selectionBar}>
+          <Text>{selectedIds.length} selected</Text>
+          <View style={styles.selectionActions}>
+            <Button icon="tag-multiple" onPress={() => setBulkTagVisible(true)}>
+              Tags
+            </Button>
+            <Button icon="cards-outline" onPress={openDeckDialog}>
+              Deck
+            </Button>
+            <Button onPress={() => setSelectedIds([])}>Cancel</Button>
+          </View>
+        </View>
+      )}
+
+      {/* Prompt to merge duplicates - only displayed if any exist */}
+      {duplicateCount > 0 && (
+        <Button
+          icon="content-duplicate"
+          onPress={() => setDuplicatesVisible(true)}
+          style={styles.duplicatesButton}
+        >
+          {duplicateCount} word{duplicateCount === 1 ? "" : "s"} saved more than
+          once
+        </Button>
+      )}
+
       {/* Word list with pull-to-refresh functionality */}
       <ScrollView
         refreshControl={
@@ -174,13 +387,13 @@ export default function MyWordsScreen() {
               No Wordy Treasures Unearthed!
             </Text>
             {/* Option to clear filters when results are empty */}
-            {(searchQuery || selectedCategory) && (
+            {(searchQuery || selectedTags.length > 0) && (
               <Button
                 mode="outlined"
                 onPress={() => {
                   setSearchQuery("");
-                  setSelectedCategory(null);
-                  setFilteredWords(savedWords);
+                  setSelectedTags([]);
+                  applyFilters(savedWords, "", [], tagMatch);
                 }}
               >
                 Show All My Loot
@@ -190,26 +403,74 @@ export default function MyWordsScreen() {
         ) : (
           /* Word cards display - shown when words match filters */
           filteredWords.map((word) => (
-            <Card key={word.id} style={styles.wordCard}>
+            <Card
+              key={word.id}
+              style={[
+                styles.wordCard,
+                selectedIds.includes(word.id) && styles.selectedCard,
+              ]}
+              onLongPress={() => toggleSelected(word.id)}
+              onPress={
+                selectedIds.length > 0
+                  ? () => toggleSelected(word.id)
+                  : undefined
+              }
+            >
               <Card.Title
                 title={word.word}
-                subtitle={`${
-                  word.language === "en" ? "English" : "Finnish"
-                } . ${word.category}`}
+                subtitle={[
+                  word.language === "en" ? "English" : "Finnish",
+                  ...word.tags,
+                  ...(word.suspended ? ["Suspended"] : []),
+                  ...(isBuried(word) ? ["Buried until tomorrow"] : []),
+                ].join(" · ")}
                 right={(props) => (
                   <View style={{ flexDirection: "row" }}>
                     <SpeakButton text={word.word} language={word.language} />
+                    <IconButton
+                      {...props}
+                      icon="pencil"
+                      onPress={() =>
+                        navigation.navigate("Word Details", { wordId: word.id })
+                      }
+                    />
+                    <IconButton
+                      {...props}
+                      icon="history"
+                      onPress={() => setTimelineWord(word)}
+                    />
                     <IconButton
                       {...props}
                       icon="delete"
                       onPress={() => handleDeleteWord(word.id)}
                     />
+                    <WordActionsMenu
+                      word={word}
+                      onChanged={handleWordChanged}
+                    />
                   </View>
                 )}
               />
               <Card.Content>
-                <Text variant="bodyMedium">{word.definition}</Text>
+                {/* Every meaning of the word, with its part of speech */}
+                {word.senses && word.senses.length > 0 ? (
+                  <SenseList senses={word.senses} />
+                ) : (
+                  <Text variant="bodyMedium">{word.definition}</Text>
+                )}
+                {/* Search snippet showing where the query matched */}
+                {searchQuery.trim() !== "" && word.snippet && (
+                  <HighlightedText
+                    snippet={word.snippet}
+                    style={styles.snippet}
+                  />
+                )}
                 {/* Conditional rendering for optional word metadata */}
+                {word.encountered_form ? (
+                  <Text variant="bodySmall" style={styles.notes}>
+                    Met as "{word.encountered_form}"
+                  </Text>
+                ) : null}
                 {word.phonetic && (
                   <Text variant="bodySmall" style={styles.phonetic}>
                     {word.phonetic}
@@ -226,6 +487,96 @@ export default function MyWordsScreen() {
           ))
         )}
       </ScrollView>
+
+      {/* Review history timeline for the selected word */}
+      <ReviewTimelineModal
+        visible={timelineWord !== null}
+        word={timelineWord}
+        onDismiss={() => setTimelineWord(null)}
+      />
+
+      {/* Bulk tag dialog for the selected words */}
+      <Portal>
+        <Dialog
+          visible={bulkTagVisible}
+          onDismiss={() => setBulkTagVisible(false)}
+        >
+          <Dialog.Title>
+            Tag {selectedIds.length} word{selectedIds.length === 1 ? "" : "s"}
+          </Dialog.Title>
+          <Dialog.Content>
+            <TagInput tags={bulkTags} onChange={setBulkTags} allTags={tags} />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setBulkTagVisible(false)}>Cancel</Button>
+            <Button
+              onPress={() => handleBulkTag(true)}
+              disabled={bulkTags.length === 0}
+            >
+              Remove
+            </Button>
+            <Button
+              onPress={() => handleBulkTag(false)}
+              disabled={bulkTags.length === 0}
+            >
+              Add
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Deck dialog for the selected words */}
+      <Portal>
+        <Dialog
+          visible={deckDialogVisible}
+          onDismiss={() => setDeckDialogVisible(false)}
+        >
+          <Dialog.Title>
+            Add {selectedIds.length} word{selectedIds.length === 1 ? "" : "s"}{" "}
+            to a deck
+          </Dialog.Title>
+          <Dialog.Content>
+            {listDecks.map((deck) => (
+              <List.Item
+                key={deck.id}
+                title={deck.name}
+                description={`${deck.wordIds.length} words`}
+                left={(props) => <List.Icon {...props} icon="cards-outline" />}
+                onPress={() => handleAddToDeck(deck)}
+              />
+            ))}
+            <TextInput
+              label="New deck name"
+              value={newDeckName}
+              onChangeText={setNewDeckName}
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setDeckDialogVisible(false)}>Cancel</Button>
+            <Button
+              onPress={() => handleAddToDeck(null)}
+              disabled={!newDeckName.trim()}
+            >
+              Create
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Duplicate finder and merge tool */}
+      <DuplicateMergeModal
+        visible={duplicatesVisible}
+        onDismiss={() => setDuplicatesVisible(false)}
+        onMerged={loadSavedWords}
+      />
+
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+      >
+        {snackbarMessage}
+      </Snackbar>
     </View>
   );
 }
@@ -244,13 +595,28 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     maxHeight: "100%",
   },
-  categoriesContent: {
+  tagsContent: {
     paddingRight: 8,
   },
-  categoryChip: {
+  tagChip: {
     marginRight: 8,
     backgroundColor: "#f0f0f0",
   },
+  tagMatch: {
+    marginBottom: 8,
+  },
+  selectionBar: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  selectionActions: {
+    flexDirection: "row",
+  },
+  duplicatesButton: {
+    marginBottom: 8,
+  },
   wordsContainer: {
     flex: 1,
   },
@@ -259,11 +625,17 @@ const styles = StyleSheet.create({
     elevation: 2,
     borderRadius: 8,
   },
+  selectedCard: {
+    backgroundColor: "#ede7f6",
+  },
   phonetic: {
     fontStyle: "italic",
     marginTop: 4,
     color: "#555",
   },
+  snippet: {
+    marginTop: 4,
+  },
   example: {
     fontStyle: "italic",
     marginTop: 8,
@@ -4,7 +4,7 @@
  * Displays and manages the "Quick Jot" notes that users have captured during their vocabulary learning.
  * This screen serves as the management interface for quickly captured words, allowing users to:
  * - View all jotted words that haven't been fully processed yet
- * - Filter and search through their quick notes
+ * - Search their quick notes by word and context, ignoring diacritics
  * - Process notes by looking them up in the dictionary
  * - Delete notes that are no longer needed
  * - Toggle between showing all notes or only unprocessed ones
@@ -14,7 +14,7 @@
  */
 
 // React and Navigation imports
-import React, { useState } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { StyleSheet, View, FlatList } from "react-native";
 import { useNavigation, useFocusEffect } from "@react-navigation/native";
 
@@ -32,11 +32,14 @@ import {
 
 // Service imports
 import {
-  getQuickNotes,
+  searchQuickNotes,
   deleteQuickNote,
   markNoteProcessed,
 } from "../services/databaseService";
 
+// Component imports
+import HighlightedText from "../components/HighlightedText";
+
 export default function QuickNotesScreen() {
   const navigation = useNavigation();
 
@@ -50,6 +53,9 @@ export default function QuickNotesScreen() {
   const [snackbarMessage, setSnackbarMessage] = useState("");
   const [loading, setLoading] = useState(true);
 
+  // Counter of load runs, so results of an outdated search are dropped
+  const loadRun = useRef(0);
+
   /**
    * Loads quick notes when the screen comes into focus
    * Ensures the notes list stays up-to-date when returning from other screens
@@ -61,16 +67,27 @@ export default function QuickNotesScreen() {
     }, [showProcessed])
   );
 
+  // Re-run the full-text search as the query changes
+  useEffect(() => {
+    loadNotes();
+  }, [searchQuery]);
+
   /**
    * Fetches quick notes from the database based on current filter settings
+   * and search query, using the full-text index when a query is entered
    * Updates the notes state with the retrieved data
    * Handles loading state and potential errors during data fetching
    */
   const loadNotes = async () => {
+    const run = ++loadRun.current;
     setLoading(true);
     try {
-      const quickNotes = await getQuickNotes(showProcessed);
-      setNotes(quickNotes);
+      const quickNotes = await searchQuickNotes(searchQuery, showProcessed);
+
+      // Skip results of a search that has since been replaced
+      if (run === loadRun.current) {
+        setNotes(quickNotes);
+      }
     } catch (error) {
       console.error("Error in loading notes: ", error);
       setSnackbarMessage("Couldn't load your notes. Please try again.");
@@ -120,10 +137,8 @@ export default function QuickNotesScreen() {
     }
   };
 
-  // Filter notes based on search query
-  const filteredNotes = notes.filter((note) =>
-    note.word.toLowerCase().includes(searchQuery.toLowerCase())
-  );
+  // Notes are already filtered and ranked by the search query
+  const filteredNotes = notes;
 
   return (
     <View style={styles.container}>
@@ -170,6 +185,11 @@ export default function QuickNotesScreen() {
                   </Chip>
                 </View>
 
+                {/* Search snippet showing where the query matched */}
+                {searchQuery.trim() !== "" && item.snippet ? (
+                  <HighlightedText snippet={item.snippet} />
+                ) : null}
+
                 {/* Optional notes section - only shown if notes exist */}
                 {item.notes ? (
                   <Text style={styles.notes}>{item.notes}</Text>
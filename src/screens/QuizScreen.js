@@ -0,0 +1,469 @@
+/**
+ * QuizScreen Component
+ *
+ * Multiple-choice quiz built from the user's own saved words. This screen is
+ * opened from the Home screen and allows users to:
+ * - Choose the deck to be quizzed on, the kind of questions and how many
+ * - Answer "pick the meaning", "pick the word" and "fill the blank"
+ *   questions, with wrong choices taken from similar words of the same
+ *   language
+ * - See right away whether each answer was right
+ * - Finish with a scored summary listing the words that were missed
+ *
+ * Every answer is recorded like a flashcard review, so quizzing moves words
+ * along the same spaced-repetition schedule.
+ */
+
+// React and React Native imports
+import React, { useState, useRef } from "react";
+import { StyleSheet, View, ScrollView } from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+
+// UI component imports
+import {
+  Text,
+  Button,
+  Card,
+  Chip,
+  SegmentedButtons,
+  ProgressBar,
+  Divider,
+} from "react-native-paper";
+
+// Component imports
+import SpeakButton from "../components/SpeakButton";
+
+// Service imports
+import {
+  QUESTION_TYPES,
+  QUIZ_STYLES,
+  buildQuiz,
+  answerQuestion,
+  summarizeQuiz,
+} from "../services/quizService";
+import {
+  deckOptions,
+  deckScope,
+  getDecksWithDueCounts,
+} from "../services/deckService";
+import { blankedSentence, filledSentence } from "../services/clozeService";
+
+/**
+ * Quiz lengths offered on the setup screen
+ */
+const QUIZ_LENGTHS = [5, 10, 20];
+
+/**
+ * Encouragement shown with the final score, from the lowest score up
+ */
+const SCORE_MESSAGES = [
+  { minPercent: 0, message: "Every miss is a word you'll see again soon!" },
+  { minPercent: 50, message: "Solid work—keep it up!" },
+  { minPercent: 80, message: "Impressive! Your vocabulary is shaping up." },
+  { minPercent: 100, message: "Flawless! A perfect score!" },
+];
+
+export default function QuizScreen() {
+  // Setup state
+  const [decks, setDecks] = useState([]);
+  const [deck, setDeck] = useState(null);
+  const [style, setStyle] = useState(QUIZ_STYLES.MIXED);
+  const [length, setLength] = useState(10);
+
+  // Quiz state - questions, progress and answers given so far
+  const [questions, setQuestions] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [chosenId, setChosenId] = useState(null);
+  const [answers, setAnswers] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Time the current question was shown, used to log response times
+  const questionShownAt = useRef(Date.now());
+
+  // Refresh the decks whenever the screen is shown
+  useFocusEffect(
+    React.useCallback(() => {
+      getDecksWithDueCounts().then(setDecks);
+    }, [])
+  );
+
+  /**
+   * Builds a quiz with the chosen settings and starts it
+   */
+  const startQuiz = async () => {
+    setLoading(true);
+    const quiz = await buildQuiz({
+      length,
+      style,
+      scope: deck ? deckScope(deck) : {},
+      ...(deck ? deckOptions(deck) : {}),
+    });
+    setLoading(false);
+
+    setQuestions(quiz);
+    setIndex(0);
+    setChosenId(null);
+    setAnswers([]);
+    questionShownAt.current = Date.now();
+  };
+
+  /**
+   * Records the chosen answer and reveals whether it was right
+   *
+   * @param {number} choiceId - ID of the chosen choice
+   */
+  const choose = async (choiceId) => {
+    if (chosenId !== null) {
+      return;
+    }
+
+    const question = questions[index];
+    setChosenId(choiceId);
+    try {
+      const correct = await answerQuestion(question, choiceId, {
+        responseTimeMs: Date.now() - questionShownAt.current,
+      });
+      setAnswers((current) => [...current, { question, correct }]);
+    } catch (error) {
+      console.error("Error in recording the quiz answer: ", error);
+    }
+  };
+
+  /**
+   * Moves on to the next question, or to the summary after the last one
+   */
+  const nextQuestion = () => {
+    setChosenId(null);
+    setIndex(index + 1);
+    questionShownAt.current = Date.now();
+  };
+
+  /**
+   * Leaves the quiz or its summary for the setup screen
+   */
+  const resetQuiz = () => {
+    setQuestions(null);
+    getDecksWithDueCounts().then(setDecks);
+  };
+
+  // Setup - choose what to be quizzed on
+  if (questions === null) {
+    return (
+      <ScrollView style={styles.container}>
+        <Text variant="headlineSmall" style={styles.title}>
+          Quiz Time
+        </Text>
+
+        {decks.length > 0 && (
+          <>
+            <Text style={styles.label}>Deck</Text>
+            <View style={styles.chips}>
+              <Chip
+                selected={deck === null}
+                onPress={() => setDeck(null)}
+                style={styles.chip}
+              >
+                All words
+              </Chip>
+              {decks.map((item) => (
+                <Chip
+                  key={item.id}
+                  selected={deck?.id === item.id}
+                  onPress={() => setDeck(item)}
+                  style={styles.chip}
+                >
+                  {item.name} · {item.dueCount}
+                </Chip>
+              ))}
+            </View>
+          </>
+        )}
+
+        <Text style={styles.label}>Questions</Text>
+        <SegmentedButtons
+          value={style}
+          onValueChange={setStyle}
+          buttons={[
+            { value: QUIZ_STYLES.MIXED, label: "Mixed" },
+            { value: QUIZ_STYLES.MEANING, label: "Pick meaning" },
+            { value: QUIZ_STYLES.WORD, label: "Pick word" },
+          ]}
+          style={styles.segmented}
+        />
+
+        <Text style={styles.label}>Length</Text>
+        <SegmentedButtons
+          value={String(length)}
+          onValueChange={(value) => setLength(Number(value))}
+          buttons={QUIZ_LENGTHS.map((count) => ({
+            value: String(count),
+            label: `${count} questions`,
+          }))}
+          style={styles.segmented}
+        />
+
+        <Button
+          mode="contained"
+          icon="help-circle-outline"
+          onPress={startQuiz}
+          loading={loading}
+          disabled={loading}
+          style={styles.button}
+        >
+          Start Quiz
+        </Button>
+      </ScrollView>
+    );
+  }
+
+  // Nothing to ask - no due cards, or too few words for wrong choices
+  if (questions.length === 0) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <Text style={styles.emptyText}>
+          No quiz today—either nothing is due, or you need a few more saved
+          words in this language to make up the choices.
+        </Text>
+        <Button mode="contained" onPress={resetQuiz}>
+          Back
+        </Button>
+      </View>
+    );
+  }
+
+  // Summary after the last question
+  if (index >= questions.length) {
+    const summary = summarizeQuiz(answers);
+    const { message } = [...SCORE_MESSAGES]
+      .reverse()
+      .find(({ minPercent }) => summary.percent >= minPercent);
+
+    return (
+      <ScrollView style={styles.container}>
+        <Card style={styles.card}>
+          <Card.Content style={styles.centered}>
+            <Text variant="displaySmall">
+              {summary.score} / {summary.total}
+            </Text>
+            <Text variant="titleMedium">{summary.percent}% right</Text>
+            <Text style={styles.message}>{message}</Text>
+          </Card.Content>
+        </Card>
+
+        {summary.missed.length > 0 && (
+          <Card style={styles.card}>
+            <Card.Title title="Worth another look" />
+            <Card.Content>
+              {summary.missed.map((question, position) => (
+                <View key={question.key}>
+                  <Text style={styles.missedWord}>{question.word.word}</Text>
+                  <Text style={styles.missedMeaning}>{question.meaning}</Text>
+                  {position < summary.missed.length - 1 && (
+                    <Divider style={styles.divider} />
+                  )}
+                </View>
+              ))}
+            </Card.Content>
+          </Card>
+        )}
+
+        <Button mode="contained" onPress={startQuiz} style={styles.button}>
+          Another Round
+        </Button>
+        <Button onPress={resetQuiz} style={styles.button}>
+          Change Settings
+        </Button>
+      </ScrollView>
+    );
+  }
+
+  const question = questions[index];
+  const answered = chosenId !== null;
+
+  /**
+   * Colors a choice once an answer is chosen: the right one green, a wrong
+   * pick red
+   *
+   * @param {Object} choice - Choice to style
+   * @returns {Object|null} Extra button style
+   */
+  const choiceStyle = (choice) => {
+    if (!answered) {
+      return null;
+    }
+    if (choice.id === question.answerId) {
+      return styles.rightChoice;
+    }
+    return choice.id === chosenId ? styles.wrongChoice : null;
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <ProgressBar
+        progress={index / questions.length}
+        style={styles.progress}
+      />
+      <Text style={styles.counter}>
+        Question {index + 1} of {questions.length}
+      </Text>
+
+      {/* Prompt - the word, the meaning to find the word for, or a sentence
+          with the word blanked out */}
+      <Card style={styles.card}>
+        <Card.Content style={styles.centered}>
+          {question.type === QUESTION_TYPES.FILL_BLANK ? (
+            <>
+              <Text style={styles.instructions}>
+                Which word fills the blank?
+              </Text>
+              <Text variant="titleMedium" style={styles.prompt}>
+                {answered
+                  ? filledSentence(question.card.cloze)
+                  : blankedSentence(question.card.cloze)}
+              </Text>
+            </>
+          ) : question.type === QUESTION_TYPES.PICK_MEANING ? (
+            <>
+              <Text style={styles.instructions}>What does this mean?</Text>
+              <View style={styles.promptRow}>
+                <Text variant="headlineMedium" style={styles.prompt}>
+                  {question.word.word}
+                </Text>
+                <SpeakButton
+                  text={question.word.word}
+                  language={question.word.language}
+                />
+              </View>
+            </>
+          ) : (
+            <>
+              <Text style={styles.instructions}>
+                Which {question.word.language === "en" ? "English" : "Finnish"}{" "}
+                word means…
+              </Text>
+              <Text variant="titleMedium" style={styles.prompt}>
+                {question.meaning}
+              </Text>
+            </>
+          )}
+        </Card.Content>
+      </Card>
+
+      {/* Choices */}
+      {question.choices.map((choice) => (
+        <Button
+          key={choice.id}
+          mode="outlined"
+          onPress={() => choose(choice.id)}
+          style={[styles.choice, choiceStyle(choice)]}
+          contentStyle={styles.choiceContent}
+          labelStyle={styles.choiceLabel}
+        >
+          {choice.text}
+        </Button>
+      ))}
+
+      {answered && (
+        <Button mode="contained" onPress={nextQuestion} style={styles.button}>
+          {index === questions.length - 1 ? "See Results" : "Next Question"}
+        </Button>
+      )}
+      <Button onPress={resetQuiz} style={styles.button}>
+        Quit Quiz
+      </Button>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+  },
+  centered: {
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  title: {
+    marginBottom: 16,
+  },
+  label: {
+    color: "#666",
+    marginBottom: 6,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 12,
+  },
+  chip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  segmented: {
+    marginBottom: 16,
+  },
+  button: {
+    marginTop: 10,
+  },
+  progress: {
+    marginBottom: 8,
+  },
+  counter: {
+    textAlign: "center",
+    color: "#666",
+    marginBottom: 12,
+  },
+  card: {
+    marginBottom: 16,
+  },
+  instructions: {
+    color: "#666",
+    marginBottom: 8,
+  },
+  promptRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  prompt: {
+    textAlign: "center",
+    fontWeight: "bold",
+  },
+  choice: {
+    marginBottom: 10,
+  },
+  choiceContent: {
+    paddingVertical: 6,
+  },
+  choiceLabel: {
+    textAlign: "center",
+  },
+  rightChoice: {
+    borderColor: "#51cf66",
+    backgroundColor: "#ebfbee",
+  },
+  wrongChoice: {
+    borderColor: "#ff6b6b",
+    backgroundColor: "#fff5f5",
+  },
+  message: {
+    marginTop: 8,
+    fontStyle: "italic",
+    color: "#666",
+    textAlign: "center",
+  },
+  missedWord: {
+    fontWeight: "bold",
+  },
+  missedMeaning: {
+    color: "#555",
+  },
+  divider: {
+    marginVertical: 8,
+  },
+  emptyText: {
+    textAlign: "center",
+    color: "#666",
+    marginBottom: 16,
+  },
+});
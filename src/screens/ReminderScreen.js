@@ -5,7 +5,14 @@
  * This screen allows users to:
  * - Enable/disable daily study reminders
  * - Set the specific time for daily notifications
+ * - Limit how many new cards and reviews they study a day
+ * - Choose when failed cards come back during a session
+ * - Set when a word counts as a leech and whether leeches are suspended
  * - View permission status and manage notification permissions
+ * - Download or update the offline Finnish dictionary
+ * - Export their vocabulary as CSV, JSON or an Anki deck
+ * - Open the importer to bring in words from other apps
+ * - Back up all their data and restore it from a backup
  *
  * The screen integrates with the expo-notifications system and persists
  * user preferences in the local database for consistent experience across
@@ -13,12 +20,21 @@
  */
 
 // React and React Native imports
-import React, { useState, useEffect } from "react";
-import { StyleSheet, View, Platform, Alert } from "react-native";
+import React, { useState, useEffect, useCallback } from "react";
+import { StyleSheet, View, ScrollView, Platform, Alert } from "react-native";
 
 // UI component imports
-import { Text, Switch, Button, Card, Snackbar } from "react-native-paper";
+import {
+  Text,
+  Switch,
+  Button,
+  Card,
+  Snackbar,
+  SegmentedButtons,
+} from "react-native-paper";
 import DateTimePicker from "@react-native-community/datetimepicker";
+import * as DocumentPicker from "expo-document-picker";
+import { useFocusEffect } from "@react-navigation/native";
 
 // Service imports - notification and database functionality
 import {
@@ -32,8 +48,68 @@ import {
   saveReminderSetting,
   getReminderSettings,
 } from "../services/databaseService";
+import {
+  downloadFinnishDataset,
+  getFinnishDatasetInfo,
+} from "../services/finnishDatasetService";
+import { EXPORT_FORMATS, exportVocabulary } from "../services/exportService";
+import {
+  RESTORE_POLICIES,
+  listLocalBackups,
+  shareBackup,
+  readBackupFile,
+  restoreBackup,
+} from "../services/backupService";
+import {
+  DEFAULT_DAILY_LIMITS,
+  DEFAULT_RELEARNING_STEPS,
+  getDailyLimits,
+  saveDailyLimits,
+  getRelearningSteps,
+  saveRelearningSteps,
+} from "../services/sessionService";
+import { getDailyProgress } from "../services/learningService";
+import {
+  DEFAULT_LEECH_SETTINGS,
+  getLeechSettings,
+  saveLeechSettings,
+} from "../services/leechService";
+
+/**
+ * Choices for the daily limits; "none" stands for no limit
+ */
+const NEW_CARD_LIMITS = ["5", "10", "20", "50"];
+const REVIEW_LIMITS = ["50", "100", "200", "none"];
 
-export default function ReminderScreen() {
+/**
+ * Converts a daily limit to its SegmentedButtons value and back.
+ */
+const limitToValue = (limit) => (limit === null ? "none" : String(limit));
+const valueToLimit = (value) => (value === "none" ? null : Number(value));
+
+/**
+ * Choices for the relearning steps, in minutes; "off" stands for no steps
+ */
+const RELEARNING_CHOICES = [
+  { value: "off", label: "Off" },
+  { value: "1", label: "1m" },
+  { value: "1,10", label: "1m · 10m" },
+  { value: "10", label: "10m" },
+];
+
+/**
+ * Converts relearning steps to their SegmentedButtons value and back.
+ */
+const stepsToValue = (steps) => (steps.length > 0 ? steps.join(",") : "off");
+const valueToSteps = (value) =>
+  value === "off" ? [] : value.split(",").map(Number);
+
+/**
+ * Choices for the number of lapses a word can have before it is a leech
+ */
+const LEECH_THRESHOLDS = ["4", "6", "8", "12"];
+
+export default function ReminderScreen({ navigation }) {
   // Feature state - controls main reminder functionality
   const [enabled, setEnabled] = useState(false);
   const [time, setTime] = useState(new Date());
@@ -46,6 +122,30 @@ export default function ReminderScreen() {
   // Permission state - tracks notification authorization
   const [hasPermission, setHasPermission] = useState(false);
 
+  // Offline Finnish dictionary state
+  const [datasetInfo, setDatasetInfo] = useState(null);
+  const [downloadingDataset, setDownloadingDataset] = useState(false);
+
+  // Export state - key of the format being exported, if any
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  // Backup state - local backups, chosen restore policy and running task
+  const [localBackups, setLocalBackups] = useState([]);
+  const [restorePolicy, setRestorePolicy] = useState(
+    RESTORE_POLICIES.KEEP_EXISTING
+  );
+  const [backupBusy, setBackupBusy] = useState(false);
+
+  // Daily limits state - limits and what has been studied today
+  const [dailyLimits, setDailyLimits] = useState(DEFAULT_DAILY_LIMITS);
+  const [dailyProgress, setDailyProgress] = useState(null);
+  const [relearningSteps, setRelearningSteps] = useState(
+    DEFAULT_RELEARNING_STEPS
+  );
+
+  // Leech state - lapse threshold and automatic suspension
+  const [leechSettings, setLeechSettings] = useState(DEFAULT_LEECH_SETTINGS);
+
   /**
    * Initialize component by checking notification permissions
    * and loading saved reminder settings from the database
@@ -59,11 +159,34 @@ export default function ReminderScreen() {
 
       // Load settings regardless of permission status
       loadSettings();
+
+      // Load offline dictionary status
+      setDatasetInfo(await getFinnishDatasetInfo());
+
+      // Load the list of local backups
+      setLocalBackups(await listLocalBackups());
+
+      // Load the daily limits and relearning steps
+      setDailyLimits(await getDailyLimits());
+      setRelearningSteps(await getRelearningSteps());
+
+      // Load the leech settings
+      setLeechSettings(await getLeechSettings());
     };
 
     checkPermissionsAndLoad();
   }, []);
 
+  /**
+   * Reload today's progress whenever the screen is shown, so it stays
+   * current after a study session
+   */
+  useFocusEffect(
+    useCallback(() => {
+      getDailyProgress().then(setDailyProgress);
+    }, [])
+  );
+
   /**
    * Loads reminder settings from the database and updates state
    * Sets the time state based on saved hour and minute values
@@ -169,6 +292,194 @@ export default function ReminderScreen() {
     setSnackbarVisible(true);
   };
 
+  /**
+   * Downloads the offline Finnish dictionary and replaces any installed copy
+   * Shows feedback to user via snackbar
+   */
+  const handleDownloadDataset = async () => {
+    setDownloadingDataset(true);
+    try {
+      const info = await downloadFinnishDataset();
+      setDatasetInfo(info);
+      setSnackbarMessage(
+        `Finnish dictionary ready: ${info.headwords} words on board!`
+      );
+    } catch (error) {
+      console.error("Error in downloading Finnish dictionary: ", error);
+      setSnackbarMessage(error.message);
+    } finally {
+      setDownloadingDataset(false);
+      setSnackbarVisible(true);
+    }
+  };
+
+  /**
+   * Saves a changed daily limit
+   * Shows feedback to user via snackbar
+   *
+   * @param {string} key - Which limit changed ("newCards" or "reviews")
+   * @param {string} value - SegmentedButtons value of the new limit
+   */
+  const handleLimitChange = async (key, value) => {
+    const limits = { ...dailyLimits, [key]: valueToLimit(value) };
+    setDailyLimits(limits);
+
+    const saved = await saveDailyLimits(limits);
+    setSnackbarMessage(
+      saved
+        ? "Daily limits updated"
+        : "Couldn't save the limits—please try again."
+    );
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Saves the chosen relearning steps
+   * Shows feedback to user via snackbar
+   *
+   * @param {string} value - SegmentedButtons value of the steps
+   */
+  const handleRelearningChange = async (value) => {
+    const steps = valueToSteps(value);
+    setRelearningSteps(steps);
+
+    const saved = await saveRelearningSteps(steps);
+    setSnackbarMessage(
+      saved
+        ? "Relearning steps updated"
+        : "Couldn't save the steps—please try again."
+    );
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Saves a changed leech setting
+   * Shows feedback to user via snackbar
+   *
+   * @param {Object} changes - Settings to change (threshold and/or autoSuspend)
+   */
+  const handleLeechChange = async (changes) => {
+    const settings = { ...leechSettings, ...changes };
+    setLeechSettings(settings);
+
+    const saved = await saveLeechSettings(settings);
+    setSnackbarMessage(
+      saved
+        ? "Leech settings updated"
+        : "Couldn't save the leech settings—please try again."
+    );
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Exports the vocabulary in the chosen format and opens the share sheet
+   * Shows feedback to user via snackbar if the export fails
+   *
+   * @param {string} formatKey - Key of the export format
+   */
+  const handleExport = async (formatKey) => {
+    setExportingFormat(formatKey);
+    try {
+      await exportVocabulary(formatKey);
+    } catch (error) {
+      console.error("Error in exporting vocabulary: ", error);
+      setSnackbarMessage("Export hit a snag—please try again.");
+      setSnackbarVisible(true);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  /**
+   * Creates a backup, keeps it on the device and opens the share sheet
+   * Shows feedback to user via snackbar if the backup fails
+   */
+  const handleBackup = async () => {
+    setBackupBusy(true);
+    try {
+      await shareBackup();
+    } catch (error) {
+      console.error("Error in backing up: ", error);
+      setSnackbarMessage("Backup hit a snag—please try again.");
+      setSnackbarVisible(true);
+    } finally {
+      setLocalBackups(await listLocalBackups());
+      setBackupBusy(false);
+    }
+  };
+
+  /**
+   * Asks for confirmation, then restores a backup with the chosen policy
+   *
+   * @param {Object} backup - Validated backup archive
+   */
+  const confirmRestore = (backup) => {
+    const replacing = restorePolicy === RESTORE_POLICIES.REPLACE;
+
+    Alert.alert(
+      "Restore Backup",
+      `Backup from ${new Date(backup.createdAt).toLocaleString()} with ${
+        backup.counts.saved_words
+      } words. ${
+        replacing
+          ? "Everything on this device will be replaced."
+          : "It will be combined with the words on this device."
+      } A backup of your current data is kept first.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Restore",
+          style: replacing ? "destructive" : "default",
+          onPress: async () => {
+            setBackupBusy(true);
+            try {
+              const summary = await restoreBackup(backup, restorePolicy);
+              setSnackbarMessage(
+                `Restored! ${summary.wordsAdded} words added, ${summary.wordsUpdated} updated.`
+              );
+              loadSettings();
+            } catch (error) {
+              console.error("Error in restoring backup: ", error);
+              setSnackbarMessage(error.message);
+            } finally {
+              setLocalBackups(await listLocalBackups());
+              setBackupBusy(false);
+              setSnackbarVisible(true);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Lets the user pick a backup file, or uses the latest local backup,
+   * and checks it before asking to restore it
+   *
+   * @param {boolean} fromFile - Pick a file instead of the latest local backup
+   */
+  const handleRestore = async (fromFile) => {
+    try {
+      let uri = localBackups.length > 0 ? localBackups[0].uri : null;
+      if (fromFile) {
+        const result = await DocumentPicker.getDocumentAsync({
+          type: "application/json",
+          copyToCacheDirectory: true,
+        });
+        if (result.canceled) {
+          return;
+        }
+        uri = result.assets[0].uri;
+      }
+
+      confirmRestore(await readBackupFile(uri));
+    } catch (error) {
+      console.error("Error in reading backup: ", error);
+      setSnackbarMessage(error.message);
+      setSnackbarVisible(true);
+    }
+  };
+
   /**
    * Development-only function for debugging notification permissions
    * Displays the current permission status in an alert
@@ -197,65 +508,268 @@ export default function ReminderScreen() {
 
   return (
     <View style={styles.container}>
-      {/* Main settings card */}
-      <Card style={styles.card}>
-        <Card.Title title="Study Reminders" />
-        <Card.Content>
-          {/* Main settings card */}
-          <View style={styles.switchContainer}>
-            <Text>Wake Up My Word Game</Text>
-            <Switch value={enabled} onValueChange={toggleSwitch} />
-          </View>
+      <ScrollView>
+        {/* Main settings card */}
+        <Card style={styles.card}>
+          <Card.Title title="Study Reminders" />
+          <Card.Content>
+            {/* Main settings card */}
+            <View style={styles.switchContainer}>
+              <Text>Wake Up My Word Game</Text>
+              <Switch value={enabled} onValueChange={toggleSwitch} />
+            </View>
 
-          {/* Time picker section - only shown when reminders are enabled */}
-          {enabled && (
-            <View style={styles.timeContainer}>
-              <Text>Hit Me Up At:</Text>
-              <Button mode="outlined" onPress={() => setShowTimePicker(true)}>
-                {time.getHours()}:
-                {time.getMinutes() < 10
-                  ? "0" + time.getMinutes()
-                  : time.getMinutes()}
-              </Button>
+            {/* Time picker section - only shown when reminders are enabled */}
+            {enabled && (
+              <View style={styles.timeContainer}>
+                <Text>Hit Me Up At:</Text>
+                <Button mode="outlined" onPress={() => setShowTimePicker(true)}>
+                  {time.getHours()}:
+                  {time.getMinutes() < 10
+                    ? "0" + time.getMinutes()
+                    : time.getMinutes()}
+                </Button>
+
+                {showTimePicker && (
+                  <DateTimePicker
+                    value={time}
+                    mode="time"
+                    is24Hour={true}
+                    display="default"
+                    onChange={onTimeChange}
+                  />
+                )}
+              </View>
+            )}
 
-              {showTimePicker && (
-                <DateTimePicker
-                  value={time}
-                  mode="time"
-                  is24Hour={true}
-                  display="default"
-                  onChange={onTimeChange}
-                />
-              )}
+            {/* Educational information about reminders */}
+            <Text style={styles.infoText}>
+              Daily word zaps keep your brain juiced and vocab growing!
+            </Text>
+          </Card.Content>
+        </Card>
+
+        {/* Daily limits card */}
+        <Card style={styles.card}>
+          <Card.Title title="Daily Limits" />
+          <Card.Content>
+            <Text>New words per day</Text>
+            <SegmentedButtons
+              value={limitToValue(dailyLimits.newCards)}
+              onValueChange={(value) => handleLimitChange("newCards", value)}
+              buttons={NEW_CARD_LIMITS.map((value) => ({
+                value,
+                label: value,
+              }))}
+              style={styles.policyButtons}
+            />
+            <Text>Reviews per day</Text>
+            <SegmentedButtons
+              value={limitToValue(dailyLimits.reviews)}
+              onValueChange={(value) => handleLimitChange("reviews", value)}
+              buttons={REVIEW_LIMITS.map((value) => ({
+                value,
+                label: value === "none" ? "No limit" : value,
+              }))}
+              style={styles.policyButtons}
+            />
+            {dailyProgress && (
+              <Text style={styles.infoText}>
+                Today: {dailyProgress.newCards} new, {dailyProgress.reviews}{" "}
+                reviews
+              </Text>
+            )}
+          </Card.Content>
+        </Card>
+
+        {/* Relearning steps card */}
+        <Card style={styles.card}>
+          <Card.Title title="Relearning Steps" />
+          <Card.Content>
+            <Text>
+              Cards you miss come back later in the same session, after each of
+              these delays, until you get them right.
+            </Text>
+            <SegmentedButtons
+              value={stepsToValue(relearningSteps)}
+              onValueChange={handleRelearningChange}
+              buttons={RELEARNING_CHOICES}
+              style={styles.policyButtons}
+            />
+          </Card.Content>
+        </Card>
+
+        {/* Leech settings card */}
+        <Card style={styles.card}>
+          <Card.Title title="Leeches" />
+          <Card.Content>
+            <Text>A word is a leech once you've forgotten it more than</Text>
+            <SegmentedButtons
+              value={String(leechSettings.threshold)}
+              onValueChange={(value) =>
+                handleLeechChange({ threshold: Number(value) })
+              }
+              buttons={LEECH_THRESHOLDS.map((value) => ({
+                value,
+                label: `${value}×`,
+              }))}
+              style={styles.policyButtons}
+            />
+            <View style={styles.switchContainer}>
+              <Text>Suspend leeches from review</Text>
+              <Switch
+                value={leechSettings.autoSuspend}
+                onValueChange={(value) =>
+                  handleLeechChange({ autoSuspend: value })
+                }
+              />
             </View>
-          )}
-
-          {/* Educational information about reminders */}
-          <Text style={styles.infoText}>
-            Daily word zaps keep your brain juiced and vocab growing!
-          </Text>
-        </Card.Content>
-      </Card>
-
-      {/* Development-only debugging tools - only visible in development mode */}
-      {__DEV__ && (
-        <View style={styles.debugButtons}>
-          <Button
-            mode="contained"
-            onPress={debugPermissions}
-            style={styles.debugButton}
-          >
-            Debug Permissions
-          </Button>
-          <Button
-            mode="contained"
-            onPress={checkScheduledNotifications}
-            style={styles.debugButton}
-          >
-            Check Scheduled
-          </Button>
-        </View>
-      )}
+            <Button
+              mode="outlined"
+              icon="alert-circle-outline"
+              onPress={() => navigation.navigate("Leeches")}
+            >
+              View Leeches
+            </Button>
+          </Card.Content>
+        </Card>
+
+        {/* Offline Finnish dictionary card */}
+        <Card style={styles.card}>
+          <Card.Title title="Finnish Dictionary" />
+          <Card.Content>
+            <Text>
+              {datasetInfo
+                ? `${datasetInfo.headwords} words · updated ${new Date(
+                    datasetInfo.installedAt
+                  ).toLocaleDateString()}`
+                : "Not downloaded yet—Finnish lookups open RedFox in the browser."}
+            </Text>
+            <Button
+              mode="outlined"
+              icon="download"
+              onPress={handleDownloadDataset}
+              loading={downloadingDataset}
+              disabled={downloadingDataset}
+              style={styles.datasetButton}
+            >
+              {datasetInfo ? "Update Dictionary" : "Download Dictionary"}
+            </Button>
+          </Card.Content>
+        </Card>
+
+        {/* Vocabulary export card */}
+        <Card style={styles.card}>
+          <Card.Title title="Export Vocabulary" />
+          <Card.Content>
+            {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+              <Button
+                key={key}
+                mode="outlined"
+                icon="export-variant"
+                onPress={() => handleExport(key)}
+                loading={exportingFormat === key}
+                disabled={exportingFormat !== null}
+                style={styles.exportButton}
+              >
+                {format.label}
+              </Button>
+            ))}
+          </Card.Content>
+        </Card>
+
+        {/* Vocabulary import card */}
+        <Card style={styles.card}>
+          <Card.Title title="Import Vocabulary" />
+          <Card.Content>
+            <Text>
+              Add words in bulk from a spreadsheet, a JSON export or an Anki
+              deck.
+            </Text>
+            <Button
+              mode="outlined"
+              icon="file-import-outline"
+              onPress={() => navigation.navigate("Import Words")}
+              style={styles.importButton}
+            >
+              Import Words
+            </Button>
+          </Card.Content>
+        </Card>
+
+        {/* Backup and restore card */}
+        <Card style={styles.card}>
+          <Card.Title title="Backup & Restore" />
+          <Card.Content>
+            <Text>
+              {localBackups.length > 0
+                ? `Last backup ${localBackups[0].createdAt.toLocaleString()} · ${localBackups.length} kept on this device`
+                : "No backups yet—one is made automatically each day."}
+            </Text>
+            <Button
+              mode="contained"
+              icon="cloud-upload-outline"
+              onPress={handleBackup}
+              loading={backupBusy}
+              disabled={backupBusy}
+              style={styles.datasetButton}
+            >
+              Back Up & Share
+            </Button>
+
+            <Text style={styles.infoText}>
+              When restoring, for words on both:
+            </Text>
+            <SegmentedButtons
+              value={restorePolicy}
+              onValueChange={setRestorePolicy}
+              buttons={[
+                { value: RESTORE_POLICIES.KEEP_EXISTING, label: "Keep mine" },
+                { value: RESTORE_POLICIES.USE_BACKUP, label: "Use backup" },
+                { value: RESTORE_POLICIES.REPLACE, label: "Replace all" },
+              ]}
+              style={styles.policyButtons}
+            />
+            <Button
+              mode="outlined"
+              icon="backup-restore"
+              onPress={() => handleRestore(false)}
+              disabled={backupBusy || localBackups.length === 0}
+              style={styles.exportButton}
+            >
+              Restore Last Backup
+            </Button>
+            <Button
+              mode="outlined"
+              icon="file-restore-outline"
+              onPress={() => handleRestore(true)}
+              disabled={backupBusy}
+            >
+              Restore from File
+            </Button>
+          </Card.Content>
+        </Card>
+
+        {/* Development-only debugging tools - only visible in development mode */}
+        {__DEV__ && (
+          <View style={styles.debugButtons}>
+            <Button
+              mode="contained"
+              onPress={debugPermissions}
+              style={styles.debugButton}
+            >
+              Debug Permissions
+            </Button>
+            <Button
+              mode="contained"
+              onPress={checkScheduledNotifications}
+              style={styles.debugButton}
+            >
+              Check Scheduled
+            </Button>
+          </View>
+        )}
+      </ScrollView>
 
       {/* Feedback snackbar for user actions */}
       <Snackbar
@@ -296,6 +810,18 @@ const styles = StyleSheet.create({
     fontStyle: "italic",
     color: "#666",
   },
+  datasetButton: {
+    marginTop: 12,
+  },
+  exportButton: {
+    marginBottom: 8,
+  },
+  importButton: {
+    marginTop: 12,
+  },
+  policyButtons: {
+    marginVertical: 8,
+  },
   debugButton: {
     marginTop: 10,
   },
@@ -5,13 +5,23 @@
  * This screen serves as the main vocabulary lookup tool, enabling users to:
  * - Search for words in both English and Finnish languages
  * - View detailed definitions, examples, and pronunciations
- * - Save words to their personal vocabulary collection
+ * - Save words to their personal vocabulary collection, one meaning at a time
+ *   or every meaning at once as the word's senses
  * - Process words that were previously captured using Quick Jot feature
  *
  * The component adapts its behavior based on the selected language:
  * - English words are looked up directly using the Free Dictionary API
- * - Finnish words open an external browser with RedFox Dictionary, then allow
- *   manual entry of definitions after lookup
+ * - Finnish words are looked up in the offline Wiktionary dataset and shown
+ *   with the same meanings/definitions/save flow as English results
+ * - Finnish words missing from the dataset open an external browser with
+ *   RedFox Dictionary, then allow manual entry of definitions after lookup
+ *
+ * Results served from the offline lookup cache are labelled as such.
+ * Inflected Finnish forms are looked up under their base form, and both the
+ * encountered form and the lemma are recorded when the word is saved.
+ * Saving a word that is already in the collection asks whether to add the
+ * new definition as another meaning, merge the details, or skip it.
+ * Tags chosen above the results are given to every word saved from them.
  */
 
 // React and React Native imports
@@ -24,6 +34,7 @@ import {
   KeyboardAvoidingView,
   TouchableWithoutFeedback,
   Platform,
+  Alert,
 } from "react-native";
 
 // UI component imports
@@ -40,12 +51,56 @@ import {
 
 // Service and component imports
 import SpeakButton from "../components/SpeakButton";
-import { markNoteProcessed, saveWord } from "../services/databaseService";
+import TagInput from "../components/TagInput";
+import { markNoteProcessed, getTags } from "../services/databaseService";
+import {
+  DUPLICATE_ACTIONS,
+  saveWordCheckingDuplicates,
+} from "../services/duplicateService";
 import {
-  fetchWordDefinition,
+  lookupLemma,
   openFinnishDictionary,
 } from "../services/dictionaryService";
 
+/**
+ * Asks the user what to do with a word that is already saved
+ *
+ * @param {Object} existing - The saved word
+ * @returns {Promise<string>} One of DUPLICATE_ACTIONS
+ */
+const askDuplicateAction = (existing) =>
+  new Promise((resolve) => {
+    Alert.alert(
+      "Already Saved",
+      `"${existing.word}" is already in your words${
+        existing.definition ? `:\n\n${existing.definition}` : "."
+      }`,
+      [
+        {
+          text: "Skip",
+          style: "cancel",
+          onPress: () => resolve(DUPLICATE_ACTIONS.SKIP),
+        },
+        { text: "Merge", onPress: () => resolve(DUPLICATE_ACTIONS.MERGE) },
+        {
+          text: "Add Meaning",
+          onPress: () => resolve(DUPLICATE_ACTIONS.ADD_SENSE),
+        },
+      ],
+      { cancelable: true, onDismiss: () => resolve(DUPLICATE_ACTIONS.SKIP) }
+    );
+  });
+
+/**
+ * Snackbar messages for each outcome of saving a word
+ */
+const SAVE_MESSAGES = {
+  saved: (word) => `"${word}" is now safe and sound!`,
+  merged: (word) => `"${word}" updated with the new details!`,
+  skipped: (word) => `"${word}" was already saved—left as it was.`,
+  failed: () => "Uh-oh, save failed—give it another go!",
+};
+
 export default function SearchScreen({ route }) {
   // Search and language state
   const [searchTerm, setSearchTerm] = useState("");
@@ -55,6 +110,8 @@ export default function SearchScreen({ route }) {
   const [isLoading, setIsLoading] = useState(false);
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null); // Set when results came from the cache
+  const [encounteredForm, setEncounteredForm] = useState(""); // Word as typed, when found under its lemma
 
   // UI feedback state
   const [snackbarVisible, setSnackbarVisible] = useState(false);
@@ -68,6 +125,10 @@ export default function SearchScreen({ route }) {
   });
   const [showFinnishInput, setShowFinnishInput] = useState(false);
 
+  // Tags given to saved words, and existing tags to suggest
+  const [saveTags, setSaveTags] = useState([]);
+  const [allTags, setAllTags] = useState([]);
+
   // Navigation parameters - used for Quick Jot integration
   const prefilledWord = route.params?.prefilledWord || "";
   const prefilledLanguage = route.params?.prefilledLanguage || "en";
@@ -90,6 +151,18 @@ export default function SearchScreen({ route }) {
     }
   }, [prefilledWord, prefilledLanguage]);
 
+  /**
+   * Loads the existing tags so they can be suggested
+   */
+  const loadTags = async () => {
+    setAllTags((await getTags()).map((tag) => tag.name));
+  };
+
+  // Load tag suggestions when the screen mounts
+  useEffect(() => {
+    loadTags();
+  }, []);
+
   /**
    * Saves an English word definition to the personal vocabulary database
    * Updates quick note processing status if applicable
@@ -102,31 +175,76 @@ export default function SearchScreen({ route }) {
    */
   const handleSaveWord = async (entry, meaningIndex, definitionIndex) => {
     const meaning = entry.meanings[meaningIndex];
-    const definition = meaning.definitions[definitionIndex];
+    await saveEntrySenses(entry, [
+      toSense(meaning, meaning.definitions[definitionIndex]),
+    ]);
+  };
+
+  /**
+   * Saves every meaning of an English word at once, one sense per definition
+   *
+   * @param {Object} entry - The full word entry from API results
+   * @returns {Promise<void>}
+   */
+  const handleSaveAllMeanings = async (entry) => {
+    const senses = entry.meanings.flatMap((meaning) =>
+      meaning.definitions.map((definition) => toSense(meaning, definition))
+    );
+    await saveEntrySenses(entry, senses);
+  };
+
+  /**
+   * Converts one dictionary definition into a sense to save
+   *
+   * @param {Object} meaning - Meaning the definition belongs to
+   * @param {Object} definition - The definition from meaning.definitions
+   * @returns {Object} Sense with part of speech, definition, example and synonyms
+   */
+  const toSense = (meaning, definition) => ({
+    partOfSpeech: meaning.partOfSpeech || "",
+    definition: definition.definition,
+    example: definition.example || "",
+    synonyms: [
+      ...new Set([...(definition.synonyms || []), ...(meaning.synonyms || [])]),
+    ].slice(0, 8),
+  });
 
+  /**
+   * Saves an English word with the given senses, checking for duplicates
+   *
+   * @param {Object} entry - The full word entry from API results
+   * @param {Array<Object>} senses - Senses to save
+   * @returns {Promise<void>}
+   */
+  const saveEntrySenses = async (entry, senses) => {
     const wordData = {
       word: entry.word,
       language,
-      definition: definition.definition,
+      definition: senses.map((sense) => sense.definition).join("\n"),
       phonetic: entry.phonetic || "",
-      example: definition.example || "",
-      category: meaning.partOfSpeech,
+      example: senses[0]?.example || "",
+      tags: saveTags,
+      encounteredForm:
+        encounteredForm &&
+        encounteredForm.toLowerCase() !== entry.word.toLowerCase()
+          ? encounteredForm
+          : "",
+      senses,
     };
 
-    const success = await saveWord(wordData);
+    const outcome = await saveWordCheckingDuplicates(
+      wordData,
+      askDuplicateAction
+    );
 
-    // If saving was successful and we have a quickNoteId, mark it as processed
-    if (success && quickNoteId) {
+    // If the word is now in the collection and we have a quickNoteId, mark it as processed
+    if (outcome !== "failed" && quickNoteId) {
       await markNoteProcessed(quickNoteId);
     }
 
-    if (success) {
-      setSnackbarMessage(`"${entry.word}" is now safe and sound!`);
-    } else {
-      setSnackbarMessage("Uh-oh, save failed—give it another go!");
-    }
-
+    setSnackbarMessage(SAVE_MESSAGES[outcome](entry.word));
     setSnackbarVisible(true);
+    loadTags();
   };
 
   /**
@@ -150,19 +268,28 @@ export default function SearchScreen({ route }) {
       phonetic: "",
       example: "",
       notes: finnishWordInput.notes,
-      category: "default",
+      tags: saveTags,
+      // Keep the searched form if the user saved a different base form
+      encounteredForm:
+        searchTerm.trim().toLowerCase() !==
+        finnishWordInput.word.trim().toLowerCase()
+          ? searchTerm.trim()
+          : "",
     };
 
-    const success = await saveWord(wordData);
+    const outcome = await saveWordCheckingDuplicates(
+      wordData,
+      askDuplicateAction
+    );
 
-    // If saving was successful and we have a quickNoteId, mark it as processed
-    if (success && quickNoteId) {
+    // If the word is now in the collection and we have a quickNoteId, mark it as processed
+    if (outcome !== "failed" && quickNoteId) {
       await markNoteProcessed(quickNoteId);
     }
 
-    if (success) {
-      setSnackbarMessage(`"${finnishWordInput.word}" is now safe and sound!`);
-
+    setSnackbarMessage(SAVE_MESSAGES[outcome](finnishWordInput.word));
+    loadTags();
+    if (outcome !== "failed") {
       // Reset the form
       setFinnishWordInput({
         word: "",
@@ -170,8 +297,6 @@ export default function SearchScreen({ route }) {
         notes: "",
       });
       setShowFinnishInput(false);
-    } else {
-      setSnackbarMessage("Uh-oh, save failed—give it another go!");
     }
     setSnackbarVisible(true);
   };
@@ -187,10 +312,15 @@ export default function SearchScreen({ route }) {
     setIsLoading(true);
     setError(null);
     setResults(null);
+    setCachedAt(null);
+    setEncounteredForm("");
     setShowFinnishInput(false); // Hide Finnish input form, if it was open
 
     try {
-      const data = await fetchWordDefinition(searchTerm.trim(), language);
+      const { data, fromCache, fetchedAt, lemma } = await lookupLemma(
+        searchTerm.trim(),
+        language
+      );
 
       // Check if there's a flag for external lookup
       if (data.type === "external" && data.language === "fi") {
@@ -205,8 +335,14 @@ export default function SearchScreen({ route }) {
         setShowFinnishInput(true);
         setResults(null); // Clear any previous results
       } else {
-        // Regular English dictionary results
+        // Structured dictionary results (English or offline Finnish)
         setResults(data);
+        setCachedAt(fromCache ? fetchedAt : null);
+        setEncounteredForm(
+          lemma && lemma !== searchTerm.trim().toLowerCase()
+            ? searchTerm.trim()
+            : ""
+        );
       }
     } catch (error) {
       setError(error.message);
@@ -324,6 +460,12 @@ export default function SearchScreen({ route }) {
                     style={styles.finnishInput}
                     multiline
                   />
+                  <TagInput
+                    tags={saveTags}
+                    onChange={setSaveTags}
+                    allTags={allTags}
+                    label="Tags (optional)"
+                  />
                   <Button
                     mode="contained"
                     onPress={handleSaveFinnishWord}
@@ -340,9 +482,34 @@ export default function SearchScreen({ route }) {
         </KeyboardAvoidingView>
       )}
 
-      {/* Dictionary results display - conditionally rendered for English words */}
+      {/* Cache notice - shown when results come from the offline lookup cache */}
+      {results && cachedAt && (
+        <Chip icon="cloud-off-outline" style={styles.cacheChip} compact>
+          Saved copy from {new Date(cachedAt).toLocaleDateString()}
+        </Chip>
+      )}
+
+      {/* Lemma notice - shown when an inflected form was found under its base form */}
+      {results && encounteredForm !== "" && (
+        <Chip icon="swap-horizontal" style={styles.lemmaChip} compact>
+          Base form of "{encounteredForm}"
+        </Chip>
+      )}
+
+      {/* Dictionary results display - conditionally rendered for structured results */}
       {results && (
-        <ScrollView style={styles.resultsContainer}>
+        <ScrollView
+          style={styles.resultsContainer}
+          keyboardShouldPersistTaps="handled"
+        >
+          {/* Tags given to every word saved from these results */}
+          <TagInput
+            tags={saveTags}
+            onChange={setSaveTags}
+            allTags={allTags}
+            label="Tags for words you save (optional)"
+          />
+
           {results.map((entry, index) => (
             <View key={index} style={styles.resultsCard}>
               {/* Word header with pronunciation button */}
@@ -356,6 +523,22 @@ export default function SearchScreen({ route }) {
                 {entry.phonetic}
               </Text>
 
+              {/* Save every meaning as a sense of one word */}
+              {entry.meanings.reduce(
+                (count, meaning) => count + meaning.definitions.length,
+                0
+              ) > 1 && (
+                <Button
+                  icon="bookmark-multiple-outline"
+                  mode="outlined"
+                  compact
+                  onPress={() => handleSaveAllMeanings(entry)}
+                  style={styles.saveAllButton}
+                >
+                  Save All Meanings
+                </Button>
+              )}
+
               {/* Word meanings section with part of speech grouping */}
               {entry.meanings.map((meaning, mIndex) => (
                 <View key={mIndex} style={styles.meaningContainer}>
@@ -477,6 +660,10 @@ const styles = StyleSheet.create({
     marginBottom: 10,
     color: "#555",
   },
+  saveAllButton: {
+    alignSelf: "flex-start",
+    marginBottom: 8,
+  },
   meaningContainer: {
     marginVertical: 5,
   },
@@ -498,6 +685,16 @@ const styles = StyleSheet.create({
   divider: {
     marginVertical: 10,
   },
+  lemmaChip: {
+    alignSelf: "flex-start",
+    marginBottom: 10,
+    backgroundColor: "#e7f5ff",
+  },
+  cacheChip: {
+    alignSelf: "flex-start",
+    marginBottom: 10,
+    backgroundColor: "#fff3bf",
+  },
   finnishInputCard: {
     width: "100%",
     marginBottom: 20,
@@ -0,0 +1,598 @@
+/**
+ * WordDetailScreen Component
+ *
+ * Shows a single saved word and lets the user edit its details in place.
+ * This screen is opened from MyWordsScreen and allows users to:
+ * - Fix the word text, phonetic spelling and notes
+ * - Edit, add, remove and reorder the word's senses (meanings), each with
+ *   its part of speech, definition, example and synonyms
+ * - Choose which senses are also reviewed as flashcards of their own
+ * - Change the word's tags
+ * - Choose which direction the word is practiced in (word to meaning,
+ *   meaning to word or both), or leave it to the deck
+ * - See the cloze (fill-in-the-blank) cards made from the word's sentences,
+ *   and write cloze sentences of their own
+ * - See the word's learning progress, which editing never resets
+ *
+ * Words are loaded by the `wordId` navigation parameter, so the screen
+ * always edits the latest stored version of the word.
+ */
+
+// React and Navigation imports
+import React, { useState, useCallback } from "react";
+import { useFocusEffect } from "@react-navigation/native";
+import {
+  StyleSheet,
+  View,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from "react-native";
+
+// UI component imports
+import {
+  Text,
+  TextInput,
+  Button,
+  Card,
+  Snackbar,
+  ActivityIndicator,
+  IconButton,
+  Switch,
+  Divider,
+  SegmentedButtons,
+} from "react-native-paper";
+
+// Service and component imports
+import {
+  getWordById,
+  updateWord,
+  getTags,
+  addClozeSentence,
+  deleteClozeSentence,
+} from "../services/databaseService";
+import { CARD_DIRECTIONS } from "../services/learningService";
+import {
+  CLOZE_SOURCES,
+  blankedSentence,
+  findBlank,
+  getClozes,
+} from "../services/clozeService";
+import SpeakButton from "../components/SpeakButton";
+import TagInput from "../components/TagInput";
+
+/**
+ * Converts a stored sense into the editable form shape
+ *
+ * @param {Object} sense - word_senses row
+ * @returns {Object} Sense form values
+ */
+const toSenseForm = (sense) => ({
+  id: sense.id,
+  partOfSpeech: sense.part_of_speech || "",
+  definition: sense.definition || "",
+  example: sense.example || "",
+  synonyms: (sense.synonyms || []).join(", "),
+  reviewable: Boolean(sense.reviewable),
+});
+
+/**
+ * How the source of each cloze sentence is labelled
+ */
+const CLOZE_SOURCE_LABELS = {
+  [CLOZE_SOURCES.USER]: "Your sentence",
+  [CLOZE_SOURCES.EXAMPLE]: "Example",
+  [CLOZE_SOURCES.NOTES]: "Notes",
+};
+
+/**
+ * An empty sense for the "Add Meaning" button
+ */
+const EMPTY_SENSE = {
+  partOfSpeech: "",
+  definition: "",
+  example: "",
+  synonyms: "",
+  reviewable: false,
+};
+
+export default function WordDetailScreen({ route, navigation }) {
+  const wordId = route.params?.wordId;
+
+  // Data state - the stored word and the editable form copy
+  const [word, setWord] = useState(null);
+  const [form, setForm] = useState({
+    word: "",
+    phonetic: "",
+    notes: "",
+  });
+  const [senses, setSenses] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [allTags, setAllTags] = useState([]);
+  const [cardDirection, setCardDirection] = useState(""); // "" follows the deck
+  const [clozeSentences, setClozeSentences] = useState([]);
+  const [newSentence, setNewSentence] = useState("");
+
+  // UI state - loading indicator and user feedback
+  const [loading, setLoading] = useState(true);
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState("");
+
+  /**
+   * Loads the word from the database and fills the edit form
+   */
+  const loadWord = async () => {
+    setLoading(true);
+    const stored = await getWordById(wordId);
+    setWord(stored);
+
+    if (stored) {
+      setForm({
+        word: stored.word || "",
+        phonetic: stored.phonetic || "",
+        notes: stored.notes || "",
+      });
+      setSenses(stored.senses.map(toSenseForm));
+      setTags(stored.tags);
+      setCardDirection(stored.card_direction || "");
+      setClozeSentences(stored.clozeSentences);
+    }
+    setAllTags((await getTags()).map((tag) => tag.name));
+    setLoading(false);
+  };
+
+  // Reload whenever the screen is focused with a (possibly different) word
+  useFocusEffect(
+    useCallback(() => {
+      if (wordId) {
+        loadWord();
+      }
+    }, [wordId])
+  );
+
+  /**
+   * Updates a single form field
+   *
+   * @param {string} field - Name of the field to update
+   * @param {string} value - New field value
+   */
+  const updateField = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  /**
+   * Updates a single field of one sense
+   *
+   * @param {number} index - Position of the sense
+   * @param {string} field - Name of the field to update
+   * @param {string|boolean} value - New field value
+   */
+  const updateSense = (index, field, value) => {
+    setSenses(
+      senses.map((sense, i) =>
+        i === index ? { ...sense, [field]: value } : sense
+      )
+    );
+  };
+
+  /**
+   * Moves a sense one place up or down in the list
+   *
+   * @param {number} index - Position of the sense
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const moveSense = (index, offset) => {
+    const reordered = [...senses];
+    [reordered[index], reordered[index + offset]] = [
+      reordered[index + offset],
+      reordered[index],
+    ];
+    setSenses(reordered);
+  };
+
+  /**
+   * Validates and saves the edited word details
+   * Returns to the word list after a successful save
+   */
+  const handleSave = async () => {
+    if (!form.word.trim()) {
+      setSnackbarMessage("Enter a word!");
+      setSnackbarVisible(true);
+      return;
+    }
+
+    const cleanSenses = senses
+      .filter((sense) => sense.definition.trim())
+      .map((sense) => ({
+        ...sense,
+        synonyms: sense.synonyms
+          .split(",")
+          .map((synonym) => synonym.trim())
+          .filter(Boolean),
+      }));
+
+    const success = await updateWord(wordId, {
+      ...form,
+      word: form.word.trim(),
+      example: cleanSenses.length > 0 ? cleanSenses[0].example : "",
+      tags,
+      senses: cleanSenses,
+      cardDirection: cardDirection || null,
+    });
+
+    if (success) {
+      navigation.navigate("My Words");
+    } else {
+      setSnackbarMessage("Uh-oh, save failed—give it another go!");
+      setSnackbarVisible(true);
+    }
+  };
+
+  /**
+   * Adds the typed cloze sentence, if the word (or a form of it) can be
+   * found in it. Cloze sentences are saved right away.
+   */
+  const handleAddSentence = async () => {
+    const sentence = newSentence.trim();
+    if (!sentence) {
+      return;
+    }
+
+    if (!findBlank(sentence, { ...word, word: form.word })) {
+      setSnackbarMessage(
+        `Couldn't spot "${form.word}" in that sentence—put [brackets] around the missing word.`
+      );
+      setSnackbarVisible(true);
+      return;
+    }
+
+    const id = await addClozeSentence(wordId, sentence);
+    if (id) {
+      setClozeSentences([...clozeSentences, { id, sentence }]);
+      setNewSentence("");
+    } else {
+      setSnackbarMessage("That sentence didn't stick—try again!");
+      setSnackbarVisible(true);
+    }
+  };
+
+  /**
+   * Deletes one of the user's cloze sentences
+   *
+   * @param {number} id - ID of the sentence
+   */
+  const handleDeleteSentence = async (id) => {
+    if (await deleteClozeSentence(id)) {
+      setClozeSentences(clozeSentences.filter((row) => row.id !== id));
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator animating={true} size="large" />
+      </View>
+    );
+  }
+
+  // Empty state when the word was deleted or no word was selected
+  if (!word) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.emptyText}>This word has wandered off!</Text>
+        <Button mode="outlined" onPress={() => navigation.navigate("My Words")}>
+          Back to My Words
+        </Button>
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === "ios" ? "padding" : "height"}
+      style={styles.container}
+      keyboardVerticalOffset={100}
+    >
+      <ScrollView keyboardShouldPersistTaps="handled">
+        {/* Word header with pronunciation button */}
+        <View style={styles.header}>
+          <Text variant="headlineSmall" style={styles.title}>
+            {word.word}
+          </Text>
+          <SpeakButton text={word.word} language={word.language} />
+        </View>
+
+        {/* Read-only learning progress - kept as is when editing */}
+        <Text style={styles.progress}>
+          {word.language === "en" ? "English" : "Finnish"} · Level{" "}
+          {word.learning_level || 0} · Next review:{" "}
+          {word.next_review_date
+            ? new Date(word.next_review_date).toLocaleDateString()
+            : "Not scheduled"}
+          {word.reverse
+            ? ` · Meaning → word: level ${word.reverse.learning_level || 0}`
+            : ""}
+          {word.cloze
+            ? ` · Cloze: level ${word.cloze.learning_level || 0}`
+            : ""}
+        </Text>
+
+        {/* Edit form */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <TextInput
+              label="Word"
+              value={form.word}
+              onChangeText={(text) => updateField("word", text)}
+              style={styles.input}
+            />
+            <TextInput
+              label="Phonetic (optional)"
+              value={form.phonetic}
+              onChangeText={(text) => updateField("phonetic", text)}
+              style={styles.input}
+            />
+            <TextInput
+              label="Notes (optional)"
+              value={form.notes}
+              onChangeText={(text) => updateField("notes", text)}
+              style={styles.input}
+              multiline
+            />
+            <TagInput
+              tags={tags}
+              onChange={setTags}
+              allTags={allTags}
+              label="Tags"
+            />
+            <Text style={styles.fieldLabel}>Practice direction</Text>
+            <SegmentedButtons
+              value={cardDirection}
+              onValueChange={setCardDirection}
+              buttons={[
+                { value: "", label: "Deck" },
+                { value: CARD_DIRECTIONS.FORWARD, label: "Word → meaning" },
+                { value: CARD_DIRECTIONS.REVERSE, label: "Meaning → word" },
+                { value: CARD_DIRECTIONS.BOTH, label: "Both" },
+              ]}
+              density="small"
+            />
+          </Card.Content>
+        </Card>
+
+        {/* Senses editor - one block per meaning, in display order */}
+        <Card style={styles.card}>
+          <Card.Title title="Meanings" />
+          <Card.Content>
+            {senses.map((sense, index) => (
+              <View key={sense.id ?? `new-${index}`}>
+                <View style={styles.senseHeader}>
+                  <Text style={styles.senseNumber}>Meaning {index + 1}</Text>
+                  <View style={styles.senseActions}>
+                    <IconButton
+                      icon="arrow-up"
+                      size={18}
+                      disabled={index === 0}
+                      onPress={() => moveSense(index, -1)}
+                    />
+                    <IconButton
+                      icon="arrow-down"
+                      size={18}
+                      disabled={index === senses.length - 1}
+                      onPress={() => moveSense(index, 1)}
+                    />
+                    <IconButton
+                      icon="delete"
+                      size={18}
+                      onPress={() =>
+                        setSenses(senses.filter((_, i) => i !== index))
+                      }
+                    />
+                  </View>
+                </View>
+                <TextInput
+                  label="Part of speech (optional)"
+                  value={sense.partOfSpeech}
+                  onChangeText={(text) =>
+                    updateSense(index, "partOfSpeech", text)
+                  }
+                  style={styles.input}
+                />
+                <TextInput
+                  label="Definition/Meaning"
+                  value={sense.definition}
+                  onChangeText={(text) =>
+                    updateSense(index, "definition", text)
+                  }
+                  style={styles.input}
+                  multiline
+                />
+                <TextInput
+                  label="Example (optional)"
+                  value={sense.example}
+                  onChangeText={(text) => updateSense(index, "example", text)}
+                  style={styles.input}
+                  multiline
+                />
+                <TextInput
+                  label="Synonyms, comma-separated (optional)"
+                  value={sense.synonyms}
+                  onChangeText={(text) => updateSense(index, "synonyms", text)}
+                  style={styles.input}
+                />
+                <View style={styles.switchRow}>
+                  <Text>Review as its own flashcard</Text>
+                  <Switch
+                    value={sense.reviewable}
+                    onValueChange={(value) =>
+                      updateSense(index, "reviewable", value)
+                    }
+                  />
+                </View>
+                <Divider style={styles.senseDivider} />
+              </View>
+            ))}
+            <Button
+              icon="plus"
+              onPress={() => setSenses([...senses, { ...EMPTY_SENSE }])}
+            >
+              Add Meaning
+            </Button>
+          </Card.Content>
+        </Card>
+
+        {/* Cloze sentences - made from the examples and notes as edited,
+            plus the user's own sentences */}
+        <Card style={styles.card}>
+          <Card.Title title="Cloze Sentences" />
+          <Card.Content>
+            {getClozes({
+              ...word,
+              word: form.word,
+              notes: form.notes,
+              senses,
+              example: "",
+              clozeSentences,
+            }).map((cloze, index) => (
+              <View key={cloze.id ?? `${cloze.source}-${index}`}>
+                <View style={styles.senseHeader}>
+                  <Text style={styles.clozeText}>{blankedSentence(cloze)}</Text>
+                  {cloze.source === CLOZE_SOURCES.USER && (
+                    <IconButton
+                      icon="delete"
+                      size={18}
+                      onPress={() => handleDeleteSentence(cloze.id)}
+                    />
+                  )}
+                </View>
+                <Text style={styles.clozeSource}>
+                  {CLOZE_SOURCE_LABELS[cloze.source]} · answer: {cloze.answer}
+                </Text>
+              </View>
+            ))}
+            <TextInput
+              label="New cloze sentence"
+              value={newSentence}
+              onChangeText={setNewSentence}
+              placeholder="Use the word in a sentence"
+              style={styles.input}
+              multiline
+            />
+            <Text style={styles.clozeSource}>
+              The word is found even when inflected; for irregular forms, put
+              [brackets] around the missing word.
+            </Text>
+            <Button icon="plus" onPress={handleAddSentence}>
+              Add Sentence
+            </Button>
+          </Card.Content>
+        </Card>
+
+        {/* Action buttons */}
+        <View style={styles.buttons}>
+          <Button
+            onPress={() => navigation.navigate("My Words")}
+            style={styles.button}
+          >
+            Cancel
+          </Button>
+          <Button mode="contained" onPress={handleSave} style={styles.button}>
+            Save Changes
+          </Button>
+        </View>
+
+        {/* Add extra padding at the bottom to ensure scrollability */}
+        <View style={{ height: 150 }} />
+      </ScrollView>
+
+      {/* Feedback snackbar for user actions */}
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+        action={{
+          label: "OK",
+          onPress: () => setSnackbarVisible(false),
+        }}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: "#f8f8f8",
+  },
+  centered: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  title: {
+    fontWeight: "bold",
+  },
+  progress: {
+    color: "#666",
+    fontStyle: "italic",
+    marginBottom: 16,
+  },
+  card: {
+    marginBottom: 16,
+  },
+  input: {
+    marginBottom: 10,
+  },
+  fieldLabel: {
+    color: "#666",
+    marginBottom: 6,
+  },
+  senseHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  senseNumber: {
+    fontWeight: "bold",
+  },
+  senseActions: {
+    flexDirection: "row",
+  },
+  switchRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 10,
+  },
+  senseDivider: {
+    marginBottom: 10,
+  },
+  clozeText: {
+    flex: 1,
+  },
+  clozeSource: {
+    color: "#666",
+    fontSize: 12,
+    marginBottom: 10,
+  },
+  buttons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  button: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  emptyText: {
+    marginBottom: 16,
+    color: "#666",
+  },
+});
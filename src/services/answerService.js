@@ -0,0 +1,213 @@
+/**
+ * Answer Service
+ *
+ * Checks answers typed in the flashcard typing mode and turns them into
+ * recall grades for the scheduler. Checking ignores case and extra spaces,
+ * accepts missing or wrong accents (ä/ö typed as a/o) and forgives a small
+ * number of typos in longer words.
+ *
+ * The comparison is a character alignment (edit distance), which also gives
+ * the diff shown to the user: which letters were right, which were missing,
+ * which were extra and which had the wrong accent.
+ *
+ * @module services/answerService
+ */
+
+import { GRADES } from "./learningService";
+import { foldDiacritics } from "./finnishDatasetService";
+
+/**
+ * Outcomes of checking a typed answer
+ */
+export const ANSWER_VERDICTS = {
+  EXACT: "exact",
+  ACCENTS: "accents",
+  TYPO: "typo",
+  WRONG: "wrong",
+  BLANK: "blank",
+};
+
+/**
+ * Kinds of segment in an answer diff
+ */
+export const DIFF_TYPES = {
+  SAME: "same",
+  ACCENT: "accent",
+  WRONG: "wrong",
+  MISSING: "missing",
+  EXTRA: "extra",
+};
+
+/**
+ * Exact answers given faster than this are graded Easy instead of Good
+ */
+const FAST_ANSWER_MS = 5000;
+
+/**
+ * Tidies an answer for comparison: composed Unicode, no surrounding spaces
+ * and single spaces between words.
+ *
+ * @param {string} text - Answer text
+ * @returns {string} Tidied text
+ */
+const tidy = (text) =>
+  (text || "").normalize("NFC").trim().replace(/\s+/g, " ");
+
+/**
+ * Number of typos forgiven in an answer of a given length. Short words get
+ * none, since one letter often makes a different word.
+ *
+ * @param {number} length - Length of the expected answer
+ * @returns {number} Typos allowed
+ */
+const allowedTypos = (length) => {
+  if (length <= 3) {
+    return 0;
+  }
+  return length <= 7 ? 1 : 2;
+};
+
+/**
+ * Aligns a typed answer with the expected one, character by character.
+ * Letters differing only in case count as the same, letters differing
+ * only in accents cost half a typo, and every other difference costs one.
+ *
+ * @param {string} expected - Correct answer
+ * @param {string} typed - Answer typed by the user
+ * @returns {Array<{type: string, text: string, typed?: string}>} Diff segments
+ *   in order; `text` is the expected text, except for EXTRA segments, which
+ *   hold typed text that isn't in the answer
+ */
+export const diffAnswer = (expected, typed) => {
+  const a = [...tidy(expected)];
+  const b = [...tidy(typed)];
+
+  const substitution = (i, j) => {
+    if (a[i].toLowerCase() === b[j].toLowerCase()) {
+      return 0;
+    }
+    return foldDiacritics(a[i]) === foldDiacritics(b[j]) ? 0.5 : 1;
+  };
+
+  // cost[i][j]: cheapest alignment of the first i expected and j typed characters
+  const cost = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) =>
+      i === 0 ? j : j === 0 ? i : 0
+    )
+  );
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + substitution(i - 1, j - 1),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+
+  // Walk back from the end to recover the alignment
+  const steps = [];
+  let i = a.length;
+  let j = b.length;
+  while (i > 0 || j > 0) {
+    if (
+      i > 0 &&
+      j > 0 &&
+      cost[i][j] === cost[i - 1][j - 1] + substitution(i - 1, j - 1)
+    ) {
+      const step = substitution(i - 1, j - 1);
+      steps.push({
+        type:
+          step === 0
+            ? DIFF_TYPES.SAME
+            : step < 1
+              ? DIFF_TYPES.ACCENT
+              : DIFF_TYPES.WRONG,
+        text: a[i - 1],
+        typed: b[j - 1],
+      });
+      i--;
+      j--;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      steps.push({ type: DIFF_TYPES.MISSING, text: a[i - 1] });
+      i--;
+    } else {
+      steps.push({ type: DIFF_TYPES.EXTRA, text: b[j - 1] });
+      j--;
+    }
+  }
+
+  // Join neighbouring steps of the same kind into segments
+  return steps.reverse().reduce((segments, step) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === step.type) {
+      last.text += step.text;
+      if (step.typed !== undefined) {
+        last.typed += step.typed;
+      }
+    } else {
+      segments.push({ ...step });
+    }
+    return segments;
+  }, []);
+};
+
+/**
+ * Checks a typed answer and maps the result to a recall grade:
+ * - exact (ignoring case): Good, or Easy when answered quickly
+ * - right apart from accents: Good
+ * - a small typo: Hard
+ * - wrong or blank: Again
+ *
+ * @param {string} expected - Correct answer
+ * @param {string} typed - Answer typed by the user
+ * @param {Object} [options] - Check options
+ * @param {number} [options.responseTimeMs] - Time taken to answer
+ * @returns {{verdict: string, grade: number, typos: number, segments: Array<Object>}}
+ *   One of ANSWER_VERDICTS, the grade for the scheduler, the number of
+ *   typos and the diff segments
+ */
+export const checkTypedAnswer = (expected, typed, options = {}) => {
+  if (!tidy(typed)) {
+    return {
+      verdict: ANSWER_VERDICTS.BLANK,
+      grade: GRADES.AGAIN,
+      typos: 0,
+      segments: [{ type: DIFF_TYPES.MISSING, text: tidy(expected) }],
+    };
+  }
+
+  const segments = diffAnswer(expected, typed);
+  const count = (type) =>
+    segments
+      .filter((segment) => segment.type === type)
+      .reduce((total, segment) => total + [...segment.text].length, 0);
+
+  const typos =
+    count(DIFF_TYPES.WRONG) +
+    count(DIFF_TYPES.MISSING) +
+    count(DIFF_TYPES.EXTRA);
+  const accents = count(DIFF_TYPES.ACCENT);
+
+  let verdict;
+  let grade;
+  if (typos === 0 && accents === 0) {
+    verdict = ANSWER_VERDICTS.EXACT;
+    grade =
+      options.responseTimeMs !== undefined &&
+      options.responseTimeMs < FAST_ANSWER_MS
+        ? GRADES.EASY
+        : GRADES.GOOD;
+  } else if (typos === 0) {
+    verdict = ANSWER_VERDICTS.ACCENTS;
+    grade = GRADES.GOOD;
+  } else if (typos <= allowedTypos([...tidy(expected)].length)) {
+    verdict = ANSWER_VERDICTS.TYPO;
+    grade = GRADES.HARD;
+  } else {
+    verdict = ANSWER_VERDICTS.WRONG;
+    grade = GRADES.AGAIN;
+  }
+
+  return { verdict, grade, typos, segments };
+};
@@ -0,0 +1,320 @@
+/**
+ * Backup Service
+ *
+ * Creates and restores full backups of the WordJotter database: saved words
+ * with their senses and tags, quick notes, review history, reminder settings
+ * and app settings.
+ *
+ * A backup is a versioned JSON archive holding the rows of every backed-up
+ * table, the row count of each table and a SHA-256 checksum of the data, so
+ * damaged or hand-edited files are refused before anything is restored.
+ *
+ * Besides backups the user shares or restores by hand, the app keeps a few
+ * rolling local backups in its document directory, written automatically
+ * once a day and before every restore.
+ *
+ * @module services/backupService
+ */
+
+import * as Crypto from "expo-crypto";
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+
+import {
+  BACKUP_TABLES,
+  getBackupTables,
+  restoreBackupTables,
+  getSchemaVersion,
+} from "./databaseService";
+import { LATEST_SCHEMA_VERSION } from "./migrations";
+
+/**
+ * Identifier written into backup archives
+ */
+export const BACKUP_FORMAT = "wordjotter-backup";
+
+/**
+ * Version of the backup archive layout
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * How restored rows are combined with the data already on the device.
+ * See restoreBackupTables for what each policy does.
+ */
+export const RESTORE_POLICIES = {
+  REPLACE: "replace",
+  KEEP_EXISTING: "keep",
+  USE_BACKUP: "overwrite",
+};
+
+/**
+ * Directory holding the rolling local backups
+ */
+const BACKUP_DIRECTORY = `${FileSystem.documentDirectory}backups/`;
+
+/**
+ * File name prefix of local backups
+ */
+const BACKUP_FILE_PREFIX = "wordjotter-backup-";
+
+/**
+ * Number of local backups kept before the oldest are deleted
+ */
+const MAX_LOCAL_BACKUPS = 7;
+
+/**
+ * Minimum time between automatic backups
+ */
+const AUTO_BACKUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * app_settings keys that describe this device rather than the user's data.
+ * The offline Finnish dictionary isn't backed up, so its metadata isn't either.
+ */
+const DEVICE_SETTING_KEYS = ["finnish_dataset"];
+
+/**
+ * Computes the checksum stored in a backup archive.
+ *
+ * @param {Object} data - Backed-up rows keyed by table name
+ * @returns {Promise<string>} Hex SHA-256 digest of the serialized data
+ */
+const checksumOf = (data) =>
+  Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    JSON.stringify(data)
+  );
+
+/**
+ * Builds a backup archive of the current database contents.
+ *
+ * @returns {Promise<Object>} Backup archive
+ * @throws {Error} - If the database cannot be read
+ */
+export const createBackup = async () => {
+  const data = await getBackupTables();
+  if (!data) {
+    throw new Error("Couldn't read the database.");
+  }
+
+  data.app_settings = data.app_settings.filter(
+    (row) => !DEVICE_SETTING_KEYS.includes(row.key)
+  );
+
+  const counts = {};
+  BACKUP_TABLES.forEach((table) => {
+    counts[table] = data[table].length;
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: await getSchemaVersion(),
+    createdAt: new Date().toISOString(),
+    counts,
+    checksum: await checksumOf(data),
+    data,
+  };
+};
+
+/**
+ * Checks that a backup archive can be restored by this version of the app
+ * and that its contents are intact.
+ *
+ * @param {Object} backup - Parsed backup archive
+ * @throws {Error} - Describing why the backup can't be restored
+ */
+export const validateBackup = async (backup) => {
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.data) {
+    throw new Error("This isn't a WordJotter backup.");
+  }
+
+  if (
+    backup.version > BACKUP_VERSION ||
+    backup.schemaVersion > LATEST_SCHEMA_VERSION
+  ) {
+    throw new Error(
+      "This backup was made by a newer version of WordJotter—update the app first."
+    );
+  }
+
+  const damaged = BACKUP_TABLES.some((table) => {
+    // Backups made before a table existed simply don't have it
+    if (
+      backup.data[table] === undefined &&
+      !(backup.counts && table in backup.counts)
+    ) {
+      return false;
+    }
+    return (
+      !Array.isArray(backup.data[table]) ||
+      (backup.counts && backup.counts[table] !== backup.data[table].length)
+    );
+  });
+  if (damaged || (await checksumOf(backup.data)) !== backup.checksum) {
+    throw new Error("This backup is damaged and can't be restored.");
+  }
+};
+
+/**
+ * Reads and validates a backup archive file.
+ *
+ * @param {string} uri - File URI of the backup
+ * @returns {Promise<Object>} Validated backup archive
+ * @throws {Error} - If the file can't be read or isn't a valid backup
+ */
+export const readBackupFile = async (uri) => {
+  let backup;
+  try {
+    backup = JSON.parse(await FileSystem.readAsStringAsync(uri));
+  } catch (error) {
+    throw new Error("This isn't a WordJotter backup.");
+  }
+
+  await validateBackup(backup);
+  return backup;
+};
+
+/**
+ * Lists the local backups, newest first.
+ *
+ * @returns {Promise<Array<{name: string, uri: string, createdAt: Date}>>} Local backups
+ */
+export const listLocalBackups = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(BACKUP_DIRECTORY);
+    if (!info.exists) {
+      return [];
+    }
+
+    const names = await FileSystem.readDirectoryAsync(BACKUP_DIRECTORY);
+    return names
+      .filter((name) => name.startsWith(BACKUP_FILE_PREFIX))
+      .sort()
+      .reverse()
+      .map((name) => {
+        // File names hold the creation time with ":" and "." replaced by "-"
+        const stamp = name
+          .slice(BACKUP_FILE_PREFIX.length, -".json".length)
+          .replace(/T(\d+)-(\d+)-(\d+)-(\d+)Z$/, "T$1:$2:$3.$4Z");
+        return {
+          name,
+          uri: `${BACKUP_DIRECTORY}${name}`,
+          createdAt: new Date(stamp),
+        };
+      });
+  } catch (error) {
+    console.error("Error in listing local backups: ", error);
+    return [];
+  }
+};
+
+/**
+ * Writes a backup to the local backup directory and deletes the oldest
+ * local backups beyond the rolling limit.
+ *
+ * @param {Object} backup - Backup archive from createBackup
+ * @returns {Promise<string>} URI of the written file
+ */
+const writeLocalBackup = async (backup) => {
+  await FileSystem.makeDirectoryAsync(BACKUP_DIRECTORY, {
+    intermediates: true,
+  });
+
+  const stamp = backup.createdAt.replace(/[:.]/g, "-");
+  const uri = `${BACKUP_DIRECTORY}${BACKUP_FILE_PREFIX}${stamp}.json`;
+  await FileSystem.writeAsStringAsync(uri, JSON.stringify(backup), {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+
+  const backups = await listLocalBackups();
+  for (const old of backups.slice(MAX_LOCAL_BACKUPS)) {
+    await FileSystem.deleteAsync(old.uri, { idempotent: true });
+  }
+
+  return uri;
+};
+
+/**
+ * Whether a backup holds any of the user's own data. Empty backups are never
+ * written locally, so a wiped database can't push real backups out of the
+ * rolling set.
+ *
+ * @param {Object} backup - Backup archive
+ * @returns {boolean} True if the backup has words, notes or review history
+ */
+const hasUserData = (backup) =>
+  ["saved_words", "quick_notes", "review_log"].some(
+    (table) => backup.counts[table] > 0
+  );
+
+/**
+ * Writes a local backup if the last one is older than a day.
+ * Meant to be called on app start; failures are logged, never thrown.
+ *
+ * @returns {Promise<string|null>} URI of the new backup, or null if none was written
+ */
+export const runAutomaticBackup = async () => {
+  try {
+    const [latest] = await listLocalBackups();
+    if (
+      latest &&
+      Date.now() - latest.createdAt.getTime() < AUTO_BACKUP_INTERVAL_MS
+    ) {
+      return null;
+    }
+
+    const backup = await createBackup();
+    return hasUserData(backup) ? await writeLocalBackup(backup) : null;
+  } catch (error) {
+    console.error("Error in automatic backup: ", error);
+    return null;
+  }
+};
+
+/**
+ * Creates a backup now, keeps it locally and opens the share sheet so it
+ * can be saved off the device.
+ *
+ * @returns {Promise<string>} URI of the backup file
+ * @throws {Error} - If the backup can't be written or shared
+ */
+export const shareBackup = async () => {
+  const uri = await writeLocalBackup(await createBackup());
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing isn't available on this device.");
+  }
+
+  await Sharing.shareAsync(uri, {
+    mimeType: "application/json",
+    dialogTitle: "Save your WordJotter backup",
+  });
+
+  return uri;
+};
+
+/**
+ * Restores a backup archive. The current data is backed up locally first,
+ * so even a "replace" restore can be undone.
+ *
+ * @param {Object} backup - Backup archive
+ * @param {string} policy - One of RESTORE_POLICIES
+ * @returns {Promise<Object>} Counts of restored words, notes and reviews
+ * @throws {Error} - If the backup is invalid or the restore fails
+ */
+export const restoreBackup = async (backup, policy) => {
+  await validateBackup(backup);
+
+  const current = await createBackup();
+  if (hasUserData(current)) {
+    await writeLocalBackup(current);
+  }
+
+  const summary = await restoreBackupTables(backup.data, policy);
+  if (!summary) {
+    throw new Error("Restore failed—your data hasn't been changed.");
+  }
+  return summary;
+};
@@ -0,0 +1,263 @@
+/**
+ * Cloze Service
+ *
+ * Makes cloze (fill-in-the-blank) cards from the sentences a saved word
+ * already has: its example sentences, its notes, and cloze sentences the
+ * user writes for it. The word is blanked wherever it appears in the
+ * sentence, including inflected forms ("talossa" for "talo", "running" for
+ * "run"), and the form found in the sentence becomes the answer.
+ *
+ * User-written sentences may mark the blank themselves with square brackets
+ * ("Asun [talossa] meren rannalla."), which is handy for irregular forms the
+ * matching can't recognize.
+ *
+ * @module services/clozeService
+ */
+
+import { getLemmaCandidates } from "./finnishMorphology";
+
+/**
+ * Placeholder shown where the missing word goes
+ */
+export const BLANK = "_____";
+
+/**
+ * Where a cloze sentence comes from
+ */
+export const CLOZE_SOURCES = {
+  USER: "user",
+  EXAMPLE: "example",
+  NOTES: "notes",
+};
+
+/**
+ * A blank marked by hand in a user-written sentence
+ */
+const MARKED_BLANK = /\[([^\]]+)\]/;
+
+/**
+ * Words in a sentence: runs of letters, with inner apostrophes and hyphens
+ */
+const WORD_PATTERN = /[\p{L}\p{M}]+(?:['’-][\p{L}\p{M}]+)*/gu;
+
+/**
+ * Escapes text for use inside a regular expression.
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Regular English inflections of a word: plurals and third person,
+ * past tense, -ing forms and, for adjectives, comparatives, with the usual
+ * spelling changes. Endings are only added where the spelling calls for
+ * them, and -er/-est only to adjectives, so a word doesn't blank out a
+ * longer one that merely starts with it ("car" → "card", "let" → "letter",
+ * "corn" → "corner", "sing" → "singer").
+ *
+ * @param {string} word - Lowercase base form
+ * @param {boolean} adjective - Whether the word is used as an adjective
+ * @returns {Set<string>} Inflected forms, the word itself included
+ */
+const englishForms = (word, adjective) => {
+  const forms = [word, `${word}s`, `${word}ed`, `${word}ing`];
+  const comparatives = [];
+
+  if (/(s|x|z|ch|sh|o)$/.test(word)) {
+    forms.push(`${word}es`); // watch → watches
+  }
+  if (word.length > 2 && /[^aeiou]e$/.test(word)) {
+    forms.push(`${word}d`); // bake → baked
+    comparatives.push(`${word}r`, `${word}st`); // late → later
+  } else {
+    comparatives.push(`${word}er`, `${word}est`); // cold → colder
+  }
+  if (word.endsWith("e")) {
+    forms.push(`${word.slice(0, -1)}ing`); // make → making
+  }
+  if (/[^aeiou]y$/.test(word)) {
+    const stem = word.slice(0, -1);
+    forms.push(`${stem}ies`, `${stem}ied`); // carry → carried
+    comparatives.push(`${stem}ier`, `${stem}iest`); // happy → happier
+  }
+  if (/[^aeiou][aeiou][bdgklmnprt]$/.test(word)) {
+    const doubled = word + word.slice(-1);
+    forms.push(`${doubled}ed`, `${doubled}ing`); // run → running
+    comparatives.push(`${doubled}er`, `${doubled}est`); // big → bigger
+  }
+
+  return new Set(adjective ? [...forms, ...comparatives] : forms);
+};
+
+/**
+ * Whether any sense of a word is an adjective.
+ *
+ * @param {Object} word - Saved word with its `senses`
+ * @returns {boolean} True if the word has an adjective sense
+ */
+const isAdjective = (word) =>
+  (word.senses || []).some((sense) =>
+    /^adj/i.test((sense.part_of_speech || "").trim())
+  );
+
+/**
+ * Checks whether a word in a sentence is a form of the saved word: the word
+ * itself, the form it was first encountered in, or an inflected form (for
+ * Finnish, one whose candidate base forms include the word).
+ *
+ * @param {string} token - Word found in the sentence
+ * @param {Object} word - Saved word, with its `senses` for English
+ * @returns {boolean} True if the token is a form of the word
+ */
+const isFormOf = (token, word) => {
+  const form = token.toLowerCase();
+  const headword = word.word.trim().toLowerCase();
+
+  if (form === headword) {
+    return true;
+  }
+  if (word.encountered_form && form === word.encountered_form.toLowerCase()) {
+    return true;
+  }
+  if (word.language === "fi") {
+    return form.length >= 3 && getLemmaCandidates(form).includes(headword);
+  }
+  return englishForms(headword, isAdjective(word)).has(form);
+};
+
+/**
+ * Finds where a word goes blank in a sentence: the bracketed part of a
+ * marked sentence, the word or phrase as written, or an inflected form of it.
+ *
+ * @param {string} sentence - Sentence that may use the word
+ * @param {Object} word - Saved word with its `word`, `language`,
+ *   `encountered_form` and `senses` (an adjective sense allows -er/-est)
+ * @returns {{before: string, answer: string, after: string}|null} The
+ *   sentence split around the answer, or null if the word isn't in it
+ */
+export const findBlank = (sentence, word) => {
+  const text = (sentence || "").trim();
+  const headword = (word.word || "").trim();
+  if (!text || !headword) {
+    return null;
+  }
+
+  const marked = text.match(MARKED_BLANK);
+  if (marked) {
+    return {
+      before: text.slice(0, marked.index),
+      answer: marked[1].trim(),
+      after: text.slice(marked.index + marked[0].length),
+    };
+  }
+
+  // The word or phrase exactly as saved, not as part of a longer word
+  const exact = new RegExp(
+    `(^|[^\\p{L}\\p{M}])(${escapeRegExp(headword)})(?=$|[^\\p{L}\\p{M}])`,
+    "iu"
+  ).exec(text);
+  if (exact) {
+    const start = exact.index + exact[1].length;
+    return {
+      before: text.slice(0, start),
+      answer: exact[2],
+      after: text.slice(start + exact[2].length),
+    };
+  }
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (isFormOf(match[0], word)) {
+      return {
+        before: text.slice(0, match.index),
+        answer: match[0],
+        after: text.slice(match.index + match[0].length),
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Splits notes into sentences, so a single sentence can be blanked.
+ *
+ * @param {string} text - Notes text
+ * @returns {Array<string>} Sentences
+ */
+const splitSentences = (text) =>
+  (text || "")
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+
+/**
+ * Lists every cloze that can be made for a word, from the user's own
+ * sentences first, then example sentences, then notes. Sentences the word
+ * can't be found in are left out.
+ *
+ * @param {Object} word - Saved word with `senses` and `clozeSentences`
+ * @returns {Array<Object>} Clozes, each with `source` (one of
+ *   CLOZE_SOURCES), `sentence`, `before`, `answer` and `after`, and the
+ *   `id` of user-written sentences
+ */
+export const getClozes = (word) => {
+  const examples = [
+    ...(word.senses || []).map((sense) => sense.example),
+    word.example,
+  ];
+
+  const sentences = [
+    ...(word.clozeSentences || []).map((row) => ({
+      source: CLOZE_SOURCES.USER,
+      id: row.id,
+      sentence: row.sentence,
+    })),
+    ...[...new Set(examples.map((example) => (example || "").trim()))]
+      .filter(Boolean)
+      .map((sentence) => ({ source: CLOZE_SOURCES.EXAMPLE, sentence })),
+    ...splitSentences(word.notes).map((sentence) => ({
+      source: CLOZE_SOURCES.NOTES,
+      sentence,
+    })),
+  ];
+
+  return sentences
+    .map((entry) => {
+      const blank = findBlank(entry.sentence, word);
+      return blank ? { ...entry, ...blank } : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Picks the cloze to ask for a word this time, at random so the word is
+ * seen in different sentences over time.
+ *
+ * @param {Object} word - Saved word with `senses` and `clozeSentences`
+ * @returns {Object|null} Cloze from getClozes, or null if none can be made
+ */
+export const pickCloze = (word) => {
+  const clozes = getClozes(word);
+  return clozes.length > 0
+    ? clozes[Math.floor(Math.random() * clozes.length)]
+    : null;
+};
+
+/**
+ * The sentence of a cloze with its answer replaced by a blank.
+ *
+ * @param {Object} cloze - Cloze from getClozes
+ * @returns {string} Sentence with BLANK where the answer goes
+ */
+export const blankedSentence = (cloze) =>
+  `${cloze.before}${BLANK}${cloze.after}`;
+
+/**
+ * The sentence of a cloze with its answer in place, without the brackets
+ * of a hand-marked blank.
+ *
+ * @param {Object} cloze - Cloze from getClozes
+ * @returns {string} Complete sentence
+ */
+export const filledSentence = (cloze) =>
+  `${cloze.before}${cloze.answer}${cloze.after}`;
@@ -9,38 +9,340 @@
 
 import * as SQLite from "expo-sqlite";
 
+import { MIGRATIONS, LATEST_SCHEMA_VERSION } from "./migrations";
+
 // Open or create the database
 const db = SQLite.openDatabaseSync("wordjotter.db");
 
+// Private-use characters wrapped around matched terms in search snippets.
+// They never occur in typed text, so the UI can split on them safely.
+export const HIGHLIGHT_START = "\uE000";
+export const HIGHLIGHT_END = "\uE001";
+
 /**
- * Initializes the database by creating required tables if they don't exist.
- * Creates the saved_words table and quick_notes table.
- */
-export const initDatabase = () => {
-  db.execAsync(`
-        CREATE TABLE IF NOT EXISTS saved_words (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            word TEXT NOT NULL,
-            language TEXT NOT NULL,
-            definition TEXT,
-            phonetic TEXT,
-            example TEXT,
-            notes TEXT,
-            category TEXT,
-            learning_level INTEGER DEFAULT 0,
-            next_review_date TEXT,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
+ * Turns free text typed by the user into a safe FTS5 prefix query.
+ * Every term is quoted (so punctuation cannot break the MATCH syntax) and
+ * matched as a prefix, and all terms must be present.
+ *
+ * @param {string} text - Raw search text
+ * @returns {string|null} FTS5 query, or null if the text has no searchable terms
+ */
+const buildFtsQuery = (text) => {
+  const terms = (text || "")
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term.length > 0);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms.map((term) => `"${term}"*`).join(" ");
+};
+
+/**
+ * Reads the synonyms of a sense, stored as a JSON array (or, for hand-made
+ * data, a comma-separated list).
+ *
+ * @param {string|Array} value - Stored synonyms
+ * @returns {Array<string>} Synonyms
+ */
+const parseSynonyms = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return String(value)
+      .split(",")
+      .map((synonym) => synonym.trim())
+      .filter(Boolean);
+  }
+};
+
+/**
+ * Splits a definition into senses, one per line, the way meanings were kept
+ * before senses existed. The example goes with the first sense.
+ *
+ * @param {string} definition - Definition text, one meaning per line
+ * @param {string} example - Example sentence (optional)
+ * @returns {Array<Object>} Senses with definition and example
+ */
+export const sensesFromDefinition = (definition, example = "") =>
+  (definition || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, index) => ({
+      definition: line,
+      example: index === 0 ? example || "" : "",
+    }));
+
+/**
+ * Converts a sense, given either as camelCase input or as a word_senses row,
+ * into the word_senses columns it writes.
+ *
+ * @param {Object} sense - Sense with definition and optional partOfSpeech,
+ *   example, synonyms and reviewable
+ * @returns {Object} word_senses column values
+ */
+const senseColumns = (sense) => ({
+  part_of_speech: sense.partOfSpeech ?? sense.part_of_speech ?? "",
+  definition: (sense.definition || "").trim(),
+  example: sense.example || "",
+  synonyms: JSON.stringify(parseSynonyms(sense.synonyms)),
+  reviewable: sense.reviewable ? 1 : 0,
+});
+
+/**
+ * Renumbers a word's senses and rewrites its definition summary from them,
+ * one meaning per line.
+ *
+ * @param {object} conn - Database or transaction handle
+ * @param {number} wordId - ID of the word
+ */
+const refreshDefinitionSummary = async (conn, wordId) => {
+  const senses = await conn.getAllAsync(
+    "SELECT id, position, definition FROM word_senses WHERE word_id = ? ORDER BY position, id",
+    [wordId]
+  );
+
+  for (const [position, sense] of senses.entries()) {
+    if (sense.position !== position) {
+      await conn.runAsync("UPDATE word_senses SET position = ? WHERE id = ?", [
+        position,
+        sense.id,
+      ]);
+    }
+  }
+
+  await conn.runAsync("UPDATE saved_words SET definition = ? WHERE id = ?", [
+    senses.map((sense) => sense.definition).join("\n"),
+    wordId,
+  ]);
+};
+
+/**
+ * Appends senses to a word, skipping definitions it already has, and
+ * refreshes the word's definition summary.
+ *
+ * @param {object} conn - Database or transaction handle
+ * @param {number} wordId - ID of the word
+ * @param {Array<Object>} senses - Senses to add
+ * @returns {Promise<number>} Number of senses added
+ */
+const insertSenses = async (conn, wordId, senses) => {
+  const existing = await conn.getAllAsync(
+    "SELECT position, definition FROM word_senses WHERE word_id = ?",
+    [wordId]
+  );
+  const known = new Set(
+    existing.map((sense) => sense.definition.toLowerCase())
+  );
+  let position = existing.reduce(
+    (next, sense) => Math.max(next, sense.position + 1),
+    0
+  );
+  let added = 0;
+
+  for (const sense of senses) {
+    const columns = senseColumns(sense);
+    if (!columns.definition || known.has(columns.definition.toLowerCase())) {
+      continue;
+    }
+
+    await conn.runAsync(
+      "INSERT INTO word_senses (word_id, position, part_of_speech, definition, example, synonyms, reviewable) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [
+        wordId,
+        position++,
+        columns.part_of_speech,
+        columns.definition,
+        columns.example,
+        columns.synonyms,
+        columns.reviewable,
+      ]
+    );
+    known.add(columns.definition.toLowerCase());
+    added++;
+  }
+
+  await refreshDefinitionSummary(conn, wordId);
+  return added;
+};
+
+/**
+ * Adds a sense for every line of a word's definition that no sense has yet.
+ * Keeps senses in step with definitions written directly, such as by
+ * imports or restores of backups made before senses existed.
+ *
+ * @param {object} conn - Database or transaction handle
+ * @param {number} wordId - ID of the word
+ */
+const syncSensesFromDefinition = async (conn, wordId) => {
+  const word = await conn.getFirstAsync(
+    "SELECT definition, example FROM saved_words WHERE id = ?",
+    [wordId]
+  );
+  if (!word) {
+    return;
+  }
+
+  await insertSenses(
+    conn,
+    wordId,
+    sensesFromDefinition(word.definition, word.example)
+  );
+};
+
+/**
+ * Adds tags to a word, creating tags that don't exist yet.
+ * Tag names are matched ignoring case, so "Work" and "work" are one tag.
+ *
+ * @param {object} conn - Database or transaction handle
+ * @param {number} wordId - ID of the word
+ * @param {Array<string>} names - Tag names
+ */
+const linkTags = async (conn, wordId, names) => {
+  for (const name of names) {
+    const trimmed = (name || "").trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    await conn.runAsync("INSERT OR IGNORE INTO tags (name) VALUES (?)", [
+      trimmed,
+    ]);
+    await conn.runAsync(
+      "INSERT OR IGNORE INTO word_tags (word_id, tag_id) SELECT ?, id FROM tags WHERE name = ?",
+      [wordId, trimmed]
+    );
+  }
+};
+
+/**
+ * Attaches each word's senses, in order, as a `senses` array, its tag
+ * names, alphabetically, as a `tags` array, the schedules of its reverse
+ * (meaning to word) and cloze cards as `reverse` and `cloze` (null until
+ * that card is reviewed), and the cloze sentences the user wrote for it as
+ * `clozeSentences`.
+ *
+ * @param {Array<Object>} words - saved_words rows
+ * @returns {Promise<Array<Object>>} The same words with `senses`, `tags`,
+ *   `reverse`, `cloze` and `clozeSentences`
+ */
+const attachDetails = async (words) => {
+  if (words.length === 0) {
+    return words;
+  }
 
-        CREATE TABLE IF NOT EXISTS quick_notes (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          word TEXT NOT NULL,
-          language TEXT NOT NULL,
-          notes TEXT,
-          processed INTEGER DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  const rows =
+    words.length === 1
+      ? await db.getAllAsync(
+          "SELECT * FROM word_senses WHERE word_id = ? ORDER BY position, id",
+          [words[0].id]
+        )
+      : await db.getAllAsync(
+          "SELECT * FROM word_senses ORDER BY word_id, position, id"
         );
-    `);
+
+  const tagRows = await db.getAllAsync(
+    `SELECT word_tags.word_id, tags.name
+    FROM word_tags JOIN tags ON tags.id = word_tags.tag_id
+    ORDER BY tags.name COLLATE NOCASE`
+  );
+  // Rows of a per-word table, for just the one word when there is one
+  const rowsFor = (table, order = "") =>
+    words.length === 1
+      ? db.getAllAsync(`SELECT * FROM ${table} WHERE word_id = ? ${order}`, [
+          words[0].id,
+        ])
+      : db.getAllAsync(`SELECT * FROM ${table} ${order}`);
+  const reverseRows = await rowsFor("reverse_cards");
+  const clozeRows = await rowsFor("cloze_cards");
+  const sentenceRows = await rowsFor("cloze_sentences", "ORDER BY id");
+
+  const byWord = new Map();
+  rows.forEach((row) => {
+    const sense = { ...row, synonyms: parseSynonyms(row.synonyms) };
+    byWord.set(row.word_id, [...(byWord.get(row.word_id) || []), sense]);
+  });
+  const tagsByWord = new Map();
+  tagRows.forEach((row) => {
+    tagsByWord.set(row.word_id, [
+      ...(tagsByWord.get(row.word_id) || []),
+      row.name,
+    ]);
+  });
+
+  const reverseByWord = new Map(reverseRows.map((row) => [row.word_id, row]));
+  const clozeByWord = new Map(clozeRows.map((row) => [row.word_id, row]));
+  const sentencesByWord = new Map();
+  sentenceRows.forEach((row) => {
+    sentencesByWord.set(row.word_id, [
+      ...(sentencesByWord.get(row.word_id) || []),
+      { id: row.id, sentence: row.sentence },
+    ]);
+  });
+
+  return words.map((word) => ({
+    ...word,
+    senses: byWord.get(word.id) || [],
+    tags: tagsByWord.get(word.id) || [],
+    reverse: reverseByWord.get(word.id) || null,
+    cloze: clozeByWord.get(word.id) || null,
+    clozeSentences: sentencesByWord.get(word.id) || [],
+  }));
+};
+
+/**
+ * Reads the schema version currently recorded in the database file.
+ *
+ * @returns {Promise<number>} Current value of PRAGMA user_version (0 for a fresh database)
+ */
+export const getSchemaVersion = async () => {
+  const row = await db.getFirstAsync("PRAGMA user_version");
+  return row ? row.user_version : 0;
+};
+
+/**
+ * Initializes the database by applying any pending schema migrations.
+ * Each migration runs in its own exclusive transaction together with the
+ * version bump, so a failed step rolls back cleanly and is retried on the
+ * next launch instead of leaving the schema half-upgraded.
+ *
+ * @returns {Promise<boolean>} True if the schema is up to date, false if a migration failed
+ */
+export const initDatabase = async () => {
+  try {
+    const currentVersion = await getSchemaVersion();
+
+    if (currentVersion > LATEST_SCHEMA_VERSION) {
+      console.warn(
+        `Database schema v${currentVersion} is newer than this app (v${LATEST_SCHEMA_VERSION})`
+      );
+      return true;
+    }
+
+    const pending = MIGRATIONS.filter(
+      (migration) => migration.version > currentVersion
+    ).sort((a, b) => a.version - b.version);
+
+    for (const migration of pending) {
+      await db.withExclusiveTransactionAsync(async (txn) => {
+        await migration.up(txn);
+        // PRAGMA does not accept bound parameters; version is an integer constant
+        await txn.execAsync(`PRAGMA user_version = ${migration.version}`);
+      });
+    }
+
+    return true;
+  } catch (error) {
+    console.error("Error in migrating the database: ", error);
+    return false;
+  }
 };
 
 /**
@@ -54,6 +356,10 @@ export const initDatabase = () => {
  * @param {string} wordData.example - Example sentence showing word usage (optional)
  * @param {string} wordData.notes - User's personal notes about the word (optional)
  * @param {string} wordData.category - Category for organizing words (defaults to 'default')
+ * @param {string} wordData.encounteredForm - Inflected form the word was met in, when saved under its lemma (optional)
+ * @param {Array<Object>} wordData.senses - Meanings to save, each with definition and optional
+ *   partOfSpeech, example, synonyms and reviewable; defaults to one sense per line of definition
+ * @param {Array<string>} wordData.tags - Names of the tags to file the word under (optional)
  * @returns {Promise<boolean>} True if save operation succeeds, false otherwise
  */
 export const saveWord = async (wordData) => {
@@ -65,13 +371,32 @@ export const saveWord = async (wordData) => {
     example,
     notes = "",
     category = "default",
+    encounteredForm = "",
+    senses = [],
+    tags = [],
   } = wordData;
 
+  const wordSenses =
+    senses.length > 0 ? senses : sensesFromDefinition(definition, example);
+
   try {
-    await db.runAsync(
-      "INSERT INTO saved_words (word, language, definition, phonetic, example, notes, category) VALUES (?, ?, ?, ?, ?, ?, ?)",
-      [word, language, definition, phonetic, example, notes, category]
-    );
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      const result = await txn.runAsync(
+        "INSERT INTO saved_words (word, language, definition, phonetic, example, notes, category, encountered_form) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        [
+          word,
+          language,
+          definition || "",
+          phonetic,
+          example ?? (wordSenses[0]?.example || ""),
+          notes,
+          category,
+          encounteredForm,
+        ]
+      );
+      await insertSenses(txn, result.lastInsertRowId, wordSenses);
+      await linkTags(txn, result.lastInsertRowId, tags);
+    });
     return true;
   } catch (error) {
     console.error("Error saving word: ", error);
@@ -83,14 +408,14 @@ export const saveWord = async (wordData) => {
  *
  * Retrieves all saved words from the database ordered by creation date (newest first).
  *
- * @returns {Promise<Array>} Array of word objects
+ * @returns {Promise<Array>} Array of word objects, each with its `senses` and `tags`
  */
 export const getSavedWords = async () => {
   try {
     const result = await db.getAllAsync(
       "SELECT * FROM saved_words ORDER BY created_at DESC"
     );
-    return result;
+    return await attachDetails(result);
   } catch (error) {
     console.error("Whoops, those saved words ran off the page! Look: ", error);
     return [];
@@ -98,14 +423,182 @@ export const getSavedWords = async () => {
 };
 
 /**
- * Deletes a word from the database by its ID.
+ * Retrieves a single saved word by its ID.
+ *
+ * @param {number} id - ID of the word to retrieve
+ * @returns {Promise<Object|null>} Word object with its `senses` and `tags`, or null if not found or on error
+ */
+export const getWordById = async (id) => {
+  try {
+    const result = await db.getFirstAsync(
+      "SELECT * FROM saved_words WHERE id = ?",
+      [id]
+    );
+    return result ? (await attachDetails([result]))[0] : null;
+  } catch (error) {
+    console.error("Error in getting word by id: ", error);
+    return null;
+  }
+};
+
+/**
+ * Updates the editable details of a saved word.
+ * Learning progress (level, schedule and review history) is left untouched,
+ * so fixing a typo never resets how well the word is known.
+ *
+ * @param {number} id - ID of the word to update
+ * @param {object} wordData - Object containing the new word details
+ * @param {string} wordData.word - The word text
+ * @param {string} wordData.phonetic - Phonetic pronunciation guide (optional)
+ * @param {string} wordData.example - Example sentence showing word usage (optional)
+ * @param {string} wordData.notes - User's personal notes about the word (optional)
+ * @param {string} wordData.category - Legacy category (optional; left as is when omitted)
+ * @param {Array<string>} wordData.tags - Names of the word's tags (optional; replaces its tags when given)
+ * @param {string|null} wordData.cardDirection - Card direction practiced for this word, or null
+ *   to follow the deck (optional; left as is when omitted)
+ * @param {Array<Object>} wordData.senses - The word's meanings in order (optional). Senses with
+ *   an `id` are updated and keep their review progress, senses without one are added where
+ *   they appear in the list, and senses left out are removed. The definition summary is
+ *   rebuilt from them.
+ * @returns {Promise<boolean>} True if update succeeds, false otherwise
+ */
+export const updateWord = async (id, wordData) => {
+  const {
+    word,
+    phonetic = "",
+    example = "",
+    notes = "",
+    category = null,
+    tags,
+    senses,
+    cardDirection,
+  } = wordData;
+
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync(
+        "UPDATE saved_words SET word = ?, phonetic = ?, example = ?, notes = ?, category = COALESCE(?, category) WHERE id = ?",
+        [word, phonetic, example, notes, category, id]
+      );
+
+      if (cardDirection !== undefined) {
+        await txn.runAsync(
+          "UPDATE saved_words SET card_direction = ? WHERE id = ?",
+          [cardDirection, id]
+        );
+      }
+
+      if (tags) {
+        await txn.runAsync("DELETE FROM word_tags WHERE word_id = ?", [id]);
+        await linkTags(txn, id, tags);
+      }
+
+      if (senses) {
+        const kept = senses.filter((sense) => (sense.definition || "").trim());
+        const keptIds = kept
+          .filter((sense) => sense.id)
+          .map((sense) => sense.id);
+        await txn.runAsync(
+          `DELETE FROM word_senses WHERE word_id = ? AND id NOT IN (${keptIds
+            .map(() => "?")
+            .join(", ")})`,
+          [id, ...keptIds]
+        );
+
+        for (const [position, sense] of kept.entries()) {
+          const columns = senseColumns(sense);
+          if (sense.id) {
+            await txn.runAsync(
+              "UPDATE word_senses SET position = ?, part_of_speech = ?, definition = ?, example = ?, synonyms = ?, reviewable = ? WHERE id = ? AND word_id = ?",
+              [
+                position,
+                columns.part_of_speech,
+                columns.definition,
+                columns.example,
+                columns.synonyms,
+                columns.reviewable,
+                sense.id,
+                id,
+              ]
+            );
+          } else {
+            await txn.runAsync(
+              "INSERT INTO word_senses (word_id, position, part_of_speech, definition, example, synonyms, reviewable) VALUES (?, ?, ?, ?, ?, ?, ?)",
+              [
+                id,
+                position,
+                columns.part_of_speech,
+                columns.definition,
+                columns.example,
+                columns.synonyms,
+                columns.reviewable,
+              ]
+            );
+          }
+        }
+        await refreshDefinitionSummary(txn, id);
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error("Error updating word: ", error);
+    return false;
+  }
+};
+
+/**
+ * Searches saved words by word, definition, example and notes.
+ * Matching ignores case and diacritics ("aiti" finds "äiti") and treats each
+ * term as a prefix. Results are ranked with matches in the headword first.
+ *
+ * @param {string} query - Search text typed by the user
+ * @returns {Promise<Array>} Word objects, best match first, each with a
+ *   `snippet` whose matches are wrapped in HIGHLIGHT_START/HIGHLIGHT_END
+ */
+export const searchWords = async (query) => {
+  const ftsQuery = buildFtsQuery(query);
+
+  if (!ftsQuery) {
+    return getSavedWords();
+  }
+
+  try {
+    const result = await db.getAllAsync(
+      `SELECT saved_words.*,
+        snippet(saved_words_fts, -1, ?, ?, '…', 10) AS snippet
+      FROM saved_words_fts
+      JOIN saved_words ON saved_words.id = saved_words_fts.rowid
+      WHERE saved_words_fts MATCH ?
+      ORDER BY bm25(saved_words_fts, 10.0, 4.0, 2.0, 1.0)`,
+      [HIGHLIGHT_START, HIGHLIGHT_END, ftsQuery]
+    );
+    return await attachDetails(result);
+  } catch (error) {
+    console.error("Error in searching words: ", error);
+    return [];
+  }
+};
+
+/**
+ * Deletes a word from the database by its ID, together with its senses,
+ * tags, deck memberships, cards and review history. Runs in a single
+ * transaction, so a failed deletion leaves the word untouched.
  *
  * @param {number} id - ID of the word to be deleted
  * @returns {Promise<boolean>} True if deletion succeeds, false otherwise
  */
 export const deleteWord = async (id) => {
   try {
-    await db.runAsync("DELETE FROM saved_words WHERE id = ?", [id]);
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync("DELETE FROM word_senses WHERE word_id = ?", [id]);
+      await txn.runAsync("DELETE FROM word_tags WHERE word_id = ?", [id]);
+      await txn.runAsync("DELETE FROM deck_words WHERE word_id = ?", [id]);
+      await txn.runAsync("DELETE FROM reverse_cards WHERE word_id = ?", [id]);
+      await txn.runAsync("DELETE FROM cloze_cards WHERE word_id = ?", [id]);
+      await txn.runAsync("DELETE FROM cloze_sentences WHERE word_id = ?", [id]);
+      await txn.runAsync("DELETE FROM review_log WHERE word_id = ?", [id]);
+      await txn.runAsync("DELETE FROM saved_words WHERE id = ?", [id]);
+    });
     return true;
   } catch (error) {
     console.error("Oops, that word refuses to say goodbye; ", error);
@@ -126,124 +619,1078 @@ export const getWordsByCategory = async (category) => {
       "SELECT * FROM saved_words WHERE category = ? ORDER BY created_at DESC",
       [category]
     );
-    return result;
+    return await attachDetails(result);
   } catch (error) {
     console.error("Yikes, the word sorter’s napping. ", error);
   }
 };
 
 /**
- * Saves user reminder settings to the database.
- * Crates the reminder_settings table if it doesn't exist.
+ * Retrieves a single sense by its ID.
  *
- * @param {Object} settings - Reminder settings object
- * @param {boolean} settings.enabled - Whether reminders are enabled
- * @param {number} settings.hour - Hour o f day for reminder (0-23)
- * @param {number} settings.minute - Minuted of hour for reminder (0-59)
- * @returns {Promise<boolean>} True of save operation succeeds, false otherwise
+ * @param {number} id - ID of the sense
+ * @returns {Promise<Object|null>} word_senses row, or null if not found or on error
+ */
+export const getSenseById = async (id) => {
+  try {
+    const result = await db.getFirstAsync(
+      "SELECT * FROM word_senses WHERE id = ?",
+      [id]
+    );
+    return result
+      ? { ...result, synonyms: parseSynonyms(result.synonyms) }
+      : null;
+  } catch (error) {
+    console.error("Error in getting sense: ", error);
+    return null;
+  }
+};
+
+/**
+ * Adds meanings to a saved word, skipping definitions it already has.
+ *
+ * @param {number} wordId - ID of the word
+ * @param {Array<Object>} senses - Senses with definition and optional
+ *   partOfSpeech, example, synonyms and reviewable
+ * @returns {Promise<number|null>} Number of senses added, or null on error
+ */
+export const addWordSenses = async (wordId, senses) => {
+  try {
+    let added = 0;
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      added = await insertSenses(txn, wordId, senses);
+    });
+    return added;
+  } catch (error) {
+    console.error("Error in adding senses: ", error);
+    return null;
+  }
+};
+
+/**
+ * Stores a sense's scheduling state after a graded review.
+ *
+ * @param {number} senseId - ID of the sense to update
+ * @param {Object} schedule - New scheduling state, as for updateWordSchedule
+ * @returns {Promise<boolean>} True if update succeeds, false otherwise
+ */
+export const updateSenseSchedule = async (senseId, schedule) => {
+  const {
+    learningLevel,
+    nextReviewDate,
+    easeFactor,
+    intervalDays,
+    repetitions,
+  } = schedule;
+
+  try {
+    await db.runAsync(
+      "UPDATE word_senses SET learning_level = ?, next_review_date = ?, ease_factor = ?, interval_days = ?, repetitions = ? WHERE id = ?",
+      [
+        learningLevel,
+        nextReviewDate,
+        easeFactor,
+        intervalDays,
+        repetitions,
+        senseId,
+      ]
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in updating sense schedule: ", error);
+    return false;
+  }
+};
+
+/**
+ * Stores the scheduling state of one of a word's extra cards in its table
+ * (reverse_cards or cloze_cards), creating its row on the first review.
+ *
+ * @param {string} table - Table holding the card schedules
+ * @param {number} wordId - ID of the word
+ * @param {Object} schedule - New scheduling state, as for updateWordSchedule
+ */
+const saveCardSchedule = async (table, wordId, schedule) => {
+  const {
+    learningLevel,
+    nextReviewDate,
+    easeFactor,
+    intervalDays,
+    repetitions,
+  } = schedule;
+
+  await db.runAsync(
+    `INSERT OR REPLACE INTO ${table} (word_id, learning_level, next_review_date, ease_factor, interval_days, repetitions) VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      wordId,
+      learningLevel,
+      nextReviewDate,
+      easeFactor,
+      intervalDays,
+      repetitions,
+    ]
+  );
+};
+
+/**
+ * Stores the scheduling state of a word's reverse (meaning to word) card
+ * after a graded review, creating its row on the first review.
+ *
+ * @param {number} wordId - ID of the word
+ * @param {Object} schedule - New scheduling state, as for updateWordSchedule
+ * @returns {Promise<boolean>} True if update succeeds, false otherwise
+ */
+export const updateReverseSchedule = async (wordId, schedule) => {
+  try {
+    await saveCardSchedule("reverse_cards", wordId, schedule);
+    return true;
+  } catch (error) {
+    console.error("Error in updating reverse card schedule: ", error);
+    return false;
+  }
+};
+
+/**
+ * Stores the scheduling state of a word's cloze (fill-in-the-blank) card
+ * after a graded review, creating its row on the first review.
+ *
+ * @param {number} wordId - ID of the word
+ * @param {Object} schedule - New scheduling state, as for updateWordSchedule
+ * @returns {Promise<boolean>} True if update succeeds, false otherwise
+ */
+export const updateClozeSchedule = async (wordId, schedule) => {
+  try {
+    await saveCardSchedule("cloze_cards", wordId, schedule);
+    return true;
+  } catch (error) {
+    console.error("Error in updating cloze card schedule: ", error);
+    return false;
+  }
+};
+
+/**
+ * Adds a cloze sentence written by the user for a word.
+ *
+ * @param {number} wordId - ID of the word
+ * @param {string} sentence - Sentence using the word
+ * @returns {Promise<number|null>} ID of the new sentence, or null on error
+ */
+export const addClozeSentence = async (wordId, sentence) => {
+  try {
+    const result = await db.runAsync(
+      "INSERT INTO cloze_sentences (word_id, sentence) VALUES (?, ?)",
+      [wordId, sentence]
+    );
+    return result.lastInsertRowId;
+  } catch (error) {
+    console.error("Error in adding cloze sentence: ", error);
+    return null;
+  }
+};
+
+/**
+ * Deletes a cloze sentence written by the user.
+ *
+ * @param {number} id - ID of the sentence
+ * @returns {Promise<boolean>} True if deletion succeeds, false otherwise
+ */
+export const deleteClozeSentence = async (id) => {
+  try {
+    await db.runAsync("DELETE FROM cloze_sentences WHERE id = ?", [id]);
+    return true;
+  } catch (error) {
+    console.error("Error in deleting cloze sentence: ", error);
+    return false;
+  }
+};
+
+/**
+ * Retrieves every tag with the number of words filed under it.
+ *
+ * @returns {Promise<Array<{id: number, name: string, word_count: number}>>} Tags, alphabetically
+ */
+export const getTags = async () => {
+  try {
+    return await db.getAllAsync(
+      `SELECT tags.id, tags.name, COUNT(word_tags.word_id) AS word_count
+      FROM tags LEFT JOIN word_tags ON word_tags.tag_id = tags.id
+      GROUP BY tags.id
+      ORDER BY tags.name COLLATE NOCASE`
+    );
+  } catch (error) {
+    console.error("Error in getting tags: ", error);
+    return [];
+  }
+};
+
+/**
+ * Adds tags to several words at once, creating tags that don't exist yet.
+ *
+ * @param {Array<number>} wordIds - IDs of the words to tag
+ * @param {Array<string>} names - Tag names
+ * @returns {Promise<boolean>} True if the words were tagged, false otherwise
+ */
+export const addTagsToWords = async (wordIds, names) => {
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      for (const wordId of wordIds) {
+        await linkTags(txn, wordId, names);
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error("Error in tagging words: ", error);
+    return false;
+  }
+};
+
+/**
+ * Removes tags from several words at once. The tags themselves are kept.
+ *
+ * @param {Array<number>} wordIds - IDs of the words to untag
+ * @param {Array<string>} names - Tag names
+ * @returns {Promise<boolean>} True if the tags were removed, false otherwise
+ */
+export const removeTagsFromWords = async (wordIds, names) => {
+  if (wordIds.length === 0 || names.length === 0) {
+    return true;
+  }
+
+  try {
+    await db.runAsync(
+      `DELETE FROM word_tags
+      WHERE word_id IN (${wordIds.map(() => "?").join(", ")})
+        AND tag_id IN (
+          SELECT id FROM tags WHERE name IN (${names.map(() => "?").join(", ")})
+        )`,
+      [...wordIds, ...names]
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in untagging words: ", error);
+    return false;
+  }
+};
+
+/**
+ * Deletes a tag and removes it from every word. The words are kept.
+ *
+ * @param {number} id - ID of the tag
+ * @returns {Promise<boolean>} True if the tag was deleted, false otherwise
+ */
+export const deleteTag = async (id) => {
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync("DELETE FROM word_tags WHERE tag_id = ?", [id]);
+      await txn.runAsync("DELETE FROM tags WHERE id = ?", [id]);
+    });
+    return true;
+  } catch (error) {
+    console.error("Error in deleting tag: ", error);
+    return false;
+  }
+};
+
+/**
+ * Parses a stored deck row: the filter JSON is decoded, the cloze setting
+ * becomes a boolean and list decks get the IDs of their words.
+ *
+ * @param {Object} row - decks row
+ * @param {Array<Object>} deckWords - deck_words rows
+ * @returns {Object} Deck with `filter` object, `cloze` flag and `wordIds` array
+ */
+const toDeck = (row, deckWords) => {
+  let filter = {};
+  try {
+    filter = JSON.parse(row.filter || "{}") || {};
+  } catch (error) {
+    console.error("Error in reading deck filter: ", error);
+  }
+
+  return {
+    ...row,
+    cloze: Boolean(row.cloze),
+    filter,
+    wordIds: deckWords
+      .filter((deckWord) => deckWord.deck_id === row.id)
+      .map((deckWord) => deckWord.word_id),
+  };
+};
+
+/**
+ * Retrieves every deck, alphabetically.
+ *
+ * @returns {Promise<Array<Object>>} Decks with `filter` and `wordIds`
+ */
+export const getDecks = async () => {
+  try {
+    const rows = await db.getAllAsync(
+      "SELECT * FROM decks ORDER BY name COLLATE NOCASE"
+    );
+    const deckWords = await db.getAllAsync("SELECT * FROM deck_words");
+    return rows.map((row) => toDeck(row, deckWords));
+  } catch (error) {
+    console.error("Error in getting decks: ", error);
+    return [];
+  }
+};
+
+/**
+ * Retrieves a single deck by its ID.
+ *
+ * @param {number} id - ID of the deck
+ * @returns {Promise<Object|null>} Deck, or null if not found or on error
+ */
+export const getDeckById = async (id) => {
+  try {
+    const row = await db.getFirstAsync("SELECT * FROM decks WHERE id = ?", [
+      id,
+    ]);
+    if (!row) {
+      return null;
+    }
+    const deckWords = await db.getAllAsync(
+      "SELECT * FROM deck_words WHERE deck_id = ?",
+      [id]
+    );
+    return toDeck(row, deckWords);
+  } catch (error) {
+    console.error("Error in getting deck: ", error);
+    return null;
+  }
+};
+
+/**
+ * Creates or updates a deck. For list decks the word list is replaced by
+ * `wordIds`.
+ *
+ * @param {Object} deck - Deck to save
+ * @param {number} deck.id - ID of the deck to update (omit to create one)
+ * @param {string} deck.name - Name shown in the deck picker
+ * @param {string} deck.kind - "filter" or "list"
+ * @param {string} deck.direction - Card direction practiced: "forward", "reverse" or "both"
+ * @param {boolean} deck.cloze - Whether cloze cards are made for every word
+ *   with a usable sentence, not just words with sentences of their own
+ * @param {Object} deck.filter - Saved filter, for filter decks
+ * @param {Array<number>} deck.wordIds - IDs of the words, for list decks
+ * @returns {Promise<number|null>} ID of the deck, or null on error
+ */
+export const saveDeck = async (deck) => {
+  const {
+    id,
+    name,
+    kind,
+    direction = "forward",
+    cloze = false,
+    filter = {},
+    wordIds = [],
+  } = deck;
+
+  try {
+    let deckId = id;
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      if (deckId) {
+        await txn.runAsync(
+          "UPDATE decks SET name = ?, kind = ?, direction = ?, cloze = ?, filter = ? WHERE id = ?",
+          [name, kind, direction, cloze ? 1 : 0, JSON.stringify(filter), deckId]
+        );
+      } else {
+        const result = await txn.runAsync(
+          "INSERT INTO decks (name, kind, direction, cloze, filter) VALUES (?, ?, ?, ?, ?)",
+          [name, kind, direction, cloze ? 1 : 0, JSON.stringify(filter)]
+        );
+        deckId = result.lastInsertRowId;
+      }
+
+      await txn.runAsync("DELETE FROM deck_words WHERE deck_id = ?", [deckId]);
+      if (kind === "list") {
+        for (const wordId of wordIds) {
+          await txn.runAsync(
+            "INSERT OR IGNORE INTO deck_words (deck_id, word_id) VALUES (?, ?)",
+            [deckId, wordId]
+          );
+        }
+      }
+    });
+    return deckId;
+  } catch (error) {
+    console.error("Error in saving deck: ", error);
+    return null;
+  }
+};
+
+/**
+ * Adds words to a list deck, keeping the words it already has.
+ *
+ * @param {number} deckId - ID of the deck
+ * @param {Array<number>} wordIds - IDs of the words to add
+ * @returns {Promise<boolean>} True if the words were added, false otherwise
+ */
+export const addWordsToDeck = async (deckId, wordIds) => {
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      for (const wordId of wordIds) {
+        await txn.runAsync(
+          "INSERT OR IGNORE INTO deck_words (deck_id, word_id) VALUES (?, ?)",
+          [deckId, wordId]
+        );
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error("Error in adding words to deck: ", error);
+    return false;
+  }
+};
+
+/**
+ * Deletes a deck. The words in it are kept.
+ *
+ * @param {number} id - ID of the deck
+ * @returns {Promise<boolean>} True if the deck was deleted, false otherwise
+ */
+export const deleteDeck = async (id) => {
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync("DELETE FROM deck_words WHERE deck_id = ?", [id]);
+      await txn.runAsync("DELETE FROM decks WHERE id = ?", [id]);
+    });
+    return true;
+  } catch (error) {
+    console.error("Error in deleting deck: ", error);
+    return false;
+  }
+};
+
+/**
+ * saved_words columns that bulk writes (imports and merges) are allowed to set
+ */
+const WRITABLE_WORD_COLUMNS = [
+  "word",
+  "language",
+  "definition",
+  "phonetic",
+  "example",
+  "notes",
+  "category",
+  "encountered_form",
+  "learning_level",
+  "next_review_date",
+  "ease_factor",
+  "interval_days",
+  "repetitions",
+  "lapses",
+  "suspended",
+  "created_at",
+];
+
+/**
+ * Writes a batch of imported words in a single transaction, so a failed
+ * import never leaves the vocabulary half-imported.
+ * Only columns present on each row are written; anything not in the list of
+ * writable columns is ignored. New words get the senses given in their
+ * `senses` array, or one per line of their definition. An updated definition
+ * replaces the word's senses, keeping those whose meaning it still lists.
+ * A `tags` array of tag names replaces the word's tags.
+ *
+ * @param {Array<Object>} inserts - New saved_words rows keyed by column name
+ * @param {Array<{id: number, fields: Object}>} updates - Changes to existing words
+ * @returns {Promise<boolean>} True if the whole batch is written, false otherwise
+ */
+export const importWordRows = async (inserts, updates) => {
+  const columnsOf = (fields) =>
+    WRITABLE_WORD_COLUMNS.filter((column) => fields[column] !== undefined);
+
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      for (const fields of inserts) {
+        const columns = columnsOf(fields);
+        const result = await txn.runAsync(
+          `INSERT INTO saved_words (${columns.join(", ")}) VALUES (${columns
+            .map(() => "?")
+            .join(", ")})`,
+          columns.map((column) => fields[column])
+        );
+
+        if (Array.isArray(fields.senses) && fields.senses.length > 0) {
+          await insertSenses(txn, result.lastInsertRowId, fields.senses);
+        } else {
+          await syncSensesFromDefinition(txn, result.lastInsertRowId);
+        }
+        await linkTags(txn, result.lastInsertRowId, fields.tags || []);
+      }
+
+      for (const { id, fields } of updates) {
+        if (Array.isArray(fields.tags)) {
+          await txn.runAsync("DELETE FROM word_tags WHERE word_id = ?", [id]);
+          await linkTags(txn, id, fields.tags);
+        }
+
+        const columns = columnsOf(fields);
+        if (columns.length === 0) {
+          continue;
+        }
+        await txn.runAsync(
+          `UPDATE saved_words SET ${columns
+            .map((column) => `${column} = ?`)
+            .join(", ")} WHERE id = ?`,
+          [...columns.map((column) => fields[column]), id]
+        );
+
+        if (columns.includes("definition")) {
+          // Keep the senses (and their progress) the new definition still has
+          const lines = sensesFromDefinition(fields.definition).map((sense) =>
+            sense.definition.toLowerCase()
+          );
+          const senses = await txn.getAllAsync(
+            "SELECT id, definition FROM word_senses WHERE word_id = ?",
+            [id]
+          );
+          for (const sense of senses) {
+            if (!lines.includes(sense.definition.toLowerCase())) {
+              await txn.runAsync("DELETE FROM word_senses WHERE id = ?", [
+                sense.id,
+              ]);
+            }
+          }
+          await syncSensesFromDefinition(txn, id);
+        }
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error("Error in importing words: ", error);
+    return false;
+  }
+};
+
+/**
+ * Normalizes a word for duplicate checks: Unicode-normalized, lowercased,
+ * with surrounding punctuation removed and inner whitespace collapsed.
+ * Diacritics are kept, since "täti" and "tati" are different words in Finnish.
+ *
+ * @param {string} word - Word as typed or stored
+ * @returns {string} Normalized word
+ */
+export const normalizeWord = (word) =>
+  (word || "")
+    .normalize("NFC")
+    .toLocaleLowerCase()
+    .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, "")
+    .replace(/\s+/g, " ");
+
+/**
+ * Finds saved words that are the same word in the same language.
+ *
+ * @param {string} word - Word to look for
+ * @param {string} language - Language code
+ * @returns {Promise<Array>} Matching word objects, oldest first
+ */
+export const findDuplicateWords = async (word, language) => {
+  const normalized = normalizeWord(word);
+
+  try {
+    const candidates = await db.getAllAsync(
+      "SELECT * FROM saved_words WHERE language = ? ORDER BY created_at, id",
+      [language]
+    );
+    return candidates.filter(
+      (candidate) => normalizeWord(candidate.word) === normalized
+    );
+  } catch (error) {
+    console.error("Error in finding duplicate words: ", error);
+    return [];
+  }
+};
+
+/**
+ * Merges duplicate words into one in a single transaction: the kept word is
+ * updated with the merged fields, the senses, tags, deck memberships and
+ * review history of the other words are moved onto it (senses with the same
+ * definition are kept once), the kept word takes over the best-known reverse
+ * and cloze cards if it has none of its own, along with every cloze
+ * sentence, and the other words are deleted.
+ *
+ * @param {number} keepId - ID of the word that remains
+ * @param {Array<number>} removeIds - IDs of the words merged into it
+ * @param {Object} fields - Merged saved_words columns for the kept word
+ * @returns {Promise<boolean>} True if the merge succeeds, false otherwise
+ */
+export const mergeWordRows = async (keepId, removeIds, fields) => {
+  const columns = WRITABLE_WORD_COLUMNS.filter(
+    (column) => fields[column] !== undefined
+  );
+  const placeholders = removeIds.map(() => "?").join(", ");
+
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync(
+        `UPDATE saved_words SET ${columns
+          .map((column) => `${column} = ?`)
+          .join(", ")} WHERE id = ?`,
+        [...columns.map((column) => fields[column]), keepId]
+      );
+      await txn.runAsync(
+        `UPDATE review_log SET word_id = ? WHERE word_id IN (${placeholders})`,
+        [keepId, ...removeIds]
+      );
+      // Moved senses go after the kept word's own senses
+      await txn.runAsync(
+        `UPDATE word_senses
+        SET
+          word_id = ?,
+          position = position + (
+            SELECT COALESCE(MAX(position) + 1, 0) FROM word_senses WHERE word_id = ?
+          )
+        WHERE word_id IN (${placeholders})`,
+        [keepId, keepId, ...removeIds]
+      );
+      await txn.runAsync(
+        `DELETE FROM word_senses WHERE word_id = ? AND id NOT IN (
+          SELECT MIN(id) FROM word_senses WHERE word_id = ? GROUP BY lower(definition)
+        )`,
+        [keepId, keepId]
+      );
+      await txn.runAsync(
+        `INSERT OR IGNORE INTO word_tags (word_id, tag_id)
+        SELECT ?, tag_id FROM word_tags WHERE word_id IN (${placeholders})`,
+        [keepId, ...removeIds]
+      );
+      await txn.runAsync(
+        `DELETE FROM word_tags WHERE word_id IN (${placeholders})`,
+        removeIds
+      );
+      await txn.runAsync(
+        `INSERT OR IGNORE INTO deck_words (deck_id, word_id)
+        SELECT deck_id, ? FROM deck_words WHERE word_id IN (${placeholders})`,
+        [keepId, ...removeIds]
+      );
+      await txn.runAsync(
+        `DELETE FROM deck_words WHERE word_id IN (${placeholders})`,
+        removeIds
+      );
+      await txn.runAsync(
+        `INSERT OR IGNORE INTO reverse_cards (word_id, learning_level, next_review_date, ease_factor, interval_days, repetitions)
+        SELECT ?, learning_level, next_review_date, ease_factor, interval_days, repetitions
+        FROM reverse_cards WHERE word_id IN (${placeholders})
+        ORDER BY interval_days DESC LIMIT 1`,
+        [keepId, ...removeIds]
+      );
+      await txn.runAsync(
+        `DELETE FROM reverse_cards WHERE word_id IN (${placeholders})`,
+        removeIds
+      );
+      await txn.runAsync(
+        `INSERT OR IGNORE INTO cloze_cards (word_id, learning_level, next_review_date, ease_factor, interval_days, repetitions)
+        SELECT ?, learning_level, next_review_date, ease_factor, interval_days, repetitions
+        FROM cloze_cards WHERE word_id IN (${placeholders})
+        ORDER BY interval_days DESC LIMIT 1`,
+        [keepId, ...removeIds]
+      );
+      await txn.runAsync(
+        `DELETE FROM cloze_cards WHERE word_id IN (${placeholders})`,
+        removeIds
+      );
+      await txn.runAsync(
+        `UPDATE cloze_sentences SET word_id = ? WHERE word_id IN (${placeholders})`,
+        [keepId, ...removeIds]
+      );
+      await txn.runAsync(
+        `DELETE FROM saved_words WHERE id IN (${placeholders})`,
+        removeIds
+      );
+      await refreshDefinitionSummary(txn, keepId);
+    });
+    return true;
+  } catch (error) {
+    console.error("Error in merging words: ", error);
+    return false;
+  }
+};
+
+/**
+ * Saves user reminder settings to the database.
+ *
+ * @param {Object} settings - Reminder settings object
+ * @param {boolean} settings.enabled - Whether reminders are enabled
+ * @param {number} settings.hour - Hour o f day for reminder (0-23)
+ * @param {number} settings.minute - Minuted of hour for reminder (0-59)
+ * @returns {Promise<boolean>} True of save operation succeeds, false otherwise
+ */
+export const saveReminderSetting = async (settings) => {
+  const { enabled, hour, minute } = settings;
+
+  try {
+    // Delete any existing setting first!
+    await db.runAsync("DELETE FROM reminder_settings WHERE id = 1");
+
+    // insert new setting
+    await db.runAsync(
+      "INSERT INTO reminder_settings (id, enabled, hour, minute) VALUES (?, ?, ?, ?)",
+      [1, enabled ? 1 : 0, hour, minute]
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in saving reminder settings: ", error);
+    return false;
+  }
+};
+
+/**
+ *
+ * @returns Retrieves user reminder settings form the database.
+ *
+ * @returns {Promise<Object>} Object containing reminder settings
+ * @returns {boolean} settings.enabled - whether reminders are enabled
+ * @returns {number} settings.hour - Hour of day for reminder (0-23)
+ * @returns {number} settings.minute - MInute of hour for reminder (0-59)
+ */
+export const getReminderSettings = async () => {
+  try {
+    // try to get existing settings
+    const settings = await db.getAllAsync(
+      "SELECT * FROM reminder_settings WHERE id = 1"
+    );
+
+    // if no setting exists, return defaults
+    if (settings.length === 0) {
+      return {
+        enabled: false,
+        hour: 20,
+        minute: 0,
+      };
+    }
+
+    // Return the existing settings
+    return {
+      enabled: settings[0].enabled === 1,
+      hour: settings[0].hour,
+      minute: settings[0].minute,
+    };
+  } catch (error) {
+    console.error("Error in getting reminder settings: ", error);
+    return {
+      enabled: false,
+      hour: 20,
+      minute: 0,
+    };
+  }
+};
+
+/**
+ * Updates a word's learning progress in the spaced repetition system.
+ *
+ * @param {number} wordId - ID of the word to update
+ * @param {number} learningLevel - New learning level (0-5)
+ * @param {string} nextReviewDate - ISO string fate for next review
+ * @returns {Promise<boolean>} True if update succeeds, false otherwise
+ */
+export const updateWordLearningStatus = async (
+  wordId,
+  learningLevel,
+  nextReviewDate
+) => {
+  try {
+    await db.runAsync(
+      "UPDATE saved_words SET learning_level = ?, next_review_date = ? WHERE id = ?",
+      [learningLevel, nextReviewDate, wordId]
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in updating word learning status: ", error);
+    return false;
+  }
+};
+
+/**
+ * Stores a word's full scheduling state after a graded review.
+ *
+ * @param {number} wordId - ID of the word to update
+ * @param {Object} schedule - New scheduling state
+ * @param {number} schedule.learningLevel - Display level (0-5) derived from the interval
+ * @param {string} schedule.nextReviewDate - ISO string date for next review
+ * @param {number} schedule.easeFactor - SM-2 ease factor (minimum 1.3)
+ * @param {number} schedule.intervalDays - Current review interval in days
+ * @param {number} schedule.repetitions - Consecutive successful reviews
+ * @returns {Promise<boolean>} True if update succeeds, false otherwise
+ */
+export const updateWordSchedule = async (wordId, schedule) => {
+  const {
+    learningLevel,
+    nextReviewDate,
+    easeFactor,
+    intervalDays,
+    repetitions,
+  } = schedule;
+
+  try {
+    await db.runAsync(
+      "UPDATE saved_words SET learning_level = ?, next_review_date = ?, ease_factor = ?, interval_days = ?, repetitions = ? WHERE id = ?",
+      [
+        learningLevel,
+        nextReviewDate,
+        easeFactor,
+        intervalDays,
+        repetitions,
+        wordId,
+      ]
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in updating word schedule: ", error);
+    return false;
+  }
+};
+
+/**
+ * Counts a lapse (a failed review of a card that had been learned) against
+ * a word.
+ *
+ * @param {number} wordId - ID of the word
+ * @returns {Promise<number|null>} The word's lapses so far, or null on error
+ */
+export const recordWordLapse = async (wordId) => {
+  try {
+    await db.runAsync(
+      "UPDATE saved_words SET lapses = COALESCE(lapses, 0) + 1 WHERE id = ?",
+      [wordId]
+    );
+    const row = await db.getFirstAsync(
+      "SELECT lapses FROM saved_words WHERE id = ?",
+      [wordId]
+    );
+    return row ? row.lapses : null;
+  } catch (error) {
+    console.error("Error in recording lapse: ", error);
+    return null;
+  }
+};
+
+/**
+ * Suspends a word, keeping all its cards out of review until it is
+ * unsuspended, or unsuspends it.
+ *
+ * @param {number} wordId - ID of the word
+ * @param {boolean} suspended - True to suspend, false to unsuspend
+ * @returns {Promise<boolean>} True if update succeeds, false otherwise
+ */
+export const setWordSuspended = async (wordId, suspended) => {
+  try {
+    await db.runAsync("UPDATE saved_words SET suspended = ? WHERE id = ?", [
+      suspended ? 1 : 0,
+      wordId,
+    ]);
+    return true;
+  } catch (error) {
+    console.error("Error in suspending word: ", error);
+    return false;
+  }
+};
+
+/**
+ * Buries a word, keeping all its cards out of review until a given time, or
+ * unburies it.
+ *
+ * @param {number} wordId - ID of the word
+ * @param {string|null} until - ISO time the word comes back, or null to
+ *   unbury it now
+ * @returns {Promise<boolean>} True if update succeeds, false otherwise
+ */
+export const setWordBuriedUntil = async (wordId, until) => {
+  try {
+    await db.runAsync("UPDATE saved_words SET buried_until = ? WHERE id = ?", [
+      until,
+      wordId,
+    ]);
+    return true;
+  } catch (error) {
+    console.error("Error in burying word: ", error);
+    return false;
+  }
+};
+
+/**
+ * Moves the next review of every card of a word that has been reviewed
+ * (the word itself, its reverse and cloze cards and its reviewable senses)
+ * to a given date. The word card is rescheduled even if it is new.
+ *
+ * @param {number} wordId - ID of the word
+ * @param {string} nextReviewDate - ISO date of the next review
+ * @returns {Promise<boolean>} True if the whole update succeeds, false otherwise
+ */
+export const rescheduleWordCards = async (wordId, nextReviewDate) => {
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync(
+        "UPDATE saved_words SET next_review_date = ?, buried_until = NULL WHERE id = ?",
+        [nextReviewDate, wordId]
+      );
+      for (const table of ["reverse_cards", "cloze_cards"]) {
+        await txn.runAsync(
+          `UPDATE ${table} SET next_review_date = ? WHERE word_id = ?`,
+          [nextReviewDate, wordId]
+        );
+      }
+      await txn.runAsync(
+        "UPDATE word_senses SET next_review_date = ? WHERE word_id = ? AND next_review_date IS NOT NULL",
+        [nextReviewDate, wordId]
+      );
+    });
+    return true;
+  } catch (error) {
+    console.error("Error in rescheduling word: ", error);
+    return false;
+  }
+};
+
+/**
+ * Resets the learning progress of a word and all its cards, so it is
+ * studied as a new word again. Its lapses are cleared and it is unburied;
+ * its review history is kept.
+ *
+ * @param {number} wordId - ID of the word
+ * @returns {Promise<boolean>} True if the whole reset succeeds, false otherwise
+ */
+export const resetWordProgress = async (wordId) => {
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync(
+        `UPDATE saved_words
+        SET learning_level = 0, next_review_date = NULL, ease_factor = 2.5,
+          interval_days = 0, repetitions = 0, lapses = 0, buried_until = NULL
+        WHERE id = ?`,
+        [wordId]
+      );
+      await txn.runAsync(
+        `UPDATE word_senses
+        SET learning_level = 0, next_review_date = NULL, ease_factor = 2.5,
+          interval_days = 0, repetitions = 0
+        WHERE word_id = ?`,
+        [wordId]
+      );
+      await txn.runAsync("DELETE FROM reverse_cards WHERE word_id = ?", [
+        wordId,
+      ]);
+      await txn.runAsync("DELETE FROM cloze_cards WHERE word_id = ?", [wordId]);
+    });
+    return true;
+  } catch (error) {
+    console.error("Error in resetting word progress: ", error);
+    return false;
+  }
+};
+
+/**
+ * Clears a word's lapses and unsuspends it, taking it off the leech list.
+ *
+ * @param {number} wordId - ID of the word
+ * @returns {Promise<boolean>} True if update succeeds, false otherwise
+ */
+export const resetWordLapses = async (wordId) => {
+  try {
+    await db.runAsync(
+      "UPDATE saved_words SET lapses = 0, suspended = 0 WHERE id = ?",
+      [wordId]
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in resetting lapses: ", error);
+    return false;
+  }
+};
+
+/**
+ * Records a single review in the review history log.
+ *
+ * @param {Object} entry - Review details
+ * @param {number} entry.wordId - ID of the reviewed word
+ * @param {number} entry.senseId - ID of the reviewed sense, for sense cards (optional)
+ * @param {string} entry.direction - "reverse" for meaning-to-word cards, "cloze"
+ *   for fill-in-the-blank cards (defaults to "forward")
+ * @param {number} entry.grade - Recall grade given (0 = Again ... 3 = Easy)
+ * @param {number} entry.previousLevel - Learning level before the review
+ * @param {number} entry.newLevel - Learning level after the review
+ * @param {number} entry.intervalDays - Interval scheduled by the review
+ * @param {number} entry.easeFactor - Ease factor after the review
+ * @param {number} entry.responseTimeMs - Time from showing the card to grading it (optional)
+ * @param {string} entry.reviewedAt - ISO timestamp of the review (defaults to now)
+ * @returns {Promise<boolean>} True if the entry is saved, false otherwise
  */
-export const saveReminderSetting = async (settings) => {
-  const { enabled, hour, minute } = settings;
+export const addReviewLogEntry = async (entry) => {
+  const {
+    wordId,
+    senseId = null,
+    direction = "forward",
+    grade,
+    previousLevel,
+    newLevel,
+    intervalDays,
+    easeFactor,
+    responseTimeMs = null,
+    reviewedAt = new Date().toISOString(),
+  } = entry;
 
   try {
-    // Check if the table exists
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS reminder_settings (
-        id INTEGER PRIMARY KEY,
-        enabled INTEGER DEFAULT 0,
-        hour INTEGER DEFAULT 20,
-        minute INTEGER DEFAULT 0
-      );`);
-
-    // Delete any existing setting first!
-    await db.runAsync("DELETE FROM reminder_settings WHERE id = 1");
-
-    // insert new setting
     await db.runAsync(
-      "INSERT INTO reminder_settings (id, enabled, hour, minute) VALUES (?, ?, ?, ?)",
-      [1, enabled ? 1 : 0, hour, minute]
+      "INSERT INTO review_log (word_id, sense_id, direction, reviewed_at, grade, previous_level, new_level, interval_days, ease_factor, response_time_ms) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        wordId,
+        senseId,
+        direction,
+        reviewedAt,
+        grade,
+        previousLevel,
+        newLevel,
+        intervalDays,
+        easeFactor,
+        responseTimeMs,
+      ]
     );
     return true;
   } catch (error) {
-    console.error("Error in saving reminder settings: ", error);
+    console.error("Error in logging review: ", error);
     return false;
   }
 };
 
 /**
+ * Retrieves the review history of a word, oldest review first.
  *
- * @returns Retrieves user reminder settings form the database.
- * Creates the reminder_settings table if it does not exist.
- *
- * @returns {Promise<Object>} Object containing reminder settings
- * @returns {boolean} settings.enabled - whether reminders are enabled
- * @returns {number} settings.hour - Hour of day for reminder (0-23)
- * @returns {number} settings.minute - MInute of hour for reminder (0-59)
+ * @param {number} wordId - ID of the word
+ * @returns {Promise<Array>} Array of review_log rows; sense reviews include
+ *   the `sense_definition` they asked for
  */
-export const getReminderSettings = async () => {
+export const getReviewLog = async (wordId) => {
   try {
-    // Create the table if it does not exist yet
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS reminder_settings (
-        id INTEGER PRIMARY KEY,
-        enabled INTEGER DEFAULT 0,
-        hour INTEGER DEFAULT 20,
-        minute INTEGER DEFAULT 0
-      );
-      `);
-
-    // try to get existing settings
-    const settings = await db.getAllAsync(
-      "SELECT * FROM reminder_settings WHERE id = 1"
+    const result = await db.getAllAsync(
+      `SELECT review_log.*, word_senses.definition AS sense_definition
+      FROM review_log
+      LEFT JOIN word_senses ON word_senses.id = review_log.sense_id
+      WHERE review_log.word_id = ?
+      ORDER BY review_log.reviewed_at ASC`,
+      [wordId]
     );
-
-    // if no setting exists, return defaults
-    if (settings.length === 0) {
-      return {
-        enabled: false,
-        hour: 20,
-        minute: 0,
-      };
-    }
-
-    // Return the existing settings
-    return {
-      enabled: settings[0].enabled === 1,
-      hour: settings[0].hour,
-      minute: settings[0].minute,
-    };
+    return result;
   } catch (error) {
-    console.error("Error in getting reminder settings: ", error);
-    return {
-      enabled: false,
-      hour: 20,
-      minute: 0,
-    };
+    console.error("Error in getting review history: ", error);
+    return [];
   }
 };
 
 /**
- * Updates a word's learning progress in the spaced repetition system.
+ * Retrieves the complete review history of all words, oldest first.
  *
- * @param {number} wordId - ID of the word to update
- * @param {number} learningLevel - New learning level (0-5)
- * @param {string} nextReviewDate - ISO string fate for next review
- * @returns {Promise<boolean>} True if update succeeds, false otherwise
+ * @returns {Promise<Array>} Array of review_log rows
  */
-export const updateWordLearningStatus = async (
-  wordId,
-  learningLevel,
-  nextReviewDate
-) => {
+export const getAllReviewLog = async () => {
   try {
-    await db.runAsync(
-      "UPDATE saved_words SET learning_level = ?, next_review_date = ? WHERE id = ?",
-      [learningLevel, nextReviewDate, wordId]
+    const result = await db.getAllAsync(
+      "SELECT * FROM review_log ORDER BY reviewed_at ASC"
     );
-    return true;
+    return result;
   } catch (error) {
-    console.error("Error in updating word learning status: ", error);
-    return false;
+    console.error("Error in getting review history: ", error);
+    return [];
   }
 };
 
@@ -350,6 +1797,44 @@ export const getQuickNotes = async (includeProcessed = false) => {
   }
 };
 
+/**
+ * Searches quick notes by word and context notes.
+ * Uses the same diacritic-insensitive prefix matching as searchWords.
+ *
+ * @param {string} query - Search text typed by the user
+ * @param {boolean} includeProcessed - Whether to include processed notes
+ * @returns {Promise<Array>} Quick note objects, best match first, each with a highlighted `snippet`
+ */
+export const searchQuickNotes = async (query, includeProcessed = false) => {
+  const ftsQuery = buildFtsQuery(query);
+
+  if (!ftsQuery) {
+    return getQuickNotes(includeProcessed);
+  }
+
+  try {
+    let sql = `SELECT quick_notes.*,
+        snippet(quick_notes_fts, -1, ?, ?, '…', 10) AS snippet
+      FROM quick_notes_fts
+      JOIN quick_notes ON quick_notes.id = quick_notes_fts.rowid
+      WHERE quick_notes_fts MATCH ?`;
+    if (!includeProcessed) {
+      sql += " AND quick_notes.processed = 0";
+    }
+    sql += " ORDER BY bm25(quick_notes_fts, 10.0, 1.0)";
+
+    const result = await db.getAllAsync(sql, [
+      HIGHLIGHT_START,
+      HIGHLIGHT_END,
+      ftsQuery,
+    ]);
+    return result;
+  } catch (error) {
+    console.error("Error in searching quick notes: ", error);
+    return [];
+  }
+};
+
 /**
  * Marks a quick note as processed.
  *
@@ -383,3 +1868,573 @@ export const deleteQuickNote = async (id) => {
     return false;
   }
 };
+
+/**
+ * Retrieves a cached dictionary lookup and marks it as recently used.
+ *
+ * @param {string} language - Language code of the lookup
+ * @param {string} word - Normalized (trimmed, lowercase) word
+ * @returns {Promise<Object|null>} Object with `data` (parsed response) and
+ *   `fetchedAt` (ISO string), or null if the word is not cached
+ */
+export const getCachedLookup = async (language, word) => {
+  try {
+    const row = await db.getFirstAsync(
+      "SELECT response, fetched_at FROM lookup_cache WHERE language = ? AND word = ?",
+      [language, word]
+    );
+
+    if (!row) {
+      return null;
+    }
+
+    await db.runAsync(
+      "UPDATE lookup_cache SET last_accessed_at = ? WHERE language = ? AND word = ?",
+      [new Date().toISOString(), language, word]
+    );
+
+    return {
+      data: JSON.parse(row.response),
+      fetchedAt: row.fetched_at,
+    };
+  } catch (error) {
+    console.error("Error in reading lookup cache: ", error);
+    return null;
+  }
+};
+
+/**
+ * Stores (or refreshes) a dictionary lookup in the cache.
+ *
+ * @param {string} language - Language code of the lookup
+ * @param {string} word - Normalized (trimmed, lowercase) word
+ * @param {*} data - Response data to cache, stored as JSON
+ * @returns {Promise<boolean>} True if the entry is saved, false otherwise
+ */
+export const saveCachedLookup = async (language, word, data) => {
+  const now = new Date().toISOString();
+
+  try {
+    await db.runAsync(
+      "INSERT OR REPLACE INTO lookup_cache (language, word, response, fetched_at, last_accessed_at) VALUES (?, ?, ?, ?, ?)",
+      [language, word, JSON.stringify(data), now, now]
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in writing lookup cache: ", error);
+    return false;
+  }
+};
+
+/**
+ * Removes expired cache entries and keeps the cache within its size limit,
+ * dropping the least recently used lookups first.
+ *
+ * @param {number} maxEntries - Maximum number of cached lookups to keep
+ * @param {number} maxAgeDays - Entries fetched longer ago than this are deleted
+ * @returns {Promise<boolean>} True if pruning succeeds, false otherwise
+ */
+export const pruneLookupCache = async (maxEntries, maxAgeDays) => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - maxAgeDays);
+
+  try {
+    await db.runAsync("DELETE FROM lookup_cache WHERE fetched_at < ?", [
+      cutoff.toISOString(),
+    ]);
+    await db.runAsync(
+      `DELETE FROM lookup_cache WHERE rowid NOT IN (
+        SELECT rowid FROM lookup_cache ORDER BY last_accessed_at DESC LIMIT ?
+      )`,
+      [maxEntries]
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in pruning lookup cache: ", error);
+    return false;
+  }
+};
+
+/**
+ * Reads an app setting stored as JSON in the app_settings table.
+ *
+ * @param {string} key - Setting name
+ * @param {*} defaultValue - Value returned when the setting is missing or unreadable
+ * @returns {Promise<*>} The stored value, or defaultValue
+ */
+export const getSetting = async (key, defaultValue = null) => {
+  try {
+    const row = await db.getFirstAsync(
+      "SELECT value FROM app_settings WHERE key = ?",
+      [key]
+    );
+    return row ? JSON.parse(row.value) : defaultValue;
+  } catch (error) {
+    console.error("Error in reading setting: ", error);
+    return defaultValue;
+  }
+};
+
+/**
+ * Stores an app setting as JSON in the app_settings table.
+ *
+ * @param {string} key - Setting name
+ * @param {*} value - Any JSON-serializable value
+ * @returns {Promise<boolean>} True if the setting is saved, false otherwise
+ */
+export const saveSetting = async (key, value) => {
+  try {
+    await db.runAsync(
+      "INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)",
+      [key, JSON.stringify(value)]
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in saving setting: ", error);
+    return false;
+  }
+};
+
+/**
+ * Replaces the offline Finnish dictionary with a new set of senses.
+ * Runs in a single transaction, so a failed import leaves the previous
+ * dictionary in place. Senses arrive in batches, so a large dataset can be
+ * read as it is stored instead of being held in memory all at once.
+ *
+ * @param {Iterable<Array<Object>>|AsyncIterable<Array<Object>>} batches -
+ *   Batches of senses with headword, headwordLower, headwordFolded,
+ *   partOfSpeech, definition and example
+ * @returns {Promise<boolean>} True if the import succeeds, false otherwise
+ */
+export const replaceFinnishDictionary = async (batches) => {
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync("DELETE FROM fi_dictionary");
+
+      const statement = await txn.prepareAsync(
+        "INSERT INTO fi_dictionary (headword, headword_lower, headword_folded, part_of_speech, definition, example) VALUES (?, ?, ?, ?, ?, ?)"
+      );
+      try {
+        for await (const rows of batches) {
+          for (const row of rows) {
+            await statement.executeAsync([
+              row.headword,
+              row.headwordLower,
+              row.headwordFolded,
+              row.partOfSpeech,
+              row.definition,
+              row.example,
+            ]);
+          }
+        }
+      } finally {
+        await statement.finalizeAsync();
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error("Error in importing Finnish dictionary: ", error);
+    return false;
+  }
+};
+
+/**
+ * Finds the senses of a Finnish headword in the offline dictionary.
+ * Exact (case-insensitive) matches are preferred; if there are none, the
+ * diacritic-folded form is tried so "aiti" still finds "äiti".
+ *
+ * @param {string} lower - Lowercased word
+ * @param {string} folded - Lowercased word with diacritics removed
+ * @returns {Promise<Array>} fi_dictionary rows in dataset order
+ */
+export const findFinnishDictionaryRows = async (lower, folded) => {
+  try {
+    const exact = await db.getAllAsync(
+      "SELECT * FROM fi_dictionary WHERE headword_lower = ? ORDER BY id",
+      [lower]
+    );
+    if (exact.length > 0) {
+      return exact;
+    }
+
+    return await db.getAllAsync(
+      "SELECT * FROM fi_dictionary WHERE headword_folded = ? ORDER BY id",
+      [folded]
+    );
+  } catch (error) {
+    console.error("Error in searching Finnish dictionary: ", error);
+    return [];
+  }
+};
+
+/**
+ * Counts the headwords in the offline Finnish dictionary.
+ *
+ * @returns {Promise<number>} Number of distinct headwords
+ */
+export const countFinnishDictionaryHeadwords = async () => {
+  try {
+    const row = await db.getFirstAsync(
+      "SELECT COUNT(DISTINCT headword_lower) AS count FROM fi_dictionary"
+    );
+    return row ? row.count : 0;
+  } catch (error) {
+    console.error("Error in counting Finnish dictionary: ", error);
+    return 0;
+  }
+};
+
+/**
+ * Tables included in full backups, in the order they are restored
+ */
+export const BACKUP_TABLES = [
+  "saved_words",
+  "word_senses",
+  "reverse_cards",
+  "cloze_cards",
+  "cloze_sentences",
+  "tags",
+  "word_tags",
+  "decks",
+  "deck_words",
+  "quick_notes",
+  "review_log",
+  "reminder_settings",
+  "app_settings",
+];
+
+/**
+ * Reads every row of the tables included in full backups.
+ *
+ * @returns {Promise<Object|null>} Rows keyed by table name, or null on error
+ */
+export const getBackupTables = async () => {
+  try {
+    const tables = {};
+    for (const table of BACKUP_TABLES) {
+      tables[table] = await db.getAllAsync(
+        `SELECT * FROM ${table} ORDER BY rowid`
+      );
+    }
+    return tables;
+  } catch (error) {
+    console.error("Error in reading backup tables: ", error);
+    return null;
+  }
+};
+
+/**
+ * Restores backed-up rows in a single transaction, so a failed restore
+ * leaves the database exactly as it was.
+ *
+ * Policies:
+ * - "replace": words, quick notes, review history and reminder settings are
+ *   wiped and replaced by the backup, keeping the backup's IDs
+ * - "keep": rows that already exist are kept, only missing ones are added
+ * - "overwrite": rows that already exist are updated from the backup
+ *
+ * Words are matched by language and word (ignoring case), tags and decks by
+ * name, quick notes by word, language and creation time, and settings by key.
+ * Senses, reverse and cloze cards, cloze sentences, tags and review
+ * history are re-linked to the
+ * restored words and only added for words the backup supplied. Columns the
+ * current schema doesn't have are ignored, so older backups can be restored
+ * into newer databases.
+ *
+ * @param {Object} tables - Rows keyed by table name, as from getBackupTables
+ * @param {string} policy - "replace", "keep" or "overwrite"
+ * @returns {Promise<Object|null>} Counts of restored rows, or null on error
+ */
+export const restoreBackupTables = async (tables, policy) => {
+  const summary = {
+    wordsAdded: 0,
+    wordsUpdated: 0,
+    wordsKept: 0,
+    notesAdded: 0,
+    reviewsAdded: 0,
+  };
+
+  try {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      const columnsOf = async (table) =>
+        (await txn.getAllAsync(`PRAGMA table_info(${table})`)).map(
+          (info) => info.name
+        );
+
+      // Writes the row's columns that exist in the table
+      const insertRow = async (table, columns, row, verb = "INSERT") => {
+        const present = columns.filter((column) => row[column] !== undefined);
+        const result = await txn.runAsync(
+          `${verb} INTO ${table} (${present.join(", ")}) VALUES (${present
+            .map(() => "?")
+            .join(", ")})`,
+          present.map((column) => row[column])
+        );
+        return result.lastInsertRowId;
+      };
+      const updateRow = async (table, columns, row, id) => {
+        const present = columns.filter(
+          (column) => column !== "id" && row[column] !== undefined
+        );
+        await txn.runAsync(
+          `UPDATE ${table} SET ${present
+            .map((column) => `${column} = ?`)
+            .join(", ")} WHERE id = ?`,
+          [...present.map((column) => row[column]), id]
+        );
+      };
+
+      if (policy === "replace") {
+        await txn.execAsync(`
+          DELETE FROM saved_words;
+          DELETE FROM word_senses;
+          DELETE FROM reverse_cards;
+          DELETE FROM cloze_cards;
+          DELETE FROM cloze_sentences;
+          DELETE FROM tags;
+          DELETE FROM word_tags;
+          DELETE FROM decks;
+          DELETE FROM deck_words;
+          DELETE FROM quick_notes;
+          DELETE FROM review_log;
+          DELETE FROM reminder_settings;
+        `);
+      }
+
+      // Words - remember where each backed-up word ended up. A replace
+      // restores every row as it was backed up; merging matches backed-up
+      // words to local ones by language and spelling.
+      const wordColumns = await columnsOf("saved_words");
+      const wordKey = (row) =>
+        `${row.language}:${String(row.word).toLowerCase()}`;
+      const existingWords = new Map(
+        (
+          await txn.getAllAsync("SELECT id, word, language FROM saved_words")
+        ).map((row) => [wordKey(row), row.id])
+      );
+      const wordIds = new Map();
+      const restoredWordIds = new Set();
+      const updatedWordIds = new Set();
+
+      for (const row of tables.saved_words || []) {
+        const existingId =
+          policy === "replace" ? undefined : existingWords.get(wordKey(row));
+
+        if (existingId === undefined) {
+          const fields = { ...row };
+          if (policy !== "replace") {
+            delete fields.id;
+          }
+          const id = await insertRow("saved_words", wordColumns, fields);
+          existingWords.set(wordKey(row), id);
+          wordIds.set(row.id, id);
+          restoredWordIds.add(row.id);
+          summary.wordsAdded++;
+        } else if (policy === "overwrite") {
+          await updateRow("saved_words", wordColumns, row, existingId);
+          wordIds.set(row.id, existingId);
+          restoredWordIds.add(row.id);
+          updatedWordIds.add(existingId);
+          summary.wordsUpdated++;
+        } else {
+          wordIds.set(row.id, existingId);
+          summary.wordsKept++;
+        }
+      }
+
+      // Senses of the words the backup supplied. Backups made before senses
+      // existed get them from the restored definitions instead.
+      const senseTableColumns = await columnsOf("word_senses");
+      const senseIds = new Map();
+
+      if (Array.isArray(tables.word_senses)) {
+        for (const id of updatedWordIds) {
+          await txn.runAsync("DELETE FROM word_senses WHERE word_id = ?", [id]);
+        }
+        for (const row of tables.word_senses) {
+          if (!restoredWordIds.has(row.word_id)) {
+            continue;
+          }
+          const fields = { ...row, word_id: wordIds.get(row.word_id) };
+          if (policy !== "replace") {
+            delete fields.id;
+          }
+          senseIds.set(
+            row.id,
+            await insertRow("word_senses", senseTableColumns, fields)
+          );
+        }
+      } else {
+        for (const id of restoredWordIds) {
+          await syncSensesFromDefinition(txn, wordIds.get(id));
+        }
+      }
+
+      // Reverse and cloze card schedules of the words the backup supplied
+      for (const table of ["reverse_cards", "cloze_cards"]) {
+        const cardColumns = await columnsOf(table);
+        for (const row of tables[table] || []) {
+          if (restoredWordIds.has(row.word_id)) {
+            await insertRow(
+              table,
+              cardColumns,
+              { ...row, word_id: wordIds.get(row.word_id) },
+              "INSERT OR REPLACE"
+            );
+          }
+        }
+      }
+
+      // Cloze sentences of the words the backup supplied
+      if (Array.isArray(tables.cloze_sentences)) {
+        const sentenceColumns = await columnsOf("cloze_sentences");
+        for (const id of updatedWordIds) {
+          await txn.runAsync("DELETE FROM cloze_sentences WHERE word_id = ?", [
+            id,
+          ]);
+        }
+        for (const row of tables.cloze_sentences) {
+          if (!restoredWordIds.has(row.word_id)) {
+            continue;
+          }
+          const fields = { ...row, word_id: wordIds.get(row.word_id) };
+          if (policy !== "replace") {
+            delete fields.id;
+          }
+          await insertRow("cloze_sentences", sentenceColumns, fields);
+        }
+      }
+
+      // Tags of the words the backup supplied, matched to local tags by name.
+      // Backups made before tags existed get them from the word categories.
+      if (Array.isArray(tables.tags) && Array.isArray(tables.word_tags)) {
+        const tagNames = new Map(tables.tags.map((row) => [row.id, row.name]));
+        for (const name of tagNames.values()) {
+          await txn.runAsync("INSERT OR IGNORE INTO tags (name) VALUES (?)", [
+            name,
+          ]);
+        }
+
+        for (const id of updatedWordIds) {
+          await txn.runAsync("DELETE FROM word_tags WHERE word_id = ?", [id]);
+        }
+        for (const row of tables.word_tags) {
+          if (restoredWordIds.has(row.word_id) && tagNames.has(row.tag_id)) {
+            await linkTags(txn, wordIds.get(row.word_id), [
+              tagNames.get(row.tag_id),
+            ]);
+          }
+        }
+      } else {
+        for (const row of tables.saved_words || []) {
+          if (restoredWordIds.has(row.id) && row.category !== "default") {
+            await linkTags(txn, wordIds.get(row.id), [row.category]);
+          }
+        }
+      }
+
+      // Decks, matched to local decks by name, and the backed-up words in them
+      const deckColumns = await columnsOf("decks");
+      const existingDecks = new Map(
+        (await txn.getAllAsync("SELECT id, name FROM decks")).map((row) => [
+          row.name.toLowerCase(),
+          row.id,
+        ])
+      );
+      const deckIds = new Map();
+
+      for (const row of tables.decks || []) {
+        const existingId = existingDecks.get(row.name.toLowerCase());
+        if (existingId === undefined) {
+          const fields = { ...row };
+          if (policy !== "replace") {
+            delete fields.id;
+          }
+          deckIds.set(row.id, await insertRow("decks", deckColumns, fields));
+        } else {
+          if (policy === "overwrite") {
+            await updateRow("decks", deckColumns, row, existingId);
+          }
+          deckIds.set(row.id, existingId);
+        }
+      }
+
+      for (const row of tables.deck_words || []) {
+        if (deckIds.has(row.deck_id) && wordIds.has(row.word_id)) {
+          await txn.runAsync(
+            "INSERT OR IGNORE INTO deck_words (deck_id, word_id) VALUES (?, ?)",
+            [deckIds.get(row.deck_id), wordIds.get(row.word_id)]
+          );
+        }
+      }
+
+      // Quick notes
+      const noteColumns = await columnsOf("quick_notes");
+      const noteKey = (row) => `${row.language}:${row.word}:${row.created_at}`;
+      const existingNotes = new Map(
+        (
+          await txn.getAllAsync(
+            "SELECT id, word, language, created_at FROM quick_notes"
+          )
+        ).map((row) => [noteKey(row), row.id])
+      );
+
+      for (const row of tables.quick_notes || []) {
+        const existingId = existingNotes.get(noteKey(row));
+        if (existingId === undefined) {
+          const fields = { ...row };
+          if (policy !== "replace") {
+            delete fields.id;
+          }
+          await insertRow("quick_notes", noteColumns, fields);
+          summary.notesAdded++;
+        } else if (policy === "overwrite") {
+          await updateRow("quick_notes", noteColumns, row, existingId);
+        }
+      }
+
+      // Review history of the words the backup supplied
+      const reviewColumns = await columnsOf("review_log");
+      const reviewKey = (row) => `${row.word_id}:${row.reviewed_at}`;
+      const existingReviews = new Set(
+        (
+          await txn.getAllAsync("SELECT word_id, reviewed_at FROM review_log")
+        ).map(reviewKey)
+      );
+
+      for (const row of tables.review_log || []) {
+        if (!restoredWordIds.has(row.word_id)) {
+          continue;
+        }
+        const fields = {
+          ...row,
+          word_id: wordIds.get(row.word_id),
+          sense_id: row.sense_id ? (senseIds.get(row.sense_id) ?? null) : null,
+        };
+        if (policy !== "replace") {
+          delete fields.id;
+        }
+        if (!existingReviews.has(reviewKey(fields))) {
+          await insertRow("review_log", reviewColumns, fields);
+          existingReviews.add(reviewKey(fields));
+          summary.reviewsAdded++;
+        }
+      }
+
+      // Reminder and app settings, matched by their primary key
+      const verb = policy === "keep" ? "INSERT OR IGNORE" : "INSERT OR REPLACE";
+      const reminderColumns = await columnsOf("reminder_settings");
+      for (const row of tables.reminder_settings || []) {
+        await insertRow("reminder_settings", reminderColumns, row, verb);
+      }
+      const settingColumns = await columnsOf("app_settings");
+      for (const row of tables.app_settings || []) {
+        await insertRow("app_settings", settingColumns, row, verb);
+      }
+    });
+    return summary;
+  } catch (error) {
+    console.error("Error in restoring backup: ", error);
+    return null;
+  }
+};
@@ -0,0 +1,144 @@
+/**
+ * Deck Service
+ *
+ * Helpers for decks: named sets of words that a flashcard session can be
+ * limited to. A deck is either a saved filter ("Finnish, level ≤ 2, tag:
+ * travel"), whose words change as the collection changes, or a fixed list
+ * of hand-picked words. Each deck also chooses the direction its words are
+ * practiced in (word to meaning, meaning to word, or both) and whether it
+ * adds cloze cards for every word with a usable sentence. Decks are stored
+ * in the `decks` and `deck_words` tables by databaseService.
+ *
+ * @module services/deckService
+ */
+
+import { getDecks } from "./databaseService";
+import {
+  CARD_DIRECTIONS,
+  cardDirections,
+  clozeEnabled,
+  getCardsForReview,
+  wordInScope,
+} from "./learningService";
+import { TAG_MATCH } from "./tagService";
+
+/**
+ * Kinds of deck
+ */
+export const DECK_KINDS = {
+  FILTER: "filter",
+  LIST: "list",
+};
+
+/**
+ * Display names of the languages a deck can be limited to
+ */
+const LANGUAGE_NAMES = {
+  en: "English",
+  fi: "Finnish",
+};
+
+/**
+ * How each practice direction is described in deck summaries
+ */
+const DIRECTION_NAMES = {
+  [CARD_DIRECTIONS.REVERSE]: "meaning → word",
+  [CARD_DIRECTIONS.BOTH]: "both ways",
+};
+
+/**
+ * The session options for practicing a deck, as understood by
+ * getCardsForReview.
+ *
+ * @param {Object} deck - Deck from getDecks
+ * @returns {Object} Session options with `direction` and `cloze`
+ */
+export const deckOptions = (deck) => ({
+  direction: deck.direction,
+  cloze: deck.cloze || undefined,
+});
+
+/**
+ * Turns a deck into the review scope understood by getCardsForReview.
+ *
+ * @param {Object} deck - Deck from getDecks
+ * @returns {Object} Review scope
+ */
+export const deckScope = (deck) =>
+  deck.kind === DECK_KINDS.LIST ? { wordIds: deck.wordIds } : deck.filter;
+
+/**
+ * Describes what a deck contains, e.g. "Finnish · level ≤ 2 · tag: travel",
+ * the direction it is practiced in unless that is word to meaning, and
+ * whether it adds cloze cards.
+ *
+ * @param {Object} deck - Deck from getDecks
+ * @returns {string} Short description
+ */
+export const describeDeck = (deck) => {
+  const parts = [];
+
+  if (deck.kind === DECK_KINDS.LIST) {
+    const count = deck.wordIds.length;
+    parts.push(`${count} ${count === 1 ? "word" : "words"}`);
+  }
+
+  const { language, maxLevel, tags = [], tagMatch } = deck.filter;
+
+  if (language) {
+    parts.push(LANGUAGE_NAMES[language] || language);
+  }
+  if (maxLevel !== undefined && maxLevel !== null) {
+    parts.push(`level ≤ ${maxLevel}`);
+  }
+  if (tags.length > 0) {
+    const joiner = tagMatch === TAG_MATCH.ALL ? " + " : " or ";
+    parts.push(`${tags.length === 1 ? "tag" : "tags"}: ${tags.join(joiner)}`);
+  }
+  if (parts.length === 0) {
+    parts.push("All words");
+  }
+  if (DIRECTION_NAMES[deck.direction]) {
+    parts.push(DIRECTION_NAMES[deck.direction]);
+  }
+  if (deck.cloze) {
+    parts.push("cloze");
+  }
+
+  return parts.join(" · ");
+};
+
+/**
+ * Retrieves every deck with the number of cards due in it today, counting
+ * only cards in the directions the deck practices and the cloze cards it
+ * asks for.
+ *
+ * @returns {Promise<Array<Object>>} Decks, each with a `dueCount`
+ */
+export const getDecksWithDueCounts = async () => {
+  try {
+    const [decks, cards] = await Promise.all([
+      getDecks(),
+      getCardsForReview({}, { direction: CARD_DIRECTIONS.BOTH, cloze: true }),
+    ]);
+
+    return decks.map((deck) => {
+      const scope = deckScope(deck);
+      return {
+        ...deck,
+        dueCount: cards.filter(
+          (card) =>
+            wordInScope(card.word, scope) &&
+            (card.type === "cloze"
+              ? clozeEnabled(card.word, deckOptions(deck).cloze)
+              : cardDirections(card.word, deck.direction).includes(
+                  card.direction
+                ))
+        ).length,
+      };
+    });
+  } catch (error) {
+    console.error("Error in counting due cards per deck: ", error);
+    return [];
+  }
+};
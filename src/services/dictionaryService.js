@@ -2,51 +2,301 @@
  * Dictionary Service
  *
  * Handles dictionary lookups for multilingual word definitions.
- * Supports both direct API integration for English and external
- * browser-based dictionary access for Finnish
+ * Lookups go through a registry of dictionary providers keyed by language.
+ * Out of the box it supports direct API integration for English, an offline
+ * Wiktionary-derived dataset for Finnish, and external browser-based
+ * dictionary access for Finnish words the dataset does not cover.
+ *
+ * A provider is a plain object with:
+ * - `id`, `name` and `languages` (language codes it serves)
+ * - `capabilities`: `{ audio, examples, externalOnly, offline }`
+ * - `lookup(word, language)`: fetches the provider's raw result
+ * - `normalize(raw, word, language)`: maps it to the common entry shape
+ *   `[{ word, phonetic, audio, meanings: [{ partOfSpeech, synonyms,
+ *   definitions: [{ definition, example }] }] }]`, or passes through an
+ *   external lookup marker `{ type: "external", word, language, url }`
+ *
+ * Several providers can serve one language; they are tried in order and the
+ * first one that returns entries wins.
+ *
+ * Languages with rich inflection can also register a lemmatizer that
+ * proposes base forms, so inflected words are found under their lemma.
+ *
+ * API results are kept in a persistent lookup cache, so repeated searches
+ * skip the network and previously looked-up words still work offline.
  *
  * @module services/dictionaryService
  */
 
 import * as WebBrowser from "expo-web-browser";
 
+import freeDictionaryProvider from "./providers/freeDictionaryProvider";
+import redFoxProvider from "./providers/redFoxProvider";
+import wiktionaryFinnishProvider from "./providers/wiktionaryFinnishProvider";
+import { getLemmaCandidates } from "./finnishMorphology";
+import {
+  getCachedLookup,
+  saveCachedLookup,
+  pruneLookupCache,
+} from "./databaseService";
+
+/**
+ * Cached lookups younger than this are served without hitting the network.
+ */
+const CACHE_TTL_DAYS = 30;
+
+/**
+ * Cached lookups older than this are deleted, even as an offline fallback.
+ */
+const CACHE_MAX_AGE_DAYS = 180;
+
+/**
+ * Maximum number of cached lookups; least recently used ones are evicted.
+ */
+const CACHE_MAX_ENTRIES = 500;
+
+/**
+ * Registered providers per language code, in fallback order.
+ */
+const providerRegistry = {};
+
+/**
+ * Registers a dictionary provider for every language it declares.
+ * Providers registered later are used as fallbacks for earlier ones, unless
+ * `prepend` is set, in which case the provider is tried first.
+ *
+ * @param {Object} provider - Provider definition (see module documentation)
+ * @param {Object} [options] - Registration options
+ * @param {boolean} [options.prepend=false] - Try this provider before existing ones
+ * @throws {Error} - If the provider is missing required fields
+ */
+export const registerProvider = (provider, { prepend = false } = {}) => {
+  if (
+    !provider ||
+    !provider.id ||
+    typeof provider.lookup !== "function" ||
+    typeof provider.normalize !== "function"
+  ) {
+    throw new Error("Dictionary provider needs an id, lookup and normalize");
+  }
+
+  (provider.languages || []).forEach((language) => {
+    const providers = (providerRegistry[language] || []).filter(
+      (existing) => existing.id !== provider.id
+    );
+    providerRegistry[language] = prepend
+      ? [provider, ...providers]
+      : [...providers, provider];
+  });
+};
+
+/**
+ * Returns the providers registered for a language, in fallback order.
+ *
+ * @param {string} language - Language code
+ * @returns {Array<Object>} Registered providers (empty if the language is unsupported)
+ */
+export const getProviders = (language) => providerRegistry[language] || [];
+
+/**
+ * Lists the language codes that have at least one provider.
+ *
+ * @returns {Array<string>} Supported language codes
+ */
+export const getSupportedLanguages = () =>
+  Object.keys(providerRegistry).filter(
+    (language) => providerRegistry[language].length > 0
+  );
+
+// Built-in providers
+registerProvider(freeDictionaryProvider);
+registerProvider(wiktionaryFinnishProvider);
+registerProvider(redFoxProvider);
+
+/**
+ * Registered lemmatizers per language code.
+ */
+const lemmatizerRegistry = {};
+
+/**
+ * Registers a function that proposes base forms for words of a language.
+ *
+ * @param {string} language - Language code
+ * @param {function(string): Array<string>} lemmatizer - Returns candidate
+ *   base forms, most likely first, starting with the word itself
+ */
+export const registerLemmatizer = (language, lemmatizer) => {
+  lemmatizerRegistry[language] = lemmatizer;
+};
+
+// Built-in lemmatizers
+registerLemmatizer("fi", getLemmaCandidates);
+
 /**
  * Fetches word definitions based on the specified language.
- * For English words, uses the Free Dictionary API.
- * For Finnish words, returns metadata for external lookup.
+ * Tries each provider registered for the language in order and returns the
+ * first non-empty normalized result. External-only providers return a marker
+ * for an external lookup instead of entries.
  *
  * @param {string} word - The word to look up
  * @param {string} language - Language code ('en' for English, 'fi' for Finnish)
- * @returns {Promise<Array|object>} - Array of definition objects for English or external lookup for Finnish
- * @throws {Error} - If API request fails or language is unsupported
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.offlineOnly=false] - Only ask providers that work
+ *   offline (and so never open a browser or hit a web API)
+ * @returns {Promise<Array|object>} - Array of normalized entries tagged with their
+ *   provider `source`, or an external lookup marker
+ * @throws {Error} - If every provider fails or language is unsupported
  */
-export const fetchWordDefinition = async (word, language = "en") => {
-  try {
-    if (language === "en") {
-      const response = await fetch(
-        `${process.env.EXPO_PUBLIC_API_URL}/${language}/${word}`
-      );
+export const fetchWordDefinition = async (
+  word,
+  language = "en",
+  { offlineOnly = false } = {}
+) => {
+  const providers = getProviders(language).filter(
+    (provider) => !offlineOnly || provider.capabilities?.offline
+  );
+
+  if (providers.length === 0) {
+    throw new Error("Unsupported language");
+  }
+
+  let lastError = null;
+
+  for (const provider of providers) {
+    try {
+      const raw = await provider.lookup(word, language);
+      const result = provider.normalize(raw, word, language);
 
-      if (!response.ok) {
-        throw new Error("Whoops, that word ghosted us!");
+      if (result && result.type === "external") {
+        return result;
       }
 
-      return await response.json();
-    } else if (language === "fi") {
-      // For Finnish, open the browser instead of showing results
+      if (result && result.length > 0) {
+        // Tag entries with their source so callers can tell providers apart
+        return result.map((entry) => ({ ...entry, source: provider.id }));
+      }
+    } catch (error) {
+      // Remember the failure and fall back to the next provider
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error("Whoops, that word ghosted us!");
+};
+
+/**
+ * Checks whether a lookup result came from a provider that works offline.
+ *
+ * @param {Array} entries - Entries returned by fetchWordDefinition
+ * @param {string} language - Language code of the lookup
+ * @returns {boolean} True if the result needs no caching
+ */
+const isOfflineResult = (entries, language) => {
+  const provider = getProviders(language).find(
+    (item) => item.id === entries[0]?.source
+  );
+  return Boolean(provider && provider.capabilities?.offline);
+};
+
+/**
+ * Looks up a word using the lookup cache in front of fetchWordDefinition.
+ * - A cached result younger than CACHE_TTL_DAYS is returned straight away
+ * - Otherwise the dictionary is queried and the fresh result is cached
+ * - If the network is unreachable, an older cached result is returned instead
+ *
+ * External lookups are never cached, since they hold no definitions, and
+ * neither are results from offline providers, which are local already.
+ *
+ * @param {string} word - The word to look up
+ * @param {string} language - Language code ('en' for English, 'fi' for Finnish)
+ * @returns {Promise<Object>} Object with `data` (same shape as fetchWordDefinition),
+ *   `fromCache` (boolean) and `fetchedAt` (ISO string of when the data was fetched)
+ * @throws {Error} - If the lookup fails and no cached result is available
+ */
+export const lookupWord = async (word, language = "en") => {
+  const key = word.trim().toLowerCase();
+  const cached = await getCachedLookup(language, key);
+
+  if (cached) {
+    const age = Date.now() - new Date(cached.fetchedAt).getTime();
+    if (age < CACHE_TTL_DAYS * 24 * 60 * 60 * 1000) {
       return {
-        type: "external",
-        word: word,
-        language: "fi",
+        data: cached.data,
+        fromCache: true,
+        fetchedAt: cached.fetchedAt,
       };
-    } else {
-      throw new Error("Unsupported language");
     }
+  }
+
+  try {
+    const data = await fetchWordDefinition(word, language);
+
+    if (data.type !== "external" && !isOfflineResult(data, language)) {
+      await saveCachedLookup(language, key, data);
+      await pruneLookupCache(CACHE_MAX_ENTRIES, CACHE_MAX_AGE_DAYS);
+    }
+
+    return { data, fromCache: false, fetchedAt: new Date().toISOString() };
   } catch (error) {
+    // fetch rejects with a TypeError when the device is offline;
+    // fall back to the stale copy rather than failing the search
+    if (error instanceof TypeError && cached) {
+      return {
+        data: cached.data,
+        fromCache: true,
+        fetchedAt: cached.fetchedAt,
+      };
+    }
+
+    if (error instanceof TypeError) {
+      throw new Error(
+        "You're offline and this word isn't in your lookup cache yet."
+      );
+    }
+
     throw error;
   }
 };
 
+/**
+ * Looks up a word that may be inflected.
+ * If the language has a lemmatizer, each candidate base form is tried
+ * against the offline providers first; the first one found is returned along
+ * with the lemma. Otherwise the word is looked up as typed via lookupWord.
+ *
+ * @param {string} word - The word as encountered, possibly inflected
+ * @param {string} language - Language code ('en' for English, 'fi' for Finnish)
+ * @returns {Promise<Object>} Same as lookupWord, plus `encounteredForm` (the
+ *   word as typed) and `lemma` (the base form it was found under, or null)
+ * @throws {Error} - If the lookup fails and no cached result is available
+ */
+export const lookupLemma = async (word, language = "en") => {
+  const encounteredForm = word.trim();
+  const lemmatize = lemmatizerRegistry[language];
+
+  if (lemmatize) {
+    for (const candidate of lemmatize(encounteredForm)) {
+      try {
+        const data = await fetchWordDefinition(candidate, language, {
+          offlineOnly: true,
+        });
+        return {
+          data,
+          fromCache: false,
+          fetchedAt: new Date().toISOString(),
+          encounteredForm,
+          lemma: candidate,
+        };
+      } catch (error) {
+        // Not in the dictionary under this form; try the next candidate
+      }
+    }
+  }
+
+  const result = await lookupWord(encounteredForm, language);
+  return { ...result, encounteredForm, lemma: null };
+};
+
 /**
  * OPens the RedFox Dictionary in the device's browser for Finnish word lookups.
  * This provides a comprehensive Finnish-English dictionary experience without requiring direct API integration.
@@ -58,10 +308,9 @@ export const fetchWordDefinition = async (word, language = "en") => {
 export const openFinnishDictionary = async (word) => {
   try {
     // Use REdFox dictionary for Finnish lookup
-    const url = `${
-      process.env.EXPO_PUBLIC_FINNISH_DICTIONARY_URL
-    }/${encodeURIComponent(word)}`;
-    const result = await WebBrowser.openBrowserAsync(url);
+    const result = await WebBrowser.openBrowserAsync(
+      redFoxProvider.getUrl(word)
+    );
     return result;
   } catch (error) {
     console.error("Error in opening browser: ", error);
@@ -0,0 +1,267 @@
+/**
+ * Duplicate Service
+ *
+ * Keeps the vocabulary free of duplicate entries. A duplicate is a saved word
+ * with the same normalized spelling (see normalizeWord) in the same language.
+ *
+ * When a word is saved again, the user chooses to add the new definition as
+ * another meaning, merge the new details into the saved word, or skip it.
+ * Duplicates that already exist can be found and merged in bulk; the merged
+ * word keeps the best learning progress of the group and all its review
+ * history.
+ *
+ * @module services/duplicateService
+ */
+
+import {
+  getSavedWords,
+  addWordSenses,
+  addTagsToWords,
+  findDuplicateWords,
+  mergeWordRows,
+  normalizeWord,
+  saveWord,
+  sensesFromDefinition,
+} from "./databaseService";
+
+/**
+ * What to do when a word being saved is already in the vocabulary
+ */
+export const DUPLICATE_ACTIONS = {
+  ADD_SENSE: "addSense",
+  MERGE: "merge",
+  SKIP: "skip",
+};
+
+/**
+ * Scheduling columns copied together from the word with the best progress
+ */
+const PROGRESS_FIELDS = [
+  "learning_level",
+  "next_review_date",
+  "ease_factor",
+  "interval_days",
+  "repetitions",
+];
+
+/**
+ * Adds a definition as another meaning unless it is already listed.
+ * Meanings are kept one per line.
+ *
+ * @param {string} current - Existing definition text
+ * @param {string} addition - Definition to add
+ * @returns {string} Combined definition text
+ */
+const addMeaning = (current, addition) => {
+  const meanings = (current || "").split("\n").filter(Boolean);
+  const extra = (addition || "").trim();
+
+  if (extra && !meanings.some((meaning) => meaning.trim() === extra)) {
+    meanings.push(extra);
+  }
+  return meanings.join("\n");
+};
+
+/**
+ * Combines two notes, keeping both when they differ.
+ *
+ * @param {string} current - Existing notes
+ * @param {string} addition - Notes to add
+ * @returns {string} Combined notes
+ */
+const addNotes = (current, addition) => {
+  if (!addition || (current || "").includes(addition)) {
+    return current || "";
+  }
+  return current ? `${current}\n${addition}` : addition;
+};
+
+/**
+ * Ranks a word's learning progress: more successful repetitions first,
+ * then the longer interval, then the higher level.
+ *
+ * @param {Object} a - saved_words row
+ * @param {Object} b - saved_words row
+ * @returns {number} Negative if a has the better progress
+ */
+const compareProgress = (a, b) =>
+  (b.repetitions || 0) - (a.repetitions || 0) ||
+  (b.interval_days || 0) - (a.interval_days || 0) ||
+  (b.learning_level || 0) - (a.learning_level || 0);
+
+/**
+ * Merges the details of several saved words into one set of fields.
+ * Definitions are combined as separate meanings, notes are kept side by side,
+ * empty fields are filled from the other words, scheduling comes from the
+ * word with the best progress, and their lapses are added up.
+ *
+ * @param {Array<Object>} words - saved_words rows of the same word, oldest first
+ * @returns {Object} Merged saved_words columns
+ */
+export const mergeWordDetails = (words) => {
+  const [first, ...others] = words;
+  const best = [...words].sort(compareProgress)[0];
+
+  const merged = {
+    word: first.word,
+    definition: first.definition || "",
+    phonetic: first.phonetic || "",
+    example: first.example || "",
+    notes: first.notes || "",
+    category: first.category || "default",
+    encountered_form: first.encountered_form || "",
+    created_at: first.created_at,
+  };
+
+  others.forEach((word) => {
+    merged.definition = addMeaning(merged.definition, word.definition);
+    merged.notes = addNotes(merged.notes, word.notes);
+    merged.phonetic = merged.phonetic || word.phonetic || "";
+    merged.example = merged.example || word.example || "";
+    merged.encountered_form =
+      merged.encountered_form || word.encountered_form || "";
+    if (merged.category === "default" && word.category) {
+      merged.category = word.category;
+    }
+  });
+
+  PROGRESS_FIELDS.forEach((field) => {
+    merged[field] = best[field];
+  });
+
+  // Lapses of every copy count, and a suspended copy keeps the word suspended
+  merged.lapses = words.reduce((sum, word) => sum + (word.lapses || 0), 0);
+  merged.suspended = words.some((word) => word.suspended) ? 1 : 0;
+
+  return merged;
+};
+
+/**
+ * Finds the saved word that a word being saved would duplicate.
+ *
+ * @param {Object} wordData - Word about to be saved, as passed to saveWord
+ * @returns {Promise<Object|null>} Oldest matching saved word, or null if none
+ */
+export const findDuplicate = async (wordData) => {
+  const [existing] = await findDuplicateWords(wordData.word, wordData.language);
+  return existing || null;
+};
+
+/**
+ * Saves a word into an existing duplicate instead of as a new row.
+ * Adding a sense appends the new word's senses to the saved ones; merging
+ * only fills in details the saved word is missing (and its meanings, if it
+ * has none). Either way the new word's tags are added.
+ *
+ * @param {Object} existing - Saved word that duplicates the new one
+ * @param {Object} wordData - Word being saved, as passed to saveWord
+ * @param {string} action - DUPLICATE_ACTIONS.ADD_SENSE or DUPLICATE_ACTIONS.MERGE
+ * @returns {Promise<boolean>} True if the saved word was updated
+ */
+export const saveIntoDuplicate = async (existing, wordData, action) => {
+  const fields = {
+    phonetic: existing.phonetic || wordData.phonetic || "",
+    example: existing.example || wordData.example || "",
+    notes: addNotes(existing.notes, wordData.notes),
+    encountered_form:
+      existing.encountered_form || wordData.encounteredForm || "",
+  };
+  if ((existing.category || "default") === "default" && wordData.category) {
+    fields.category = wordData.category;
+  }
+
+  if (!(await mergeWordRows(existing.id, [], fields))) {
+    return false;
+  }
+  if (wordData.tags && !(await addTagsToWords([existing.id], wordData.tags))) {
+    return false;
+  }
+
+  if (action === DUPLICATE_ACTIONS.ADD_SENSE || !existing.definition) {
+    const senses =
+      wordData.senses && wordData.senses.length > 0
+        ? wordData.senses
+        : sensesFromDefinition(wordData.definition, wordData.example);
+    return (await addWordSenses(existing.id, senses)) !== null;
+  }
+  return true;
+};
+
+/**
+ * Saves a word, or hands it to `chooseAction` when it is already saved.
+ *
+ * @param {Object} wordData - Word to save, as passed to saveWord
+ * @param {function(Object): Promise<string>} chooseAction - Called with the
+ *   existing word; resolves to one of DUPLICATE_ACTIONS
+ * @returns {Promise<string>} "saved", "merged", "skipped" or "failed"
+ */
+export const saveWordCheckingDuplicates = async (wordData, chooseAction) => {
+  const existing = await findDuplicate(wordData);
+
+  if (!existing) {
+    return (await saveWord(wordData)) ? "saved" : "failed";
+  }
+
+  const action = await chooseAction(existing);
+  if (action === DUPLICATE_ACTIONS.SKIP) {
+    return "skipped";
+  }
+  return (await saveIntoDuplicate(existing, wordData, action))
+    ? "merged"
+    : "failed";
+};
+
+/**
+ * Scans the whole vocabulary for duplicates.
+ *
+ * @returns {Promise<Array<Array<Object>>>} Groups of two or more saved words
+ *   that are the same word, each oldest first
+ */
+export const findDuplicateGroups = async () => {
+  const groups = new Map();
+
+  (await getSavedWords()).forEach((word) => {
+    const key = `${word.language}:${normalizeWord(word.word)}`;
+    groups.set(key, [...(groups.get(key) || []), word]);
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) =>
+      group.sort(
+        (a, b) =>
+          String(a.created_at).localeCompare(String(b.created_at)) ||
+          a.id - b.id
+      )
+    );
+};
+
+/**
+ * Merges a group of duplicates into its oldest word.
+ *
+ * @param {Array<Object>} group - Saved words of the same word, oldest first
+ * @returns {Promise<boolean>} True if the group was merged
+ */
+export const mergeDuplicateGroup = async (group) => {
+  const [keep, ...remove] = group;
+  return mergeWordRows(
+    keep.id,
+    remove.map((word) => word.id),
+    mergeWordDetails(group)
+  );
+};
+
+/**
+ * Merges every group of duplicates in the vocabulary.
+ *
+ * @returns {Promise<number>} Number of groups merged
+ */
+export const mergeAllDuplicates = async () => {
+  let merged = 0;
+  for (const group of await findDuplicateGroups()) {
+    if (await mergeDuplicateGroup(group)) {
+      merged++;
+    }
+  }
+  return merged;
+};
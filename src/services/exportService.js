@@ -0,0 +1,216 @@
+/**
+ * Export Service
+ *
+ * Exports the user's vocabulary out of the local database so it can be kept,
+ * edited in a spreadsheet or studied in other apps. Supported formats:
+ * - CSV of saved words, including learning progress
+ * - CSV of quick notes
+ * - Full-fidelity JSON dump of words, quick notes and review history
+ * - Anki-importable tab-separated deck
+ *
+ * Exports are written to the app's cache directory and handed to the
+ * system share sheet.
+ *
+ * @module services/exportService
+ */
+
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+
+import {
+  getSavedWords,
+  getQuickNotes,
+  getAllReviewLog,
+  getSchemaVersion,
+} from "./databaseService";
+
+/**
+ * Identifier written into JSON dumps so imports can recognize them
+ */
+export const JSON_EXPORT_FORMAT = "wordjotter-export";
+
+/**
+ * Version of the JSON dump layout
+ */
+export const JSON_EXPORT_VERSION = 1;
+
+/**
+ * saved_words columns written to the words CSV, in column order.
+ * Tags are written as one cell, separated by semicolons.
+ */
+export const WORD_CSV_COLUMNS = [
+  "word",
+  "language",
+  "definition",
+  "phonetic",
+  "example",
+  "notes",
+  "tags",
+  "encountered_form",
+  "learning_level",
+  "next_review_date",
+  "ease_factor",
+  "interval_days",
+  "repetitions",
+  "created_at",
+];
+
+/**
+ * quick_notes columns written to the quick notes CSV, in column order
+ */
+const NOTE_CSV_COLUMNS = [
+  "word",
+  "language",
+  "notes",
+  "processed",
+  "created_at",
+];
+
+/**
+ * Quotes a value for CSV output when it contains a delimiter, quote or line break.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell text
+ */
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text with a header row.
+ *
+ * @param {Array<Object>} rows - Database rows
+ * @param {Array<string>} columns - Columns to write, in order
+ * @returns {string} CSV text
+ */
+export const buildCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\r\n");
+
+/**
+ * Makes text safe for one field of a tab-separated Anki deck.
+ *
+ * @param {string} text - Field text
+ * @returns {string} Text with tabs removed and line breaks as <br>
+ */
+const ankiField = (text) =>
+  (text || "").replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+
+/**
+ * Builds an Anki-importable tab-separated deck: word on the front, definition,
+ * example and phonetics on the back, language and the word's tags as tags.
+ *
+ * @param {Array<Object>} words - saved_words rows
+ * @returns {string} Deck text with Anki import header lines
+ */
+export const buildAnkiDeck = (words) => {
+  const lines = words.map((word) => {
+    const back = [
+      word.definition,
+      word.example ? `<i>${word.example}</i>` : "",
+      word.phonetic,
+    ]
+      .filter(Boolean)
+      .map(ankiField)
+      .join("<br><br>");
+
+    const tags = [word.language, ...(word.tags || [])]
+      .filter(Boolean)
+      .map((tag) => tag.replace(/\s+/g, "_"))
+      .join(" ");
+
+    return [ankiField(word.word), back, tags].join("\t");
+  });
+
+  return ["#separator:tab", "#html:true", "#tags column:3", ...lines].join(
+    "\n"
+  );
+};
+
+/**
+ * Builds the full-fidelity JSON dump of the database contents.
+ *
+ * @returns {Promise<Object>} Dump with metadata, words, quick notes and review log
+ */
+export const buildJsonDump = async () => ({
+  format: JSON_EXPORT_FORMAT,
+  version: JSON_EXPORT_VERSION,
+  schemaVersion: await getSchemaVersion(),
+  exportedAt: new Date().toISOString(),
+  words: await getSavedWords(),
+  quickNotes: await getQuickNotes(true),
+  reviewLog: await getAllReviewLog(),
+});
+
+/**
+ * Available export formats.
+ * Each format knows its file extension, MIME type and how to build its contents.
+ */
+export const EXPORT_FORMATS = {
+  csv: {
+    label: "Words (CSV)",
+    extension: "csv",
+    mimeType: "text/csv",
+    build: async () =>
+      buildCsv(
+        (await getSavedWords()).map((word) => ({
+          ...word,
+          tags: word.tags.join("; "),
+        })),
+        WORD_CSV_COLUMNS
+      ),
+  },
+  notesCsv: {
+    label: "Quick Notes (CSV)",
+    extension: "csv",
+    mimeType: "text/csv",
+    build: async () => buildCsv(await getQuickNotes(true), NOTE_CSV_COLUMNS),
+  },
+  json: {
+    label: "Everything (JSON)",
+    extension: "json",
+    mimeType: "application/json",
+    build: async () => JSON.stringify(await buildJsonDump(), null, 2),
+  },
+  anki: {
+    label: "Anki Deck (TXT)",
+    extension: "txt",
+    mimeType: "text/plain",
+    build: async () => buildAnkiDeck(await getSavedWords()),
+  },
+};
+
+/**
+ * Writes an export file and opens the system share sheet for it.
+ *
+ * @param {string} formatKey - Key of EXPORT_FORMATS
+ * @returns {Promise<string>} URI of the written file
+ * @throws {Error} - If the format is unknown or the file cannot be written or shared
+ */
+export const exportVocabulary = async (formatKey) => {
+  const format = EXPORT_FORMATS[formatKey];
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatKey}`);
+  }
+
+  const contents = await format.build();
+  const date = new Date().toISOString().slice(0, 10);
+  const uri = `${FileSystem.cacheDirectory}wordjotter-${formatKey}-${date}.${format.extension}`;
+
+  await FileSystem.writeAsStringAsync(uri, contents, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing isn't available on this device.");
+  }
+
+  await Sharing.shareAsync(uri, {
+    mimeType: format.mimeType,
+    dialogTitle: "Export your words",
+  });
+
+  return uri;
+};
@@ -0,0 +1,302 @@
+/**
+ * Finnish Dataset Service
+ *
+ * Manages the offline Finnish–English dictionary used for in-app Finnish
+ * lookups. The dataset is a Wiktionary-derived JSON Lines file downloaded
+ * from `EXPO_PUBLIC_FINNISH_DATASET_URL` and stored in the local SQLite
+ * database, so Finnish words get structured definitions without leaving the
+ * app. The file is saved to the cache directory and read back a chunk at a
+ * time, so a full dataset never has to fit in memory at once.
+ *
+ * Each line holds one entry, an object per word and part of speech, in one
+ * of two formats:
+ * - Compact: `{ word, pos, senses: [{ gloss, example }] }`
+ * - kaikki.org Wiktionary extract: `{ word, pos, senses: [{ glosses: [...],
+ *   examples: [{ text, english }] }] }`
+ *
+ * @module services/finnishDatasetService
+ */
+
+import * as FileSystem from "expo-file-system";
+
+import {
+  replaceFinnishDictionary,
+  findFinnishDictionaryRows,
+  countFinnishDictionaryHeadwords,
+  getSetting,
+  saveSetting,
+} from "./databaseService";
+
+/**
+ * app_settings key holding metadata about the installed dataset
+ */
+const DATASET_SETTING_KEY = "finnish_dataset";
+
+/**
+ * Where the dataset is downloaded to before it is imported
+ */
+const DOWNLOAD_URI = `${FileSystem.cacheDirectory}finnish-dataset.jsonl`;
+
+/**
+ * Bytes of the downloaded file read at a time
+ */
+const READ_CHUNK_BYTES = 256 * 1024;
+
+/**
+ * Senses stored per batch while importing
+ */
+const IMPORT_BATCH_SIZE = 1000;
+
+/**
+ * Lowercases a word and strips diacritics (ä → a, ö → o, å → a).
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export const foldDiacritics = (text) =>
+  (text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+/**
+ * Converts one dataset entry into fi_dictionary rows, one per sense.
+ *
+ * @param {Object} entry - Dataset entry in compact or kaikki.org format
+ * @returns {Array<Object>} fi_dictionary rows, one per sense
+ */
+const entryToRows = (entry) => {
+  if (!entry || !entry.word || !Array.isArray(entry.senses)) {
+    return [];
+  }
+
+  const headword = entry.word.trim();
+
+  return entry.senses
+    .map((sense) => {
+      const definition =
+        sense.gloss ||
+        (Array.isArray(sense.glosses) ? sense.glosses.join("; ") : "");
+      const firstExample = Array.isArray(sense.examples)
+        ? sense.examples[0]
+        : null;
+      const example =
+        sense.example ||
+        (firstExample
+          ? firstExample.english
+            ? `${firstExample.text} — ${firstExample.english}`
+            : firstExample.text
+          : "");
+
+      return {
+        headword,
+        headwordLower: headword.toLowerCase(),
+        headwordFolded: foldDiacritics(headword),
+        partOfSpeech: entry.pos || "",
+        definition,
+        example: example || "",
+      };
+    })
+    .filter((row) => row.definition);
+};
+
+/**
+ * Decodes a UTF-8 byte string (one character per byte, as returned by atob).
+ *
+ * @param {string} bytes - UTF-8 encoded bytes
+ * @returns {string} Decoded text
+ */
+const decodeUtf8 = (bytes) => {
+  // Most lines are plain ASCII and need no decoding
+  if (!/[\x80-\xff]/.test(bytes)) {
+    return bytes;
+  }
+
+  let text = "";
+  let index = 0;
+  while (index < bytes.length) {
+    const lead = bytes.charCodeAt(index);
+    const extra = lead >= 0xf0 ? 3 : lead >= 0xe0 ? 2 : lead >= 0xc0 ? 1 : 0;
+    let codePoint = extra ? lead & (0x3f >> extra) : lead;
+    for (let offset = 1; offset <= extra; offset++) {
+      codePoint = (codePoint << 6) | (bytes.charCodeAt(index + offset) & 0x3f);
+    }
+    text += String.fromCodePoint(codePoint);
+    index += extra + 1;
+  }
+  return text;
+};
+
+/**
+ * Reads a text file line by line, a chunk at a time. A newline byte never
+ * occurs inside a multi-byte UTF-8 character, so each complete line can be
+ * decoded on its own.
+ *
+ * @param {string} uri - File to read
+ * @yields {string} Each line of the file
+ */
+async function* readLines(uri) {
+  const { size } = await FileSystem.getInfoAsync(uri);
+  let partialLine = "";
+
+  for (let position = 0; position < size; position += READ_CHUNK_BYTES) {
+    const chunk = await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position,
+      length: READ_CHUNK_BYTES,
+    });
+    const lines = (partialLine + atob(chunk)).split("\n");
+    partialLine = lines.pop();
+
+    for (const line of lines) {
+      yield decodeUtf8(line);
+    }
+  }
+
+  if (partialLine) {
+    yield decodeUtf8(partialLine);
+  }
+}
+
+/**
+ * Reads the downloaded dataset and groups its senses into batches for
+ * replaceFinnishDictionary. A JSON array with one entry per line is read
+ * the same way as JSON Lines.
+ *
+ * @param {string} uri - Downloaded dataset file
+ * @param {Object} progress - Receives the number of senses read so far and,
+ *   since the import itself only reports success or failure, the reason the
+ *   file was rejected
+ * @yields {Array<Object>} Batches of fi_dictionary rows
+ * @throws {Error} - If a line isn't a JSON entry or the file has no definitions
+ */
+async function* readDatasetBatches(uri, progress) {
+  const reject = (message) => {
+    progress.error = new Error(message);
+    throw progress.error;
+  };
+  let batch = [];
+
+  for await (const line of readLines(uri)) {
+    const json = line
+      .trim()
+      .replace(/^\[/, "")
+      .replace(/[,\]]$/, "");
+    if (!json) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(json);
+    } catch (error) {
+      reject("The Finnish dictionary file has an unexpected format.");
+    }
+
+    batch.push(...entryToRows(entry));
+    if (batch.length >= IMPORT_BATCH_SIZE) {
+      progress.senses += batch.length;
+      yield batch;
+      batch = [];
+    }
+  }
+
+  progress.senses += batch.length;
+  if (progress.senses === 0) {
+    reject("The Finnish dictionary file has no definitions.");
+  }
+  yield batch;
+}
+
+/**
+ * Downloads the Finnish dataset and replaces the installed dictionary.
+ * If the file turns out to be invalid, the previous dictionary is kept.
+ *
+ * @returns {Promise<Object>} Installed dataset info: headwords, senses, installedAt
+ * @throws {Error} - If no dataset URL is configured, the download fails or the data is invalid
+ */
+export const downloadFinnishDataset = async () => {
+  const url = process.env.EXPO_PUBLIC_FINNISH_DATASET_URL;
+
+  if (!url) {
+    throw new Error("No Finnish dataset URL is configured.");
+  }
+
+  try {
+    const download = await FileSystem.downloadAsync(url, DOWNLOAD_URI);
+    if (download.status !== 200) {
+      throw new Error("Couldn't download the Finnish dictionary.");
+    }
+
+    const progress = { senses: 0, error: null };
+    const success = await replaceFinnishDictionary(
+      readDatasetBatches(DOWNLOAD_URI, progress)
+    );
+    if (!success) {
+      throw (
+        progress.error || new Error("Couldn't store the Finnish dictionary.")
+      );
+    }
+
+    const info = {
+      headwords: await countFinnishDictionaryHeadwords(),
+      senses: progress.senses,
+      installedAt: new Date().toISOString(),
+    };
+    await saveSetting(DATASET_SETTING_KEY, info);
+
+    return info;
+  } finally {
+    await FileSystem.deleteAsync(DOWNLOAD_URI, { idempotent: true });
+  }
+};
+
+/**
+ * Returns metadata about the installed Finnish dataset.
+ *
+ * @returns {Promise<Object|null>} Dataset info, or null if none is installed
+ */
+export const getFinnishDatasetInfo = async () =>
+  getSetting(DATASET_SETTING_KEY, null);
+
+/**
+ * Looks up a Finnish word in the offline dictionary.
+ *
+ * @param {string} word - The word to look up
+ * @returns {Promise<Array>} Entries in the common dictionary shape (empty if not found)
+ */
+export const lookupFinnishWord = async (word) => {
+  const rows = await findFinnishDictionaryRows(
+    word.trim().toLowerCase(),
+    foldDiacritics(word.trim())
+  );
+
+  // Group senses by headword, then by part of speech
+  const entries = [];
+  rows.forEach((row) => {
+    let entry = entries.find((item) => item.word === row.headword);
+    if (!entry) {
+      entry = { word: row.headword, phonetic: "", audio: "", meanings: [] };
+      entries.push(entry);
+    }
+
+    let meaning = entry.meanings.find(
+      (item) => item.partOfSpeech === row.part_of_speech
+    );
+    if (!meaning) {
+      meaning = {
+        partOfSpeech: row.part_of_speech,
+        synonyms: [],
+        definitions: [],
+      };
+      entry.meanings.push(meaning);
+    }
+
+    meaning.definitions.push({
+      definition: row.definition,
+      example: row.example || "",
+    });
+  });
+
+  return entries;
+};
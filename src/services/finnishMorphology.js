@@ -0,0 +1,483 @@
+/**
+ * Finnish Morphology
+ *
+ * Proposes candidate base forms (lemmas) for inflected Finnish words, so a
+ * form heard in conversation ("talossa", "kävin", "koiralle") can be looked
+ * up in the dictionary under its base form ("talo", "käydä", "koira").
+ *
+ * This is a rule-based guesser, not a full analyzer: it strips clitics,
+ * possessive suffixes, case endings and verb endings, undoes consonant
+ * gradation in both directions and rebuilds nominative and infinitive
+ * forms. It over-generates on purpose - callers try the candidates in order
+ * against the dictionary and keep the first one that exists.
+ *
+ * @module services/finnishMorphology
+ */
+
+const VOWELS = "aeiouyäö";
+
+/**
+ * Maximum number of candidates returned for one word
+ */
+const MAX_CANDIDATES = 60;
+
+/**
+ * Enclitic particles, e.g. "talokin", "onko", "tuleehan"
+ */
+const CLITICS = ["kaan", "kään", "kin", "han", "hän", "pa", "pä", "ko", "kö"];
+
+/**
+ * Possessive suffixes, e.g. "talossani", "koiransa"
+ */
+const POSSESSIVES = ["mme", "nne", "nsa", "nsä", "ni", "si"];
+
+/**
+ * Noun case and number endings, longest first so the most specific
+ * analysis is tried before shorter, more ambiguous ones
+ */
+const CASE_ENDINGS = [
+  "iden",
+  "itten",
+  "seen",
+  "siin",
+  "ssa",
+  "ssä",
+  "sta",
+  "stä",
+  "lla",
+  "llä",
+  "lta",
+  "ltä",
+  "lle",
+  "ksi",
+  "tta",
+  "ttä",
+  "den",
+  "ten",
+  "ita",
+  "itä",
+  "ja",
+  "jä",
+  "na",
+  "nä",
+  "ne",
+  "ta",
+  "tä",
+  "in",
+  "en",
+  "a",
+  "ä",
+  "n",
+  "t",
+];
+
+/**
+ * Verb endings: personal endings, passive and conditional markers
+ */
+const VERB_ENDINGS = [
+  "ttiin",
+  "tiin",
+  "taan",
+  "tään",
+  "daan",
+  "dään",
+  "vat",
+  "vät",
+  "mme",
+  "tte",
+  "n",
+  "t",
+];
+
+/**
+ * Consonant gradation from the weak grade (seen in inflected forms)
+ * to the strong grade, e.g. "kadulla" → "katu", "rannalla" → "ranta"
+ */
+const WEAK_TO_STRONG = {
+  k: ["kk"],
+  p: ["pp"],
+  t: ["tt"],
+  d: ["t"],
+  v: ["p"],
+  nn: ["nt"],
+  mm: ["mp"],
+  ll: ["lt"],
+  rr: ["rt"],
+  ng: ["nk"],
+  lj: ["lk"],
+  rj: ["rk"],
+  l: ["lk"],
+  r: ["rk"],
+  h: ["hk"],
+};
+
+/**
+ * Consonant gradation from the strong grade to the weak grade, for words
+ * whose base form is weak, e.g. "rikkaassa" → "rikas", "hampaat" → "hammas"
+ */
+const STRONG_TO_WEAK = {
+  kk: ["k"],
+  pp: ["p"],
+  tt: ["t"],
+  t: ["d"],
+  p: ["v"],
+  nt: ["nn"],
+  mp: ["mm"],
+  lt: ["ll"],
+  rt: ["rr"],
+  nk: ["ng"],
+  lk: ["l"],
+  k: [""],
+};
+
+/**
+ * Vowel sequences that form one syllable nucleus; any other pair of
+ * adjacent vowels spans a syllable boundary where a "k" may have dropped
+ */
+const DIPHTHONGS = [
+  "ai",
+  "ei",
+  "oi",
+  "ui",
+  "yi",
+  "äi",
+  "öi",
+  "au",
+  "eu",
+  "ou",
+  "iu",
+  "ey",
+  "äy",
+  "öy",
+  "ie",
+  "uo",
+  "yö",
+];
+
+const isVowel = (char) => VOWELS.includes(char);
+
+/**
+ * Picks "a" or "ä" according to vowel harmony.
+ *
+ * @param {string} word - Word or stem
+ * @returns {string} "a" for back-vowel words, "ä" otherwise
+ */
+const harmonyVowel = (word) => (/[aou]/.test(word) ? "a" : "ä");
+
+/**
+ * Returns every form of a word with one of the given suffixes removed.
+ *
+ * @param {string} word - Word to strip
+ * @param {Array<string>} suffixes - Suffixes to try
+ * @returns {Array<string>} Stripped forms (the word itself is not included)
+ */
+const stripSuffixes = (word, suffixes) =>
+  suffixes
+    .filter(
+      (suffix) => word.endsWith(suffix) && word.length > suffix.length + 1
+    )
+    .map((suffix) => word.slice(0, -suffix.length));
+
+/**
+ * Splits a vowel-final stem into prefix, last consonant cluster and the
+ * trailing vowels, e.g. "jalka" → ["ja", "lk", "a"].
+ *
+ * @param {string} stem - Stem ending in a vowel
+ * @returns {Array<string>|null} [prefix, cluster, vowels], or null if the stem ends in a consonant
+ */
+const splitLastCluster = (stem) => {
+  let end = stem.length;
+  while (end > 0 && isVowel(stem[end - 1])) {
+    end--;
+  }
+  if (end === stem.length) {
+    return null;
+  }
+
+  let start = end;
+  while (start > 0 && !isVowel(stem[start - 1])) {
+    start--;
+  }
+
+  return [stem.slice(0, start), stem.slice(start, end), stem.slice(end)];
+};
+
+/**
+ * Produces consonant gradation variants of a vowel-final stem.
+ *
+ * @param {string} stem - Stem ending in a vowel
+ * @returns {Array<string>} Stems with the last consonant cluster regraded
+ */
+const gradationVariants = (stem) => {
+  const parts = splitLastCluster(stem);
+  if (!parts) {
+    return [];
+  }
+
+  const [prefix, cluster, vowels] = parts;
+  const variants = [];
+
+  // Only regrade clusters that follow a vowel (not word-initial consonants)
+  if (prefix.length > 0) {
+    [WEAK_TO_STRONG, STRONG_TO_WEAK].forEach((table) => {
+      (table[cluster] || []).forEach((replacement) => {
+        variants.push(prefix + replacement + vowels);
+      });
+    });
+  }
+
+  // A dropped "k" leaves two vowels that do not form a diphthong:
+  // "ruoan" → "ruoka", "luen" → "lukea"
+  if (
+    vowels.length >= 2 &&
+    vowels[vowels.length - 2] !== vowels[vowels.length - 1] &&
+    !DIPHTHONGS.includes(vowels.slice(-2))
+  ) {
+    const head = stem.slice(0, -1);
+    variants.push(head + "k" + stem.slice(-1));
+  }
+
+  return variants;
+};
+
+/**
+ * Rebuilds possible nominative forms from a noun stem.
+ *
+ * @param {string} stem - Stem left after removing a case ending
+ * @returns {Array<string>} Candidate nominatives, including the stem itself
+ */
+const nominativesFromStem = (stem) => {
+  const candidates = [stem];
+
+  if (stem.endsWith("kse")) {
+    candidates.push(stem.slice(0, -3) + "s"); // kysymykse → kysymys
+  }
+  if (stem.endsWith("se")) {
+    candidates.push(stem.slice(0, -2) + "nen"); // naise → nainen
+  }
+  if (stem.endsWith("ime")) {
+    candidates.push(stem.slice(0, -3) + "in"); // puhelime → puhelin
+  }
+  if (stem.endsWith("de")) {
+    candidates.push(stem.slice(0, -2) + "si"); // vede → vesi
+  }
+  if (stem.endsWith("ee")) {
+    candidates.push(stem.slice(0, -1)); // huonee → huone
+  }
+  if (/(aa|ää)$/.test(stem)) {
+    candidates.push(stem.slice(0, -1) + "s"); // rikkaa → rikas
+  }
+  if (/ttom[aä]$/.test(stem)) {
+    candidates.push(stem.slice(0, -4) + "ton"); // rahattoma → rahaton
+  }
+  if (stem.endsWith("e")) {
+    candidates.push(stem.slice(0, -1) + "i"); // kiele → kieli
+  }
+
+  return candidates;
+};
+
+/**
+ * Undoes the plural marker "i"/"j" at the end of a noun stem.
+ *
+ * @param {string} stem - Stem that may carry a plural marker
+ * @returns {Array<string>} Singular stem candidates
+ */
+const singularStems = (stem) => {
+  const stems = [];
+
+  if (/[ij]$/.test(stem) && stem.length > 2) {
+    const base = stem.slice(0, -1);
+    stems.push(base); // taloi → talo, huonei → huone
+    stems.push(base + harmonyVowel(base)); // koiri → koira
+    if (/[oö]$/.test(base)) {
+      stems.push(base.slice(0, -1) + harmonyVowel(base)); // kaloi → kala
+    }
+    if (!isVowel(base[base.length - 1])) {
+      stems.push(base + "e"); // kieli → kiele
+    }
+  }
+
+  return stems;
+};
+
+/**
+ * Proposes base forms for an inflected noun or adjective.
+ *
+ * @param {string} form - Word with clitics and possessives already removed
+ * @returns {Array<string>} Candidate base forms
+ */
+const nounLemmas = (form) => {
+  const stems = [];
+
+  // Illative with a lengthened vowel: "taloon" → "talo", "maahan" → "maa"
+  const illative = form.match(/^(.*([aeiouyäö]))(\2|h\2)n$/);
+  if (illative) {
+    stems.push(illative[1]);
+  }
+
+  stripSuffixes(form, CASE_ENDINGS).forEach((stem) => {
+    stems.push(stem);
+    stems.push(...singularStems(stem));
+  });
+
+  const candidates = [];
+  stems.forEach((stem) => {
+    [stem, ...gradationVariants(stem)].forEach((variant) => {
+      candidates.push(...nominativesFromStem(variant));
+    });
+  });
+
+  return candidates;
+};
+
+/**
+ * Rebuilds possible first infinitives from a present or past verb stem.
+ *
+ * @param {string} stem - Vowel-final verb stem, e.g. "puhu", "tule", "halua"
+ * @returns {Array<string>} Candidate infinitives
+ */
+const infinitivesFromStem = (stem) => {
+  const a = harmonyVowel(stem);
+  const last = stem[stem.length - 1];
+  const beforeLast = stem[stem.length - 2];
+  const candidates = [];
+
+  if (!isVowel(last)) {
+    return candidates;
+  }
+
+  // Type 1: puhu → puhua, luke → lukea
+  candidates.push(stem + a);
+
+  // Type 2: syö → syödä, käy → käydä, saa → saada
+  if (isVowel(beforeLast)) {
+    candidates.push(stem + "d" + a);
+  }
+
+  if (last === "e") {
+    const root = stem.slice(0, -1);
+    const consonant = root[root.length - 1];
+
+    // Type 3: tule → tulla, mene → mennä, pure → purra, nouse → nousta.
+    // The infinitive takes the weak grade: ajattele → ajatella
+    const head = root.slice(0, -1);
+    [head, ...gradationVariants(head)].forEach((variant) => {
+      if (["l", "n", "r"].includes(consonant)) {
+        candidates.push(variant + consonant + consonant + a);
+      } else if (consonant === "s") {
+        candidates.push(variant + "st" + a);
+      }
+    });
+
+    // Type 5: tarvitse → tarvita
+    if (stem.endsWith("itse")) {
+      candidates.push(stem.slice(0, -3) + "t" + a);
+    }
+
+    // Type 6: vanhene → vanheta
+    if (stem.endsWith("ene")) {
+      candidates.push(stem.slice(0, -2) + "t" + a);
+    }
+  }
+
+  // Type 4: halua → haluta, pelkää → pelätä
+  if (isVowel(beforeLast)) {
+    candidates.push(stem.slice(0, -1) + "t" + a);
+  }
+
+  return candidates;
+};
+
+/**
+ * Proposes base forms for a conjugated verb.
+ *
+ * @param {string} form - Word with clitics already removed
+ * @returns {Array<string>} Candidate infinitives
+ */
+const verbLemmas = (form) => {
+  // Imperative and negative forms are the bare stem: puhu → puhua
+  const stems = [form];
+
+  // Third person singular lengthens the final vowel: puhuu → puhu
+  if (form.length > 3 && /([aeiouyäö])\1$/.test(form)) {
+    stems.push(form.slice(0, -1));
+  }
+
+  stripSuffixes(form, VERB_ENDINGS).forEach((stem) => {
+    stems.push(stem);
+
+    // Conditional: puhuisi → puhu
+    if (stem.endsWith("isi")) {
+      stems.push(stem.slice(0, -3));
+    }
+
+    // Past tense marker
+    if (stem.endsWith("si")) {
+      stems.push(stem.slice(0, -2) + "a"); // halusi → halua
+      stems.push(stem.slice(0, -2) + "ä");
+    }
+    if (stem.endsWith("i")) {
+      const root = stem.slice(0, -1);
+      stems.push(root); // puhui → puhu
+      stems.push(root + "e"); // tuli → tule
+      stems.push(root + harmonyVowel(root)); // otti → otta
+      if (root.endsWith("v")) {
+        stems.push(root.slice(0, -1) + "y"); // kävi → käy
+      }
+      if (/[^aeiouyäö][oö]$/.test(root)) {
+        // söi → syö, joi → juo
+        stems.push(root.slice(0, -1) + (root.endsWith("o") ? "uo" : "yö"));
+      }
+    }
+  });
+
+  const candidates = [];
+  stems.forEach((stem) => {
+    [stem, ...gradationVariants(stem)].forEach((variant) => {
+      candidates.push(...infinitivesFromStem(variant));
+    });
+  });
+
+  return candidates;
+};
+
+/**
+ * Proposes candidate base forms for a Finnish word, most likely first.
+ * The word itself (lowercased) is always the first candidate.
+ *
+ * @param {string} word - Word as encountered, possibly inflected
+ * @returns {Array<string>} Unique candidate lemmas
+ *
+ * @example
+ * getLemmaCandidates("talossa"); // ["talossa", ..., "talo", ...]
+ */
+export const getLemmaCandidates = (word) => {
+  const form = (word || "").trim().toLowerCase();
+  if (!form) {
+    return [];
+  }
+
+  // Peel off clitics, then possessive suffixes
+  const bases = [form];
+  stripSuffixes(form, CLITICS).forEach((base) => bases.push(base));
+  [...bases].forEach((base) => {
+    stripSuffixes(base, POSSESSIVES).forEach((stripped) => {
+      bases.push(stripped);
+      // Possessives lengthen some cases: talossaan → talossa
+      bases.push(stripped + stripped.slice(-1));
+    });
+    // Third person possessive as a lengthened vowel + n: talossaan
+    if (/([aeiouyäö])\1n$/.test(base)) {
+      bases.push(base.slice(0, -2));
+    }
+  });
+
+  const candidates = [...bases];
+  bases.forEach((base) => candidates.push(...nounLemmas(base)));
+  bases.forEach((base) => candidates.push(...verbLemmas(base)));
+
+  return [...new Set(candidates)]
+    .filter((candidate) => candidate.length >= 2)
+    .slice(0, MAX_CANDIDATES);
+};
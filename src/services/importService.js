@@ -0,0 +1,667 @@
+/**
+ * Import Service
+ *
+ * Brings vocabulary kept elsewhere into the local database in bulk.
+ * Supported sources:
+ * - CSV or TSV spreadsheets (comma, semicolon or tab separated, with a header row)
+ * - JSON, including the full dump written by exportService
+ * - Anki "Notes in Plain Text" exports
+ *
+ * An import is planned before anything is written: every source row is
+ * mapped onto saved_words fields, given a language, and checked against the
+ * existing vocabulary for duplicates. The resulting report can be shown as a
+ * dry-run preview, and the same plan is written in one transaction when the
+ * user confirms.
+ *
+ * @module services/importService
+ */
+
+import {
+  getSavedWords,
+  importWordRows,
+  normalizeWord,
+} from "./databaseService";
+import { JSON_EXPORT_FORMAT } from "./exportService";
+import { parseTagList } from "./tagService";
+
+/**
+ * saved_words fields a source column can be mapped to.
+ * Progress fields are only imported when the user chooses to keep progress.
+ */
+export const IMPORT_FIELDS = [
+  { key: "word", label: "Word" },
+  { key: "definition", label: "Definition" },
+  { key: "example", label: "Example" },
+  { key: "phonetic", label: "Phonetic" },
+  { key: "notes", label: "Notes" },
+  { key: "tags", label: "Tags" },
+  { key: "language", label: "Language" },
+  { key: "encountered_form", label: "Encountered form" },
+  { key: "learning_level", label: "Learning level", progress: true },
+  { key: "next_review_date", label: "Next review date", progress: true },
+  { key: "ease_factor", label: "Ease factor", progress: true },
+  { key: "interval_days", label: "Interval (days)", progress: true },
+  { key: "repetitions", label: "Repetitions", progress: true },
+  { key: "created_at", label: "Date added", progress: true },
+];
+
+/**
+ * What to do with a row whose word already exists in the same language:
+ * skip the row, merge it into the existing word (filling in empty fields),
+ * or overwrite the existing word with every field the row has a value for
+ */
+export const DUPLICATE_POLICIES = {
+  SKIP: "skip",
+  MERGE: "merge",
+  OVERWRITE: "overwrite",
+};
+
+/**
+ * Language value that asks the importer to detect each word's language
+ */
+export const AUTO_LANGUAGE = "auto";
+
+/**
+ * Column names (lowercased) that are mapped to each field automatically
+ */
+const COLUMN_ALIASES = {
+  word: ["word", "term", "front", "headword", "sana", "field 1"],
+  definition: [
+    "definition",
+    "meaning",
+    "translation",
+    "back",
+    "merkitys",
+    "field 2",
+  ],
+  example: ["example", "sentence", "esimerkki"],
+  phonetic: ["phonetic", "pronunciation", "ipa"],
+  notes: ["notes", "note", "comment", "muistiinpanot"],
+  tags: ["tags", "tag", "labels", "category", "deck", "kategoria"],
+  language: ["language", "lang", "language tag", "kieli"],
+  encountered_form: ["encountered_form", "encountered form", "form"],
+  learning_level: ["learning_level", "level"],
+  next_review_date: ["next_review_date", "due", "next review"],
+  ease_factor: ["ease_factor", "ease"],
+  interval_days: ["interval_days", "interval"],
+  repetitions: ["repetitions", "reps"],
+  created_at: ["created_at", "added", "date added"],
+};
+
+/**
+ * Spellings accepted in a language column, by language code
+ */
+const LANGUAGE_ALIASES = {
+  en: ["en", "eng", "english", "englanti"],
+  fi: ["fi", "fin", "finnish", "suomi"],
+};
+
+/**
+ * Text fields filled in by a merge; notes are combined rather than replaced
+ */
+const TEXT_FIELDS = ["definition", "example", "phonetic", "encountered_form"];
+
+/**
+ * Splits delimited text into rows of cells, honouring double-quoted cells
+ * that contain delimiters, escaped quotes ("") or line breaks.
+ *
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<Array<string>>} Rows of cells, without empty lines
+ */
+export const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Picks the delimiter used most on the header line of a spreadsheet.
+ *
+ * @param {string} text - Delimited text
+ * @returns {string} Comma, semicolon or tab
+ */
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  const counts = [",", ";", "\t"].map((delimiter) => ({
+    delimiter,
+    count: header.split(delimiter).length - 1,
+  }));
+
+  return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+/**
+ * Converts an Anki HTML field to plain text.
+ *
+ * @param {string} html - Field contents
+ * @returns {string} Text with line breaks kept and tags removed
+ */
+const stripHtml = (html) =>
+  (html || "")
+    .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Reads a language code from free text such as "Finnish" or "fi".
+ *
+ * @param {string} value - Language text
+ * @returns {string|null} Language code, or null if not recognized
+ */
+const parseLanguage = (value) => {
+  const text = String(value || "")
+    .trim()
+    .toLowerCase();
+
+  return (
+    Object.keys(LANGUAGE_ALIASES).find((code) =>
+      LANGUAGE_ALIASES[code].includes(text)
+    ) || null
+  );
+};
+
+/**
+ * Parses an Anki "Notes in Plain Text" export. Its `#key:value` header lines
+ * give the separator, whether fields hold HTML and which column has the tags.
+ * Fields become "Field 1", "Field 2", ...; a language tag (e.g. "fi") is
+ * split out of the tags into its own column, and the remaining tags become
+ * the "Tags" column.
+ *
+ * @param {string} text - File contents
+ * @returns {{kind: string, columns: Array<string>, rows: Array<Object>}} Parsed file
+ */
+const parseAnkiText = (text) => {
+  const headers = {};
+  const body = [];
+
+  text.split(/\r?\n/).forEach((line) => {
+    const header = line.match(/^#([\w ]+):(.*)$/);
+    if (header && body.length === 0) {
+      headers[header[1].trim().toLowerCase()] = header[2].trim();
+    } else {
+      body.push(line);
+    }
+  });
+
+  const separators = { tab: "\t", comma: ",", semicolon: ";", pipe: "|" };
+  const separator = separators[headers.separator] || headers.separator || "\t";
+  const html = headers.html !== "false";
+  const tagsIndex = headers["tags column"]
+    ? parseInt(headers["tags column"], 10) - 1
+    : -1;
+
+  const cells = parseDelimited(body.join("\n"), separator);
+  const fieldCount = Math.max(
+    0,
+    ...cells.map((row) => row.length - (tagsIndex >= 0 ? 1 : 0))
+  );
+  const fieldColumns = Array.from(
+    { length: fieldCount },
+    (_, index) => `Field ${index + 1}`
+  );
+
+  const rows = cells.map((row) => {
+    const record = {};
+    const fields = row.filter((_, index) => index !== tagsIndex);
+    fieldColumns.forEach((column, index) => {
+      record[column] = html ? stripHtml(fields[index]) : fields[index] || "";
+    });
+
+    if (tagsIndex >= 0) {
+      const tags = (row[tagsIndex] || "").split(/\s+/).filter(Boolean);
+      record["Language Tag"] = tags.find((tag) => parseLanguage(tag)) || "";
+      record.Tags = tags
+        .filter((tag) => !parseLanguage(tag))
+        .map((tag) => tag.replace(/_/g, " "))
+        .join(", ");
+    }
+    return record;
+  });
+
+  return {
+    kind: "anki",
+    columns:
+      tagsIndex >= 0 ? [...fieldColumns, "Language Tag", "Tags"] : fieldColumns,
+    rows,
+  };
+};
+
+/**
+ * Parses a JSON file: a WordJotter export, an object with a `words` array,
+ * or a plain array of word objects.
+ *
+ * @param {string} text - File contents
+ * @returns {{kind: string, columns: Array<string>, rows: Array<Object>}} Parsed file
+ * @throws {Error} - If the JSON holds no list of words
+ */
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  const words = Array.isArray(data)
+    ? data
+    : data && Array.isArray(data.words)
+      ? data.words
+      : null;
+
+  if (!words) {
+    throw new Error("This JSON file has no list of words to import.");
+  }
+
+  const rows = words.filter((row) => row && typeof row === "object");
+  const columns = [];
+  rows.forEach((row) =>
+    Object.keys(row).forEach((key) => {
+      // Nested values (e.g. arrays of senses) cannot be mapped to a field
+      const flat = row[key] === null || typeof row[key] !== "object";
+      if (flat && !columns.includes(key)) {
+        columns.push(key);
+      }
+    })
+  );
+
+  return {
+    kind: data.format === JSON_EXPORT_FORMAT ? "wordjotter" : "json",
+    columns,
+    rows,
+  };
+};
+
+/**
+ * Parses an import file into named columns and rows.
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - Original file name, used to recognize the format
+ * @returns {{kind: string, columns: Array<string>, rows: Array<Object>}} Parsed file
+ * @throws {Error} - If the file is empty or cannot be parsed
+ */
+export const parseImportFile = (text, fileName = "") => {
+  const contents = (text || "").replace(/^\uFEFF/, "");
+  const trimmed = contents.trim();
+
+  if (!trimmed) {
+    throw new Error("This file is empty.");
+  }
+
+  if (/\.json$/i.test(fileName) || /^[[{]/.test(trimmed)) {
+    return parseJson(trimmed);
+  }
+
+  if (/^#(separator|html|tags column|notetype|deck)/im.test(trimmed)) {
+    return parseAnkiText(contents);
+  }
+
+  const [header, ...body] = parseDelimited(contents, detectDelimiter(contents));
+  const columns = header.map(
+    (name, index) => name.trim() || `Column ${index + 1}`
+  );
+
+  return {
+    kind: "csv",
+    columns,
+    rows: body.map((cells) =>
+      Object.fromEntries(
+        columns.map((column, index) => [column, cells[index] || ""])
+      )
+    ),
+  };
+};
+
+/**
+ * Suggests a field for each column by its name. Headerless Anki exports fall
+ * back to their field order: front is the word, back the definition.
+ *
+ * @param {Array<string>} columns - Column names of the parsed file
+ * @returns {Object} Map of column name to field key, or null to ignore it
+ */
+export const suggestColumnMapping = (columns) => {
+  const mapping = {};
+  const used = new Set();
+
+  columns.forEach((column) => {
+    const name = column.trim().toLowerCase();
+    const field = Object.keys(COLUMN_ALIASES).find(
+      (key) => !used.has(key) && COLUMN_ALIASES[key].includes(name)
+    );
+    mapping[column] = field || null;
+    if (field) {
+      used.add(field);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Guesses whether a word is Finnish or English from its spelling.
+ * Looks for letters and patterns only one of the languages uses: ä and ö,
+ * long vowels and case endings for Finnish; letters that Finnish only has in
+ * loanwords, and consonant endings Finnish words never have, for English.
+ *
+ * @param {string} word - Word or phrase
+ * @returns {string|null} "fi", "en", or null if the spelling gives no clue
+ */
+export const detectLanguage = (word) => {
+  const text = (word || "").toLowerCase().trim();
+
+  if (/[äö]/.test(text)) {
+    return "fi";
+  }
+  if (/[bcfqwxz]|th|sh|ch|ght|ing\b|tion\b|[dgkmp]\b/.test(text)) {
+    return "en";
+  }
+  if (/aa|ii|uu|yy|(nen|ssa|sta|lla|lle|lta|ksi|tta|isi|ja)\b/.test(text)) {
+    return "fi";
+  }
+  return null;
+};
+
+/**
+ * Reads a progress value, dropping anything that is not a valid number or date.
+ *
+ * @param {string} field - Progress field key
+ * @param {*} value - Raw value from the file
+ * @returns {number|string|undefined} Clean value, or undefined to skip it
+ */
+const parseProgressValue = (field, value) => {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return undefined;
+  }
+
+  if (field === "next_review_date" || field === "created_at") {
+    const date = new Date(String(value).trim().replace(" ", "T"));
+    if (Number.isNaN(date.getTime())) {
+      return undefined;
+    }
+    // created_at uses SQLite's CURRENT_TIMESTAMP layout
+    return field === "created_at"
+      ? date.toISOString().slice(0, 19).replace("T", " ")
+      : date.toISOString();
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    return undefined;
+  }
+  if (field === "ease_factor") {
+    return Math.max(1.3, number);
+  }
+  return Math.round(number);
+};
+
+/**
+ * Turns one source row into saved_words fields.
+ *
+ * @param {Object} row - Parsed source row
+ * @param {Object} mapping - Map of column name to field key
+ * @param {boolean} preserveProgress - Whether progress fields are imported
+ * @returns {Object} Fields keyed by saved_words column, plus `tags` and
+ *   `senses` arrays when the row has them
+ */
+const mapRow = (row, mapping, preserveProgress) => {
+  const fields = {};
+
+  Object.entries(mapping).forEach(([column, key]) => {
+    const field = IMPORT_FIELDS.find((candidate) => candidate.key === key);
+    if (!field || (field.progress && !preserveProgress)) {
+      return;
+    }
+
+    if (field.progress) {
+      const value = parseProgressValue(key, row[column]);
+      if (value !== undefined) {
+        fields[key] = value;
+      }
+      return;
+    }
+
+    const value = row[column] == null ? "" : String(row[column]).trim();
+    if (key === "tags") {
+      const tags = parseTagList([...(fields.tags || []), value].join(","));
+      if (tags.length > 0) {
+        fields.tags = tags;
+      }
+    } else if (value && !fields[key]) {
+      fields[key] = value;
+    }
+  });
+
+  // WordJotter exports list each word's tags as an array
+  if (!fields.tags && Array.isArray(row.tags)) {
+    fields.tags = row.tags.filter((tag) => typeof tag === "string");
+  }
+
+  // WordJotter exports list each word's senses; new words keep them
+  if (fields.definition && Array.isArray(row.senses)) {
+    fields.senses = row.senses.filter((sense) => sense && sense.definition);
+  }
+
+  return fields;
+};
+
+/**
+ * Combines an incoming word with the one already planned or stored.
+ * Empty fields are filled in, differing notes are kept side by side, and
+ * progress is only taken over if the existing word has never been reviewed.
+ *
+ * @param {Object} current - Fields of the existing word
+ * @param {Object} incoming - Fields of the imported row
+ * @returns {Object} Merged fields
+ */
+const mergeFields = (current, incoming) => {
+  const merged = { ...current };
+
+  TEXT_FIELDS.forEach((field) => {
+    if (!merged[field] && incoming[field]) {
+      merged[field] = incoming[field];
+    }
+  });
+
+  if (incoming.tags) {
+    merged.tags = parseTagList(
+      [...(merged.tags || []), ...incoming.tags].join(",")
+    );
+  }
+
+  if (incoming.notes && incoming.notes !== merged.notes) {
+    merged.notes = merged.notes
+      ? `${merged.notes}\n${incoming.notes}`
+      : incoming.notes;
+  }
+
+  if (!merged.next_review_date) {
+    IMPORT_FIELDS.filter((field) => field.progress).forEach(({ key }) => {
+      if (incoming[key] !== undefined) {
+        merged[key] = incoming[key];
+      }
+    });
+  }
+
+  return merged;
+};
+
+/**
+ * Plans an import and, unless it is a dry run, writes it to the database.
+ *
+ * Rows without a word are reported as invalid. A row's language comes from
+ * its mapped language column when that holds a known language; otherwise the
+ * `language` option is used, and with "auto" the spelling is examined, with
+ * words that give no clue taking the language most of the file is in.
+ * Words already saved in the same language (compared with normalizeWord), including
+ * repeats within the file, are handled by the duplicate policy.
+ *
+ * @param {{rows: Array<Object>}} parsed - File parsed by parseImportFile
+ * @param {Object} options - Import options
+ * @param {Object} options.mapping - Map of column name to field key
+ * @param {string} options.language - "auto" or a language code
+ * @param {string} options.duplicatePolicy - One of DUPLICATE_POLICIES
+ * @param {boolean} options.preserveProgress - Import learning progress fields
+ * @param {boolean} options.dryRun - Only report what would happen
+ * @returns {Promise<Object>} Report with counts and the outcome of every row
+ * @throws {Error} - If no column is mapped to the word, or the write fails
+ */
+export const importVocabulary = async (parsed, options) => {
+  const {
+    mapping,
+    language = AUTO_LANGUAGE,
+    duplicatePolicy = DUPLICATE_POLICIES.SKIP,
+    preserveProgress = false,
+    dryRun = false,
+  } = options;
+
+  if (!Object.values(mapping).includes("word")) {
+    throw new Error("Choose which column holds the word.");
+  }
+
+  const mapped = parsed.rows.map((row) =>
+    mapRow(row, mapping, preserveProgress)
+  );
+
+  // Language from the file where possible, then from the spelling
+  const detected = mapped.map(
+    (fields) =>
+      parseLanguage(fields.language) ||
+      (language === AUTO_LANGUAGE ? detectLanguage(fields.word) : language)
+  );
+  const tally = detected.reduce((counts, code) => {
+    if (code) {
+      counts[code] = (counts[code] || 0) + 1;
+    }
+    return counts;
+  }, {});
+  const majority =
+    Object.keys(tally).sort((a, b) => tally[b] - tally[a])[0] || "en";
+
+  // Existing words by language and lowercased word
+  const keyOf = (fields) => `${fields.language}:${normalizeWord(fields.word)}`;
+  const targets = new Map();
+  (await getSavedWords()).forEach((word) => {
+    targets.set(keyOf(word), { id: word.id, fields: word, action: null });
+  });
+
+  const report = {
+    dryRun,
+    total: parsed.rows.length,
+    added: 0,
+    merged: 0,
+    overwritten: 0,
+    skipped: 0,
+    invalid: 0,
+    rows: [],
+  };
+
+  mapped.forEach((fields, index) => {
+    const line = { row: index + 1, word: fields.word || "" };
+
+    if (!fields.word) {
+      report.invalid++;
+      report.rows.push({ ...line, action: "invalid", message: "No word" });
+      return;
+    }
+
+    fields.language = detected[index] || majority;
+    line.language = fields.language;
+    const key = keyOf(fields);
+    const target = targets.get(key);
+
+    if (!target) {
+      targets.set(key, {
+        id: null,
+        fields: { category: "default", ...fields },
+        action: "add",
+      });
+      report.added++;
+      report.rows.push({ ...line, action: "add" });
+      return;
+    }
+
+    if (duplicatePolicy === DUPLICATE_POLICIES.MERGE) {
+      target.fields = mergeFields(target.fields, fields);
+      target.action = target.action || "merge";
+      report.merged++;
+      report.rows.push({ ...line, action: "merge" });
+    } else if (duplicatePolicy === DUPLICATE_POLICIES.OVERWRITE) {
+      target.fields = { ...target.fields, ...fields };
+      target.action = target.action === "add" ? "add" : "overwrite";
+      report.overwritten++;
+      report.rows.push({ ...line, action: "overwrite" });
+    } else {
+      report.skipped++;
+      report.rows.push({
+        ...line,
+        action: "skip",
+        message: target.id ? "Already saved" : "Repeated in file",
+      });
+    }
+  });
+
+  if (dryRun) {
+    return report;
+  }
+
+  const planned = [...targets.values()];
+  const inserts = planned
+    .filter((target) => target.action === "add")
+    .map((target) => target.fields);
+  const updates = planned
+    .filter((target) => target.id && target.action)
+    .map(({ id, fields }) => {
+      // Only write back what an import can change
+      const { word, ...changes } = fields;
+      delete changes.id;
+      delete changes.language;
+      if (!preserveProgress) {
+        IMPORT_FIELDS.filter((field) => field.progress).forEach(
+          ({ key }) => delete changes[key]
+        );
+      }
+      return { id, fields: changes };
+    });
+
+  if (!(await importWordRows(inserts, updates))) {
+    throw new Error("The import couldn't be saved.");
+  }
+
+  return report;
+};
@@ -5,15 +5,62 @@
  * Manages the scheduling of word reviews based on user performance
  * and provides functionality to retrieve words due for review.
  *
+ * Scheduling follows an SM-2 style approach: every word carries an ease
+ * factor, an interval and a repetition count, and each review is graded
+ * Again / Hard / Good / Easy.
+ *
+ * Senses of a word marked as reviewable carry their own schedule and are
+ * reviewed as separate cards alongside the words.
+ *
+ * Words can also be practiced in reverse: the card shows the meaning and asks
+ * for the word. Reverse cards are scheduled independently of the
+ * word-to-meaning cards, and which directions are practiced is chosen per
+ * deck or per word.
+ *
+ * Cloze cards show one of the word's sentences with the word blanked out
+ * and ask for the missing form. They have a schedule of their own and come
+ * up for words with cloze sentences written by the user, or for every word
+ * with a usable sentence when a deck asks for them.
+ *
+ * Every graded card is counted towards the day's study progress (new cards
+ * and reviews separately), which sessionService uses to enforce daily limits.
+ *
+ * Failing a card that had already been learned counts as a lapse of its
+ * word. Words with many lapses are leeches (see leechService) and may be
+ * suspended automatically.
+ *
+ * Words can also be taken out of review by hand: suspended until the user
+ * unsuspends them, or buried until the next day. Suspended and buried words
+ * have no cards, and a word can be rescheduled or reset to new at any time.
+ *
  * @module services/learningService
  */
 
-import { getSavedWords, updateWordLearningStatus } from "./databaseService";
+import {
+  getSavedWords,
+  getWordById,
+  getSenseById,
+  updateWordSchedule,
+  updateSenseSchedule,
+  updateReverseSchedule,
+  updateClozeSchedule,
+  addReviewLogEntry,
+  getSetting,
+  saveSetting,
+  recordWordLapse,
+  setWordSuspended,
+  setWordBuriedUntil,
+  rescheduleWordCards,
+  resetWordProgress,
+} from "./databaseService";
+import { TAG_MATCH, matchesTags } from "./tagService";
+import { pickCloze } from "./clozeService";
+import { getLeechSettings } from "./leechService";
 
 /**
- * Spaced repetition intervals in days.
- * Each index corresponds to a learning level, and the value represents
- * the number of days until the next review.
+ * Interval thresholds in days for each display learning level.
+ * A word's learning level is the highest level whose threshold its
+ * current interval has reached, so existing levels keep their meaning.
  *
  * Level 0: 1 day
  * Level 1: 3 days
@@ -24,9 +71,127 @@ import { getSavedWords, updateWordLearningStatus } from "./databaseService";
  */
 const INTERVALS = [1, 3, 7, 14, 30, 90];
 
+/**
+ * Recall grades a user can give a card, from worst to best.
+ */
+export const GRADES = {
+  AGAIN: 0,
+  HARD: 1,
+  GOOD: 2,
+  EASY: 3,
+};
+
+/**
+ * Directions a word can be practiced in: word to meaning (recognition),
+ * meaning to word (production), or both as separate cards.
+ */
+export const CARD_DIRECTIONS = {
+  FORWARD: "forward",
+  REVERSE: "reverse",
+  BOTH: "both",
+};
+
+// SM-2 tuning constants
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const HARD_MULTIPLIER = 1.2;
+const EASY_BONUS = 1.3;
+const EASY_FIRST_INTERVAL = 4;
+const MAX_INTERVAL = 365;
+
+/**
+ * Maps an interval in days to the 0-5 display learning level.
+ *
+ * @param {number} intervalDays - Current review interval in days
+ * @returns {number} Learning level (0-5)
+ */
+export const levelForInterval = (intervalDays) => {
+  let level = 0;
+  INTERVALS.forEach((threshold, index) => {
+    if (intervalDays >= threshold) {
+      level = index;
+    }
+  });
+  return level;
+};
+
+/**
+ * Computes the next scheduling state of a word for a given grade.
+ * Pure function - it does not touch the database, so it can also be used
+ * to preview the outcome of each grade button.
+ *
+ * - Again: repetitions reset, interval back to 1 day, ease drops by 0.2
+ * - Hard: interval grows slowly (x1.2), ease drops by 0.15
+ * - Good: 1 day, then 3 days, then interval x ease
+ * - Easy: like Good with an extra bonus, ease rises by 0.15
+ *
+ * @param {Object} word - Word row with ease_factor, interval_days and repetitions
+ * @param {number} grade - One of GRADES
+ * @param {Date} [now=new Date()] - Time of the review
+ * @returns {Object} New state: learningLevel, nextReviewDate, easeFactor, intervalDays, repetitions
+ */
+export const scheduleReview = (word, grade, now = new Date()) => {
+  let easeFactor = word.ease_factor || DEFAULT_EASE;
+  let intervalDays = word.interval_days || 0;
+  let repetitions = word.repetitions || 0;
+
+  if (grade === GRADES.AGAIN) {
+    repetitions = 0;
+    intervalDays = 1;
+    easeFactor -= 0.2;
+  } else {
+    if (grade === GRADES.HARD) {
+      intervalDays =
+        repetitions === 0
+          ? 1
+          : Math.max(
+              intervalDays + 1,
+              Math.round(intervalDays * HARD_MULTIPLIER)
+            );
+      easeFactor -= 0.15;
+    } else if (grade === GRADES.EASY) {
+      intervalDays =
+        repetitions === 0
+          ? EASY_FIRST_INTERVAL
+          : Math.max(
+              intervalDays + 1,
+              Math.round(intervalDays * easeFactor * EASY_BONUS)
+            );
+      easeFactor += 0.15;
+    } else {
+      if (repetitions === 0) {
+        intervalDays = 1;
+      } else if (repetitions === 1) {
+        intervalDays = Math.max(3, intervalDays + 1);
+      } else {
+        intervalDays = Math.max(
+          intervalDays + 1,
+          Math.round(intervalDays * easeFactor)
+        );
+      }
+    }
+    repetitions += 1;
+  }
+
+  easeFactor = Math.max(MIN_EASE, Math.round(easeFactor * 100) / 100);
+  intervalDays = Math.min(intervalDays, MAX_INTERVAL);
+
+  const nextReviewDate = new Date(now);
+  nextReviewDate.setDate(nextReviewDate.getDate() + intervalDays);
+
+  return {
+    learningLevel: grade === GRADES.AGAIN ? 0 : levelForInterval(intervalDays),
+    nextReviewDate: nextReviewDate.toISOString(),
+    easeFactor,
+    intervalDays,
+    repetitions,
+  };
+};
+
 /**
  * Retrieves words that are due for review based on their next review date.
  * Includes words that have never been reviewed or have no scheduled review date.
+ * Suspended and buried words are left out.
  *
  * @returns {Promise<Array>} Array of word objects that should be reviewed today
  * @throws {Error} Logs error to console but does not throw to caller; returns empty array on error
@@ -41,71 +206,290 @@ export const getWordsForReview = async () => {
     const words = await getSavedWords();
     const today = new Date();
 
-    return words.filter((word) => {
-      // If word has never been reviewed or has no next_review_date, include it
-      if (!word.learning_level || !word.next_review_date) {
-        return true;
+    return words.filter(
+      (word) => inRotation(word, today) && isDue(word, today)
+    );
+  } catch (error) {
+    console.error("Error getting words for review: ", error);
+    return [];
+  }
+};
+
+/**
+ * Whether a word is buried.
+ *
+ * @param {Object} word - Saved word with its `buried_until`
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} True if the word is buried until later
+ */
+export const isBuried = (word, now = new Date()) =>
+  Boolean(word.buried_until) && new Date(word.buried_until) > now;
+
+/**
+ * Whether a word is in review at all: not suspended and not buried.
+ *
+ * @param {Object} word - Saved word
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the word's cards can come up
+ */
+const inRotation = (word, now) => !word.suspended && !isBuried(word, now);
+
+/**
+ * Whether a word or sense is due: never reviewed (no next_review_date) or
+ * scheduled for today or earlier.
+ *
+ * @param {Object} item - Word or sense row with next_review_date
+ * @param {Date} today - Current time
+ * @returns {boolean} True if the item should be reviewed
+ */
+const isDue = (item, today) =>
+  !item.next_review_date || new Date(item.next_review_date) <= today;
+
+/**
+ * Whether a word belongs to a review scope, such as a deck's saved filter.
+ * Every part of the scope that is set must match; an empty scope matches
+ * every word.
+ *
+ * @param {Object} word - Saved word with its `tags`
+ * @param {Object} scope - Scope to check
+ * @param {Array<string>} [scope.tags] - Only words with these tags
+ * @param {string} [scope.tagMatch] - TAG_MATCH.ANY (default) or TAG_MATCH.ALL
+ * @param {string} [scope.language] - Only words in this language
+ * @param {number} [scope.maxLevel] - Only words at or below this learning level
+ * @param {Array<number>} [scope.wordIds] - Only these words
+ * @returns {boolean} True if the word is in the scope
+ */
+export const wordInScope = (word, scope = {}) => {
+  const { tags, tagMatch = TAG_MATCH.ANY, language, maxLevel, wordIds } = scope;
+
+  if (language && word.language !== language) {
+    return false;
+  }
+  if (
+    maxLevel !== undefined &&
+    maxLevel !== null &&
+    (word.learning_level || 0) > maxLevel
+  ) {
+    return false;
+  }
+  if (wordIds && !wordIds.includes(word.id)) {
+    return false;
+  }
+  return matchesTags(word, tags, tagMatch);
+};
+
+/**
+ * The directions a word is practiced in. The word's own setting wins over
+ * the deck's.
+ *
+ * @param {Object} word - Saved word with its `card_direction`
+ * @param {string} [deckDirection] - Direction chosen for the deck, one of
+ *   CARD_DIRECTIONS (defaults to FORWARD)
+ * @returns {Array<string>} FORWARD and/or REVERSE
+ */
+export const cardDirections = (
+  word,
+  deckDirection = CARD_DIRECTIONS.FORWARD
+) => {
+  const direction = word.card_direction || deckDirection;
+
+  return direction === CARD_DIRECTIONS.BOTH
+    ? [CARD_DIRECTIONS.FORWARD, CARD_DIRECTIONS.REVERSE]
+    : [direction];
+};
+
+/**
+ * Whether a word gets a cloze card: always when the user wrote cloze
+ * sentences for it, otherwise as the session or deck asks.
+ *
+ * @param {Object} word - Saved word with its `clozeSentences`
+ * @param {boolean} [cloze] - true for every word with a usable sentence,
+ *   false for none; by default only words with sentences of their own
+ * @returns {boolean} True if the word's cloze card can come up
+ */
+export const clozeEnabled = (word, cloze) =>
+  cloze ?? (word.clozeSentences || []).length > 0;
+
+/**
+ * Retrieves the cards due for review: every due word in the directions it
+ * is practiced in, every due sense marked as reviewable, and due cloze
+ * cards.
+ *
+ * Word cards show all of the word's senses on the back; reverse word cards
+ * show them on the front and ask for the word. Sense cards ask for a single
+ * meaning, carry that sense's own schedule and come up only when the word
+ * is practiced word-to-meaning. Cloze cards ask for the word blanked out
+ * of one of its sentences, picked at random each session. Suspended and
+ * buried words have no cards.
+ *
+ * @param {Object|Array<Object>} [scope] - Limits the session to the words
+ *   in a scope (see wordInScope), or in every one of several scopes
+ * @param {Object} [options] - Session options
+ * @param {string} [options.direction] - Direction for words without their
+ *   own setting, one of CARD_DIRECTIONS (defaults to FORWARD)
+ * @param {boolean} [options.cloze] - Which words get cloze cards, as for
+ *   clozeEnabled
+ * @returns {Promise<Array<Object>>} Cards, each with `key`, `type` ("word",
+ *   "reverse", "sense" or "cloze"), its `direction` (null for cloze cards),
+ *   `id` of the word or sense, the `word` row, the `senses` it shows and the
+ *   `schedule` row the grade applies to; cloze cards also carry their
+ *   `cloze` from clozeService
+ */
+export const getCardsForReview = async (scope = {}, options = {}) => {
+  const scopes = Array.isArray(scope) ? scope : [scope];
+
+  try {
+    const today = new Date();
+    const words = (await getSavedWords()).filter(
+      (word) =>
+        inRotation(word, today) &&
+        scopes.every((part) => wordInScope(word, part))
+    );
+    const cards = [];
+
+    words.forEach((word) => {
+      const directions = cardDirections(word, options.direction);
+      const forward = directions.includes(CARD_DIRECTIONS.FORWARD);
+      const reverseSchedule = word.reverse || {};
+
+      if (forward && isDue(word, today)) {
+        cards.push({
+          key: `word-${word.id}`,
+          type: "word",
+          direction: CARD_DIRECTIONS.FORWARD,
+          id: word.id,
+          word,
+          senses: word.senses,
+          schedule: word,
+        });
+      }
+
+      if (
+        directions.includes(CARD_DIRECTIONS.REVERSE) &&
+        isDue(reverseSchedule, today)
+      ) {
+        cards.push({
+          key: `reverse-${word.id}`,
+          type: "reverse",
+          direction: CARD_DIRECTIONS.REVERSE,
+          id: word.id,
+          word,
+          senses: word.senses,
+          schedule: reverseSchedule,
+        });
+      }
+
+      if (forward) {
+        word.senses
+          .filter((sense) => sense.reviewable && isDue(sense, today))
+          .forEach((sense) => {
+            cards.push({
+              key: `sense-${sense.id}`,
+              type: "sense",
+              direction: CARD_DIRECTIONS.FORWARD,
+              id: sense.id,
+              word,
+              senses: [sense],
+              schedule: sense,
+            });
+          });
       }
 
-      // check if the next review date is today or earlier
-      const nextReviewDate = new Date(word.next_review_date);
-      return nextReviewDate <= today;
+      if (clozeEnabled(word, options.cloze) && isDue(word.cloze || {}, today)) {
+        const cloze = pickCloze(word);
+        if (cloze) {
+          cards.push({
+            key: `cloze-${word.id}`,
+            type: "cloze",
+            direction: null,
+            id: word.id,
+            word,
+            senses: word.senses,
+            schedule: word.cloze || {},
+            cloze,
+          });
+        }
+      }
     });
+
+    return cards;
   } catch (error) {
-    console.error("Error getting words for review: ", error);
+    console.error("Error getting cards for review: ", error);
     return [];
   }
 };
 
+/**
+ * Turns a word or sense card into the reverse card of its word, for asking
+ * the word instead of the meaning (as typing mode does). The card keeps the
+ * senses it shows, but its grade applies to the word's reverse schedule.
+ * Reverse and cloze cards already ask for the word and are returned as is.
+ *
+ * @param {Object} card - Card from getCardsForReview
+ * @returns {Object} Card asking for the word
+ */
+export const asReverseCard = (card) =>
+  card.type === "word" || card.type === "sense"
+    ? {
+        ...card,
+        key: `reverse-${card.word.id}`,
+        type: "reverse",
+        direction: CARD_DIRECTIONS.REVERSE,
+        id: card.word.id,
+        schedule: card.word.reverse || {},
+      }
+    : card;
+
 /**
  * Updates a word's learning progress after user review.
- * Adjusts the learning level based on whether the user knew the word,
- * and schedules the next review date according to the spaced repetition intervals.
+ * Computes the new ease factor, interval and learning level from the grade
+ * and schedules the next review date accordingly. Every review is also
+ * appended to the review log so the word's history is never lost.
  *
  * @param {number} wordId - ID of the word being reviewed
- * @param {boolean} isCorrect - Whether the user correctly recalled the word (true) or needed practice (false)
+ * @param {number|boolean} grade - One of GRADES; booleans are accepted for
+ *   pass/fail callers and map to GOOD (true) or AGAIN (false)
+ * @param {Object} [options] - Extra review details
+ * @param {number} [options.responseTimeMs] - Time taken to answer, stored in the review log
  * @returns {Promise<boolean>} True if the update operation succeeds, false otherwise
  * @throws {Error} Logs error to console but does not throw to caller; returns false on error
  *
  * @example
- * // After user marks a flashcard as "known"
- * await updateWordAfterReview(wordId, true);
+ * // After user grades a flashcard as "Good"
+ * await updateWordAfterReview(wordId, GRADES.GOOD);
  *
- * // After user marks a flashcard as "needs practice"
- * await updateWordAfterReview(wordId, false);
+ * // After user marks a flashcard as "Again"
+ * await updateWordAfterReview(wordId, GRADES.AGAIN);
  */
-export const updateWordAfterReview = async (wordId, isCorrect) => {
+export const updateWordAfterReview = async (wordId, grade, options = {}) => {
   try {
-    // Get the current word to check its learning level
-    const words = await getSavedWords();
-    const word = words.find((w) => w.id === wordId);
+    const word = await getWordById(wordId);
 
     if (!word) {
       return false;
     }
 
-    // current learning level (zero, if not set yet )
-    let learningLevel = word.learning_level || 0;
-
-    // Adjust learning level based on answer
-    if (isCorrect) {
-      // Move to next level if correct (max at INTERVALS.length - 1)
-      learningLevel = Math.min(learningLevel + 1, INTERVALS.length - 1);
-    } else {
-      // Move back to first level if incorrect
-      learningLevel = 0;
+    // Support legacy pass/fail callers
+    if (typeof grade === "boolean") {
+      grade = grade ? GRADES.GOOD : GRADES.AGAIN;
     }
 
-    // Calculate next review date
-    const nextReviewDate = new Date();
-    nextReviewDate.setDate(nextReviewDate.getDate() + INTERVALS[learningLevel]);
+    const schedule = scheduleReview(word, grade);
 
     // Update the word in the database
-    const success = await updateWordLearningStatus(
-      wordId,
-      learningLevel,
-      nextReviewDate.toISOString()
-    );
+    const success = await updateWordSchedule(wordId, schedule);
+
+    if (success) {
+      await addReviewLogEntry({
+        wordId,
+        grade,
+        previousLevel: word.learning_level || 0,
+        newLevel: schedule.learningLevel,
+        intervalDays: schedule.intervalDays,
+        easeFactor: schedule.easeFactor,
+        responseTimeMs: options.responseTimeMs,
+      });
+    }
 
     return success;
   } catch (error) {
@@ -113,3 +497,291 @@ export const updateWordAfterReview = async (wordId, isCorrect) => {
     return false;
   }
 };
+
+/**
+ * Updates a reviewable sense's own schedule after a review and logs the
+ * review against its word, so the word's history shows it too.
+ *
+ * @param {number} senseId - ID of the sense being reviewed
+ * @param {number} grade - One of GRADES
+ * @param {Object} [options] - Extra review details
+ * @param {number} [options.responseTimeMs] - Time taken to answer, stored in the review log
+ * @returns {Promise<boolean>} True if the update operation succeeds, false otherwise
+ */
+export const updateSenseAfterReview = async (senseId, grade, options = {}) => {
+  try {
+    const sense = await getSenseById(senseId);
+
+    if (!sense) {
+      return false;
+    }
+
+    const schedule = scheduleReview(sense, grade);
+    const success = await updateSenseSchedule(senseId, schedule);
+
+    if (success) {
+      await addReviewLogEntry({
+        wordId: sense.word_id,
+        senseId,
+        grade,
+        previousLevel: sense.learning_level || 0,
+        newLevel: schedule.learningLevel,
+        intervalDays: schedule.intervalDays,
+        easeFactor: schedule.easeFactor,
+        responseTimeMs: options.responseTimeMs,
+      });
+    }
+
+    return success;
+  } catch (error) {
+    console.error("Error in updating sense learning status: ", error);
+    return false;
+  }
+};
+
+/**
+ * Updates the schedule of a word's reverse (meaning to word) card after a
+ * review and logs the review against the word.
+ *
+ * @param {number} wordId - ID of the word whose reverse card was reviewed
+ * @param {number} grade - One of GRADES
+ * @param {Object} [options] - Extra review details
+ * @param {number} [options.responseTimeMs] - Time taken to answer, stored in the review log
+ * @returns {Promise<boolean>} True if the update operation succeeds, false otherwise
+ */
+export const updateReverseAfterReview = async (wordId, grade, options = {}) => {
+  try {
+    const word = await getWordById(wordId);
+
+    if (!word) {
+      return false;
+    }
+
+    const previous = word.reverse || {};
+    const schedule = scheduleReview(previous, grade);
+    const success = await updateReverseSchedule(wordId, schedule);
+
+    if (success) {
+      await addReviewLogEntry({
+        wordId,
+        direction: CARD_DIRECTIONS.REVERSE,
+        grade,
+        previousLevel: previous.learning_level || 0,
+        newLevel: schedule.learningLevel,
+        intervalDays: schedule.intervalDays,
+        easeFactor: schedule.easeFactor,
+        responseTimeMs: options.responseTimeMs,
+      });
+    }
+
+    return success;
+  } catch (error) {
+    console.error("Error in updating reverse card learning status: ", error);
+    return false;
+  }
+};
+
+/**
+ * Updates the schedule of a word's cloze (fill-in-the-blank) card after a
+ * review, creating it on the first review, and logs the review.
+ *
+ * @param {number} wordId - ID of the word whose cloze card was reviewed
+ * @param {number} grade - One of GRADES
+ * @param {Object} [options] - Extra review details
+ * @param {number} [options.responseTimeMs] - Time taken to answer, stored in the review log
+ * @returns {Promise<boolean>} True if the update operation succeeds, false otherwise
+ */
+export const updateClozeAfterReview = async (wordId, grade, options = {}) => {
+  try {
+    const word = await getWordById(wordId);
+
+    if (!word) {
+      return false;
+    }
+
+    const previous = word.cloze || {};
+    const schedule = scheduleReview(previous, grade);
+    const success = await updateClozeSchedule(wordId, schedule);
+
+    if (success) {
+      await addReviewLogEntry({
+        wordId,
+        direction: "cloze",
+        grade,
+        previousLevel: previous.learning_level || 0,
+        newLevel: schedule.learningLevel,
+        intervalDays: schedule.intervalDays,
+        easeFactor: schedule.easeFactor,
+        responseTimeMs: options.responseTimeMs,
+      });
+    }
+
+    return success;
+  } catch (error) {
+    console.error("Error in updating cloze card learning status: ", error);
+    return false;
+  }
+};
+
+/**
+ * app_settings key holding the counts of cards studied today
+ */
+const PROGRESS_SETTING_KEY = "daily_progress";
+
+/**
+ * The local calendar day of a time, so daily counts start over at local
+ * midnight rather than UTC midnight.
+ *
+ * @param {Date} date - Time
+ * @returns {string} Day as "YYYY-MM-DD"
+ */
+const dayKey = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * Whether a card has never been reviewed.
+ *
+ * @param {Object} card - Card from getCardsForReview
+ * @returns {boolean} True for new cards
+ */
+export const isNewCard = (card) => !card.schedule.next_review_date;
+
+/**
+ * Reads how many new cards and reviews have been studied today. The counts
+ * are stored, so they hold across app restarts.
+ *
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {Promise<{day: string, newCards: number, reviews: number}>} Today's counts
+ */
+export const getDailyProgress = async (now = new Date()) => {
+  const stored = await getSetting(PROGRESS_SETTING_KEY, null);
+  return stored && stored.day === dayKey(now)
+    ? stored
+    : { day: dayKey(now), newCards: 0, reviews: 0 };
+};
+
+/**
+ * Counts a graded card towards today's progress.
+ *
+ * @param {boolean} isNew - Whether the card was new
+ * @returns {Promise<boolean>} True if the count was saved
+ */
+const recordDailyProgress = async (isNew) => {
+  const progress = await getDailyProgress();
+  return saveSetting(PROGRESS_SETTING_KEY, {
+    ...progress,
+    newCards: progress.newCards + (isNew ? 1 : 0),
+    reviews: progress.reviews + (isNew ? 0 : 1),
+  });
+};
+
+/**
+ * Counts a lapse against a word, and suspends the word if that makes it a
+ * leech and leeches are to be suspended.
+ *
+ * @param {number} wordId - ID of the word
+ */
+const recordLapse = async (wordId) => {
+  const [lapses, settings] = await Promise.all([
+    recordWordLapse(wordId),
+    getLeechSettings(),
+  ]);
+
+  // Only the lapse that makes it a leech suspends the word, so a leech the
+  // user unsuspended isn't suspended again by its next lapse
+  if (lapses === settings.threshold + 1 && settings.autoSuspend) {
+    await setWordSuspended(wordId, true);
+  }
+};
+
+/**
+ * Grades a card from getCardsForReview, updating the word, reverse card,
+ * cloze card or sense it stands for, and counts it towards today's progress.
+ * A card finishing its relearning steps was already counted when it was
+ * failed, so it isn't counted again. Failing a card that isn't new counts
+ * a lapse against its word.
+ *
+ * @param {Object} card - Card being reviewed
+ * @param {number} grade - One of GRADES
+ * @param {Object} [options] - Extra review details, as for updateWordAfterReview
+ * @param {boolean} [options.relearning] - Whether the card is finishing its
+ *   relearning steps
+ * @returns {Promise<boolean>} True if the update operation succeeds, false otherwise
+ */
+export const reviewCard = async (card, grade, options = {}) => {
+  const isNew = isNewCard(card);
+  let success;
+
+  if (card.type === "sense") {
+    success = await updateSenseAfterReview(card.id, grade, options);
+  } else if (card.type === "reverse") {
+    success = await updateReverseAfterReview(card.id, grade, options);
+  } else if (card.type === "cloze") {
+    success = await updateClozeAfterReview(card.id, grade, options);
+  } else {
+    success = await updateWordAfterReview(card.id, grade, options);
+  }
+
+  if (success && !options.relearning) {
+    await recordDailyProgress(isNew);
+  }
+  if (success && grade === GRADES.AGAIN && !isNew) {
+    await recordLapse(card.word.id);
+  }
+  return success;
+};
+
+/**
+ * Takes a word out of review until it is unsuspended, or puts it back.
+ *
+ * @param {number} wordId - ID of the word
+ * @param {boolean} suspended - True to suspend, false to unsuspend
+ * @returns {Promise<boolean>} True if the update operation succeeds, false otherwise
+ */
+export const suspendWord = (wordId, suspended) =>
+  setWordSuspended(wordId, suspended);
+
+/**
+ * Takes a word out of review until the start of the next day, or puts it
+ * back right away.
+ *
+ * @param {number} wordId - ID of the word
+ * @param {boolean} buried - True to bury, false to unbury
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<boolean>} True if the update operation succeeds, false otherwise
+ */
+export const buryWord = (wordId, buried, now = new Date()) => {
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  tomorrow.setHours(0, 0, 0, 0);
+
+  return setWordBuriedUntil(wordId, buried ? tomorrow.toISOString() : null);
+};
+
+/**
+ * Moves a word's next review, for every card of it, to a number of days
+ * from now; 0 makes it due right away.
+ *
+ * @param {number} wordId - ID of the word
+ * @param {number} days - Days until the next review
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<boolean>} True if the update operation succeeds, false otherwise
+ */
+export const rescheduleWord = (wordId, days, now = new Date()) => {
+  const nextReviewDate = new Date(now);
+  nextReviewDate.setDate(nextReviewDate.getDate() + days);
+
+  return rescheduleWordCards(wordId, nextReviewDate.toISOString());
+};
+
+/**
+ * Forgets a word's learning progress, so all its cards start over as new.
+ *
+ * @param {number} wordId - ID of the word
+ * @returns {Promise<boolean>} True if the update operation succeeds, false otherwise
+ */
+export const resetWord = (wordId) => resetWordProgress(wordId);
@@ -0,0 +1,146 @@
+/**
+ * Leech Service
+ *
+ * Finds leeches: words that keep being forgotten no matter how often they
+ * are reviewed. learningService counts a lapse every time a card of a word
+ * is failed after it had been learned; once a word's lapses go over the
+ * leech threshold it is a leech, and it can be suspended from review right away.
+ *
+ * Reviewing a leech yet again rarely helps, so each one comes with
+ * suggestions for making it easier to remember, and can be reset to give it
+ * a fresh start.
+ *
+ * @module services/leechService
+ */
+
+import {
+  getSavedWords,
+  getSetting,
+  saveSetting,
+  resetWordLapses,
+} from "./databaseService";
+
+/**
+ * app_settings key holding the leech settings
+ */
+const LEECH_SETTING_KEY = "leech_settings";
+
+/**
+ * Leech settings used until the user sets their own
+ */
+export const DEFAULT_LEECH_SETTINGS = {
+  threshold: 8,
+  autoSuspend: false,
+};
+
+/**
+ * Ways of making a leech easier to remember
+ */
+export const LEECH_SUGGESTIONS = {
+  MNEMONIC: {
+    label: "Add a memory hook",
+    description:
+      "Write a mnemonic, a look-alike word or a picture in the notes.",
+  },
+  SPLIT_SENSES: {
+    label: "Split its meanings",
+    description:
+      "Put each meaning on its own line and review it as its own flashcard.",
+  },
+  EXAMPLE: {
+    label: "Add an example",
+    description: "A sentence of your own gives the word some context.",
+  },
+};
+
+/**
+ * Reads the leech settings.
+ *
+ * @returns {Promise<{threshold: number, autoSuspend: boolean}>} Lapses a
+ *   word can have before it is a leech, and whether leeches are suspended automatically
+ */
+export const getLeechSettings = async () => ({
+  ...DEFAULT_LEECH_SETTINGS,
+  ...(await getSetting(LEECH_SETTING_KEY, {})),
+});
+
+/**
+ * Stores the leech settings.
+ *
+ * @param {Object} settings - Settings to store
+ * @param {number} settings.threshold - Lapses a word can have before it
+ *   is a leech
+ * @param {boolean} settings.autoSuspend - Whether to suspend new leeches
+ * @returns {Promise<boolean>} True if the settings are saved, false otherwise
+ */
+export const saveLeechSettings = (settings) =>
+  saveSetting(LEECH_SETTING_KEY, {
+    threshold: settings.threshold,
+    autoSuspend: settings.autoSuspend,
+  });
+
+/**
+ * Whether a word is a leech.
+ *
+ * @param {Object} word - Saved word with its `lapses`
+ * @param {Object} settings - Leech settings, as from getLeechSettings
+ * @returns {boolean} True if the word's lapses went over the threshold
+ */
+export const isLeech = (word, settings) =>
+  (word.lapses || 0) > settings.threshold;
+
+/**
+ * Suggests what would make a leech easier to remember: a memory hook when
+ * it has no notes, reviewing its meanings separately when it has several
+ * (or one that lists several), and an example when it has none.
+ *
+ * @param {Object} word - Saved word with its `senses`
+ * @returns {Array<string>} Keys of LEECH_SUGGESTIONS
+ */
+export const leechSuggestions = (word) => {
+  const senses = word.senses || [];
+  const suggestions = [];
+
+  if (!(word.notes || "").trim()) {
+    suggestions.push("MNEMONIC");
+  }
+  if (
+    (senses.length > 1 && !senses.some((sense) => sense.reviewable)) ||
+    (senses.length === 1 && /[;,]/.test(senses[0].definition || ""))
+  ) {
+    suggestions.push("SPLIT_SENSES");
+  }
+  if (!word.example && !senses.some((sense) => sense.example)) {
+    suggestions.push("EXAMPLE");
+  }
+  return suggestions;
+};
+
+/**
+ * Retrieves every leech, most lapses first.
+ *
+ * @returns {Promise<Array<Object>>} Saved words that are leeches
+ */
+export const getLeeches = async () => {
+  try {
+    const [words, settings] = await Promise.all([
+      getSavedWords(),
+      getLeechSettings(),
+    ]);
+    return words
+      .filter((word) => isLeech(word, settings))
+      .sort((a, b) => b.lapses - a.lapses);
+  } catch (error) {
+    console.error("Error in finding leeches: ", error);
+    return [];
+  }
+};
+
+/**
+ * Gives a leech a fresh start: its lapses go back to zero and it is
+ * unsuspended. Its schedule is left as it is.
+ *
+ * @param {number} wordId - ID of the word
+ * @returns {Promise<boolean>} True if the word was reset, false otherwise
+ */
+export const resetLeech = (wordId) => resetWordLapses(wordId);
@@ -0,0 +1,124 @@
+/**
+ * Listening Service
+ *
+ * Builds listening drills from the cards due for review. The app speaks a
+ * word (or an example sentence using it) without showing it, and the user
+ * either types the word they heard or picks its meaning from a few choices.
+ *
+ * Answers are graded into the same spaced-repetition state as flashcards:
+ * typed answers are graded like the flashcard typing mode, picked meanings
+ * like quiz questions.
+ *
+ * @module services/listeningService
+ */
+
+import { CARD_DIRECTIONS, reviewCard } from "./learningService";
+import { getSessionQueue } from "./sessionService";
+import { ANSWER_VERDICTS, checkTypedAnswer } from "./answerService";
+import { QUIZ_STYLES, buildQuiz, meaningOf } from "./quizService";
+
+/**
+ * Ways of answering a listening drill
+ */
+export const LISTENING_MODES = {
+  TYPE: "type",
+  MEANING: "meaning",
+};
+
+/**
+ * What a listening drill plays first
+ */
+export const LISTENING_SOURCES = {
+  WORD: "word",
+  SENTENCE: "sentence",
+};
+
+/**
+ * The example sentence for a card: the example of its first sense, or the
+ * word's own example for words saved before senses existed.
+ *
+ * @param {Object} card - Card from getCardsForReview
+ * @returns {string} Example sentence, empty if there is none
+ */
+const exampleOf = (card) =>
+  (
+    card.senses.find((sense) => sense.example)?.example ||
+    card.word.example ||
+    ""
+  ).trim();
+
+/**
+ * Builds a listening drill from the cards due for review, within today's
+ * limits for new cards and reviews. Only cards for recalling a word's
+ * meaning are used (no reverse or cloze cards), since the word itself is
+ * what gets spoken; in typing mode only whole-word cards are used, so a word
+ * is never asked twice.
+ *
+ * @param {Object} [options] - Drill options
+ * @param {number} [options.length=10] - Most items to play
+ * @param {string} [options.mode] - One of LISTENING_MODES (defaults to TYPE)
+ * @param {Object|Array<Object>} [options.scope] - Scope of the words to play,
+ *   as for getCardsForReview
+ * @returns {Promise<Array<Object>>} Items, each with its `key`, `card`, `word`,
+ *   `meaning` and `example` sentence; in meaning mode also the `choices` and
+ *   `answerId` of a quiz question
+ */
+export const buildListeningDrill = async (options = {}) => {
+  const { length = 10, mode = LISTENING_MODES.TYPE, scope = {} } = options;
+
+  try {
+    if (mode === LISTENING_MODES.MEANING) {
+      const questions = await buildQuiz({
+        length,
+        style: QUIZ_STYLES.MEANING,
+        scope,
+        direction: CARD_DIRECTIONS.FORWARD,
+        cloze: false,
+      });
+      return questions.map((question) => ({
+        ...question,
+        example: exampleOf(question.card),
+      }));
+    }
+
+    const queue = await getSessionQueue(scope, {
+      direction: CARD_DIRECTIONS.FORWARD,
+      cloze: false,
+    });
+    return queue.cards
+      .filter((card) => card.type === "word")
+      .slice(0, length)
+      .map((card) => ({
+        key: card.key,
+        card,
+        word: card.word,
+        meaning: meaningOf(card.word),
+        example: exampleOf(card),
+      }));
+  } catch (error) {
+    console.error("Error in building the listening drill: ", error);
+    return [];
+  }
+};
+
+/**
+ * Checks the word typed for a listening item and records the review with
+ * the grade from the check.
+ *
+ * @param {Object} item - Item from buildListeningDrill
+ * @param {string} typed - Word typed by the user
+ * @param {Object} [options] - Extra review details, as for reviewCard
+ * @returns {Promise<Object>} The result of checkTypedAnswer, with `correct`
+ *   set unless the answer was wrong or blank
+ */
+export const checkListeningAnswer = async (item, typed, options = {}) => {
+  const result = checkTypedAnswer(item.word.word, typed, options);
+  await reviewCard(item.card, result.grade, options);
+
+  return {
+    ...result,
+    correct:
+      result.verdict !== ANSWER_VERDICTS.WRONG &&
+      result.verdict !== ANSWER_VERDICTS.BLANK,
+  };
+};
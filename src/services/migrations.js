@@ -0,0 +1,476 @@
+/**
+ * Database Migrations
+ *
+ * Ordered list of schema migrations for the WordJotter database. Each
+ * migration is applied exactly once, inside its own transaction, and the
+ * schema version is tracked with SQLite's `PRAGMA user_version`.
+ *
+ * To change the schema, append a new entry with the next version number.
+ * Never edit or reorder a migration that has already shipped - existing
+ * installs have recorded it as applied and will not run it again.
+ *
+ * @module services/migrations
+ */
+
+/**
+ * Adds a column to a table only if the table does not already have it.
+ * SQLite has no `ADD COLUMN IF NOT EXISTS`, so the table info is checked first.
+ * This keeps migrations safe to re-run on databases that were patched by hand.
+ *
+ * @param {object} db - expo-sqlite database or transaction handle
+ * @param {string} table - Name of the table to alter
+ * @param {string} column - Name of the column to add
+ * @param {string} definition - Column type and constraints (e.g. "INTEGER DEFAULT 0")
+ * @returns {Promise<void>}
+ */
+export const addColumnIfMissing = async (db, table, column, definition) => {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+
+  if (!columns.some((info) => info.name === column)) {
+    await db.execAsync(
+      `ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`
+    );
+  }
+};
+
+/**
+ * Schema migrations in the order they must be applied.
+ *
+ * @type {Array<{version: number, description: string, up: function(object): Promise<void>}>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Initial schema: saved words, quick notes, reminder settings",
+    // Uses IF NOT EXISTS so installs created before migrations existed
+    // are adopted without touching their data
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS saved_words (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          word TEXT NOT NULL,
+          language TEXT NOT NULL,
+          definition TEXT,
+          phonetic TEXT,
+          example TEXT,
+          notes TEXT,
+          category TEXT,
+          learning_level INTEGER DEFAULT 0,
+          next_review_date TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS quick_notes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          word TEXT NOT NULL,
+          language TEXT NOT NULL,
+          notes TEXT,
+          processed INTEGER DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS reminder_settings (
+          id INTEGER PRIMARY KEY,
+          enabled INTEGER DEFAULT 0,
+          hour INTEGER DEFAULT 20,
+          minute INTEGER DEFAULT 0
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: "SM-2 scheduling state on saved words",
+    up: async (db) => {
+      await addColumnIfMissing(
+        db,
+        "saved_words",
+        "ease_factor",
+        "REAL DEFAULT 2.5"
+      );
+      await addColumnIfMissing(
+        db,
+        "saved_words",
+        "interval_days",
+        "INTEGER DEFAULT 0"
+      );
+      await addColumnIfMissing(
+        db,
+        "saved_words",
+        "repetitions",
+        "INTEGER DEFAULT 0"
+      );
+
+      // Seed the new state from the old fixed-interval levels so reviewed
+      // words keep their current spacing instead of starting over
+      await db.execAsync(`
+        UPDATE saved_words
+        SET
+          interval_days = CASE COALESCE(learning_level, 0)
+            WHEN 1 THEN 3
+            WHEN 2 THEN 7
+            WHEN 3 THEN 14
+            WHEN 4 THEN 30
+            WHEN 5 THEN 90
+            ELSE 0
+          END,
+          repetitions = COALESCE(learning_level, 0)
+        WHERE next_review_date IS NOT NULL;
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: "Review history log",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS review_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          word_id INTEGER NOT NULL,
+          reviewed_at TEXT NOT NULL,
+          grade INTEGER NOT NULL,
+          previous_level INTEGER,
+          new_level INTEGER,
+          interval_days INTEGER,
+          ease_factor REAL,
+          response_time_ms INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_review_log_word
+          ON review_log (word_id, reviewed_at);
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: "Full-text search indexes for words and quick notes",
+    // External-content FTS5 tables mirror the source tables through triggers.
+    // remove_diacritics 2 folds ä/ö/å to a/o/a so "aiti" matches "äiti".
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS saved_words_fts USING fts5(
+          word, definition, example, notes,
+          content='saved_words',
+          content_rowid='id',
+          tokenize='unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS saved_words_fts_insert
+        AFTER INSERT ON saved_words BEGIN
+          INSERT INTO saved_words_fts (rowid, word, definition, example, notes)
+          VALUES (new.id, new.word, new.definition, new.example, new.notes);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS saved_words_fts_delete
+        AFTER DELETE ON saved_words BEGIN
+          INSERT INTO saved_words_fts (saved_words_fts, rowid, word, definition, example, notes)
+          VALUES ('delete', old.id, old.word, old.definition, old.example, old.notes);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS saved_words_fts_update
+        AFTER UPDATE OF word, definition, example, notes ON saved_words BEGIN
+          INSERT INTO saved_words_fts (saved_words_fts, rowid, word, definition, example, notes)
+          VALUES ('delete', old.id, old.word, old.definition, old.example, old.notes);
+          INSERT INTO saved_words_fts (rowid, word, definition, example, notes)
+          VALUES (new.id, new.word, new.definition, new.example, new.notes);
+        END;
+
+        CREATE VIRTUAL TABLE IF NOT EXISTS quick_notes_fts USING fts5(
+          word, notes,
+          content='quick_notes',
+          content_rowid='id',
+          tokenize='unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS quick_notes_fts_insert
+        AFTER INSERT ON quick_notes BEGIN
+          INSERT INTO quick_notes_fts (rowid, word, notes)
+          VALUES (new.id, new.word, new.notes);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS quick_notes_fts_delete
+        AFTER DELETE ON quick_notes BEGIN
+          INSERT INTO quick_notes_fts (quick_notes_fts, rowid, word, notes)
+          VALUES ('delete', old.id, old.word, old.notes);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS quick_notes_fts_update
+        AFTER UPDATE OF word, notes ON quick_notes BEGIN
+          INSERT INTO quick_notes_fts (quick_notes_fts, rowid, word, notes)
+          VALUES ('delete', old.id, old.word, old.notes);
+          INSERT INTO quick_notes_fts (rowid, word, notes)
+          VALUES (new.id, new.word, new.notes);
+        END;
+
+        -- Index everything saved before search existed
+        INSERT INTO saved_words_fts (saved_words_fts) VALUES ('rebuild');
+        INSERT INTO quick_notes_fts (quick_notes_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: "Offline cache for dictionary lookups",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS lookup_cache (
+          language TEXT NOT NULL,
+          word TEXT NOT NULL,
+          response TEXT NOT NULL,
+          fetched_at TEXT NOT NULL,
+          last_accessed_at TEXT NOT NULL,
+          PRIMARY KEY (language, word)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_lookup_cache_accessed
+          ON lookup_cache (last_accessed_at);
+      `);
+    },
+  },
+  {
+    version: 6,
+    description: "App settings and offline Finnish dictionary",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS app_settings (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS fi_dictionary (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          headword TEXT NOT NULL,
+          headword_lower TEXT NOT NULL,
+          headword_folded TEXT NOT NULL,
+          part_of_speech TEXT,
+          definition TEXT NOT NULL,
+          example TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_fi_dictionary_lower
+          ON fi_dictionary (headword_lower);
+        CREATE INDEX IF NOT EXISTS idx_fi_dictionary_folded
+          ON fi_dictionary (headword_folded);
+      `);
+    },
+  },
+  {
+    version: 7,
+    description: "Encountered (inflected) form of saved words",
+    up: async (db) => {
+      await addColumnIfMissing(db, "saved_words", "encountered_form", "TEXT");
+    },
+  },
+  {
+    version: 8,
+    description: "Multiple senses per saved word",
+    // saved_words.definition stays as a one-meaning-per-line summary of the
+    // senses, so search, exports and older screens keep working
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS word_senses (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          word_id INTEGER NOT NULL,
+          position INTEGER NOT NULL DEFAULT 0,
+          part_of_speech TEXT,
+          definition TEXT NOT NULL,
+          example TEXT,
+          synonyms TEXT,
+          reviewable INTEGER DEFAULT 0,
+          learning_level INTEGER DEFAULT 0,
+          next_review_date TEXT,
+          ease_factor REAL DEFAULT 2.5,
+          interval_days INTEGER DEFAULT 0,
+          repetitions INTEGER DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_word_senses_word
+          ON word_senses (word_id, position);
+      `);
+      await addColumnIfMissing(db, "review_log", "sense_id", "INTEGER");
+
+      // One sense per line of each existing definition; merged duplicates
+      // keep their meanings on separate lines
+      const words = await db.getAllAsync(
+        "SELECT id, definition, example FROM saved_words WHERE id NOT IN (SELECT word_id FROM word_senses)"
+      );
+      for (const word of words) {
+        const lines = (word.definition || "")
+          .split("\n")
+          .map((line) => line.trim())
+          .filter(Boolean);
+
+        for (const [position, definition] of lines.entries()) {
+          await db.runAsync(
+            "INSERT INTO word_senses (word_id, position, definition, example) VALUES (?, ?, ?, ?)",
+            [word.id, position, definition, position === 0 ? word.example : ""]
+          );
+        }
+      }
+    },
+  },
+  {
+    version: 9,
+    description: "Tags for saved words",
+    // saved_words.category is kept for older backups and exports, but words
+    // are organized by tags from now on
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS word_tags (
+          word_id INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (word_id, tag_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_word_tags_tag
+          ON word_tags (tag_id, word_id);
+
+        -- Every category except the "default" placeholder becomes a tag
+        INSERT OR IGNORE INTO tags (name)
+          SELECT DISTINCT trim(category) FROM saved_words
+          WHERE trim(COALESCE(category, '')) NOT IN ('', 'default');
+
+        INSERT OR IGNORE INTO word_tags (word_id, tag_id)
+          SELECT saved_words.id, tags.id
+          FROM saved_words
+          JOIN tags ON tags.name = trim(saved_words.category);
+      `);
+    },
+  },
+  {
+    version: 10,
+    description: "Flashcard decks",
+    // Filter decks store their filter as JSON; list decks keep their words
+    // in deck_words
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS decks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          kind TEXT NOT NULL DEFAULT 'filter',
+          filter TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS deck_words (
+          deck_id INTEGER NOT NULL,
+          word_id INTEGER NOT NULL,
+          PRIMARY KEY (deck_id, word_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_deck_words_word
+          ON deck_words (word_id);
+      `);
+    },
+  },
+  {
+    version: 11,
+    description: "Reverse (meaning to word) cards",
+    // The scheduling columns on saved_words stay the word-to-meaning card;
+    // each word's reverse card gets its own row once it is first reviewed
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS reverse_cards (
+          word_id INTEGER PRIMARY KEY,
+          learning_level INTEGER DEFAULT 0,
+          next_review_date TEXT,
+          ease_factor REAL DEFAULT 2.5,
+          interval_days INTEGER DEFAULT 0,
+          repetitions INTEGER DEFAULT 0
+        );
+      `);
+      await addColumnIfMissing(db, "saved_words", "card_direction", "TEXT");
+      await addColumnIfMissing(
+        db,
+        "decks",
+        "direction",
+        "TEXT DEFAULT 'forward'"
+      );
+      await addColumnIfMissing(db, "review_log", "direction", "TEXT");
+    },
+  },
+  {
+    version: 12,
+    description: "Cloze (fill-in-the-blank) cards",
+    // Cloze cards are generated from example sentences, notes and sentences
+    // the user writes (cloze_sentences); like reverse cards, each word's
+    // cloze card gets its own schedule row once it is first reviewed
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS cloze_cards (
+          word_id INTEGER PRIMARY KEY,
+          learning_level INTEGER DEFAULT 0,
+          next_review_date TEXT,
+          ease_factor REAL DEFAULT 2.5,
+          interval_days INTEGER DEFAULT 0,
+          repetitions INTEGER DEFAULT 0
+        );
+
+        CREATE TABLE IF NOT EXISTS cloze_sentences (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          word_id INTEGER NOT NULL,
+          sentence TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_cloze_sentences_word
+          ON cloze_sentences (word_id);
+      `);
+      await addColumnIfMissing(db, "decks", "cloze", "INTEGER DEFAULT 0");
+    },
+  },
+  {
+    version: 13,
+    description: "Lapse counts and suspended words for leech handling",
+    // A lapse is a card of the word failed after it had been reviewed
+    // before; existing counts are rebuilt from the review log
+    up: async (db) => {
+      await addColumnIfMissing(
+        db,
+        "saved_words",
+        "lapses",
+        "INTEGER DEFAULT 0"
+      );
+      await addColumnIfMissing(
+        db,
+        "saved_words",
+        "suspended",
+        "INTEGER DEFAULT 0"
+      );
+      await db.runAsync(
+        `UPDATE saved_words SET lapses = (
+          SELECT COUNT(*) FROM review_log AS failed
+          WHERE failed.word_id = saved_words.id AND failed.grade = 0
+            AND EXISTS (
+              SELECT 1 FROM review_log AS earlier
+              WHERE earlier.word_id = failed.word_id
+                AND COALESCE(earlier.direction, 'forward') = COALESCE(failed.direction, 'forward')
+                AND COALESCE(earlier.sense_id, 0) = COALESCE(failed.sense_id, 0)
+                AND earlier.reviewed_at < failed.reviewed_at
+            )
+        )`
+      );
+    },
+  },
+  {
+    version: 14,
+    description: "Burying words until the next day",
+    up: async (db) => {
+      await addColumnIfMissing(db, "saved_words", "buried_until", "TEXT");
+    },
+  },
+];
+
+/**
+ * Latest schema version known to this build of the app.
+ */
+export const LATEST_SCHEMA_VERSION = MIGRATIONS.length
+  ? MIGRATIONS[MIGRATIONS.length - 1].version
+  : 0;
@@ -0,0 +1,71 @@
+/**
+ * Free Dictionary API Provider
+ *
+ * Dictionary provider for English words backed by the Free Dictionary API
+ * (`EXPO_PUBLIC_API_URL`). Returns definitions, examples, phonetics and
+ * pronunciation audio links.
+ *
+ * @module services/providers/freeDictionaryProvider
+ */
+
+/**
+ * Provider definition registered with the dictionary service
+ */
+const freeDictionaryProvider = {
+  id: "free-dictionary",
+  name: "Free Dictionary API",
+  languages: ["en"],
+  capabilities: {
+    audio: true,
+    examples: true,
+    externalOnly: false,
+  },
+
+  /**
+   * Fetches the raw API response for a word
+   *
+   * @param {string} word - The word to look up
+   * @param {string} language - Language code
+   * @returns {Promise<Array>} Raw Free Dictionary API entries
+   * @throws {Error} - If the word is not found or the request fails
+   */
+  lookup: async (word, language) => {
+    const response = await fetch(
+      `${process.env.EXPO_PUBLIC_API_URL}/${language}/${encodeURIComponent(
+        word
+      )}`
+    );
+
+    if (!response.ok) {
+      throw new Error("Whoops, that word ghosted us!");
+    }
+
+    return await response.json();
+  },
+
+  /**
+   * Maps the API response to the common entry shape
+   *
+   * @param {Array} raw - Raw API entries
+   * @returns {Array} Normalized dictionary entries
+   */
+  normalize: (raw) =>
+    (raw || []).map((entry) => ({
+      word: entry.word,
+      phonetic:
+        entry.phonetic ||
+        (entry.phonetics || []).find((item) => item.text)?.text ||
+        "",
+      audio: (entry.phonetics || []).find((item) => item.audio)?.audio || "",
+      meanings: (entry.meanings || []).map((meaning) => ({
+        partOfSpeech: meaning.partOfSpeech,
+        synonyms: meaning.synonyms || [],
+        definitions: (meaning.definitions || []).map((definition) => ({
+          definition: definition.definition,
+          example: definition.example || "",
+        })),
+      })),
+    })),
+};
+
+export default freeDictionaryProvider;
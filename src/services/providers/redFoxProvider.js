@@ -0,0 +1,58 @@
+/**
+ * RedFox Dictionary Provider
+ *
+ * External-only dictionary provider for Finnish words. RedFox has no public
+ * API, so lookups return a marker telling the caller to open the dictionary
+ * page (`EXPO_PUBLIC_FINNISH_DICTIONARY_URL`) in the device's browser.
+ *
+ * @module services/providers/redFoxProvider
+ */
+
+/**
+ * Provider definition registered with the dictionary service
+ */
+const redFoxProvider = {
+  id: "redfox",
+  name: "RedFox Dictionary",
+  languages: ["fi"],
+  capabilities: {
+    audio: false,
+    examples: false,
+    externalOnly: true,
+  },
+
+  /**
+   * Builds the external lookup marker for a word
+   *
+   * @param {string} word - The word to look up
+   * @param {string} language - Language code
+   * @returns {Promise<Object>} External lookup marker
+   */
+  lookup: async (word, language) => ({
+    type: "external",
+    word,
+    language,
+    url: redFoxProvider.getUrl(word),
+  }),
+
+  /**
+   * External results are passed through unchanged
+   *
+   * @param {Object} raw - External lookup marker
+   * @returns {Object} The same marker
+   */
+  normalize: (raw) => raw,
+
+  /**
+   * Builds the RedFox page URL for a word
+   *
+   * @param {string} word - The word to look up
+   * @returns {string} Dictionary page URL
+   */
+  getUrl: (word) =>
+    `${process.env.EXPO_PUBLIC_FINNISH_DICTIONARY_URL}/${encodeURIComponent(
+      word
+    )}`,
+};
+
+export default redFoxProvider;
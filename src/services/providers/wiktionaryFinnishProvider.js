@@ -0,0 +1,45 @@
+/**
+ * Wiktionary Finnish Provider
+ *
+ * Dictionary provider for Finnish words backed by the offline
+ * Wiktionary-derived dataset stored in the local database. Returns no
+ * entries until the dataset has been downloaded, so lookups fall back to
+ * the next Finnish provider.
+ *
+ * @module services/providers/wiktionaryFinnishProvider
+ */
+
+import { lookupFinnishWord } from "../finnishDatasetService";
+
+/**
+ * Provider definition registered with the dictionary service
+ */
+const wiktionaryFinnishProvider = {
+  id: "wiktionary-fi",
+  name: "Wiktionary (offline)",
+  languages: ["fi"],
+  capabilities: {
+    audio: false,
+    examples: true,
+    externalOnly: false,
+    offline: true,
+  },
+
+  /**
+   * Looks the word up in the offline dataset
+   *
+   * @param {string} word - The word to look up
+   * @returns {Promise<Array>} Entries already in the common shape
+   */
+  lookup: async (word) => lookupFinnishWord(word),
+
+  /**
+   * Entries are stored in the common shape, so they pass through unchanged
+   *
+   * @param {Array} raw - Entries from the offline dataset
+   * @returns {Array} The same entries
+   */
+  normalize: (raw) => raw,
+};
+
+export default wiktionaryFinnishProvider;
@@ -0,0 +1,299 @@
+/**
+ * Quiz Service
+ *
+ * Builds multiple-choice quizzes from the user's own vocabulary. Each
+ * question is one of the cards due for review, asked either as "pick the
+ * right meaning" for a word, "pick the right word" for a meaning, or, for
+ * cloze cards, "pick the word that fills the blank" in a sentence. Wrong
+ * choices (distractors) come from other saved words of the same language,
+ * preferring words with the same part of speech or a shared tag so that the
+ * right answer can't be guessed from its shape alone.
+ *
+ * Answers are graded into the same spaced-repetition state as flashcards:
+ * a right answer counts as Good and a wrong one as Again.
+ *
+ * @module services/quizService
+ */
+
+import { getSavedWords } from "./databaseService";
+import { GRADES, reviewCard } from "./learningService";
+import { getSessionQueue } from "./sessionService";
+
+/**
+ * Kinds of quiz question
+ */
+export const QUESTION_TYPES = {
+  PICK_MEANING: "pick_meaning",
+  PICK_WORD: "pick_word",
+  FILL_BLANK: "fill_blank",
+};
+
+/**
+ * Which kinds of question a quiz asks
+ */
+export const QUIZ_STYLES = {
+  MIXED: "mixed",
+  MEANING: "meaning",
+  WORD: "word",
+};
+
+/**
+ * Number of choices offered per question, the right one included
+ */
+const CHOICE_COUNT = 4;
+
+/**
+ * Longest meaning shown as a choice before it is shortened
+ */
+const MAX_CHOICE_LENGTH = 120;
+
+/**
+ * Returns the items in random order (Fisher-Yates), leaving the input as is.
+ *
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Shortens a meaning to fit on a choice button.
+ *
+ * @param {string} text - Meaning text
+ * @returns {string} The text, cut at MAX_CHOICE_LENGTH characters
+ */
+const clip = (text) =>
+  text.length > MAX_CHOICE_LENGTH
+    ? `${text.slice(0, MAX_CHOICE_LENGTH - 1).trim()}…`
+    : text;
+
+/**
+ * The meaning of a word as a single line: its first sense, or the first line
+ * of the definition of words saved before senses existed.
+ *
+ * @param {Object} word - Saved word with its `senses`
+ * @returns {string} Meaning text, empty if the word has none
+ */
+export const meaningOf = (word) =>
+  (
+    word.senses[0]?.definition ||
+    (word.definition || "").split("\n")[0] ||
+    ""
+  ).trim();
+
+/**
+ * Picks the distractors for a question: other words of the same language,
+ * with the same part of speech or a shared tag first, then any others.
+ * Words whose choice text would match the right answer are left out.
+ *
+ * @param {Object} card - Card the question asks about
+ * @param {Array<Object>} words - Every saved word
+ * @param {Function} choiceText - Gives the text a word shows as a choice
+ * @returns {Array<Object>} Up to CHOICE_COUNT - 1 distractor words
+ */
+const pickDistractors = (card, words, choiceText) => {
+  const { word } = card;
+  const partOfSpeech = (card.senses[0]?.part_of_speech || "").toLowerCase();
+  const answer = choiceText(word, card).toLowerCase();
+  const seen = new Set([answer]);
+
+  const candidates = words.filter((other) => {
+    const text = choiceText(other).toLowerCase();
+    return other.id !== word.id && other.language === word.language && text;
+  });
+
+  const score = (other) => {
+    let points = 0;
+    if (
+      partOfSpeech &&
+      other.senses.some(
+        (sense) => (sense.part_of_speech || "").toLowerCase() === partOfSpeech
+      )
+    ) {
+      points += 2;
+    }
+    if (other.tags.some((tag) => word.tags.includes(tag))) {
+      points += 1;
+    }
+    return points;
+  };
+
+  // Random order first, so equally good distractors vary between quizzes
+  const ranked = shuffle(candidates)
+    .map((other) => ({ other, points: score(other) }))
+    .sort((a, b) => b.points - a.points);
+
+  const distractors = [];
+  for (const { other } of ranked) {
+    const text = choiceText(other).toLowerCase();
+    if (!seen.has(text)) {
+      seen.add(text);
+      distractors.push(other);
+    }
+    if (distractors.length === CHOICE_COUNT - 1) {
+      break;
+    }
+  }
+  return distractors;
+};
+
+/**
+ * Builds a question for a card, or null if there are no saved words to
+ * make wrong choices from.
+ *
+ * @param {Object} card - Card from getCardsForReview
+ * @param {string} type - One of QUESTION_TYPES
+ * @param {Array<Object>} words - Every saved word
+ * @returns {Object|null} Question
+ */
+const buildQuestion = (card, type, words) => {
+  // Sense cards ask about their own meaning, other cards about the first one
+  const choiceText =
+    type !== QUESTION_TYPES.PICK_MEANING
+      ? (word) => word.word
+      : (word, ownCard) =>
+          clip(
+            ownCard?.type === "sense"
+              ? ownCard.senses[0].definition
+              : meaningOf(word)
+          );
+
+  const answer = choiceText(card.word, card);
+  if (!answer) {
+    return null;
+  }
+
+  const distractors = pickDistractors(card, words, choiceText);
+  if (distractors.length === 0) {
+    return null;
+  }
+
+  return {
+    key: card.key,
+    type,
+    card,
+    word: card.word,
+    // The meaning asked about, shown as the prompt of "pick the word" questions
+    meaning: clip(
+      card.type === "sense" ? card.senses[0].definition : meaningOf(card.word)
+    ),
+    choices: shuffle([
+      { id: card.word.id, text: answer },
+      ...distractors.map((other) => ({
+        id: other.id,
+        text: choiceText(other),
+      })),
+    ]),
+    answerId: card.word.id,
+  };
+};
+
+/**
+ * Builds a quiz from the cards due for review, within today's limits for new
+ * cards and reviews. Reverse cards are always
+ * asked as "pick the word" and cloze cards as "fill the blank"; other cards
+ * follow the quiz style.
+ *
+ * @param {Object} [options] - Quiz options
+ * @param {number} [options.length=10] - Most questions to ask
+ * @param {string} [options.style] - One of QUIZ_STYLES (defaults to MIXED)
+ * @param {Object|Array<Object>} [options.scope] - Scope of the words to ask,
+ *   as for getCardsForReview
+ * @param {string} [options.direction] - Card direction, as for getCardsForReview
+ * @param {boolean} [options.cloze] - Which words get cloze cards, as for
+ *   getCardsForReview
+ * @returns {Promise<Array<Object>>} Questions, each with its `card`, `type`,
+ *   `word`, `meaning`, `choices` ({id, text}) and the `answerId` of the right
+ *   choice; "fill the blank" questions show the sentence of their card's `cloze`
+ */
+export const buildQuiz = async (options = {}) => {
+  const {
+    length = 10,
+    style = QUIZ_STYLES.MIXED,
+    scope = {},
+    direction,
+    cloze,
+  } = options;
+
+  try {
+    const [queue, words] = await Promise.all([
+      getSessionQueue(scope, { direction, cloze }),
+      getSavedWords(),
+    ]);
+
+    const questions = [];
+    for (const card of shuffle(queue.cards)) {
+      let type;
+      if (card.type === "cloze") {
+        type = QUESTION_TYPES.FILL_BLANK;
+      } else if (card.type === "reverse" || style === QUIZ_STYLES.WORD) {
+        type = QUESTION_TYPES.PICK_WORD;
+      } else if (style === QUIZ_STYLES.MEANING) {
+        type = QUESTION_TYPES.PICK_MEANING;
+      } else {
+        type =
+          Math.random() < 0.5
+            ? QUESTION_TYPES.PICK_MEANING
+            : QUESTION_TYPES.PICK_WORD;
+      }
+
+      const question = buildQuestion(card, type, words);
+      if (question) {
+        questions.push(question);
+      }
+      if (questions.length === length) {
+        break;
+      }
+    }
+    return questions;
+  } catch (error) {
+    console.error("Error in building the quiz: ", error);
+    return [];
+  }
+};
+
+/**
+ * Grades an answer to a quiz question and records it like a flashcard
+ * review: Good when right, Again when wrong.
+ *
+ * @param {Object} question - Question from buildQuiz
+ * @param {number} choiceId - ID of the chosen choice
+ * @param {Object} [options] - Extra review details, as for reviewCard
+ * @returns {Promise<boolean>} True if the answer was right
+ */
+export const answerQuestion = async (question, choiceId, options = {}) => {
+  const correct = choiceId === question.answerId;
+  await reviewCard(
+    question.card,
+    correct ? GRADES.GOOD : GRADES.AGAIN,
+    options
+  );
+  return correct;
+};
+
+/**
+ * Sums up a finished quiz.
+ *
+ * @param {Array<{question: Object, correct: boolean}>} answers - Answers given
+ * @returns {{score: number, total: number, percent: number, missed: Array<Object>}}
+ *   Number right, number asked, the percentage right and the questions missed
+ */
+export const summarizeQuiz = (answers) => {
+  const score = answers.filter((answer) => answer.correct).length;
+  const total = answers.length;
+
+  return {
+    score,
+    total,
+    percent: total > 0 ? Math.round((score / total) * 100) : 0,
+    missed: answers
+      .filter((answer) => !answer.correct)
+      .map((answer) => answer.question),
+  };
+};
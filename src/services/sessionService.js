@@ -0,0 +1,282 @@
+/**
+ * Session Service
+ *
+ * Turns the cards due for review into the queue for a study session, within
+ * the user's daily limits: at most so many new cards and so many reviews a
+ * day. Reviews come most overdue first, new cards in the order their words
+ * were saved, and the new cards are spread evenly between the reviews
+ * instead of arriving in one block.
+ *
+ * How many cards were already studied today is counted by learningService
+ * and stored, so the limits hold across sessions and app restarts.
+ *
+ * Cards failed during a session are relearned in it: they come back after
+ * short delays (the relearning steps, 1 and 10 minutes by default) until
+ * they are answered correctly, and only then get their long-term schedule.
+ *
+ * @module services/sessionService
+ */
+
+import { getSetting, saveSetting } from "./databaseService";
+import {
+  GRADES,
+  getCardsForReview,
+  getDailyProgress,
+  isNewCard,
+  reviewCard,
+  scheduleReview,
+} from "./learningService";
+
+/**
+ * app_settings key holding the daily limits
+ */
+const LIMITS_SETTING_KEY = "daily_limits";
+
+/**
+ * app_settings key holding the relearning steps
+ */
+const RELEARNING_SETTING_KEY = "relearning_steps";
+
+/**
+ * Daily limits used until the user sets their own; null means no limit
+ */
+export const DEFAULT_DAILY_LIMITS = {
+  newCards: 20,
+  reviews: 200,
+};
+
+/**
+ * Minutes after which a failed card comes back, one entry per step, used
+ * until the user sets their own; no steps turns relearning off
+ */
+export const DEFAULT_RELEARNING_STEPS = [1, 10];
+
+/**
+ * Reads the daily limits.
+ *
+ * @returns {Promise<{newCards: number|null, reviews: number|null}>} Most new
+ *   cards and reviews a day, null for no limit
+ */
+export const getDailyLimits = async () => ({
+  ...DEFAULT_DAILY_LIMITS,
+  ...(await getSetting(LIMITS_SETTING_KEY, {})),
+});
+
+/**
+ * Stores the daily limits.
+ *
+ * @param {Object} limits - Limits to store
+ * @param {number|null} limits.newCards - Most new cards a day, null for no limit
+ * @param {number|null} limits.reviews - Most reviews a day, null for no limit
+ * @returns {Promise<boolean>} True if the limits are saved, false otherwise
+ */
+export const saveDailyLimits = (limits) =>
+  saveSetting(LIMITS_SETTING_KEY, {
+    newCards: limits.newCards,
+    reviews: limits.reviews,
+  });
+
+/**
+ * How many more cards a limit allows today.
+ *
+ * @param {number|null} limit - Daily limit, null for no limit
+ * @param {number} done - Cards already studied today
+ * @returns {number} Cards left (Infinity without a limit)
+ */
+const remaining = (limit, done) =>
+  limit === null || limit === undefined ? Infinity : Math.max(0, limit - done);
+
+/**
+ * Builds a session queue from due cards: reviews most overdue first and new
+ * cards oldest word first, each cut to what today's limits still allow, with
+ * the new cards spread evenly through the reviews.
+ *
+ * @param {Array<Object>} cards - Due cards from getCardsForReview
+ * @param {Object} limits - Daily limits, as from getDailyLimits
+ * @param {Object} progress - Today's counts, as from getDailyProgress
+ * @returns {{cards: Array<Object>, newCount: number, reviewCount: number, heldBack: number}}
+ *   The queue, how many new cards and reviews are in it, and how many due
+ *   cards the limits left out
+ */
+export const buildSessionQueue = (cards, limits, progress) => {
+  const dueTime = (card) => new Date(card.schedule.next_review_date).getTime();
+
+  const reviews = cards
+    .filter((card) => !isNewCard(card))
+    .sort((a, b) => dueTime(a) - dueTime(b))
+    .slice(0, remaining(limits.reviews, progress.reviews));
+  const newCards = cards
+    .filter(isNewCard)
+    .sort((a, b) => a.word.id - b.word.id)
+    .slice(0, remaining(limits.newCards, progress.newCards));
+
+  // Put each new card after an even share of the reviews
+  const queue = [];
+  let next = 0;
+  newCards.forEach((card, index) => {
+    const upTo = Math.round(
+      ((index + 1) * reviews.length) / (newCards.length + 1)
+    );
+    queue.push(...reviews.slice(next, upTo), card);
+    next = upTo;
+  });
+  queue.push(...reviews.slice(next));
+
+  return {
+    cards: queue,
+    newCount: newCards.length,
+    reviewCount: reviews.length,
+    heldBack: cards.length - queue.length,
+  };
+};
+
+/**
+ * Retrieves the queue for a study session: the due cards in a scope, within
+ * today's limits.
+ *
+ * @param {Object|Array<Object>} [scope] - Scope, as for getCardsForReview
+ * @param {Object} [options] - Session options, as for getCardsForReview
+ * @returns {Promise<Object>} Queue, as from buildSessionQueue
+ */
+export const getSessionQueue = async (scope = {}, options = {}) => {
+  try {
+    const [cards, limits, progress] = await Promise.all([
+      getCardsForReview(scope, options),
+      getDailyLimits(),
+      getDailyProgress(),
+    ]);
+    return buildSessionQueue(cards, limits, progress);
+  } catch (error) {
+    console.error("Error in building the session queue: ", error);
+    return { cards: [], newCount: 0, reviewCount: 0, heldBack: 0 };
+  }
+};
+
+/**
+ * Reads the relearning steps.
+ *
+ * @returns {Promise<Array<number>>} Minutes to wait before each step
+ */
+export const getRelearningSteps = () =>
+  getSetting(RELEARNING_SETTING_KEY, DEFAULT_RELEARNING_STEPS);
+
+/**
+ * Stores the relearning steps.
+ *
+ * @param {Array<number>} steps - Minutes to wait before each step, empty to
+ *   turn relearning off
+ * @returns {Promise<boolean>} True if the steps are saved, false otherwise
+ */
+export const saveRelearningSteps = (steps) =>
+  saveSetting(RELEARNING_SETTING_KEY, steps);
+
+/**
+ * Works out the relearning step a graded card moves to.
+ *
+ * - Again: back to the first step (this is also how relearning starts)
+ * - Hard: the current step again
+ * - Good: the next step, or done after the last one
+ * - Easy: done at once
+ *
+ * @param {Object} card - Card being graded, with `relearning` set while it
+ *   is being relearned
+ * @param {number} grade - One of GRADES
+ * @param {Array<number>} steps - Relearning steps
+ * @returns {number|null} Index of the step, or null if the card is done for
+ *   the session
+ */
+export const nextRelearningStep = (card, grade, steps) => {
+  if (steps.length === 0) {
+    return null;
+  }
+  if (grade === GRADES.AGAIN) {
+    return 0;
+  }
+  if (!card.relearning || grade === GRADES.EASY) {
+    return null;
+  }
+  if (grade === GRADES.HARD) {
+    return card.relearning.step;
+  }
+  const step = card.relearning.step + 1;
+  return step < steps.length ? step : null;
+};
+
+/**
+ * The schedule of a card just after it was failed, so the buttons of a
+ * relearning card preview the intervals it will really get.
+ *
+ * @param {Object} schedule - Schedule before the failure
+ * @returns {Object} Schedule after it
+ */
+const lapsedSchedule = (schedule) => {
+  const lapsed = scheduleReview(schedule, GRADES.AGAIN);
+  return {
+    ...schedule,
+    learning_level: lapsed.learningLevel,
+    next_review_date: lapsed.nextReviewDate,
+    ease_factor: lapsed.easeFactor,
+    interval_days: lapsed.intervalDays,
+    repetitions: lapsed.repetitions,
+  };
+};
+
+/**
+ * Grades a card during a session. The first grade of a card sets its
+ * schedule as usual; a failed card is then relearned, and while it is only
+ * its last grade (the one that finishes its steps) is recorded.
+ *
+ * @param {Object} card - Card being graded
+ * @param {number} grade - One of GRADES
+ * @param {Array<number>} steps - Relearning steps
+ * @param {Object} [options] - Extra review details, as for reviewCard
+ * @param {number} [now] - Time of the answer in milliseconds (defaults to now)
+ * @returns {Promise<Object|null>} Copy of the card to show again, with its
+ *   `relearning` step and the time it's due back (`dueAt`), or null if it is
+ *   done for the session
+ */
+export const gradeInSession = async (
+  card,
+  grade,
+  steps,
+  options = {},
+  now = Date.now()
+) => {
+  const step = nextRelearningStep(card, grade, steps);
+
+  if (!card.relearning || step === null) {
+    await reviewCard(card, grade, {
+      ...options,
+      relearning: Boolean(card.relearning),
+    });
+  }
+  if (step === null) {
+    return null;
+  }
+
+  return {
+    ...card,
+    schedule: card.relearning ? card.schedule : lapsedSchedule(card.schedule),
+    relearning: { step, dueAt: now + steps[step] * 60 * 1000 },
+  };
+};
+
+/**
+ * Picks the relearning card to show next: the one due back soonest, once its
+ * delay is over, or even before that when the rest of the queue is done.
+ *
+ * @param {Array<Object>} waiting - Cards from gradeInSession waiting to be shown
+ * @param {boolean} queueDone - Whether the rest of the queue has been shown
+ * @param {number} [now] - Current time in milliseconds (defaults to now)
+ * @returns {Object|null} Card to show next, or null for none
+ */
+export const nextRelearningCard = (waiting, queueDone, now = Date.now()) => {
+  const soonest = waiting.reduce(
+    (best, card) =>
+      !best || card.relearning.dueAt < best.relearning.dueAt ? card : best,
+    null
+  );
+  return soonest && (queueDone || soonest.relearning.dueAt <= now)
+    ? soonest
+    : null;
+};
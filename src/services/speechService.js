@@ -0,0 +1,51 @@
+/**
+ * Speech Service
+ *
+ * Speaks words and sentences aloud with the device's speech synthesis, in
+ * the English or Finnish voice. Used by the speak buttons across the app and
+ * by the listening drill, which also replays words at a slower rate.
+ *
+ * @module services/speechService
+ */
+
+import * as Speech from "expo-speech";
+
+/**
+ * Speaking rates: normal is slightly slower than the device default for
+ * clarity, slow is for replaying a word that was hard to catch
+ */
+export const SPEECH_RATES = {
+  NORMAL: 0.9,
+  SLOW: 0.5,
+};
+
+/**
+ * Maps an app language code to the locale of its speech voice.
+ *
+ * @param {string} language - Language code ("en" or "fi")
+ * @returns {string} Speech locale ("en-US" or "fi-FI")
+ */
+export const speechLanguage = (language) =>
+  language === "en" ? "en-US" : "fi-FI";
+
+/**
+ * Speaks text aloud, cutting off anything still being spoken so replays
+ * don't queue up. Several texts are spoken one after another.
+ *
+ * @param {string|Array<string>} text - Text, or texts, to speak
+ * @param {string} language - Language code ("en" or "fi")
+ * @param {Object} [options] - Speech options
+ * @param {number} [options.rate] - Speaking rate (defaults to SPEECH_RATES.NORMAL)
+ */
+export const speak = (text, language, options = {}) => {
+  const texts = Array.isArray(text) ? text : [text];
+
+  Speech.stop();
+  texts.forEach((part) =>
+    Speech.speak(part, {
+      language: speechLanguage(language),
+      pitch: 1.0, // Normal pitch
+      rate: options.rate ?? SPEECH_RATES.NORMAL,
+    })
+  );
+};
@@ -0,0 +1,64 @@
+/**
+ * Tag Service
+ *
+ * Helpers for organizing saved words with user-defined tags such as "work",
+ * "kitchen" or "from Yle news". A word can have any number of tags; the tags
+ * themselves are stored in the `tags` and `word_tags` tables by
+ * databaseService.
+ *
+ * Word lists and flashcard sessions can be narrowed to words that have all
+ * of a set of tags, or any of them.
+ *
+ * @module services/tagService
+ */
+
+/**
+ * How a set of tags narrows a word list
+ */
+export const TAG_MATCH = {
+  ALL: "all",
+  ANY: "any",
+};
+
+/**
+ * Splits typed tag text into tag names. Tags are separated by commas or
+ * semicolons, so a tag may contain spaces. Repeated tags (ignoring case)
+ * are kept once.
+ *
+ * @param {string} text - Tag text, e.g. "work, from Yle news"
+ * @returns {Array<string>} Tag names
+ */
+export const parseTagList = (text) => {
+  const names = [];
+
+  (text || "").split(/[,;]/).forEach((part) => {
+    const name = part.trim().replace(/\s+/g, " ");
+    if (
+      name &&
+      !names.some((other) => other.toLowerCase() === name.toLowerCase())
+    ) {
+      names.push(name);
+    }
+  });
+
+  return names;
+};
+
+/**
+ * Whether a word matches a tag filter. An empty filter matches every word.
+ *
+ * @param {Object} word - Word with a `tags` array of tag names
+ * @param {Array<string>} tags - Tag names to filter by
+ * @param {string} match - TAG_MATCH.ALL or TAG_MATCH.ANY
+ * @returns {boolean} True if the word passes the filter
+ */
+export const matchesTags = (word, tags, match = TAG_MATCH.ANY) => {
+  if (!tags || tags.length === 0) {
+    return true;
+  }
+
+  const wordTags = (word.tags || []).map((tag) => tag.toLowerCase());
+  const has = (tag) => wordTags.includes(tag.toLowerCase());
+
+  return match === TAG_MATCH.ALL ? tags.every(has) : tags.some(has);
+};